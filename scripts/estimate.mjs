@@ -0,0 +1,17 @@
+#!/usr/bin/env node
+// --- GF-PEC ESTIMATE CLI ---
+// Usage: node scripts/estimate.mjs [request.json]   (reads stdin when no file is given)
+// Prints the engine response as JSON. Exits 1 on an invalid request.
+import { readFileSync } from 'node:fs';
+import { estimate } from '../src/engine/index.js';
+
+const readInput = (file) => readFileSync(file && file !== '-' ? file : 0, 'utf8');
+
+try {
+    const request = JSON.parse(readInput(process.argv[2]));
+    const result = estimate(request);
+    process.stdout.write(JSON.stringify(result, null, 2) + '\n');
+} catch (err) {
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
@@ -1,6 +1,15 @@
-import React, { useState, useMemo, useEffect, useRef } from 'react';
+import React, { useState, useMemo, useEffect, useRef, useCallback } from 'react';
 // The 'jspdf' and 'jspdf-autotable' libraries are now loaded dynamically via a useEffect hook to prevent build errors.
-import { FileDown, PlusCircle, Trash2, ArrowRight, ArrowLeft, Info, Loader, ShieldCheck, XCircle, User, Briefcase, Stethoscope, AlertTriangle } from 'lucide-react';
+import { FileDown, PlusCircle, Trash2, ArrowRight, ArrowLeft, Info, Loader, ShieldCheck, XCircle, User, Briefcase, Stethoscope, AlertTriangle, Settings, History, FolderOpen, Copy, BookOpen, Upload, Database, FileText, Scale } from 'lucide-react';
+import { calculateEstimate, STEP_TYPES, DEFAULT_MPPR_SCHEDULES, MODIFIER_STACKING, MUE_ACTIONS, SERVICE_CATEGORIES, blankBenefitGrid, getServiceCategoryLabel, resolveCostSharing, NSA_PROTECTIONS, blankOutOfNetworkBenefits, getNsaProtectionLabel, resolveModifierRules, describeModifierRules, COB_METHODS, blankSecondaryCoverage, applyCoordinationOfBenefits, blankGfeDetails, blankGfeParty, listGfeParties, calculateSelfPayEstimate, calculateEpisode, hasEstimateRange, calculateEstimateRange, FAMILY_PROCESSING_ORDERS, calculateFamilyEstimate, SEQUENCING_STRATEGIES, describeSequencing, copayLogicScenarios, compareScenarios, describeScenarioChoice, describeRevision, diffEstimates, PFS_SETTINGS, blankPfsPricing, parsePfsRvuTable, parseGpciTable, getLocalityLabel, buildPfsLinePricing, calculatePfsAllowed, ANESTHESIA_TIME_ROUNDING, QUALIFYING_CIRCUMSTANCES, blankAnesthesiaPricing, isAnesthesiaCode, parseAnesthesiaBaseUnits, buildAnesthesiaLinePricing, summarizeAnesthesiaUnits } from './engine/index.js';
+import { ALL_PAYERS_KEY, loadModifierOverrides, saveModifierOverrides, getPayerModifierOverrides, loadMueSettings, saveMueSettings, loadRevisionSettings, saveRevisionSettings, loadPlanProfiles, savePlanProfiles, getPlanProfileLabel, upsertPlanProfile, exportPlanProfiles, parsePlanProfileImport, loadFeeLibrary, saveFeeLibrary, loadPfsTables, savePfsTables, loadAnesthesiaBaseUnits, saveAnesthesiaBaseUnits } from './settingsStore.js';
+import { newEstimateId, issuedPatientTotal, saveEstimateRecord, listEstimateRecords, matchesHistoryFilters } from './estimateHistory.js';
+import { FEE_FILE_KINDS, readSpreadsheetRows, parseFeeRows, lookupFees, isFeeOverridden } from './feeSchedules.js';
+import { RATE_FILE_KINDS, importRateFile, deleteRateSource, listRateSources, findNegotiatedRates } from './negotiatedRates.js';
+import { parse271 } from './eligibility271.js';
+import { PR_REASON_LABELS, parse835 } from './remittance835.js';
+import { saveRemittance, listRemittances, deleteRemittance, reconcileRemittances, summarizeVariances } from './reconciliation.js';
+import { buildPctBundles, validatePctBundle } from './fhirExport.js';
 
 // Heimdall Inc. - A placeholder for a professional entity
 const BrandHeader = () => (
@@ -10,9 +19,6 @@ const BrandHeader = () => (
     </div>
 );
 
-// --- Rounding Helper for Currency ---
-const $ = (n) => Math.round((Number(n) || 0) * 100) / 100;
-
 // --- Date Formatting Helper ---
 const formatDate = (dateString) => {
     if (!dateString || !/^\d{4}-\d{2}-\d{2}$/.test(dateString)) {
@@ -24,287 +30,22 @@ const formatDate = (dateString) => {
     return new Intl.DateTimeFormat('en-US', { year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
 };
 
-
-// --- MODIFIER LOGIC ---
-const applyModifiers = (procedure) => {
-    const originalAllowedAmount = Number(procedure.allowedAmount) || 0;
-    let modifiedAllowedAmount = originalAllowedAmount;
-    let modifierNote = null;
-    const modifiers = procedure.modifiers ? procedure.modifiers.split(',').map(m => m.trim().toUpperCase()) : [];
-
-    let noteParts = [];
-    let factor = 1;
-    if (modifiers.includes('50')) { factor *= 1.5; noteParts.push("+50% bilateral"); }
-    if (modifiers.includes('62')) { factor *= 1.25; noteParts.push("+25% co-surgeons"); }
-    // ... add other stacking modifiers here
-
-    if (noteParts.length > 0) {
-        modifiedAllowedAmount = $(originalAllowedAmount * factor);
-        modifierNote = { description: "Pricing Modifiers Applied", patientOwes: 0.0, notes: `Factors: ${noteParts.join(', ')}.` };
-    }
-
-    return { modifiedAllowedAmount, modifierNote, originalAllowedAmount };
-};
-
-// --- Centralized Plan-Aware OOP Helper ---
-const planAwareRemOop = (indOopMax, famOopMax, patientOopMet, familyOopMet, planType) => {
-    const rInd = (indOopMax === '' || indOopMax == null) ? Infinity : Math.max(0, (Number(indOopMax) || 0) - (Number(patientOopMet) || 0));
-    const rFam = (famOopMax === '' || famOopMax == null) ? Infinity : Math.max(0, (Number(famOopMax) || 0) - (Number(familyOopMet) || 0));
-    if (planType === 'Individual') return rInd;
-    if (planType === 'AggregateFamily') return rFam;
-    return Math.min(rInd, rFam); // Embedded
-};
-
-
-// --- CORE CALCULATION LOGIC ---
-// **ALGORITHM 11.0: Production Ready with Procedure Sorting**
-const calculateEstimate = (benefits, patientAccumulators, familyAccumulators, procedures, metaData) => {
-    // Sanitize inputs to ensure all accumulator values are numbers
-    const sanitizeNumber = (val) => {
-        const num = Number(val);
-        if (isNaN(num)) return 0;
-        return num < 0 ? 0 : num;
-    };
-
-    let currentPatientAcc = {
-        deductibleMet: sanitizeNumber(patientAccumulators.deductibleMet),
-        oopMet: sanitizeNumber(patientAccumulators.oopMet),
-    };
-    let currentFamilyAcc = familyAccumulators ? {
-        deductibleMet: sanitizeNumber(familyAccumulators.deductibleMet),
-        oopMet: sanitizeNumber(familyAccumulators.oopMet),
-    } : null;
-
-    const getRemaining = (limit, met) => {
-        if (limit === null || limit === undefined || limit === '') return Infinity;
-        const numLimit = Number(limit) || 0;
-        const numMet = Number(met) || 0;
-        if (numLimit === 0 && (limit?.toString().trim() === '0')) return 0;
-        return Math.max(0, numLimit - numMet);
-    };
-
-    let procedureEstimates = [];
-    let totalPatientResponsibility = 0.0;
-    
-    // --- Early Exit for Met OOP (Plan-aware) ---
-    const remIndOop = getRemaining(benefits.individualOopMax, currentPatientAcc.oopMet);
-    const remFamOop = currentFamilyAcc ? getRemaining(benefits.familyOopMax, currentFamilyAcc.oopMet) : Infinity;
-
-    let oopMet = false, reason = '';
-    if (benefits.planType === 'Individual') { oopMet = remIndOop <= 0; reason = 'Individual OOP Met'; }
-    else if (benefits.planType === 'AggregateFamily') { oopMet = remFamOop <= 0; reason = 'Family OOP Met'; }
-    else { oopMet = (remIndOop <= 0) || (remFamOop <= 0); reason = (remIndOop <= 0) ? 'Individual OOP Met' : 'Family OOP Met'; }
-
-    if (oopMet) {
-        return {
-             benefits, patientId: metaData.patient.memberId,
-             procedureEstimates: procedures.map(p => ({ ...p, totalPatientResponsibility: 0.0, calculationBreakdown: [{ description: reason, patientOwes: 0.0, notes: `Patient's OOP max is met or set to $0.` }] })),
-             totalPatientResponsibility: 0.0,
-             finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc },
-             metaData
-         }
-    }
-
-    // --- Separate Preventive Services & Sort Standard Procedures by Allowed Amount ---
-    const preventiveProcedures = procedures.filter(p => p.isPreventive);
-    let standardProcedures = procedures
-        .filter(p => !p.isPreventive)
-        .sort((a, b) => (Number(b.allowedAmount) || 0) - (Number(a.allowedAmount) || 0))
-        .map((p, index) => ({...p, calculationRank: index + 1}));
-
-
-    preventiveProcedures.forEach(p => {
-        procedureEstimates.push({
-            ...p,
-            totalPatientResponsibility: 0.0,
-            calculationBreakdown: [{ description: "Preventive Service", patientOwes: 0.0, notes: "This service is covered at 100% by the plan." }]
-        });
-    });
-
-    // --- LOGIC ROUTER for standard services ---
-    let standardProcResult = { totalPatientResponsibility: 0, procedureEstimates: [], finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc }};
-
-    if (standardProcedures.length > 0) {
-        switch(benefits.copayLogic) {
-            case 'highest_copay_only': {
-                const highestCopay = standardProcedures.reduce((max, p) => Math.max(max, Number(p.copay) || 0), 0);
-                let remOop = planAwareRemOop(benefits.individualOopMax, benefits.familyOopMax, currentPatientAcc.oopMet, currentFamilyAcc?.oopMet, benefits.planType);
-                const resp = $(Math.min(highestCopay, remOop));
-
-                standardProcResult.totalPatientResponsibility = resp;
-                currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + resp);
-                if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + resp);
-                
-                const breakdown = [{ description: "Highest Copay Applied", patientOwes: resp, notes: `The highest copay of $${highestCopay.toFixed(2)} is the total cost.` }];
-                standardProcResult.procedureEstimates = standardProcedures.map(p => ({ ...p, totalPatientResponsibility: 0, calculationBreakdown: [] }));
-                if (standardProcResult.procedureEstimates.length > 0) {
-                    standardProcResult.procedureEstimates[0].totalPatientResponsibility = resp;
-                    standardProcResult.procedureEstimates[0].calculationBreakdown = breakdown;
-                }
-                break;
-            }
-
-            case 'highest_copay_plus_remainder': {
-                let highestCopay = 0;
-                let highestCopayProc = null;
-                
-                // Find the procedure with the highest copay (and highest allowed amount as a tie-breaker)
-                standardProcedures.forEach(p => {
-                    const currentCopay = Number(p.copay) || 0;
-                    if (currentCopay > highestCopay) {
-                        highestCopay = currentCopay;
-                        highestCopayProc = p;
-                    } else if (currentCopay === highestCopay && highestCopay > 0) {
-                        // Tie-breaker: choose the one with the higher allowed amount
-                        if ( (Number(p.allowedAmount) || 0) > (Number(highestCopayProc.allowedAmount) || 0) ) {
-                            highestCopayProc = p;
-                        }
-                    }
-                });
-                
-                if (!highestCopayProc) {
-                    const waterfallResult = runWaterfall(standardProcedures, benefits, currentPatientAcc, currentFamilyAcc, false);
-                    standardProcResult = waterfallResult;
-                } else {
-                    let remOop = planAwareRemOop(benefits.individualOopMax, benefits.familyOopMax, currentPatientAcc.oopMet, currentFamilyAcc?.oopMet, benefits.planType);
-                    const copayDue = $(Math.min(highestCopay, remOop));
-                    standardProcResult.totalPatientResponsibility = $(standardProcResult.totalPatientResponsibility + copayDue);
-                    currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + copayDue);
-                    if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + copayDue);
-                    
-                    standardProcResult.procedureEstimates.push({ ...highestCopayProc, totalPatientResponsibility: copayDue, calculationBreakdown: [{ description: `Highest Copay for ${highestCopayProc?.cptCode}`, patientOwes: copayDue, notes: `Applied as a separate fee.` }] });
-                    
-                    const remainingProcedures = standardProcedures.filter(p => p.id !== highestCopayProc.id);
-                    const waterfallResult = runWaterfall(remainingProcedures, benefits, currentPatientAcc, currentFamilyAcc, true); // ignoreCopays = true
-                    
-                    standardProcResult.totalPatientResponsibility = $(standardProcResult.totalPatientResponsibility + waterfallResult.totalPatientResponsibility);
-                    standardProcResult.procedureEstimates.push(...waterfallResult.procedureEstimates);
-                    currentPatientAcc = waterfallResult.finalAccumulators.patient;
-                    currentFamilyAcc = waterfallResult.finalAccumulators.family;
-                }
-                break;
-            }
-
-            case 'standard_waterfall':
-            default: {
-                const waterfallResult = runWaterfall(standardProcedures, benefits, currentPatientAcc, currentFamilyAcc, false);
-                standardProcResult.totalPatientResponsibility = waterfallResult.totalPatientResponsibility;
-                standardProcResult.procedureEstimates = waterfallResult.procedureEstimates;
-                currentPatientAcc = waterfallResult.finalAccumulators.patient;
-                currentFamilyAcc = waterfallResult.finalAccumulators.family;
-                break;
-            }
-        }
-    }
-    
-    totalPatientResponsibility = standardProcResult.totalPatientResponsibility;
-    procedureEstimates.push(...standardProcResult.procedureEstimates);
-    procedureEstimates.sort((a,b) => procedures.findIndex(p => p.id === a.id) - procedures.findIndex(p => p.id === b.id));
-
-
-    return { benefits, patientId: metaData.patient.memberId, procedureEstimates, totalPatientResponsibility, finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc }, metaData };
+// --- Units Formatting Helper: " × 3 = $90.00" for multi-unit lines, empty otherwise ---
+const formatUnitPricing = (p) => {
+    const units = p.billableUnits ?? p.units;
+    if (!units || Number(units) === 1) return '';
+    return ` × ${units} = $${Number(p.lineAllowedAmount ?? (Number(p.allowedAmount || 0) * Number(units))).toFixed(2)}`;
 };
 
-const runWaterfall = (procedures, benefits, patientAcc, familyAcc, ignoreCopays = false) => {
-    let currentPatientAcc = JSON.parse(JSON.stringify(patientAcc));
-    let currentFamilyAcc = familyAcc ? JSON.parse(JSON.stringify(familyAcc)) : null;
-    let procedureEstimates = [];
-    let totalPatientResponsibility = 0.0;
-    
-    const getRemaining = (limit, met) => {
-        if (limit === null || limit === undefined || limit === '') return Infinity;
-        const numLimit = Number(limit) || 0;
-        const numMet = Number(met) || 0;
-        if (numLimit === 0 && (limit?.toString().trim() === '0')) return 0;
-        return Math.max(0, numLimit - numMet);
-    };
-
-    for (const procedure of procedures) {
-        const { modifiedAllowedAmount, modifierNote, originalAllowedAmount } = applyModifiers(procedure);
-
-        let breakdown = [];
-        if (modifierNote) {
-            breakdown.push(modifierNote);
-        }
-
-        const b = Number(procedure.billedAmount);
-        const billedSafe = isNaN(b) ? Infinity : Math.max(0, b);
-        const finalAllowed = Math.min(modifiedAllowedAmount, billedSafe);
-        let amountRemainingForCalc = finalAllowed;
-
-        if (finalAllowed < modifiedAllowedAmount) {
-            breakdown.push({
-                description: 'Allowed capped to Billed',
-                patientOwes: 0,
-                notes: `Allowed $${modifiedAllowedAmount.toFixed(2)} > Billed $${(Number(procedure.billedAmount) || 0).toFixed(2)}; using billed.`
-            });
-        }
-        
-        let patientPortion = 0.0;
-        
-        const getRemOopNow = () => planAwareRemOop(benefits.individualOopMax, benefits.familyOopMax, currentPatientAcc.oopMet, currentFamilyAcc?.oopMet, benefits.planType);
-        
-        const procedureCopay = !ignoreCopays ? (Number(procedure.copay) || 0) : 0;
-        if (procedureCopay > 0) {
-            const copayDue = $(Math.min(procedureCopay, getRemOopNow()));
-            patientPortion = $(patientPortion + copayDue);
-            currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + copayDue);
-            if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + copayDue);
-            breakdown.push({ description: `Copay for ${procedure.cptCode}`, patientOwes: copayDue, notes: `Applied as a separate fee.` });
-        }
-        
-        let remIndDed = getRemaining(benefits.individualDeductible, currentPatientAcc.deductibleMet);
-        let remFamDed = currentFamilyAcc ? getRemaining(benefits.familyDeductible, currentFamilyAcc.deductibleMet) : Infinity;
-        let deductibleMetForPatient = (benefits.planType === 'Individual' && remIndDed <= 0) || (benefits.planType === 'AggregateFamily' && remFamDed <= 0) || (benefits.planType === 'EmbeddedFamily' && (remIndDed <= 0 || remFamDed <= 0));
-
-        if (!deductibleMetForPatient && amountRemainingForCalc > 0) {
-            let dedApplicable = (benefits.planType === 'Individual') ? remIndDed : (benefits.planType === 'AggregateFamily') ? remFamDed : Math.min(remIndDed, remFamDed);
-            const deductiblePayment = $(Math.min(amountRemainingForCalc, dedApplicable, getRemOopNow()));
-            
-            if (deductiblePayment > 0) {
-                patientPortion = $(patientPortion + deductiblePayment);
-                amountRemainingForCalc = $(amountRemainingForCalc - deductiblePayment);
-                currentPatientAcc.deductibleMet = $(currentPatientAcc.deductibleMet + deductiblePayment);
-                currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + deductiblePayment);
-                if (currentFamilyAcc) { 
-                    currentFamilyAcc.deductibleMet = $(currentFamilyAcc.deductibleMet + deductiblePayment);
-                    currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + deductiblePayment);
-                }
-                breakdown.push({ description: "Deductible", patientOwes: deductiblePayment, notes: `Amount left for coinsurance: $${amountRemainingForCalc.toFixed(2)}` });
-            }
-        }
-        
-        if (amountRemainingForCalc > 0) {
-            const coinsurancePct = procedure.coinsurancePercentage !== '' && procedure.coinsurancePercentage !== null && procedure.coinsurancePercentage !== undefined ? procedure.coinsurancePercentage : benefits.coinsurancePercentage;
-            const coinsuranceShare = $(amountRemainingForCalc * (Number(coinsurancePct) / 100));
-            const coinsurancePayment = $(Math.min(coinsuranceShare, getRemOopNow()));
-            
-            if (coinsurancePayment > 0) {
-                patientPortion = $(patientPortion + coinsurancePayment);
-                currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + coinsurancePayment);
-                if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + coinsurancePayment);
-                breakdown.push({ description: "Coinsurance", patientOwes: coinsurancePayment, notes: `Patient pays ${coinsurancePct}% of $${amountRemainingForCalc.toFixed(2)}.` });
-            }
-        }
-
-        if (patientPortion > finalAllowed) {
-            breakdown.push({
-                description: 'Responsibility Capped',
-                patientOwes: 0,
-                notes: `Patient portion ($${patientPortion.toFixed(2)}) capped at allowed amount ($${finalAllowed.toFixed(2)}).`
-            });
-            patientPortion = finalAllowed;
-        }
-        
-        totalPatientResponsibility = $(totalPatientResponsibility + patientPortion);
-        procedureEstimates.push({ ...procedure, modifiedAllowedAmount, finalAllowedAmount: finalAllowed, totalPatientResponsibility: patientPortion, calculationBreakdown: breakdown });
-    }
-    return { procedureEstimates, totalPatientResponsibility, finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc } };
-}
+// Amounts changed by hand after being filled in from a fee schedule or the chargemaster.
+const describeFeeOverrides = (p) => [
+    isFeeOverridden(p.feeLookup?.billed, p.billedAmount) && `billed $${Number(p.billedAmount).toFixed(2)} (chargemaster $${Number(p.feeLookup.billed.amount).toFixed(2)})`,
+    isFeeOverridden(p.feeLookup?.allowed, p.allowedAmount) && `allowed $${Number(p.allowedAmount).toFixed(2)} (fee schedule $${Number(p.feeLookup.allowed.amount).toFixed(2)})`,
+].filter(Boolean).join('; ');
 
 // --- UI COMPONENTS ---
 const InfoTooltip = ({ text }) => ( <div className="group relative flex items-center"> <Info className="h-4 w-4 text-gray-400 cursor-pointer" /> <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-64 p-2 bg-gray-800 text-white text-xs rounded-md shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-300 z-10">{text}</div> </div> );
-const InputField = ({ label, type = "text", value, onChange, name, placeholder, tooltip, disabled=false, warning=false, ...rest }) => ( 
+const InputField = ({ label, type = "text", value, onChange, name, placeholder, tooltip, disabled=false, warning=false, hint, ...rest }) => ( 
     <div className="flex flex-col space-y-1"> 
         <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"> 
             <span>{label}</span> 
@@ -320,13 +61,36 @@ const InputField = ({ label, type = "text", value, onChange, name, placeholder,
                 <div className="absolute inset-y-0 right-0 pr-3 flex items-center">
                     <div className="group cursor-default">
                         <AlertTriangle className="h-5 w-5 text-yellow-500" />
-                        <div className="absolute right-full mr-2 w-max p-2 bg-gray-800 text-white text-xs rounded-md shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-300 z-10">Allowed amount is greater than billed amount.</div>
+                        <div className="absolute right-full mr-2 w-max p-2 bg-gray-800 text-white text-xs rounded-md shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-300 z-10">{typeof warning === 'string' ? warning : 'Allowed amount is greater than billed amount.'}</div>
                     </div>
                 </div>
             }
         </div>
+        {hint}
     </div> 
 );
+// Where a procedure amount was filled in from, or that it was changed afterwards.
+const FeeSource = ({ lookup, value }) => {
+    if (!lookup) return null;
+    return isFeeOverridden(lookup, value)
+        ? <p className="text-xs text-yellow-700 truncate" title={lookup.source}>Override (schedule ${Number(lookup.amount).toFixed(2)})</p>
+        : <p className="text-xs text-blue-600 truncate" title={lookup.source}>From {lookup.source}</p>;
+};
+// The payer's published negotiated rate for the line, offered as the allowed amount.
+const PublishedRate = ({ rates, value, onUse }) => {
+    if (!rates || rates.rate == null) return null;
+    if (value !== '' && Number(value) === rates.rate) return <p className="text-xs text-green-700 truncate" title={rates.source}>Published rate{rates.rateCount > 1 && ` (median of ${rates.rateCount})`}</p>;
+    return <button type="button" onClick={onUse} className="text-xs text-blue-600 hover:underline text-left truncate" title={rates.source}>Use published rate ${rates.rate.toFixed(2)}</button>;
+};
+const publishedRatesKey = (p, insurance) => [String(p.cptCode || '').trim().toUpperCase(), p.modifiers, insurance.name, insurance.planName].join('|');
+const GfePartyFields = ({ party, onChange }) => (
+    <>
+        <InputField label="Name" name="name" value={party.name} onChange={onChange} />
+        <InputField label="NPI" name="npi" value={party.npi} onChange={onChange} placeholder="10 digits" />
+        <InputField label="TIN" name="tin" value={party.tin} onChange={onChange} placeholder="e.g., 12-3456789" />
+        <InputField label="Address" name="address" value={party.address} onChange={onChange} />
+    </>
+);
 const Card = ({ title, icon, children, disabled = false }) => ( <div className={`bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 ${disabled ? 'opacity-50 pointer-events-none' : ''}`}> <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4 flex items-center space-x-2">{icon}{title}</h3> <div className="grid grid-cols-1 md:grid-cols-2 gap-4">{children}</div> {disabled && <div className="text-xs text-center text-gray-500 mt-2">These benefits are not applicable for the selected plan type.</div>} </div> );
 
 const INSURANCE_PAYERS = [
@@ -345,7 +109,8 @@ const INSURANCE_PAYERS = [
 ];
 
 
-const InsuranceCombobox = ({ value, onChange }) => {
+// Plan profiles (saved payer + plan benefits) are offered above the payer list when onSelectProfile is given.
+const InsuranceCombobox = ({ value, onChange, label = 'Insurance Plan', profiles = [], onSelectProfile }) => {
     const [searchTerm, setSearchTerm] = useState(value);
     const [isOpen, setIsOpen] = useState(false);
     const wrapperRef = useRef(null);
@@ -367,7 +132,16 @@ const InsuranceCombobox = ({ value, onChange }) => {
     const filteredPayers = useMemo(() => 
         !searchTerm ? INSURANCE_PAYERS : INSURANCE_PAYERS.filter(p => p.toLowerCase().includes(searchTerm.toLowerCase())),
     [searchTerm]);
-
+    const filteredProfiles = useMemo(() => {
+        if (!onSelectProfile) return [];
+        return !searchTerm ? profiles : profiles.filter(p => getPlanProfileLabel(p).toLowerCase().includes(searchTerm.toLowerCase()));
+    }, [searchTerm, profiles, onSelectProfile]);
+
+    const handleSelectProfile = (profile) => {
+        onSelectProfile(profile);
+        setSearchTerm(profile.payer);
+        setIsOpen(false);
+    };
     const handleSelect = (payer) => {
         onChange(payer);
         setSearchTerm(payer);
@@ -377,7 +151,7 @@ const InsuranceCombobox = ({ value, onChange }) => {
     return (
         <div className="relative" ref={wrapperRef}>
             <InputField 
-                label="Insurance Plan" 
+                label={label}
                 value={searchTerm} 
                 onChange={e => { setSearchTerm(e.target.value); onChange(e.target.value); setIsOpen(true); }} 
                 onFocus={() => setIsOpen(true)}
@@ -385,6 +159,18 @@ const InsuranceCombobox = ({ value, onChange }) => {
             />
             {isOpen && (
                 <ul className="absolute z-10 w-full bg-white border border-gray-300 rounded-md mt-1 max-h-60 overflow-y-auto shadow-lg">
+                    {filteredProfiles.length > 0 && <li className="px-2 pt-2 text-xs font-semibold uppercase text-gray-400">Plan Profiles</li>}
+                    {filteredProfiles.map(profile => (
+                        <li
+                            key={profile.id}
+                            className="p-2 hover:bg-blue-100 cursor-pointer text-sm"
+                            onMouseDown={() => handleSelectProfile(profile)}
+                        >
+                            <span className="font-medium">{getPlanProfileLabel(profile)}</span>
+                            {(profile.planYearStart || profile.planYearEnd) && <span className="block text-xs text-gray-500">Plan year {formatDate(profile.planYearStart)} – {formatDate(profile.planYearEnd)}</span>}
+                        </li>
+                    ))}
+                    {filteredProfiles.length > 0 && <li className="px-2 pt-2 text-xs font-semibold uppercase text-gray-400">Payers</li>}
                     {filteredPayers.length > 0 ? filteredPayers.map(payer => (
                         <li 
                             key={payer} 
@@ -404,18 +190,53 @@ const InsuranceCombobox = ({ value, onChange }) => {
 const blankBenefitsState = {
     planType: 'EmbeddedFamily', individualDeductible: '', individualOopMax: '',
     familyDeductible: '', familyOopMax: '', coinsurancePercentage: '',
+    familyDeductibleMembers: '', familyOopMembers: '',
     copayLogic: 'standard_waterfall',
+    sequencing: 'highest_allowed_first',
+    mppr: { enabled: true, ...DEFAULT_MPPR_SCHEDULES },
+    benefitGrid: blankBenefitGrid(),
+    outOfNetwork: blankOutOfNetworkBenefits(),
+    pfs: blankPfsPricing(),
+    anesthesia: blankAnesthesiaPricing(),
+    visitLimits: {},
 };
-const blankPatientAccumulatorsState = { deductibleMet: '', oopMet: '' };
-const blankFamilyAccumulatorsState = { deductibleMet: '', oopMet: '' };
-const blankProceduresState = [ { id: 1, cptCode: '', billedAmount: '', allowedAmount: '', copay: '', coinsurancePercentage: '', modifiers: '', dxCode: '', isPreventive: false } ];
+const blankPatientAccumulatorsState = { deductibleMet: '', oopMet: '', outOfNetwork: { deductibleMet: '', oopMet: '' }, visitsUsed: {} };
+const blankFamilyAccumulatorsState = { deductibleMet: '', oopMet: '', membersMetDeductible: '', membersMetOop: '', outOfNetwork: { deductibleMet: '', oopMet: '' } };
+const blankProceduresState = [ { id: 1, cptCode: '', billedAmount: '', allowedAmount: '', copay: '', coinsurancePercentage: '', serviceCategory: '', network: 'in', nsaProtection: '', units: 1, modifiers: '', dxCode: '', mpprGroup: 'auto', isPreventive: false, description: '', dxDescription: '', selfPayRate: '', renderedBy: 'convening', anesthesiaMinutes: '', qualifyingCircumstances: [], visitId: '', familyMemberId: '', allowedAmountLow: '', allowedAmountHigh: '', isOptional: false, serviceDateTime: '', claimType: 'professional' } ];
 const blankMetaData = {
     patient: { name: '', memberId: '', dob: '' },
-    insurance: { name: '' },
+    insurance: { name: '', planName: '', planYearStart: '', planYearEnd: '' },
     practice: { name: '', taxId: '' },
     provider: { name: '', npi: '' },
-    service: { date: '' }
+    service: { date: '' },
+    gfe: blankGfeDetails(),
+    episode: { visits: [] },
+    family: { members: [], processingOrder: 'listed' }
+};
+const blankSecondaryState = blankSecondaryCoverage();
+
+const COPAY_LOGIC_LABELS = {
+    standard_waterfall: 'Apply Each Copay, then Deductible/Coinsurance',
+    highest_copay_only: 'Apply Highest Copay Only (as Total Cost)',
+    highest_copay_plus_remainder: 'Apply Highest Copay, then Ded/Coins on Other Services',
+    copay_waived_after_deductible: 'Copay Waived Once Deductible Is Met',
+    copay_after_deductible: 'Copay Only After Deductible (HDHP / HSA)',
+    copay_counts_toward_deductible: 'Copay Credited Toward Deductible',
+    copay_in_lieu: 'Copay In Lieu of Deductible/Coinsurance',
 };
+// The procedure field each claim sequencing strategy orders lines by, when it needs one.
+const SEQUENCING_FIELDS = { service_date: 'serviceDateTime', professional_first: 'claimType', facility_first: 'claimType' };
+
+// Saved benefits (plan profiles, estimate history) may predate newer fields.
+const withBenefitDefaults = (saved = {}) => ({
+    ...blankBenefitsState,
+    ...saved,
+    mppr: { ...blankBenefitsState.mppr, ...saved.mppr },
+    benefitGrid: { ...blankBenefitsState.benefitGrid, ...saved.benefitGrid },
+    outOfNetwork: { ...blankBenefitsState.outOfNetwork, ...saved.outOfNetwork },
+    pfs: { ...blankBenefitsState.pfs, ...saved.pfs },
+    anesthesia: { ...blankBenefitsState.anesthesia, ...saved.anesthesia },
+});
 
 // --- PAGE 1: ESTIMATE FORM ---
 const EstimateForm = ({ 
@@ -424,6 +245,9 @@ const EstimateForm = ({
     familyAccumulators, setFamilyAccumulators,
     procedures, setProcedures,
     metaData, setMetaData,
+    secondary, setSecondary,
+    estimateMode, setEstimateMode,
+    priorEstimate, setPriorEstimate,
     handleReset,
     setEstimateData, setPage,
     showModal
@@ -431,11 +255,11 @@ const EstimateForm = ({
     
     useEffect(() => {
         if (benefits.planType === 'Individual') {
-            setBenefits(prev => ({ ...prev, familyDeductible: '', familyOopMax: '' }));
-            setFamilyAccumulators({ deductibleMet: '', oopMet: '' });
+            setBenefits(prev => ({ ...prev, familyDeductible: '', familyOopMax: '', outOfNetwork: { ...prev.outOfNetwork, familyDeductible: '', familyOopMax: '' } }));
+            setFamilyAccumulators(blankFamilyAccumulatorsState);
         } else if (benefits.planType === 'AggregateFamily') {
-            setBenefits(prev => ({ ...prev, individualDeductible: '', individualOopMax: '' }));
-            setPatientAccumulators({ deductibleMet: '', oopMet: '' });
+            setBenefits(prev => ({ ...prev, individualDeductible: '', individualOopMax: '', outOfNetwork: { ...prev.outOfNetwork, individualDeductible: '', individualOopMax: '' } }));
+            setPatientAccumulators(blankPatientAccumulatorsState);
         }
     }, [benefits.planType, setBenefits, setFamilyAccumulators, setPatientAccumulators]);
 
@@ -449,15 +273,154 @@ const EstimateForm = ({
             }
         }));
     };
+    const feeLibrary = useMemo(loadFeeLibrary, []);
+    // Fills billed/allowed from the imported chargemaster and fee schedules. Amounts the user has
+    // overridden are kept unless `force` (a new CPT code); a stale looked-up amount is cleared.
+    const applyFeeLookup = (p, insurance, force = false) => {
+        const lookup = lookupFees(feeLibrary, p, insurance.name, insurance.planName);
+        const fill = (field, prior, next) => {
+            if (!force && isFeeOverridden(prior, p[field])) return p[field];
+            if (next) return next.amount;
+            return prior ? '' : p[field];
+        };
+        return {
+            ...p,
+            billedAmount: fill('billedAmount', p.feeLookup?.billed, lookup.billed),
+            allowedAmount: fill('allowedAmount', p.feeLookup?.allowed, lookup.allowed),
+            pricedModifiers: lookup.allowed?.modifier || '',
+            feeLookup: lookup,
+        };
+    };
+    const refreshFeeLookups = (insurance) => setProcedures(prev => prev.map(p => applyFeeLookup(p, insurance)));
+
+    // Published negotiated rates (price transparency files) for each row's code, payer and plan.
+    useEffect(() => {
+        if (estimateMode === 'self_pay') return;
+        const { name: payer, planName } = metaData.insurance;
+        const stale = procedures.filter(p => String(p.cptCode || '').trim() && p.publishedRates?.key !== publishedRatesKey(p, metaData.insurance));
+        if (stale.length === 0) return;
+        let cancelled = false;
+        Promise.all(stale.map(p => findNegotiatedRates(p, payer, planName).then(rates => ({ id: p.id, rates: { ...rates, key: publishedRatesKey(p, metaData.insurance) } }))))
+            .then(results => {
+                if (cancelled) return;
+                setProcedures(prev => prev.map(p => {
+                    const found = results.find(r => r.id === p.id && r.rates.key === publishedRatesKey(p, metaData.insurance));
+                    return found ? { ...p, publishedRates: found.rates } : p;
+                }));
+            })
+            // The rate index is optional context; without IndexedDB the form works as before.
+            .catch(() => {});
+        return () => { cancelled = true; };
+    }, [procedures, metaData.insurance, estimateMode, setProcedures]);
+    const getPublishedRates = (p) => p.publishedRates?.key === publishedRatesKey(p, metaData.insurance) ? p.publishedRates : null;
+    const applyPublishedRate = (id) => setProcedures(prev => prev.map(p => p.id === id ? { ...p, allowedAmount: p.publishedRates.rate, pricedModifiers: p.publishedRates.modifier } : p));
+
     const handleInsuranceChange = (value) => {
-        setMetaData(prev => ({
+        const insurance = { name: value, planName: '', planYearStart: '', planYearEnd: '' };
+        setMetaData(prev => ({ ...prev, insurance }));
+        refreshFeeLookups(insurance);
+    };
+    const [planProfiles, setPlanProfiles] = useState(loadPlanProfiles);
+    // Set by "Compare Scenarios": the validated inputs the comparison view prices.
+    const [compareInputs, setCompareInputs] = useState(null);
+    const [showRanges, setShowRanges] = useState(() => hasEstimateRange(procedures));
+    const [profileDraft, setProfileDraft] = useState({ name: metaData.insurance.planName || '', planYearStart: metaData.insurance.planYearStart || '', planYearEnd: metaData.insurance.planYearEnd || '' });
+    const handleSelectProfile = (profile) => {
+        setBenefits(withBenefitDefaults(profile.benefits));
+        const insurance = { name: profile.payer, planName: profile.name, planYearStart: profile.planYearStart, planYearEnd: profile.planYearEnd };
+        setMetaData(prev => ({ ...prev, insurance }));
+        refreshFeeLookups(insurance);
+        setProfileDraft({ name: profile.name, planYearStart: profile.planYearStart, planYearEnd: profile.planYearEnd });
+    };
+
+    // --- X12 271 eligibility import: fills only the fields the response carries ---
+    const [eligibility, setEligibility] = useState({ open: false, text: '', report: null });
+    const eligibilityFileRef = useRef(null);
+    const applyEligibilityResponse = (text) => {
+        let parsed;
+        try {
+            parsed = parse271(text);
+        } catch (err) {
+            showModal('Import Failed', err.message);
+            return;
+        }
+        const { benefitGrid, outOfNetwork, ...planBenefits } = parsed.benefits;
+        const hasIndividual = ['individualDeductible', 'individualOopMax'].some(f => planBenefits[f] != null);
+        setBenefits(prev => ({
             ...prev,
-            insurance: { ...prev.insurance, name: value }
+            ...planBenefits,
+            planType: parsed.hasFamily ? (prev.planType === 'Individual' ? 'EmbeddedFamily' : prev.planType) : hasIndividual ? 'Individual' : prev.planType,
+            benefitGrid: Object.fromEntries(Object.entries(prev.benefitGrid).map(([key, values]) => [key, { ...values, ...benefitGrid[key] }])),
+            outOfNetwork: { ...prev.outOfNetwork, ...outOfNetwork },
         }));
+        const { outOfNetwork: patientOon, ...patientAcc } = parsed.accumulators.patient;
+        const { outOfNetwork: familyOon, ...familyAcc } = parsed.accumulators.family;
+        setPatientAccumulators(prev => ({ ...prev, ...patientAcc, outOfNetwork: { ...prev.outOfNetwork, ...patientOon } }));
+        setFamilyAccumulators(prev => ({ ...prev, ...familyAcc, outOfNetwork: { ...prev.outOfNetwork, ...familyOon } }));
+        const filled = (values) => Object.fromEntries(Object.entries(values).filter(([, v]) => v));
+        const insurance = { ...metaData.insurance, ...(!metaData.insurance.name && parsed.payerName && { name: parsed.payerName }), ...filled(parsed.insurance) };
+        setMetaData(prev => ({ ...prev, patient: { ...prev.patient, ...filled(parsed.patient) }, insurance }));
+        if (insurance.name !== metaData.insurance.name) refreshFeeLookups(insurance);
+        setProfileDraft(prev => ({ ...prev, ...filled({ name: prev.name || parsed.insurance.planName, planYearStart: parsed.insurance.planYearStart, planYearEnd: parsed.insurance.planYearEnd }) }));
+        setEligibility(prev => ({ ...prev, report: parsed }));
+    };
+    const handleEligibilityFile = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            setEligibility(prev => ({ ...prev, text }));
+            applyEligibilityResponse(text);
+        }).catch(err => showModal('Import Failed', err.message));
+    };
+    const handleProfileDraftChange = (e) => { const { name, value } = e.target; setProfileDraft(prev => ({ ...prev, [name]: value })); };
+    const handleSaveProfile = () => {
+        const name = profileDraft.name.trim();
+        if (!metaData.insurance.name || !name) {
+            showModal('Missing Information', 'Select the payer and enter a plan profile name before saving.');
+            return;
+        }
+        if (profileDraft.planYearStart && profileDraft.planYearEnd && profileDraft.planYearEnd < profileDraft.planYearStart) {
+            showModal('Validation Error', 'The plan year end cannot be before the plan year start.');
+            return;
+        }
+        const next = upsertPlanProfile(planProfiles, { payer: metaData.insurance.name, name, planYearStart: profileDraft.planYearStart, planYearEnd: profileDraft.planYearEnd, benefits });
+        savePlanProfiles(next);
+        setPlanProfiles(next);
+        setMetaData(prev => ({ ...prev, insurance: { ...prev.insurance, planName: name, planYearStart: profileDraft.planYearStart, planYearEnd: profileDraft.planYearEnd } }));
+        showModal('Plan Profile Saved', `"${metaData.insurance.name} – ${name}" is now available in the insurance search.`);
     };
     const handleBenefitChange = (e) => { const { name, value } = e.target; setBenefits(prev => ({ ...prev, [name]: value })); };
+    const handleBenefitGridChange = (category, e) => {
+        const { name, value, type, checked } = e.target;
+        setBenefits(prev => ({ ...prev, benefitGrid: { ...prev.benefitGrid, [category]: { ...prev.benefitGrid[category], [name]: type === 'checkbox' ? checked : value } } }));
+    };
+    const handlePfsChange = (e) => { const { name, value, type, checked } = e.target; setBenefits(prev => ({ ...prev, pfs: { ...prev.pfs, [name]: type === 'checkbox' ? checked : value } })); };
+    const pfsTables = useMemo(loadPfsTables, []);
+    const pfsLocality = pfsTables.gpci?.localities.find(l => l.id === benefits.pfs.localityId) || null;
+    const handleAnesthesiaChange = (e) => { const { name, value, type, checked } = e.target; setBenefits(prev => ({ ...prev, anesthesia: { ...prev.anesthesia, [name]: type === 'checkbox' ? checked : value } })); };
+    const anesthesiaBaseUnits = useMemo(loadAnesthesiaBaseUnits, []);
+    // Unit-based pricing for an anesthesia row, or null when it is off or the code has no base units.
+    const getAnesthesiaPricing = (p) => benefits.anesthesia.enabled && estimateMode !== 'self_pay' ? buildAnesthesiaLinePricing(p, anesthesiaBaseUnits, benefits.anesthesia) : null;
+    // Medicare-based pricing for a row, or null when it is off or the code is not in the RVU file.
+    const getPfsPricing = (p) => benefits.pfs.enabled && estimateMode !== 'self_pay' && !getAnesthesiaPricing(p) ? buildPfsLinePricing(p, pfsTables.rvu, pfsLocality, benefits.pfs) : null;
+    const handleMpprChange = (e) => { const { name, value, type, checked } = e.target; setBenefits(prev => ({ ...prev, mppr: { ...prev.mppr, [name]: type === 'checkbox' ? checked : value } })); };
     const handlePatientAccChange = (e) => { const { name, value } = e.target; setPatientAccumulators(prev => ({ ...prev, [name]: value === '' ? '' : value })); };
     const handleFamilyAccChange = (e) => { const { name, value } = e.target; setFamilyAccumulators(prev => ({ ...prev, [name]: value === '' ? '' : value })); };
+    const handleOonBenefitChange = (e) => { const { name, value } = e.target; setBenefits(prev => ({ ...prev, outOfNetwork: { ...prev.outOfNetwork, [name]: value } })); };
+    const handleOonAccChange = (setter, e) => { const { name, value } = e.target; setter(prev => ({ ...prev, outOfNetwork: { ...prev.outOfNetwork, [name]: value } })); };
+    const handleGfeChange = (e) => { const { name, value } = e.target; setMetaData(prev => ({ ...prev, gfe: { ...prev.gfe, [name]: value } })); };
+    const handleConveningChange = (e) => { const { name, value } = e.target; setMetaData(prev => ({ ...prev, gfe: { ...prev.gfe, convening: { ...prev.gfe.convening, [name]: value } } })); };
+    const handleGfeListChange = (list, index, e) => { const { name, value } = e.target; setMetaData(prev => ({ ...prev, gfe: { ...prev.gfe, [list]: prev.gfe[list].map((party, i) => i === index ? { ...party, [name]: value } : party) } })); };
+    const addGfeParty = (list) => setMetaData(prev => ({ ...prev, gfe: { ...prev.gfe, [list]: [...prev.gfe[list], blankGfeParty()] } }));
+    // Removing a party shifts the later indexes, so lines rendered by it fall back to the convening provider.
+    const removeGfeParty = (list, index) => {
+        const prefix = list === 'coProviders' ? 'co' : 'facility';
+        setMetaData(prev => ({ ...prev, gfe: { ...prev.gfe, [list]: prev.gfe[list].filter((_, i) => i !== index) } }));
+        setProcedures(prev => prev.map(p => p.renderedBy.startsWith(`${prefix}-`) && Number(p.renderedBy.split('-')[1]) >= index ? { ...p, renderedBy: 'convening' } : p));
+    };
+    const handleSecondaryChange = (e) => { const { name, value, type, checked } = e.target; setSecondary(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value })); };
+    const handleSecondarySectionChange = (section, e) => { const { name, value } = e.target; setSecondary(prev => ({ ...prev, [section]: { ...prev[section], [name]: value } })); };
     const handleProcedureChange = (id, e) => {
         const { name, value, type, checked } = e.target;
         const val = type === 'checkbox' ? checked : value;
@@ -468,19 +431,102 @@ const EstimateForm = ({
                     updatedP.copay = 0;
                     updatedP.coinsurancePercentage = 0;
                 }
+                if (name === 'cptCode' || name === 'modifiers') return applyFeeLookup(updatedP, metaData.insurance, name === 'cptCode');
                 return updatedP;
             }
             return p;
         }));
     };
-    const addProcedure = () => setProcedures(prev => [...prev, { id: Date.now(), cptCode: '', billedAmount: '', allowedAmount: '', copay: '', coinsurancePercentage: '', modifiers: '', dxCode: '', isPreventive: false }]);
+    const addProcedure = () => setProcedures(prev => [...prev, { id: Date.now(), cptCode: '', billedAmount: '', allowedAmount: '', copay: '', coinsurancePercentage: '', serviceCategory: '', network: 'in', nsaProtection: '', units: 1, modifiers: '', dxCode: '', mpprGroup: 'auto', isPreventive: false, description: '', dxDescription: '', selfPayRate: '', renderedBy: 'convening', anesthesiaMinutes: '', qualifyingCircumstances: [], visitId: metaData.episode.visits[metaData.episode.visits.length - 1]?.id || '', familyMemberId: '', allowedAmountLow: '', allowedAmountHigh: '', isOptional: false, serviceDateTime: '', claimType: 'professional' }]);
     const removeProcedure = (id) => setProcedures(prev => prev.filter(p => p.id !== id));
 
+    // Episode visits live in metaData.episode; the earliest visit date is the estimate's date of service.
+    const setEpisodeVisits = (update) => setMetaData(prev => {
+        const visits = update(prev.episode.visits);
+        const firstDate = visits.map(v => v.date).filter(Boolean).sort()[0] || '';
+        return { ...prev, episode: { ...prev.episode, visits }, service: { ...prev.service, date: firstDate } };
+    });
+    const handleVisitChange = (id, e) => { const { name, value } = e.target; setEpisodeVisits(visits => visits.map(v => v.id === id ? { ...v, [name]: value } : v)); };
+    const addVisit = () => setEpisodeVisits(visits => [...visits, { id: `visit-${Date.now()}`, label: `Visit ${visits.length + 1}`, date: '' }]);
+    // Copies a visit and its procedures, e.g. the next session of a course of therapy.
+    const copyVisit = (visit) => {
+        const id = `visit-${Date.now()}`;
+        setEpisodeVisits(visits => [...visits, { id, label: `Visit ${visits.length + 1}`, date: '' }]);
+        setProcedures(prev => [...prev, ...prev.filter(p => p.visitId === visit.id).map((p, i) => ({ ...p, id: Date.now() + i + 1, visitId: id }))]);
+    };
+    const removeVisit = (id) => {
+        setEpisodeVisits(visits => visits.filter(v => v.id !== id));
+        setProcedures(prev => prev.filter(p => p.visitId !== id));
+    };
+    // Switching to an episode starts the treatment plan with the current date of service as its first visit;
+    // switching to a family estimate adds a second member.
+    const handleModeChange = (e) => {
+        const mode = e.target.value;
+        setEstimateMode(mode);
+        if (mode === 'family' && metaData.family.members.length === 0) setFamilyMembers(() => [blankFamilyMember()]);
+        if (mode !== 'episode' || metaData.episode.visits.length > 0) return;
+        const id = `visit-${Date.now()}`;
+        setMetaData(prev => ({ ...prev, episode: { ...prev.episode, visits: [{ id, label: 'Visit 1', date: prev.service.date }] } }));
+        setProcedures(prev => prev.map(p => ({ ...p, visitId: id })));
+    };
+    // Family members other than the patient above live in metaData.family; a procedure with no familyMemberId is the patient's.
+    const blankFamilyMember = () => ({ id: `member-${Date.now()}`, name: '', memberId: '', dob: '', deductibleMet: '', oopMet: '', outOfNetwork: { deductibleMet: '', oopMet: '' } });
+    const setFamilyMembers = (update) => setMetaData(prev => ({ ...prev, family: { ...prev.family, members: update(prev.family.members) } }));
+    const handleFamilyMemberChange = (id, e) => { const { name, value } = e.target; setFamilyMembers(members => members.map(m => m.id === id ? { ...m, [name]: value } : m)); };
+    const handleFamilyMemberOonChange = (id, e) => { const { name, value } = e.target; setFamilyMembers(members => members.map(m => m.id === id ? { ...m, outOfNetwork: { ...m.outOfNetwork, [name]: value } } : m)); };
+    const addFamilyMember = () => setFamilyMembers(members => [...members, blankFamilyMember()]);
+    const removeFamilyMember = (id) => {
+        setFamilyMembers(members => members.filter(m => m.id !== id));
+        setProcedures(prev => prev.filter(p => p.familyMemberId !== id));
+    };
+    const handleProcessingOrderChange = (e) => { const { value } = e.target; setMetaData(prev => ({ ...prev, family: { ...prev.family, processingOrder: value } })); };
+    const handleVisitLimitChange = (category, e) => { const { value } = e.target; setBenefits(prev => ({ ...prev, visitLimits: { ...prev.visitLimits, [category]: value } })); };
+    const handleVisitsUsedChange = (category, e) => { const { value } = e.target; setPatientAccumulators(prev => ({ ...prev, visitsUsed: { ...prev.visitsUsed, [category]: value } })); };
+    const toggleQualifyingCircumstance = (id, code) => setProcedures(prev => prev.map(p => {
+        if (p.id !== id) return p;
+        const codes = p.qualifyingCircumstances || [];
+        return { ...p, qualifyingCircumstances: codes.includes(code) ? codes.filter(c => c !== code) : [...codes, code] };
+    }));
+
     const handleSubmit = (e) => {
         e.preventDefault();
         
         // --- START NEW VALIDATION LOGIC ---
-        const requiredMetaData = {
+        if (isEpisode) {
+            const { visits } = metaData.episode;
+            if (visits.length === 0) {
+                showModal('Missing Information', 'Please add at least one visit to the treatment plan.');
+                return;
+            }
+            const undated = visits.findIndex(v => !v.date);
+            if (undated >= 0) {
+                showModal('Missing Information', `Please enter the date of service for visit #${undated + 1}.`);
+                return;
+            }
+        }
+
+        if (isFamily) {
+            if (benefits.planType === 'Individual') {
+                showModal('Validation Error', 'A family estimate needs an Embedded or Aggregate Family plan type.');
+                return;
+            }
+            const unnamed = metaData.family.members.findIndex(m => !m.name.trim() || !m.memberId.trim());
+            if (unnamed >= 0) {
+                showModal('Missing Information', `Please enter the name and member ID of family member #${unnamed + 2}.`);
+                return;
+            }
+        }
+
+        const requiredMetaData = isSelfPay ? {
+            "Patient Name": metaData.patient.name,
+            "Date of Birth": metaData.patient.dob,
+            "Practice Name": metaData.practice.name,
+            "Provider Name": metaData.provider.name,
+            "Expected Date of Service": metaData.service.date,
+            "Convening Provider Name": metaData.gfe.convening.name,
+            "Convening Provider NPI": metaData.gfe.convening.npi,
+            "Convening Provider TIN": metaData.gfe.convening.tin,
+        } : {
             "Patient Name": metaData.patient.name,
             "Member ID": metaData.patient.memberId,
             "Practice Name": metaData.practice.name,
@@ -496,13 +542,35 @@ const EstimateForm = ({
         }
 
         const activeProcedures = procedures.filter(p =>
-            p.cptCode || p.billedAmount || p.allowedAmount || p.copay || p.coinsurancePercentage || p.modifiers || p.dxCode
+            p.cptCode || p.billedAmount || p.allowedAmount || p.copay || p.coinsurancePercentage || p.modifiers || p.dxCode || p.selfPayRate || p.description
         );
 
         if (activeProcedures.length === 0) {
             showModal('Missing Information', 'Please add at least one procedure to calculate an estimate.');
             return;
         }
+
+        if (isEpisode) {
+            const { visits } = metaData.episode;
+            const unassigned = activeProcedures.find(p => !visits.some(v => v.id === p.visitId));
+            if (unassigned) {
+                showModal('Incomplete Procedure', `Procedure #${procedures.findIndex(p => p.id === unassigned.id) + 1} is not assigned to a visit.`);
+                return;
+            }
+            const emptyVisit = visits.findIndex(v => !activeProcedures.some(p => p.visitId === v.id));
+            if (emptyVisit >= 0) {
+                showModal('Incomplete Visit', `Visit #${emptyVisit + 1} has no procedures. Add one or remove the visit.`);
+                return;
+            }
+        }
+        
+        if (isFamily) {
+            const noProcedures = [{ id: '', name: metaData.patient.name }, ...metaData.family.members].find(m => !activeProcedures.some(p => (p.familyMemberId || '') === m.id));
+            if (noProcedures) {
+                showModal('Incomplete Family Member', `${noProcedures.name || 'A family member'} has no procedures. Add one or remove the member.`);
+                return;
+            }
+        }
         
         if (procedures.length > activeProcedures.length) {
              showModal('Incomplete Procedure', 'You have added one or more procedure lines that are completely blank. Please either fill in the details or delete the blank lines before calculating.');
@@ -511,9 +579,24 @@ const EstimateForm = ({
 
         for (const [index, proc] of activeProcedures.entries()) {
             const originalIndex = procedures.findIndex(p => p.id === proc.id);
-            if (!proc.cptCode || proc.allowedAmount === '' || proc.allowedAmount === null) {
+            if (isSelfPay) {
+                if (!proc.cptCode || !proc.description || (proc.selfPayRate === '' && proc.billedAmount === '')) {
+                    showModal('Incomplete Procedure', `Procedure #${originalIndex + 1} needs a service code, a description and a self-pay rate or billed charge.`);
+                    return;
+                }
+            } else if (!proc.cptCode || ((proc.allowedAmount === '' || proc.allowedAmount === null) && !getPfsPricing(proc) && !getAnesthesiaPricing(proc))) {
                 showModal('Incomplete Procedure', `Procedure #${originalIndex + 1} is missing a CPT Code or an Allowed Amount.`);
                 return;
+            } else if (canUseRanges && showRanges && proc.allowedAmount !== '' && ((proc.allowedAmountLow !== '' && Number(proc.allowedAmountLow) > Number(proc.allowedAmount)) || (proc.allowedAmountHigh !== '' && Number(proc.allowedAmountHigh) < Number(proc.allowedAmount)))) {
+                showModal('Validation Error', `Procedure #${originalIndex + 1} needs an Allowed Low at or below its Allowed Amount and an Allowed High at or above it.`);
+                return;
+            } else if (getAnesthesiaPricing(proc) && !(Number(proc.anesthesiaMinutes) > 0)) {
+                showModal('Incomplete Procedure', `Procedure #${originalIndex + 1} is an anesthesia service and needs the anticipated anesthesia minutes.`);
+                return;
+            }
+            if (proc.units !== '' && proc.units != null && !(Number(proc.units) > 0)) {
+                showModal('Validation Error', `Procedure #${originalIndex + 1} must have at least 1 unit.`);
+                return;
             }
         }
         
@@ -527,6 +610,21 @@ const EstimateForm = ({
             }
         }
         
+        if (isSelfPay) {
+            const parties = listGfeParties(metaData.gfe);
+            const badNpi = parties.find(p => p.npi && !/^\d{10}$/.test(p.npi));
+            if (badNpi) {
+                showModal('Validation Error', `The NPI for ${badNpi.name || badNpi.role} must be 10 digits.`);
+                return;
+            }
+            if (metaData.gfe.serviceDateEnd && metaData.gfe.serviceDateEnd < metaData.service.date) {
+                showModal('Validation Error', 'The expected service end date cannot be before the start date.');
+                return;
+            }
+            issueEstimate(calculateSelfPayEstimate(activeProcedures, metaData, { mue: mueSettings }));
+            return;
+        }
+
         if (benefits.planType === 'EmbeddedFamily') {
             const indDed = Number(benefits.individualDeductible);
             const famDed = Number(benefits.familyDeductible);
@@ -559,92 +657,641 @@ const EstimateForm = ({
             return;
         }
 
+        if (benefits.pfs.enabled && (!pfsTables.rvu || !pfsLocality)) {
+            showModal('Missing Information', 'Select a Medicare locality (after loading the RVU and GPCI files) or turn off Medicare fee schedule pricing.');
+            return;
+        }
+
+        if (benefits.anesthesia.enabled && !(Number(benefits.anesthesia.conversionFactor) > 0)) {
+            showModal('Missing Information', 'Enter the payer\'s anesthesia conversion factor or turn off anesthesia pricing.');
+            return;
+        }
+
+        if (secondary.enabled && !isEpisode && !isFamily && !secondary.payerName) {
+            showModal('Missing Information', 'Please select the secondary insurance payer or turn off secondary coverage.');
+            return;
+        }
+
         const familyAcc = benefits.planType !== 'Individual' ? familyAccumulators : null;
-        const result = calculateEstimate(benefits, patientAccumulators, familyAcc, activeProcedures, metaData);
-        setEstimateData(result);
+        const modifierOverrides = getPayerModifierOverrides(loadModifierOverrides(), metaData.insurance.name);
+        const pricedProcedures = activeProcedures.map(p => {
+            const anesthesia = getAnesthesiaPricing(p);
+            if (anesthesia) return { ...p, anesthesia };
+            const pfs = getPfsPricing(p);
+            return pfs ? { ...p, pfs } : p;
+        });
+        if (isEpisode) {
+            const visits = metaData.episode.visits.map((v, index) => ({ ...v, label: v.label || `Visit ${index + 1}`, procedures: pricedProcedures.filter(p => p.visitId === v.id) }));
+            issueEstimate(calculateEpisode({ ...benefits, modifierOverrides }, patientAccumulators, familyAcc, visits, metaData, { mue: mueSettings }));
+            return;
+        }
+        if (isFamily) {
+            const members = [
+                { id: 'patient', ...metaData.patient, patientAccumulators, procedures: pricedProcedures.filter(p => !p.familyMemberId) },
+                ...metaData.family.members.map(m => ({
+                    id: m.id, name: m.name, memberId: m.memberId, dob: m.dob,
+                    patientAccumulators: { deductibleMet: m.deductibleMet, oopMet: m.oopMet, outOfNetwork: m.outOfNetwork },
+                    procedures: pricedProcedures.filter(p => p.familyMemberId === m.id),
+                })),
+            ];
+            issueEstimate(calculateFamilyEstimate({ ...benefits, modifierOverrides }, familyAcc, members, metaData, { mue: mueSettings, familyOrder: metaData.family.processingOrder }));
+            return;
+        }
+        if (e.nativeEvent.submitter?.name === 'compare') {
+            setCompareInputs({ base: { benefits, patientAccumulators, familyAccumulators: familyAcc }, procedures: pricedProcedures, metaData, modifierOverrides });
+            return;
+        }
+        // With ranges turned off, low/high amounts are ignored and possible services count as planned.
+        const planBenefits = { ...benefits, modifierOverrides };
+        issueEstimate(showRanges && hasEstimateRange(pricedProcedures)
+            ? calculateEstimateRange(planBenefits, patientAccumulators, familyAcc, pricedProcedures, metaData, { mue: mueSettings }, secondary)
+            : applyCoordinationOfBenefits(calculateEstimate(planBenefits, patientAccumulators, familyAcc, pricedProcedures, metaData, { mue: mueSettings }), secondary));
+    };
+
+    // Every issued estimate goes into the local history; GFE rules require keeping a record of it.
+    // Recalculating after an estimate was issued (or reopened from history) issues a revision of it.
+    // inputOverrides: inputs to save instead of the form's, e.g. the benefits of the scenario chosen in a comparison.
+    const issueEstimate = (result, inputOverrides = {}) => {
+        const estimateId = newEstimateId();
+        const issuedTotal = issuedPatientTotal(result);
+        const revision = priorEstimate ? describeRevision(priorEstimate, issuedTotal, loadRevisionSettings().varianceThreshold) : null;
+        const issued = { ...result, estimateId, ...(revision && { revision }) };
+        setEstimateData(issued);
+        setPriorEstimate({ id: estimateId, rootId: revision?.rootId || estimateId, version: revision?.version || 1, totalPatientResponsibility: issuedTotal });
         setPage('results');
+        saveEstimateRecord({ id: estimateId, inputs: { estimateMode, benefits, patientAccumulators, familyAccumulators, procedures, metaData, secondary, ...inputOverrides }, result: issued })
+            .catch(err => showModal('Not Saved to History', `The estimate was calculated but could not be saved: ${err.message}`));
     };
     
+    const mueSettings = useMemo(loadMueSettings, []);
+    const getMueWarning = (p) => {
+        const limit = mueSettings.limits[String(p.cptCode || '').trim().toUpperCase()];
+        if (limit == null || limit === '' || !(Number(p.units) > Number(limit))) return false;
+        return `Exceeds the MUE of ${limit} units${mueSettings.action === 'cap' ? '; pricing will be capped' : ''}.`;
+    };
     const isFamilyPlan = useMemo(() => benefits.planType !== 'Individual', [benefits.planType]);
     const isIndividualBenefitsDisabled = useMemo(() => benefits.planType === 'AggregateFamily', [benefits.planType]);
+    const hasOutOfNetwork = procedures.some(p => p.network === 'out');
+    const isSelfPay = estimateMode === 'self_pay';
+    const isEpisode = estimateMode === 'episode';
+    const isFamily = estimateMode === 'family';
+    const canUseRanges = !isSelfPay && !isEpisode && !isFamily;
+    const sequencingField = !isSelfPay && SEQUENCING_FIELDS[benefits.sequencing];
+    const gfeParties = listGfeParties(metaData.gfe);
+
+    // The chosen scenario becomes the form's inputs and is issued like any estimate, listing the others as alternatives.
+    const chooseScenario = (comparison, scenarioId) => {
+        const chosen = comparison.scenarios.find(sc => sc.id === scenarioId);
+        const { modifierOverrides, ...chosenBenefits } = chosen.benefits;
+        const chosenInputs = { benefits: chosenBenefits, patientAccumulators: chosen.patientAccumulators, familyAccumulators: chosen.familyAccumulators || familyAccumulators };
+        setBenefits(chosenInputs.benefits);
+        setPatientAccumulators(chosenInputs.patientAccumulators);
+        setFamilyAccumulators(chosenInputs.familyAccumulators);
+        setCompareInputs(null);
+        issueEstimate({ ...applyCoordinationOfBenefits(chosen.result, secondary), scenario: describeScenarioChoice(comparison, scenarioId) }, chosenInputs);
+    };
+
+    if (compareInputs) {
+        return <ScenarioComparison inputs={compareInputs} mueSettings={mueSettings} planProfiles={planProfiles} hasSecondary={secondary.enabled} onChoose={chooseScenario} onBack={() => setCompareInputs(null)} />;
+    }
 
     return (
         <form onSubmit={handleSubmit} className="space-y-6">
-            <div className="flex justify-end mb-4">
+            <div className="flex justify-end space-x-3 mb-4">
+                 {!isSelfPay && (
+                     <button type="button" onClick={() => setEligibility(prev => ({ ...prev, open: !prev.open }))} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
+                        <FileText className="h-4 w-4" />
+                        <span>Import 271</span>
+                    </button>
+                 )}
+                 <button type="button" onClick={() => setPage('feeSchedules')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
+                    <Database className="h-4 w-4" />
+                    <span>Fee Schedules</span>
+                </button>
+                 <button type="button" onClick={() => setPage('planProfiles')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
+                    <BookOpen className="h-4 w-4" />
+                    <span>Plan Profiles</span>
+                </button>
+                 <button type="button" onClick={() => setPage('reconciliation')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
+                    <Scale className="h-4 w-4" />
+                    <span>Reconciliation</span>
+                </button>
+                 <button type="button" onClick={() => setPage('history')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
+                    <History className="h-4 w-4" />
+                    <span>History</span>
+                </button>
+                 <button type="button" onClick={() => setPage('billingRules')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
+                    <Settings className="h-4 w-4" />
+                    <span>Billing Rules</span>
+                </button>
                  <button type="button" onClick={handleReset} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition">
                     <XCircle className="h-4 w-4" />
                     <span>Clear Form</span>
                 </button>
             </div>
+            {priorEstimate && (
+                <div className="text-sm text-gray-600 bg-blue-50 p-3 rounded-md border border-blue-200 flex justify-between items-center">
+                    <span><Info className="h-4 w-4 inline-block mr-2 text-blue-700" />Calculating will issue version {priorEstimate.version + 1}, a revision of estimate {priorEstimate.id}.</span>
+                    <button type="button" onClick={() => setPriorEstimate(null)} className="text-blue-700 font-semibold hover:text-blue-900 transition">Issue as a new estimate instead</button>
+                </div>
+            )}
+            {eligibility.open && !isSelfPay && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 space-y-4">
+                    <div className="flex justify-between items-center border-b pb-3">
+                        <h3 className="text-lg font-semibold text-gray-800 flex items-center space-x-2"><span>Import Eligibility Response (X12 271)</span> <InfoTooltip text="Paste or upload the raw 5010 271. Deductibles, out-of-pocket maximums, coinsurance, copays by service type and the amounts met so far fill the cards below; the patient's name, member ID and date of birth fill Patient & Insurance." /></h3>
+                        <button type="button" onClick={() => setEligibility(prev => ({ ...prev, open: false }))} className="text-gray-500 hover:text-gray-700 transition"><XCircle className="h-5 w-5" /></button>
+                    </div>
+                    <textarea value={eligibility.text} onChange={e => setEligibility(prev => ({ ...prev, text: e.target.value }))} rows={5} placeholder="ISA*00*          *00*          *ZZ*…~GS*HB*…~ST*271*…" className="w-full p-2 border border-gray-300 rounded-md shadow-sm font-mono text-xs" />
+                    <div className="flex space-x-3">
+                        <input type="file" accept=".txt,.x12,.edi,.271" ref={eligibilityFileRef} onChange={handleEligibilityFile} className="hidden" />
+                        <button type="button" onClick={() => applyEligibilityResponse(eligibility.text)} disabled={!eligibility.text.trim()} className="flex items-center space-x-2 text-sm bg-blue-600 text-white font-semibold py-2 px-4 rounded-lg hover:bg-blue-700 transition disabled:opacity-50"><FileText className="h-4 w-4" /><span>Apply Pasted Response</span></button>
+                        <button type="button" onClick={() => eligibilityFileRef.current.click()} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>Upload File</span></button>
+                    </div>
+                    {eligibility.report && (
+                        <div className="space-y-3 text-sm">
+                            {eligibility.report.rejections.map((r, i) => <p key={i} className="text-red-600 flex items-center space-x-2"><AlertTriangle className="h-4 w-4" /><span>{r}</span></p>)}
+                            {eligibility.report.coverage === 'inactive' && <p className="text-red-600 flex items-center space-x-2"><AlertTriangle className="h-4 w-4" /><span>The payer reports this coverage as inactive.</span></p>}
+                            <p className="text-gray-600">{[eligibility.report.payerName, eligibility.report.insurance.planName, eligibility.report.patient.name].filter(Boolean).join(' · ')}</p>
+                            {eligibility.report.interpreted.length > 0 ? (
+                                <div className="grid grid-cols-1 md:grid-cols-3 gap-x-6 gap-y-1">
+                                    {eligibility.report.interpreted.map(item => <p key={item.label}><span className="text-gray-500">{item.label}:</span> <span className="font-medium">{item.value}</span></p>)}
+                                </div>
+                            ) : <p className="text-yellow-700">No benefit amounts were found in the response.</p>}
+                            {eligibility.report.unparsed.length > 0 && (
+                                <div>
+                                    <p className="font-semibold text-gray-700 mb-1">Not interpreted ({eligibility.report.unparsed.length}) — review these on the payer's eligibility screen:</p>
+                                    <ul className="max-h-48 overflow-y-auto bg-gray-50 rounded-md p-2 space-y-1">
+                                        {eligibility.report.unparsed.map((u, i) => <li key={i}><code className="text-xs">{u.segment}</code> <span className="text-gray-500">— {u.reason}</span></li>)}
+                                    </ul>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
             <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
                 <Card title="Patient & Insurance" icon={<User className="text-blue-600" />}>
                     <InputField label="Patient Name" name="name" value={metaData.patient.name} onChange={e => handleMetaDataChange('patient', e)} />
                     <InputField label="Member ID" name="memberId" value={metaData.patient.memberId} onChange={e => handleMetaDataChange('patient', e)} />
                     <InputField label="Date of Birth" name="dob" type="date" value={metaData.patient.dob} onChange={e => handleMetaDataChange('patient', e)} />
-                    <InsuranceCombobox value={metaData.insurance.name} onChange={handleInsuranceChange} />
+                    <div>
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Coverage</span> <InfoTooltip text="Self-pay produces the No Surprises Act Good Faith Estimate for uninsured patients, or insured patients not billing their plan, priced at cash rates. A multi-visit episode estimates a treatment plan, visit by visit. A family estimate prices several members sharing the family deductible and OOP max." /></label>
+                        <select value={estimateMode} onChange={handleModeChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                            <option value="insured">Insured</option>
+                            <option value="episode">Insured – Multi-Visit Episode</option>
+                            <option value="family">Insured – Family (Multiple Members)</option>
+                            <option value="self_pay">Self-Pay / Uninsured</option>
+                        </select>
+                    </div>
+                    {!isSelfPay && <InsuranceCombobox value={metaData.insurance.name} onChange={handleInsuranceChange} profiles={planProfiles} onSelectProfile={handleSelectProfile} />}
                 </Card>
                  <Card title="Practice & Service Details" icon={<Stethoscope className="text-blue-600" />}>
                     <InputField label="Practice Name" name="name" value={metaData.practice.name} onChange={e => handleMetaDataChange('practice', e)} />
                     <InputField label="Practice Tax ID" name="taxId" value={metaData.practice.taxId} onChange={e => handleMetaDataChange('practice', e)} />
                     <InputField label="Provider Name" name="name" value={metaData.provider.name} onChange={e => handleMetaDataChange('provider', e)} />
-                    <InputField label="Date of Service" name="date" type="date" value={metaData.service.date} onChange={e => handleMetaDataChange('service', e)} />
+                    {!isEpisode && <InputField label={isSelfPay ? 'Expected Service Start' : 'Date of Service'} name="date" type="date" value={metaData.service.date} onChange={e => handleMetaDataChange('service', e)} />}
+                    {isSelfPay && <InputField label="Expected Service End" name="serviceDateEnd" type="date" value={metaData.gfe.serviceDateEnd} onChange={handleGfeChange} tooltip="Leave blank for a single date of service." />}
                 </Card>
             </div>
 
-            <Card title="Plan Benefits" icon={<Briefcase className="text-blue-600" />}>
-                <div>
-                    <label className="text-sm font-medium text-gray-600">Plan Type</label>
-                    <select name="planType" value={benefits.planType} onChange={handleBenefitChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
-                        <option value="EmbeddedFamily">Embedded Family</option>
-                        <option value="AggregateFamily">Aggregate Family (Family Only)</option>
-                        <option value="Individual">Individual</option>
-                    </select>
+            {isSelfPay ? (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 space-y-6">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 flex items-center space-x-2"><span>Good Faith Estimate Providers & Facilities</span> <InfoTooltip text="The No Surprises Act requires the name, NPI and TIN of the convening provider and of every co-provider or facility expected to furnish an item or service." /></h3>
+                    <div>
+                        <p className="text-sm font-semibold text-gray-600 mb-2">Convening Provider</p>
+                        <div className="grid grid-cols-1 md:grid-cols-4 gap-4"><GfePartyFields party={metaData.gfe.convening} onChange={handleConveningChange} /></div>
+                    </div>
+                    {[['coProviders', 'Co-Provider'], ['facilities', 'Facility']].map(([list, role]) => (
+                        <div key={list} className="space-y-3">
+                            {metaData.gfe[list].map((party, index) => (
+                                <div key={index}>
+                                    <p className="text-sm font-semibold text-gray-600 mb-2 flex items-center space-x-2">
+                                        <span>{role} #{index + 1}</span>
+                                        <button type="button" onClick={() => removeGfeParty(list, index)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button>
+                                    </p>
+                                    <div className="grid grid-cols-1 md:grid-cols-4 gap-4"><GfePartyFields party={party} onChange={e => handleGfeListChange(list, index, e)} /></div>
+                                </div>
+                            ))}
+                            <button type="button" onClick={() => addGfeParty(list)} className="flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition"><PlusCircle className="h-5 w-5" /><span>Add {role}</span></button>
+                        </div>
+                    ))}
+                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                        <InputField type="number" label="Self-Pay Discount (%)" name="discountPercentage" value={metaData.gfe.discountPercentage} onChange={handleGfeChange} placeholder="e.g., 30" tooltip="Applied to the billed charge of any line without a self-pay rate." />
+                    </div>
                 </div>
-                <InputField type="number" label="Default Coinsurance (%)" name="coinsurancePercentage" value={benefits.coinsurancePercentage} onChange={handleBenefitChange} placeholder="e.g., 20" tooltip="This is used if a per-service coinsurance is not specified below." />
-                <div className="md:col-span-2">
-                    <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Copayment Logic</span> <InfoTooltip text="Select how this plan handles copayments. This is the most critical setting for accuracy." /></label>
-                    <select name="copayLogic" value={benefits.copayLogic} onChange={handleBenefitChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
-                        <option value="standard_waterfall">Apply Each Copay, then Deductible/Coinsurance</option>
-                        <option value="highest_copay_only">Apply Highest Copay Only (as Total Cost)</option>
-                        <option value="highest_copay_plus_remainder">Apply Highest Copay, then Ded/Coins on Other Services</option>
-                    </select>
+            ) : (
+                <>
+                <Card title="Plan Benefits" icon={<Briefcase className="text-blue-600" />}>
+                    <div>
+                        <label className="text-sm font-medium text-gray-600">Plan Type</label>
+                        <select name="planType" value={benefits.planType} onChange={handleBenefitChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                            <option value="EmbeddedFamily">Embedded Family</option>
+                            <option value="AggregateFamily">Aggregate Family (Family Only)</option>
+                            <option value="Individual">Individual</option>
+                        </select>
+                    </div>
+                    <InputField type="number" label="Default Coinsurance (%)" name="coinsurancePercentage" value={benefits.coinsurancePercentage} onChange={handleBenefitChange} placeholder="e.g., 20" tooltip="This is used if a per-service coinsurance is not specified below." />
+                    <div className="md:col-span-2">
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Copayment Logic</span> <InfoTooltip text="Select how this plan handles copayments. This is the most critical setting for accuracy." /></label>
+                        <select name="copayLogic" value={benefits.copayLogic} onChange={handleBenefitChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                            {Object.entries(COPAY_LOGIC_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Claim Sequencing</span> <InfoTooltip text="The order this payer adjudicates lines in. The first lines absorb the deductible, so the order changes each line's share." /></label>
+                        <select name="sequencing" value={benefits.sequencing} onChange={handleBenefitChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                            {SEQUENCING_STRATEGIES.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+                        </select>
+                    </div>
+                    <div className="md:col-span-2">
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2">
+                            <input type="checkbox" name="enabled" checked={benefits.mppr.enabled} onChange={handleMpprChange} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                            <span>Multiple Procedure Payment Reduction</span>
+                            <InfoTooltip text="Procedures in the same group are paid by calculation rank: the primary at the first percentage, later ones at the following percentages. The last percentage repeats." />
+                        </label>
+                    </div>
+                    {benefits.mppr.enabled && (
+                        <>
+                            <InputField label="Surgical Schedule (%)" name="surgical" value={benefits.mppr.surgical} onChange={handleMpprChange} placeholder="e.g., 100,50,50" tooltip="Applies to surgical CPT codes and any line with modifier 51." />
+                            <InputField label="Diagnostic Imaging Schedule (%)" name="imaging" value={benefits.mppr.imaging} onChange={handleMpprChange} placeholder="e.g., 100,75" />
+                            <InputField label="Therapy Schedule (%)" name="therapy" value={benefits.mppr.therapy} onChange={handleMpprChange} placeholder="e.g., 100,80" />
+                        </>
+                    )}
+                    <div className="md:col-span-2">
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2">
+                            <input type="checkbox" name="enabled" checked={benefits.pfs.enabled} onChange={handlePfsChange} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                            <span>Medicare Fee Schedule Pricing</span>
+                            <InfoTooltip text="For Medicare and Medicare-based contracts: allowed amounts are computed from the CMS RVU and GPCI files loaded on the Fee Schedules page instead of typed in." />
+                        </label>
+                    </div>
+                    {benefits.pfs.enabled && (!pfsTables.rvu || !pfsTables.gpci) && (
+                        <p className="md:col-span-2 text-sm text-yellow-700">Load the CMS RVU and GPCI files on the Fee Schedules page to use Medicare fee schedule pricing.</p>
+                    )}
+                    {benefits.pfs.enabled && pfsTables.rvu && pfsTables.gpci && (
+                        <>
+                            <div>
+                                <label className="text-sm font-medium text-gray-600">Locality</label>
+                                <select name="localityId" value={benefits.pfs.localityId} onChange={handlePfsChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                    <option value="">Select a locality…</option>
+                                    {pfsTables.gpci.localities.map(l => <option key={l.id} value={l.id}>{getLocalityLabel(l)} ({l.mac}-{l.localityNumber})</option>)}
+                                </select>
+                            </div>
+                            <div>
+                                <label className="text-sm font-medium text-gray-600">Place of Service</label>
+                                <select name="setting" value={benefits.pfs.setting} onChange={handlePfsChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                    {PFS_SETTINGS.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+                                </select>
+                            </div>
+                            <InputField type="number" label="Contract (% of Medicare)" name="contractPercentage" value={benefits.pfs.contractPercentage} onChange={handlePfsChange} placeholder="100" tooltip="e.g., 120 for a contract paying 120% of Medicare." />
+                            <InputField type="number" label="Conversion Factor ($)" name="conversionFactor" value={benefits.pfs.conversionFactor} onChange={handlePfsChange} placeholder={pfsTables.rvu.conversionFactor != null ? `${pfsTables.rvu.conversionFactor}` : 'e.g., 32.7442'} tooltip="Leave blank to use the conversion factor in the RVU file." />
+                        </>
+                    )}
+                    <div className="md:col-span-2">
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2">
+                            <input type="checkbox" name="enabled" checked={benefits.anesthesia.enabled} onChange={handleAnesthesiaChange} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                            <span>Anesthesia Unit Pricing</span>
+                            <InfoTooltip text="Anesthesia codes (00100–01999) are priced as base units from the file loaded on the Fee Schedules page, plus time units, physical status (P3–P5) and qualifying circumstance units, times the payer's conversion factor. AA/QZ are paid in full; QK, QY and QX at 50%." />
+                        </label>
+                    </div>
+                    {benefits.anesthesia.enabled && !anesthesiaBaseUnits && (
+                        <p className="md:col-span-2 text-sm text-yellow-700">Load an anesthesia base unit file on the Fee Schedules page to use anesthesia unit pricing.</p>
+                    )}
+                    {benefits.anesthesia.enabled && anesthesiaBaseUnits && (
+                        <>
+                            <InputField type="number" label="Anesthesia Conversion Factor ($)" name="conversionFactor" value={benefits.anesthesia.conversionFactor} onChange={handleAnesthesiaChange} placeholder="e.g., 22.50" tooltip="The payer's dollars per anesthesia unit." />
+                            <InputField type="number" label="Minutes per Time Unit" name="minutesPerUnit" value={benefits.anesthesia.minutesPerUnit} onChange={handleAnesthesiaChange} placeholder="15" />
+                            <div>
+                                <label className="text-sm font-medium text-gray-600">Time Unit Rounding</label>
+                                <select name="timeRounding" value={benefits.anesthesia.timeRounding} onChange={handleAnesthesiaChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                    {ANESTHESIA_TIME_ROUNDING.map(r => <option key={r.key} value={r.key}>{r.label}</option>)}
+                                </select>
+                            </div>
+                        </>
+                    )}
+                    <div className="md:col-span-2 border-t pt-4 grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+                        <InputField label="Plan Profile Name" name="name" value={profileDraft.name} onChange={handleProfileDraftChange} placeholder="e.g., Choice POS II – Acme Corp 2026" tooltip="Saves these benefits under the selected payer so they can be picked from the insurance search next time." />
+                        <InputField label="Plan Year Start" name="planYearStart" type="date" value={profileDraft.planYearStart} onChange={handleProfileDraftChange} />
+                        <InputField label="Plan Year End" name="planYearEnd" type="date" value={profileDraft.planYearEnd} onChange={handleProfileDraftChange} />
+                        <button type="button" onClick={handleSaveProfile} className="flex items-center justify-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><BookOpen className="h-4 w-4" /><span>Save Plan Profile</span></button>
+                    </div>
+                </Card>
+
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4 flex items-center space-x-2"><span>Benefit Grid by Service Category</span> <InfoTooltip text="Copied once from the eligibility screen. Procedures assigned a category use these values unless a copay or coinsurance is typed on the procedure line. A blank coinsurance uses the plan default." /></h3>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">Category</th><th className="p-2 font-semibold">Copay ($)</th><th className="p-2 font-semibold">Coinsurance (%)</th><th className="p-2 font-semibold">Deductible Applies</th></tr></thead>
+                        <tbody>
+                            {SERVICE_CATEGORIES.map(({ key, label }) => (
+                                <tr key={key} className="border-t">
+                                    <td className="p-2 font-medium text-gray-700">{label}</td>
+                                    <td className="p-2"><input type="number" name="copay" value={benefits.benefitGrid[key].copay} onChange={e => handleBenefitGridChange(key, e)} placeholder="0" className="p-1 w-28 border border-gray-300 rounded-md" /></td>
+                                    <td className="p-2"><input type="number" name="coinsurancePercentage" value={benefits.benefitGrid[key].coinsurancePercentage} onChange={e => handleBenefitGridChange(key, e)} placeholder={`${benefits.coinsurancePercentage}%`} className="p-1 w-28 border border-gray-300 rounded-md" /></td>
+                                    <td className="p-2"><input type="checkbox" name="deductibleApplies" checked={benefits.benefitGrid[key].deductibleApplies} onChange={e => handleBenefitGridChange(key, e)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" /></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
                 </div>
-            </Card>
 
-            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-                 <Card title="Individual Accumulators" disabled={isIndividualBenefitsDisabled}><InputField type="number" label="Deductible ($)" name="individualDeductible" value={benefits.individualDeductible} onChange={handleBenefitChange} tooltip="Enter 0 if no individual deductible applies." /><InputField type="number" label="Out-of-Pocket Max ($)" name="individualOopMax" value={benefits.individualOopMax} onChange={handleBenefitChange} tooltip="Enter 0 if the plan covers 100% from the start."/><InputField type="number" label="Deductible Met ($)" name="deductibleMet" value={patientAccumulators.deductibleMet} onChange={handlePatientAccChange} /><InputField type="number" label="OOP Met ($)" name="oopMet" value={patientAccumulators.oopMet} onChange={handlePatientAccChange} /></Card>
-                 <Card title="Family Accumulators" disabled={!isFamilyPlan}><InputField type="number" label="Deductible ($)" name="familyDeductible" value={benefits.familyDeductible} onChange={handleBenefitChange} /><InputField type="number" label="Out-of-Pocket Max ($)" name="familyOopMax" value={benefits.familyOopMax} onChange={handleBenefitChange} /><InputField type="number" label="Deductible Met ($)" name="deductibleMet" value={familyAccumulators.deductibleMet} onChange={handleFamilyAccChange} /><InputField type="number" label="OOP Met ($)" name="oopMet" value={familyAccumulators.oopMet} onChange={handleFamilyAccChange} /></Card>
-            </div>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                     <Card title={isFamily ? `Individual Accumulators – ${metaData.patient.name || 'Patient'}` : 'Individual Accumulators'} disabled={isIndividualBenefitsDisabled}><InputField type="number" label="Deductible ($)" name="individualDeductible" value={benefits.individualDeductible} onChange={handleBenefitChange} tooltip="Enter 0 if no individual deductible applies." /><InputField type="number" label="Out-of-Pocket Max ($)" name="individualOopMax" value={benefits.individualOopMax} onChange={handleBenefitChange} tooltip="Enter 0 if the plan covers 100% from the start."/><InputField type="number" label="Deductible Met ($)" name="deductibleMet" value={patientAccumulators.deductibleMet} onChange={handlePatientAccChange} /><InputField type="number" label="OOP Met ($)" name="oopMet" value={patientAccumulators.oopMet} onChange={handlePatientAccChange} /></Card>
+                     <Card title="Family Accumulators" disabled={!isFamilyPlan}><InputField type="number" label="Deductible ($)" name="familyDeductible" value={benefits.familyDeductible} onChange={handleBenefitChange} /><InputField type="number" label="Out-of-Pocket Max ($)" name="familyOopMax" value={benefits.familyOopMax} onChange={handleBenefitChange} /><InputField type="number" label="Deductible Met ($)" name="deductibleMet" value={familyAccumulators.deductibleMet} onChange={handleFamilyAccChange} /><InputField type="number" label="OOP Met ($)" name="oopMet" value={familyAccumulators.oopMet} onChange={handleFamilyAccChange} />
+                         {benefits.planType === 'EmbeddedFamily' && (
+                             <>
+                                 <InputField type="number" label="Members to Meet Family Deductible" name="familyDeductibleMembers" value={benefits.familyDeductibleMembers} onChange={handleBenefitChange} placeholder="e.g., 2" tooltip="For plans where the family deductible is met once this many members meet their individual deductible. Leave blank if the plan has no such rule." />
+                                 <InputField type="number" label="Members to Meet Family OOP" name="familyOopMembers" value={benefits.familyOopMembers} onChange={handleBenefitChange} placeholder="e.g., 2" tooltip="For plans where the family OOP max is met once this many members meet their individual OOP max." />
+                                 <InputField type="number" label="Other Members Met Deductible" name="membersMetDeductible" value={familyAccumulators.membersMetDeductible} onChange={handleFamilyAccChange} placeholder="0" tooltip={isFamily ? 'Members not on this estimate who have met their individual deductible.' : 'Other family members who have met their individual deductible.'} />
+                                 <InputField type="number" label="Other Members Met OOP" name="membersMetOop" value={familyAccumulators.membersMetOop} onChange={handleFamilyAccChange} placeholder="0" tooltip={isFamily ? 'Members not on this estimate who have met their individual OOP max.' : 'Other family members who have met their individual OOP max.'} />
+                             </>
+                         )}
+                     </Card>
+                </div>
+
+                {hasOutOfNetwork && (
+                    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                        <Card title="Out-of-Network: Individual" disabled={isIndividualBenefitsDisabled}>
+                            <InputField type="number" label="OON Deductible ($)" name="individualDeductible" value={benefits.outOfNetwork.individualDeductible} onChange={handleOonBenefitChange} />
+                            <InputField type="number" label="OON Out-of-Pocket Max ($)" name="individualOopMax" value={benefits.outOfNetwork.individualOopMax} onChange={handleOonBenefitChange} tooltip="Leave blank if the plan has no OON out-of-pocket max." />
+                            <InputField type="number" label="OON Deductible Met ($)" name="deductibleMet" value={patientAccumulators.outOfNetwork.deductibleMet} onChange={e => handleOonAccChange(setPatientAccumulators, e)} />
+                            <InputField type="number" label="OON OOP Met ($)" name="oopMet" value={patientAccumulators.outOfNetwork.oopMet} onChange={e => handleOonAccChange(setPatientAccumulators, e)} />
+                            <InputField type="number" label="OON Coinsurance (%)" name="coinsurancePercentage" value={benefits.outOfNetwork.coinsurancePercentage} onChange={handleOonBenefitChange} placeholder="e.g., 40" tooltip="Used for out-of-network lines unless a coinsurance is typed on the procedure." />
+                        </Card>
+                        <Card title="Out-of-Network: Family" disabled={!isFamilyPlan}>
+                            <InputField type="number" label="OON Deductible ($)" name="familyDeductible" value={benefits.outOfNetwork.familyDeductible} onChange={handleOonBenefitChange} />
+                            <InputField type="number" label="OON Out-of-Pocket Max ($)" name="familyOopMax" value={benefits.outOfNetwork.familyOopMax} onChange={handleOonBenefitChange} />
+                            <InputField type="number" label="OON Deductible Met ($)" name="deductibleMet" value={familyAccumulators.outOfNetwork.deductibleMet} onChange={e => handleOonAccChange(setFamilyAccumulators, e)} />
+                            <InputField type="number" label="OON OOP Met ($)" name="oopMet" value={familyAccumulators.outOfNetwork.oopMet} onChange={e => handleOonAccChange(setFamilyAccumulators, e)} />
+                        </Card>
+                    </div>
+                )}
+
+                {isEpisode || isFamily ? (
+                    <p className="text-sm text-gray-500">Secondary insurance is not applied to {isEpisode ? 'multi-visit episodes' : 'family estimates'}.</p>
+                ) : (
+                    <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                        <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4 flex items-center space-x-2">
+                            <input type="checkbox" name="enabled" checked={secondary.enabled} onChange={handleSecondaryChange} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                            <span>Secondary Insurance</span>
+                            <InfoTooltip text="Coordination of benefits: the secondary payer is applied to the patient balance left after the primary plan above." />
+                        </h3>
+                        {secondary.enabled && (
+                            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                                <InsuranceCombobox label="Secondary Insurance Plan" value={secondary.payerName} onChange={value => setSecondary(prev => ({ ...prev, payerName: value }))} />
+                                <div>
+                                    <label className="text-sm font-medium text-gray-600">Coordination Method</label>
+                                    <select name="method" value={secondary.method} onChange={handleSecondaryChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                        {COB_METHODS.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                                    </select>
+                                    <p className="text-xs text-gray-500 mt-1">{COB_METHODS.find(m => m.key === secondary.method)?.description}</p>
+                                </div>
+                                {secondary.method === 'medicaid' ? (
+                                    <InputField type="number" label="Medicaid Copay ($)" name="copay" value={secondary.benefits.copay} onChange={e => handleSecondarySectionChange('benefits', e)} placeholder="e.g., 4" tooltip="The most the patient can be charged for this estimate. Any balance Medicaid does not pay is written off." />
+                                ) : (
+                                    <>
+                                        <InputField type="number" label="Secondary Deductible ($)" name="deductible" value={secondary.benefits.deductible} onChange={e => handleSecondarySectionChange('benefits', e)} tooltip="Enter 0 if the secondary has no deductible." />
+                                        <InputField type="number" label="Secondary Out-of-Pocket Max ($)" name="oopMax" value={secondary.benefits.oopMax} onChange={e => handleSecondarySectionChange('benefits', e)} />
+                                        <InputField type="number" label="Secondary Coinsurance (%)" name="coinsurancePercentage" value={secondary.benefits.coinsurancePercentage} onChange={e => handleSecondarySectionChange('benefits', e)} placeholder="e.g., 20" />
+                                        <InputField type="number" label="Secondary Deductible Met ($)" name="deductibleMet" value={secondary.accumulators.deductibleMet} onChange={e => handleSecondarySectionChange('accumulators', e)} />
+                                        <InputField type="number" label="Secondary OOP Met ($)" name="oopMet" value={secondary.accumulators.oopMet} onChange={e => handleSecondarySectionChange('accumulators', e)} />
+                                    </>
+                                )}
+                            </div>
+                        )}
+                    </div>
+                )}
+                </>
+            )}
+
+            {isEpisode && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 space-y-4">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 flex items-center space-x-2"><span>Treatment Plan</span> <InfoTooltip text="Visits are estimated in date order, each starting from the deductible and OOP met by the visits before it. A visit in the next plan year (counted from Plan Year Start, or January 1) starts that year from zero." /></h3>
+                    <div className="space-y-2">
+                        {metaData.episode.visits.map((v, index) => (
+                            <div key={v.id} className="grid grid-cols-1 md:grid-cols-6 gap-x-4 gap-y-2 bg-gray-50 p-3 rounded-lg items-end">
+                                <div className="md:col-span-2"><InputField label={`Visit #${index + 1}`} name="label" value={v.label} onChange={e => handleVisitChange(v.id, e)} placeholder="e.g., Initial evaluation" /></div>
+                                <InputField label="Date of Service" name="date" type="date" value={v.date} onChange={e => handleVisitChange(v.id, e)} />
+                                <p className="md:col-span-2 text-sm text-gray-500 pb-2">{procedures.filter(p => p.visitId === v.id).length} procedure(s)</p>
+                                <div className="flex items-center h-10 space-x-3">
+                                    <button type="button" onClick={() => copyVisit(v)} title="Copy this visit and its procedures" className="text-blue-600 hover:text-blue-800 transition"><Copy className="h-5 w-5" /></button>
+                                    <button type="button" onClick={() => removeVisit(v.id)} title="Remove this visit and its procedures" className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-5 w-5" /></button>
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                    <button type="button" onClick={addVisit} className="flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition"><PlusCircle className="h-5 w-5" /><span>Add Visit</span></button>
+                    <div>
+                        <p className="text-sm font-semibold text-gray-600 mb-2 flex items-center space-x-2"><span>Visit Limits per Plan Year</span> <InfoTooltip text="A visit counts once against each category it has a procedure in. Once a category's limit is used up, its procedures are not covered and the patient owes the allowed amount. Leave blank for no limit." /></p>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                            {SERVICE_CATEGORIES.map(c => (
+                                <div key={c.key} className="grid grid-cols-2 gap-2">
+                                    <InputField type="number" label={c.label} name={`limit-${c.key}`} value={benefits.visitLimits[c.key]} onChange={e => handleVisitLimitChange(c.key, e)} placeholder="Limit" />
+                                    <InputField type="number" label="Used" name={`used-${c.key}`} value={patientAccumulators.visitsUsed[c.key]} onChange={e => handleVisitsUsedChange(c.key, e)} placeholder="0" tooltip="Visits already used this plan year." />
+                                </div>
+                            ))}
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {isFamily && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 space-y-4">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 flex items-center space-x-2"><span>Family Members</span> <InfoTooltip text="The patient above is the first member. Each member has their own deductible and OOP met; all of them share the family accumulators, so the processing order decides who benefits once the family amounts are met." /></h3>
+                    <div className="space-y-2">
+                        {metaData.family.members.map((m, index) => (
+                            <div key={m.id} className="grid grid-cols-1 md:grid-cols-6 gap-x-4 gap-y-2 bg-gray-50 p-3 rounded-lg items-end">
+                                <InputField label={`Member #${index + 2} Name`} name="name" value={m.name} onChange={e => handleFamilyMemberChange(m.id, e)} />
+                                <InputField label="Member ID" name="memberId" value={m.memberId} onChange={e => handleFamilyMemberChange(m.id, e)} />
+                                <InputField label="Date of Birth" name="dob" type="date" value={m.dob} onChange={e => handleFamilyMemberChange(m.id, e)} />
+                                <InputField type="number" label="Deductible Met ($)" name="deductibleMet" value={m.deductibleMet} onChange={e => handleFamilyMemberChange(m.id, e)} />
+                                <InputField type="number" label="OOP Met ($)" name="oopMet" value={m.oopMet} onChange={e => handleFamilyMemberChange(m.id, e)} />
+                                <div className="flex items-center h-10">
+                                    <button type="button" onClick={() => removeFamilyMember(m.id)} title="Remove this member and their procedures" className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-5 w-5" /></button>
+                                </div>
+                                {hasOutOfNetwork && (
+                                    <>
+                                        <div className="md:col-span-3"></div>
+                                        <InputField type="number" label="OON Deductible Met ($)" name="deductibleMet" value={m.outOfNetwork.deductibleMet} onChange={e => handleFamilyMemberOonChange(m.id, e)} />
+                                        <InputField type="number" label="OON OOP Met ($)" name="oopMet" value={m.outOfNetwork.oopMet} onChange={e => handleFamilyMemberOonChange(m.id, e)} />
+                                    </>
+                                )}
+                            </div>
+                        ))}
+                    </div>
+                    <button type="button" onClick={addFamilyMember} className="flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition"><PlusCircle className="h-5 w-5" /><span>Add Family Member</span></button>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                        <div>
+                            <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Processing Order</span> <InfoTooltip text="Members are estimated one after another. Whoever is processed first pays toward the family deductible; members processed after it is met pay less." /></label>
+                            <select value={metaData.family.processingOrder} onChange={handleProcessingOrderChange} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                {FAMILY_PROCESSING_ORDERS.map(o => <option key={o.key} value={o.key}>{o.label}</option>)}
+                            </select>
+                        </div>
+                    </div>
+                </div>
+            )}
 
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
-                 <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Procedures</h3>
+                 <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4 flex items-center justify-between">
+                     <span>Procedures</span>
+                     {canUseRanges && (
+                         <label className="text-sm font-medium text-gray-600 flex items-center space-x-2">
+                             <input type="checkbox" checked={showRanges} onChange={e => setShowRanges(e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                             <span>Allowed Ranges</span>
+                             <InfoTooltip text="For uncertain allowed amounts (unlisted codes, possible add-ons): the estimate shows a best and worst case around the most likely figure. Possible services are left out of the likely figure and included in the worst case." />
+                         </label>
+                     )}
+                 </h3>
                  <div className="space-y-4">
                      {procedures.map((p, index) => (
                         <div key={p.id} className="grid grid-cols-1 md:grid-cols-8 gap-x-4 gap-y-2 bg-gray-50 p-3 rounded-lg items-start">
                            <InputField label={`CPT #${index+1}`} name="cptCode" value={p.cptCode} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 99214" />
+                           {isEpisode && (
+                               <div className="flex flex-col space-y-1">
+                                    <label className="text-sm font-medium text-gray-600">Visit</label>
+                                    <select name="visitId" value={p.visitId} onChange={e => handleProcedureChange(p.id, e)} className="p-2 w-full border border-gray-300 rounded-md shadow-sm">
+                                        <option value="">Select…</option>
+                                        {metaData.episode.visits.map((v, i) => <option key={v.id} value={v.id}>{v.label || `Visit ${i + 1}`}</option>)}
+                                    </select>
+                               </div>
+                           )}
+                           {isFamily && (
+                               <div className="flex flex-col space-y-1">
+                                    <label className="text-sm font-medium text-gray-600">Member</label>
+                                    <select name="familyMemberId" value={p.familyMemberId || ''} onChange={e => handleProcedureChange(p.id, e)} className="p-2 w-full border border-gray-300 rounded-md shadow-sm">
+                                        <option value="">{metaData.patient.name || 'Patient'}</option>
+                                        {metaData.family.members.map((m, i) => <option key={m.id} value={m.id}>{m.name || `Member #${i + 2}`}</option>)}
+                                    </select>
+                               </div>
+                           )}
+                           {isSelfPay && <InputField label="Description" name="description" value={p.description} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., New patient office visit" />}
                            <InputField label="DX Codes" name="dxCode" value={p.dxCode} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., M17.11" tooltip="Primary diagnosis code. May impact coverage."/>
-                           <InputField label="Modifiers" name="modifiers" value={p.modifiers} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 50, LT" tooltip="Comma-separated list. Pricing modifiers like 50 or 62 will adjust the allowed amount."/>
-                           <InputField type="number" label="Copay ($)" name="copay" value={p.copay} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 50" disabled={p.isPreventive} />
-                           <InputField type="number" label="Coins. (%)" name="coinsurancePercentage" value={p.coinsurancePercentage} onChange={e => handleProcedureChange(p.id, e)} placeholder={`${benefits.coinsurancePercentage}%`} disabled={p.isPreventive} />
-                           <InputField type="number" label="Billed ($)" name="billedAmount" value={p.billedAmount} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 400" />
-                           <InputField type="number" label="Allowed ($)" name="allowedAmount" value={p.allowedAmount} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 250" warning={ p.allowedAmount !== '' && p.billedAmount !== '' && Number(p.allowedAmount) > Number(p.billedAmount) } />
+                           {isSelfPay && <InputField label="DX Description" name="dxDescription" value={p.dxDescription} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., Primary osteoarthritis, right knee" />}
+                           <InputField label="Modifiers" name="modifiers" value={p.modifiers} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 50, LT" tooltip="Comma-separated list. Pricing modifiers like 50 or 62 will adjust the allowed amount. Modifier 51 puts the line in the multiple surgery reduction."/>
+                           {isSelfPay ? (
+                               <div className="flex flex-col space-y-1">
+                                    <label className="text-sm font-medium text-gray-600">Rendered By</label>
+                                    <select name="renderedBy" value={p.renderedBy} onChange={e => handleProcedureChange(p.id, e)} className="p-2 w-full border border-gray-300 rounded-md shadow-sm">
+                                        {gfeParties.map(party => <option key={party.key} value={party.key}>{party.name || party.role}</option>)}
+                                    </select>
+                               </div>
+                           ) : (
+                               <>
+                                   <div className="flex flex-col space-y-1">
+                                        <label className="text-sm font-medium text-gray-600">MPPR Group</label>
+                                        <select name="mpprGroup" value={p.mpprGroup} onChange={e => handleProcedureChange(p.id, e)} disabled={p.isPreventive || !benefits.mppr.enabled} className="p-2 w-full border border-gray-300 rounded-md shadow-sm disabled:bg-gray-100">
+                                            <option value="auto">Auto</option>
+                                            <option value="none">None</option>
+                                            <option value="surgical">Surgical</option>
+                                            <option value="imaging">Imaging</option>
+                                            <option value="therapy">Therapy</option>
+                                        </select>
+                                   </div>
+                                   <div className="flex flex-col space-y-1">
+                                        <label className="text-sm font-medium text-gray-600">Network</label>
+                                        <select name="network" value={p.network} onChange={e => handleProcedureChange(p.id, e)} className="p-2 w-full border border-gray-300 rounded-md shadow-sm">
+                                            <option value="in">In-Network</option>
+                                            <option value="out">Out-of-Network</option>
+                                        </select>
+                                   </div>
+                                   {p.network === 'out' && (
+                                       <div className="flex flex-col space-y-1">
+                                            <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>NSA</span> <InfoTooltip text="No Surprises Act protection: the line gets in-network cost sharing and cannot be balance billed. Emergency-category lines are always protected." /></label>
+                                            <select name="nsaProtection" value={p.nsaProtection} onChange={e => handleProcedureChange(p.id, e)} className="p-2 w-full border border-gray-300 rounded-md shadow-sm">
+                                                <option value="">Not protected</option>
+                                                {NSA_PROTECTIONS.map(n => <option key={n.key} value={n.key}>{n.label}</option>)}
+                                            </select>
+                                       </div>
+                                   )}
+                                   <div className="flex flex-col space-y-1">
+                                        <label className="text-sm font-medium text-gray-600">Category</label>
+                                        <select name="serviceCategory" value={p.serviceCategory} onChange={e => handleProcedureChange(p.id, e)} disabled={p.isPreventive} className="p-2 w-full border border-gray-300 rounded-md shadow-sm disabled:bg-gray-100">
+                                            <option value="">None</option>
+                                            {SERVICE_CATEGORIES.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                                        </select>
+                                   </div>
+                                   <InputField type="number" label="Copay ($)" name="copay" value={p.copay} onChange={e => handleProcedureChange(p.id, e)} placeholder={p.serviceCategory ? `${resolveCostSharing({ ...p, copay: '' }, benefits).copay}` : 'e.g., 50'} tooltip="Leave blank to use the category copay from the benefit grid." disabled={p.isPreventive} />
+                                   <InputField type="number" label="Coins. (%)" name="coinsurancePercentage" value={p.coinsurancePercentage} onChange={e => handleProcedureChange(p.id, e)} placeholder={`${resolveCostSharing({ ...p, coinsurancePercentage: '' }, benefits).coinsurancePercentage}%`} disabled={p.isPreventive} />
+                               </>
+                           )}
+                           <InputField type="number" label="Billed ($)" name="billedAmount" value={p.billedAmount} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 400" hint={<FeeSource lookup={p.feeLookup?.billed} value={p.billedAmount} />} />
+                           {isSelfPay ? (
+                               <InputField type="number" label="Self-Pay Rate ($)" name="selfPayRate" value={p.selfPayRate} onChange={e => handleProcedureChange(p.id, e)} placeholder={p.billedAmount !== '' ? `${(Number(p.billedAmount) * (1 - (Number(metaData.gfe.discountPercentage) || 0) / 100)).toFixed(2)}` : 'e.g., 150'} tooltip="Cash price per unit. Leave blank to use the billed charge less the self-pay discount." />
+                           ) : (
+                               getAnesthesiaPricing(p) ? (
+                                   <InputField type="number" label="Allowed ($)" name="allowedAmount" value={summarizeAnesthesiaUnits({ ...p, anesthesia: getAnesthesiaPricing(p) }).allowedAmount} disabled hint={<p className="text-xs text-blue-600 truncate">{summarizeAnesthesiaUnits({ ...p, anesthesia: getAnesthesiaPricing(p) }).totalUnits} anesthesia units</p>} />
+                               ) : getPfsPricing(p) ? (
+                                   <InputField type="number" label="Allowed ($)" name="allowedAmount" value={calculatePfsAllowed(getPfsPricing(p))} disabled hint={<p className="text-xs text-blue-600 truncate">Medicare fee schedule{Number(benefits.pfs.contractPercentage) !== 100 && benefits.pfs.contractPercentage !== '' && ` × ${benefits.pfs.contractPercentage}%`}</p>} />
+                               ) : (
+                                   <InputField type="number" label="Allowed ($)" name="allowedAmount" value={p.allowedAmount} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 250" warning={ p.allowedAmount !== '' && p.billedAmount !== '' && Number(p.allowedAmount) > Number(p.billedAmount) } hint={<>{benefits.anesthesia.enabled && anesthesiaBaseUnits && isAnesthesiaCode(p.cptCode) ? <p className="text-xs text-yellow-700">No base units for this code</p> : benefits.pfs.enabled && pfsLocality && p.cptCode && <p className="text-xs text-yellow-700">Not in the RVU file</p>}<FeeSource lookup={p.feeLookup?.allowed} value={p.allowedAmount} /><PublishedRate rates={getPublishedRates(p)} value={p.allowedAmount} onUse={() => applyPublishedRate(p.id)} /></>} />
+                               )
+                           )}
+                           <InputField type="number" label="Units" name="units" value={getAnesthesiaPricing(p) ? 1 : p.units} onChange={e => handleProcedureChange(p.id, e)} min="1" step="1" tooltip={getAnesthesiaPricing(p) ? 'Anesthesia lines are priced from their units as a whole.' : 'Billed and allowed amounts are per unit and are multiplied by this quantity.'} warning={getMueWarning(p)} disabled={!!getAnesthesiaPricing(p)} />
                            <div className="flex flex-col items-center space-y-2 mt-1">
                                 <label className="text-sm font-medium text-gray-600">Actions</label>
                                 <div className="flex items-center h-10 space-x-3">
                                 <button type="button" onClick={() => removeProcedure(p.id)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-5 w-5"/></button>
-                                <div className="group relative flex items-center">
+                                {!isSelfPay && <div className="group relative flex items-center">
                                     <input type="checkbox" name="isPreventive" checked={p.isPreventive} onChange={e => handleProcedureChange(p.id, e)} className="h-5 w-5 rounded border-gray-300 text-green-600 focus:ring-green-500"/>
                                     <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-max p-2 bg-gray-800 text-white text-xs rounded-md shadow-lg opacity-0 group-hover:opacity-100 transition-opacity duration-300 z-10">Preventive Service (100% Covered)</div>
-                                </div>
+                                </div>}
                                </div>
                            </div>
+                           {canUseRanges && showRanges && !getPfsPricing(p) && !getAnesthesiaPricing(p) && (
+                               <div className="md:col-span-8 grid grid-cols-1 md:grid-cols-8 gap-x-4 gap-y-2 items-end border-t pt-2">
+                                   <InputField type="number" label="Allowed Low ($)" name="allowedAmountLow" value={p.allowedAmountLow} onChange={e => handleProcedureChange(p.id, e)} placeholder={p.allowedAmount || 'Best case'} warning={p.allowedAmountLow !== '' && p.allowedAmount !== '' && Number(p.allowedAmountLow) > Number(p.allowedAmount)} />
+                                   <InputField type="number" label="Allowed High ($)" name="allowedAmountHigh" value={p.allowedAmountHigh} onChange={e => handleProcedureChange(p.id, e)} placeholder={p.allowedAmount || 'Worst case'} warning={p.allowedAmountHigh !== '' && p.allowedAmount !== '' && Number(p.allowedAmountHigh) < Number(p.allowedAmount)} />
+                                   <label className="md:col-span-2 text-sm font-medium text-gray-600 flex items-center space-x-2 h-10">
+                                       <input type="checkbox" name="isOptional" checked={!!p.isOptional} onChange={e => handleProcedureChange(p.id, e)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                                       <span>Possible service (may not be performed)</span>
+                                   </label>
+                               </div>
+                           )}
+                           {sequencingField && (
+                               <div className="md:col-span-8 grid grid-cols-1 md:grid-cols-8 gap-x-4 gap-y-2 items-end border-t pt-2">
+                                   {sequencingField === 'serviceDateTime' ? (
+                                       <div className="md:col-span-2">
+                                           <InputField type="datetime-local" label="Date/Time of Service" name="serviceDateTime" value={p.serviceDateTime || ''} onChange={e => handleProcedureChange(p.id, e)} tooltip="Lines are calculated in this order; lines without one go last." />
+                                       </div>
+                                   ) : (
+                                       <div className="md:col-span-2 flex flex-col space-y-1">
+                                           <label className="text-sm font-medium text-gray-600">Claim Type</label>
+                                           <select name="claimType" value={p.claimType || 'professional'} onChange={e => handleProcedureChange(p.id, e)} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                                               <option value="professional">Professional</option>
+                                               <option value="facility">Facility</option>
+                                           </select>
+                                       </div>
+                                   )}
+                               </div>
+                           )}
+                           {getAnesthesiaPricing(p) && (
+                               <div className="md:col-span-8 grid grid-cols-1 md:grid-cols-8 gap-x-4 gap-y-2 items-end border-t pt-2">
+                                   <InputField type="number" label="Anesthesia Minutes" name="anesthesiaMinutes" value={p.anesthesiaMinutes} onChange={e => handleProcedureChange(p.id, e)} placeholder="e.g., 90" tooltip="Anticipated anesthesia time. Add P1–P6 and AA/QK/QX/QY/QZ in Modifiers." />
+                                   <div className="md:col-span-5">
+                                       <label className="text-sm font-medium text-gray-600">Qualifying Circumstances</label>
+                                       <div className="flex flex-wrap gap-x-4 gap-y-1 mt-2">
+                                           {QUALIFYING_CIRCUMSTANCES.map(q => (
+                                               <label key={q.code} className="text-sm text-gray-700 flex items-center space-x-1">
+                                                   <input type="checkbox" checked={(p.qualifyingCircumstances || []).includes(q.code)} onChange={() => toggleQualifyingCircumstance(p.id, q.code)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" />
+                                                   <span>{q.code} {q.label} (+{q.units})</span>
+                                               </label>
+                                           ))}
+                                       </div>
+                                   </div>
+                                   <p className="md:col-span-2 text-xs text-gray-500 pb-2">{getAnesthesiaPricing(p).baseUnits} base units, {getAnesthesiaPricing(p).minutesPerUnit} min per time unit</p>
+                               </div>
+                           )}
                         </div>
                      ))}
                  </div>
                  <button type="button" onClick={addProcedure} className="mt-4 flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition"><PlusCircle className="h-5 w-5" /><span>Add Procedure</span></button>
             </div>
             
-            <div className="flex justify-end pt-4">
+            <div className="flex justify-end pt-4 space-x-3">
+                {!isSelfPay && !isEpisode && !isFamily && (
+                    <button type="submit" name="compare" className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition">
+                        <Scale className="h-5 w-5" />
+                        <span>Compare Scenarios</span>
+                    </button>
+                )}
                 <button type="submit" className="flex items-center space-x-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-blue-700 transition transform hover:scale-105">
                     <span>Calculate Estimate</span>
                     <ArrowRight className="h-5 w-5" />
@@ -654,21 +1301,224 @@ const EstimateForm = ({
     );
 };
 
-// --- PAGE 2: RESULTS DISPLAY & PDF GENERATION ---
-const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
-    
-    const copayLogicDescriptions = {
-        standard_waterfall: "Each service's copay was applied, followed by the standard deductible and coinsurance waterfall.",
-        highest_copay_only: "The single highest copay was applied as the total patient cost for all services.",
-        highest_copay_plus_remainder: "The highest copay was applied, and all other services were then processed against the deductible and coinsurance."
+// --- No Surprises Act Good Faith Estimate notices (self-pay mode) ---
+const gfeDisputeNotice = (threshold) => [
+    "If you are billed for more than this Good Faith Estimate, you have the right to dispute the bill. You may contact the health care provider or facility listed to let them know the billed charges are higher than the Good Faith Estimate. You can ask them to update the bill to match the Good Faith Estimate, ask to negotiate the bill, or ask if there is financial assistance available.",
+    `You may also start a patient-provider dispute resolution process with the U.S. Department of Health and Human Services (HHS) if the total billed charges from any one provider or facility listed are at least $${threshold} more than that provider's or facility's total on this Good Faith Estimate. You must start the dispute process within 120 calendar days (about 4 months) of the date on the original bill. There is a $25 fee to use the dispute process. If the agency reviewing your dispute agrees with you, you will have to pay the price on this Good Faith Estimate. If the agency disagrees with you and agrees with the health care provider or facility, you will have to pay the higher amount.`,
+    "To learn more and get a form to start the process, go to www.cms.gov/nosurprises or call 1-800-985-3059.",
+];
+const GFE_DISCLAIMER = "This Good Faith Estimate shows the costs of items and services that are reasonably expected for your health care needs for an item or service. The estimate is based on information known at the time the estimate was created. The Good Faith Estimate does not include any unknown or unexpected costs that may arise during treatment. You could be charged more if complications or special circumstances occur. If this happens, federal law allows you to dispute (appeal) the bill.";
+const GFE_RETENTION_NOTE = "Keep a copy of this Good Faith Estimate in a safe place or take pictures of it, and keep it for at least one year after your services. You may need it if you are billed a higher amount.";
+
+// --- Scenario comparison: the same procedures under several copay logic modes, plans or accumulator snapshots ---
+const blankSnapshot = { label: '', deductibleMet: '', oopMet: '', familyDeductibleMet: '', familyOopMet: '' };
+const ScenarioComparison = ({ inputs, mueSettings, planProfiles, hasSecondary, onChoose, onBack }) => {
+    const { base, procedures, metaData, modifierOverrides } = inputs;
+    // Starts with the form as entered and every other copay logic mode.
+    const [scenarios, setScenarios] = useState(() => [
+        { id: 'current', label: 'Current Inputs' },
+        ...copayLogicScenarios(COPAY_LOGIC_LABELS).filter(sc => sc.copayLogic !== base.benefits.copayLogic),
+    ]);
+    const [snapshot, setSnapshot] = useState(blankSnapshot);
+    const isFamilyPlan = base.benefits.planType !== 'Individual';
+
+    const comparison = useMemo(() => compareScenarios(
+        { ...base, benefits: { ...base.benefits, modifierOverrides }, procedures, metaData },
+        scenarios.map(sc => sc.benefits ? { ...sc, benefits: { ...sc.benefits, modifierOverrides } } : sc),
+        { mue: mueSettings },
+    ), [base, procedures, metaData, modifierOverrides, mueSettings, scenarios]);
+
+    const addProfileScenario = (e) => {
+        const profile = planProfiles[e.target.value];
+        if (!profile) return;
+        setScenarios(prev => [...prev, { id: `profile-${Date.now()}`, label: getPlanProfileLabel(profile), benefits: withBenefitDefaults(profile.benefits) }]);
     };
-    
-    const { totalAppliedToDed, totalAppliedToOop } = useMemo(() => {
+    const handleSnapshotChange = (e) => { const { name, value } = e.target; setSnapshot(prev => ({ ...prev, [name]: value })); };
+    // Blank snapshot fields keep the entered amounts.
+    const addSnapshotScenario = () => {
+        const pick = (value, fallback) => value === '' ? fallback : value;
+        setScenarios(prev => [...prev, {
+            id: `accumulators-${Date.now()}`,
+            label: snapshot.label.trim() || `Accumulators #${prev.filter(sc => sc.patientAccumulators).length + 1}`,
+            patientAccumulators: { ...base.patientAccumulators, deductibleMet: pick(snapshot.deductibleMet, base.patientAccumulators.deductibleMet), oopMet: pick(snapshot.oopMet, base.patientAccumulators.oopMet) },
+            ...(isFamilyPlan && { familyAccumulators: { ...base.familyAccumulators, deductibleMet: pick(snapshot.familyDeductibleMet, base.familyAccumulators?.deductibleMet), oopMet: pick(snapshot.familyOopMet, base.familyAccumulators?.oopMet) } }),
+        }]);
+        setSnapshot(blankSnapshot);
+    };
+    const removeScenario = (id) => setScenarios(prev => prev.filter(sc => sc.id !== id));
+
+    const lowest = comparison.totals.find(t => t.id === comparison.lowestId);
+    const highest = comparison.totals.find(t => t.id === comparison.highestId);
+    const totalClass = (id) => comparison.spread > 0 && id === comparison.lowestId ? 'bg-green-50 text-green-800' : comparison.spread > 0 && id === comparison.highestId ? 'bg-orange-50 text-orange-800' : '';
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center">
+                <h2 className="text-3xl font-bold text-gray-800">Compare Scenarios</h2>
+                <p className="text-gray-500 mt-1">The same {procedures.length} procedure{procedures.length === 1 ? '' : 's'} for {metaData.patient.name}, estimated under each scenario.</p>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 space-y-4">
+                <h3 className="text-lg font-semibold text-gray-800 border-b pb-3">Scenarios</h3>
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                    <div>
+                        <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Add a Plan Profile</span> <InfoTooltip text="Prices the procedures under another saved plan, e.g. the patient's other plan option." /></label>
+                        <select value="" onChange={addProfileScenario} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                            <option value="">{planProfiles.length ? 'Select a plan profile…' : 'No saved plan profiles'}</option>
+                            {planProfiles.map((profile, index) => <option key={index} value={index}>{getPlanProfileLabel(profile)}</option>)}
+                        </select>
+                    </div>
+                </div>
+                <div>
+                    <p className="text-sm font-semibold text-gray-600 mb-2 flex items-center space-x-2"><span>Add an Accumulator Snapshot</span> <InfoTooltip text="Prices the procedures as if a different amount of the deductible and OOP max had been met, e.g. before and after a pending claim. Blank fields keep the entered amounts." /></p>
+                    <div className="grid grid-cols-1 md:grid-cols-6 gap-4 items-end">
+                        <InputField label="Label" name="label" value={snapshot.label} onChange={handleSnapshotChange} placeholder="e.g., After pending claim" />
+                        <InputField type="number" label="Deductible Met ($)" name="deductibleMet" value={snapshot.deductibleMet} onChange={handleSnapshotChange} placeholder={`${base.patientAccumulators.deductibleMet || 0}`} />
+                        <InputField type="number" label="OOP Met ($)" name="oopMet" value={snapshot.oopMet} onChange={handleSnapshotChange} placeholder={`${base.patientAccumulators.oopMet || 0}`} />
+                        {isFamilyPlan && <InputField type="number" label="Family Ded. Met ($)" name="familyDeductibleMet" value={snapshot.familyDeductibleMet} onChange={handleSnapshotChange} placeholder={`${base.familyAccumulators?.deductibleMet || 0}`} />}
+                        {isFamilyPlan && <InputField type="number" label="Family OOP Met ($)" name="familyOopMet" value={snapshot.familyOopMet} onChange={handleSnapshotChange} placeholder={`${base.familyAccumulators?.oopMet || 0}`} />}
+                        <button type="button" onClick={addSnapshotScenario} className="flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition h-10"><PlusCircle className="h-5 w-5" /><span>Add Snapshot</span></button>
+                    </div>
+                </div>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <h3 className="text-xl font-semibold text-gray-800 mb-2">Patient Responsibility by Scenario</h3>
+                {lowest && highest && (
+                    <p className="text-sm text-gray-600 bg-blue-50 p-3 rounded-md border border-blue-200 mb-4">
+                        <Info className="h-4 w-4 inline-block mr-2 text-blue-700" />
+                        {comparison.spread > 0
+                            ? `From $${lowest.totalPatientResponsibility.toFixed(2)} to $${highest.totalPatientResponsibility.toFixed(2)}, a difference of $${comparison.spread.toFixed(2)}. Highlighted lines differ from Current Inputs.`
+                            : `Every scenario comes to $${lowest.totalPatientResponsibility.toFixed(2)}.`}
+                        {hasSecondary && ' Amounts are before secondary coverage, which is applied to the scenario you choose.'}
+                    </p>
+                )}
+                <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                        <thead>
+                            <tr className="bg-gray-100 text-left text-gray-600 align-top">
+                                <th className="p-3 font-semibold">Procedure</th>
+                                {comparison.scenarios.map(sc => (
+                                    <th key={sc.id} className="p-3 font-semibold text-right">
+                                        <span>{sc.label}</span>
+                                        {sc.id !== 'current' && <button type="button" onClick={() => removeScenario(sc.id)} title="Remove this scenario" className="ml-1 text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4 inline-block" /></button>}
+                                    </th>
+                                ))}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {comparison.lines.map(line => (
+                                <tr key={line.id} className="border-t">
+                                    <td className="p-3 font-medium text-gray-700">{line.cptCode}</td>
+                                    {line.patientOwes.map((amount, index) => (
+                                        <td key={comparison.scenarios[index].id} className={`p-3 text-right font-mono ${line.differs && amount !== line.patientOwes[0] ? 'bg-yellow-50' : ''}`}>
+                                            ${amount.toFixed(2)}
+                                            {line.differs && amount !== line.patientOwes[0] && <span className="block text-xs text-gray-500">{amount > line.patientOwes[0] ? '+' : '−'}${Math.abs(amount - line.patientOwes[0]).toFixed(2)}</span>}
+                                        </td>
+                                    ))}
+                                </tr>
+                            ))}
+                            <tr className="border-t font-semibold">
+                                <td className="p-3">Patient Total</td>
+                                {comparison.totals.map(t => <td key={t.id} className={`p-3 text-right font-mono ${totalClass(t.id)}`}>${t.totalPatientResponsibility.toFixed(2)}</td>)}
+                            </tr>
+                            <tr className="border-t text-gray-600">
+                                <td className="p-3">Plan Pays</td>
+                                {comparison.totals.map(t => <td key={t.id} className="p-3 text-right font-mono">${t.planPaid.toFixed(2)}</td>)}
+                            </tr>
+                            <tr className="border-t">
+                                <td className="p-3"></td>
+                                {comparison.scenarios.map(sc => (
+                                    <td key={sc.id} className="p-3 text-right">
+                                        <button type="button" onClick={() => onChoose(comparison, sc.id)} className="text-sm bg-blue-600 text-white font-semibold py-1 px-3 rounded-lg hover:bg-blue-700 transition">Use This</button>
+                                    </td>
+                                ))}
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div className="flex justify-start">
+                <button type="button" onClick={onBack} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
+            </div>
+        </div>
+    );
+};
+
+// --- Revision banner & diff view (estimate versioning) ---
+const formatRevisionStamp = (revision) => `REVISED ESTIMATE – version ${revision.version}, revises estimate ${revision.revisionOf}`;
+const formatRevisionVariance = (revision) => `Patient responsibility changed by ${revision.variance >= 0 ? '+' : '-'}$${Math.abs(revision.variance).toFixed(2)} from the prior estimate's $${revision.priorTotal.toFixed(2)}.`;
+
+const RevisionBanner = ({ revision }) => {
+    if (!revision) return null;
+    return (
+        <div className={`p-4 rounded-lg border text-sm max-w-2xl mx-auto ${revision.exceedsThreshold ? 'bg-red-50 border-red-300 text-red-800' : 'bg-blue-50 border-blue-200 text-blue-800'}`}>
+            <p className="font-semibold">{revision.exceedsThreshold && <AlertTriangle className="h-4 w-4 inline-block mr-1" />}Revision {revision.version} of estimate {revision.revisionOf}</p>
+            <p>{formatRevisionVariance(revision)}{revision.exceedsThreshold && ` That is more than the $${revision.threshold.toFixed(2)} threshold: re-issue this estimate to the patient.`}</p>
+        </div>
+    );
+};
+
+const formatDiffValue = (value, money) => value == null || value === '' ? '—' : money ? `$${Number(value).toFixed(2)}` : String(value);
+const diffStatusStyles = { added: 'bg-green-100 text-green-800', removed: 'bg-red-100 text-red-800', changed: 'bg-yellow-100 text-yellow-800', unchanged: 'bg-gray-100 text-gray-600' };
+
+const EstimateDiff = ({ prior, revised }) => {
+    const diff = useMemo(() => diffEstimates(prior.result, revised.result), [prior, revised]);
+    return (
+        <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-4 text-center">
+                <div className="bg-gray-50 p-3 rounded-lg"><p className="text-xs text-gray-500">{prior.id} (v{prior.version || 1})</p><p className="text-xl font-bold text-gray-800">${diff.totals.prior.toFixed(2)}</p></div>
+                <div className="bg-gray-50 p-3 rounded-lg"><p className="text-xs text-gray-500">{revised.id} (v{revised.version || 1})</p><p className="text-xl font-bold text-gray-800">${diff.totals.revised.toFixed(2)}</p></div>
+                <div className={`p-3 rounded-lg ${diff.totals.change === 0 ? 'bg-gray-50' : diff.totals.change > 0 ? 'bg-red-50' : 'bg-green-50'}`}><p className="text-xs text-gray-500">Change</p><p className="text-xl font-bold text-gray-800">{diff.totals.change >= 0 ? '+' : '-'}${Math.abs(diff.totals.change).toFixed(2)}</p></div>
+            </div>
+            {diff.lines.map(line => (
+                <div key={line.id} className="border border-gray-200 rounded-lg p-3">
+                    <p className="font-semibold text-gray-700">CPT {line.cptCode} <span className={`ml-2 text-xs font-semibold rounded px-2 py-0.5 ${diffStatusStyles[line.status]}`}>{line.status}</span></p>
+                    {(line.fields.length > 0 || line.steps.length > 0) && (
+                        <table className="w-full text-sm mt-2">
+                            <thead><tr className="text-left text-gray-500"><th className="p-1 font-semibold">Item</th><th className="p-1 font-semibold">Before</th><th className="p-1 font-semibold">After</th></tr></thead>
+                            <tbody>
+                                {line.fields.map(f => <tr key={f.key} className="border-t"><td className="p-1">{f.label}</td><td className="p-1 font-mono">{formatDiffValue(f.prior, f.money)}</td><td className="p-1 font-mono">{formatDiffValue(f.revised, f.money)}</td></tr>)}
+                                {line.steps.map(step => <tr key={step.type} className="border-t text-gray-600"><td className="p-1">Step: {step.description}</td><td className="p-1 font-mono">{formatDiffValue(step.prior, true)}</td><td className="p-1 font-mono">{formatDiffValue(step.revised, true)}</td></tr>)}
+                            </tbody>
+                        </table>
+                    )}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+// --- PAGE 2: RESULTS DISPLAY & PDF GENERATION ---
+const EstimateResults = ({ data, setPage, scriptsLoaded, showModal }) => {
+    
+    const copayLogicDescriptions = {
+        standard_waterfall: "Each service's copay was applied, followed by the standard deductible and coinsurance waterfall.",
+        highest_copay_only: "The single highest copay was applied as the total patient cost for all services.",
+        highest_copay_plus_remainder: "The highest copay was applied, and all other services were then processed against the deductible and coinsurance.",
+        copay_waived_after_deductible: "Each service's copay was applied until the deductible was met; once it was met, copays were waived and only coinsurance applied.",
+        copay_after_deductible: "High-deductible plan: services were applied to the deductible first, and copays only started once the deductible was met.",
+        copay_counts_toward_deductible: "Each service's copay was applied and also credited toward the deductible, then the remainder was processed against the deductible and coinsurance.",
+        copay_in_lieu: "Services with a copay cost only the copay; the plan paid the rest with no deductible or coinsurance. Services without a copay went through the deductible and coinsurance."
+    };
+    
+    const hasOutOfNetwork = data.procedureEstimates.some(p => p.network === 'out');
+    const isSelfPay = data.mode === 'self_pay';
+    const isEpisode = data.mode === 'episode';
+    const visitLabel = (visitId) => data.visits?.find(v => v.visitId === visitId)?.label || '';
+    // Episode accumulators are shown for whoever the plan tracks: the family on aggregate plans, else the patient.
+    const visitAccumulator = (visit, field) => Number((data.benefits.planType === 'AggregateFamily' ? visit.finalAccumulators.family : visit.finalAccumulators.patient)?.[field]) || 0;
+    const isFamily = data.mode === 'family';
+    const memberName = (familyMemberId) => data.members?.find(m => m.familyMemberId === familyMemberId)?.name || '';
+    const processingOrderLabel = FAMILY_PROCESSING_ORDERS.find(o => o.key === data.processingOrder)?.label || '';
+    const cob = data.coordinationOfBenefits;
+    const finalPatientResponsibility = cob ? cob.patientResponsibility : data.totalPatientResponsibility;
+    const cobMethodLabel = cob ? COB_METHODS.find(m => m.key === cob.method)?.label : '';
+
+    const { totalAppliedToDed, totalAppliedToOop } = useMemo(() => {
         let totalDed = 0;
         let totalOop = 0;
         data.procedureEstimates.forEach(p => {
             p.calculationBreakdown.forEach(step => {
-                if (step.description === 'Deductible') totalDed += step.patientOwes;
+                if (step.type === STEP_TYPES.DEDUCTIBLE) totalDed += step.patientOwes;
                 if(step.patientOwes > 0) totalOop += step.patientOwes;
             });
         });
@@ -676,8 +1526,126 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
     }, [data]);
 
 
+    // Da Vinci PCT bundle: the GFE Claim, plus the Advanced EOB for insured estimates. Nothing is downloaded
+    // until the bundle passes the profile checks.
+    // A family estimate exports one bundle per member.
+    const exportFhirBundle = () => {
+        const exports = buildPctBundles(data);
+        const errors = exports.flatMap(e => validatePctBundle(e.bundle).map(error => `${e.name ? `${e.name}: ` : ''}${error}`));
+        if (errors.length > 0) { showModal('FHIR Bundle Not Valid', errors.join(' ')); return; }
+        exports.forEach(({ patientId, bundle }) => {
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${isSelfPay ? 'GFE' : 'AEOB'}_Bundle_${String(patientId).replace(/\s+/g, '_')}_${new Date().toISOString().slice(0,10)}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        });
+    };
+
+    const generateSelfPayPDF = () => {
+        const doc = new window.jspdf.jsPDF();
+        const pageW = doc.internal.pageSize.getWidth();
+        const pageH = doc.internal.pageSize.getHeight();
+        const margin = 14;
+        const primaryColor = '#174ea6';
+        const textColor = '#1f2937';
+        const lightTextColor = '#6b7280';
+        const borderColor = '#e5e7eb';
+        const whiteColor = '#ffffff';
+        const textW = pageW - (margin * 2);
+        const { patient, service, gfe } = data.metaData;
+        const ensureSpace = (y, needed) => {
+            if (y + needed <= pageH - margin) return y;
+            doc.addPage();
+            return margin + 6;
+        };
+        const drawParagraphs = (paragraphs, y, fontSize = 9) => {
+            doc.setFont('helvetica', 'normal').setFontSize(fontSize).setTextColor(textColor);
+            paragraphs.forEach(text => {
+                const lines = doc.splitTextToSize(text, textW);
+                y = ensureSpace(y, lines.length * 4.5);
+                doc.text(lines, margin, y);
+                y += lines.length * 4.5 + 3;
+            });
+            return y;
+        };
+
+        // --- HEADER ---
+        doc.setFillColor(primaryColor);
+        doc.rect(0, 0, pageW, 25, 'F');
+        doc.setFont("helvetica", "bold").setFontSize(16).setTextColor(whiteColor);
+        doc.text("Good Faith Estimate for Health Care Items and Services", margin, 15);
+        doc.setFontSize(9).setFont("helvetica", "normal");
+        doc.text(`Issued: ${new Date().toLocaleDateString('en-US')}${data.estimateId ? ` | Estimate ID: ${data.estimateId}` : ''}`, pageW - margin, 21, { align: 'right' });
+
+        // --- REVISION STAMP ---
+        let patientTableY = 32;
+        if (data.revision) {
+            doc.setFontSize(11).setFont("helvetica", "bold").setTextColor(data.revision.exceedsThreshold ? '#b91c1c' : primaryColor);
+            doc.text(formatRevisionStamp(data.revision), margin, 33);
+            doc.setFontSize(9).setFont("helvetica", "normal").setTextColor(lightTextColor).text(formatRevisionVariance(data.revision), margin, 38);
+            patientTableY = 43;
+        }
+
+        // --- PATIENT & SERVICE ---
+        doc.autoTable({
+            startY: patientTableY, theme: 'plain', styles: { fontSize: 10, cellPadding: 1.5 },
+            columnStyles: { 0: { fontStyle: 'bold', textColor: textColor, cellWidth: 55 } },
+            body: [
+                ['Patient Name', patient.name],
+                ['Patient Date of Birth', formatDate(patient.dob)],
+                ['Expected Date(s) of Service', gfe.serviceDateEnd ? `${formatDate(service.date)} to ${formatDate(gfe.serviceDateEnd)}` : formatDate(service.date)],
+                ['Patient Diagnoses', [...new Set(data.procedureEstimates.filter(p => p.dxCode).map(p => `${p.dxCode}${p.dxDescription ? ` – ${p.dxDescription}` : ''}`))].join('\n') || 'N/A'],
+            ],
+        });
+        let currentY = doc.autoTable.previous.finalY + 6;
+
+        // --- HERO SUMMARY ---
+        doc.setFillColor('#f9fafb');
+        doc.setDrawColor(borderColor);
+        doc.roundedRect(margin, currentY, textW, 22, 3, 3, 'FD');
+        doc.setFontSize(12).setFont("helvetica", "normal").setTextColor(lightTextColor).text("Total Estimated Cost", margin + 7, currentY + 13);
+        doc.setFontSize(24).setFont("helvetica", "bold").setTextColor(primaryColor).text(`$${data.totalPatientResponsibility.toFixed(2)}`, pageW - margin - 7, currentY + 15, { align: 'right' });
+        currentY += 32;
+
+        // --- ONE SECTION PER PROVIDER / FACILITY ---
+        data.providerTotals.forEach(party => {
+            const lines = data.procedureEstimates.filter(p => p.renderedBy === party.key);
+            currentY = ensureSpace(currentY, 30);
+            doc.setFont('helvetica', 'bold').setFontSize(11).setTextColor(textColor).text(`${party.role}: ${party.name || 'N/A'}`, margin, currentY);
+            doc.setFont('helvetica', 'normal').setFontSize(9).setTextColor(lightTextColor).text(`NPI: ${party.npi || 'N/A'} | TIN: ${party.tin || 'N/A'}${party.address ? ` | ${party.address}` : ''}`, margin, currentY + 5);
+            doc.autoTable({
+                startY: currentY + 8, theme: 'grid',
+                head: [['Service Code', 'Service / Item', 'Diagnosis Code', 'Qty', 'Expected Cost']],
+                body: [
+                    ...lines.map(p => [`${p.cptCode}${p.modifiers ? `-${p.modifiers}` : ''}`, `${p.description || ''}${describeFeeOverrides(p) ? `\nManual override: ${describeFeeOverrides(p)}` : ''}`, p.dxCode || '', String(p.billableUnits ?? p.units ?? 1), `$${p.totalPatientResponsibility.toFixed(2)}`]),
+                    [{ content: `Total for ${party.name || party.role}`, colSpan: 4, styles: { fontStyle: 'bold' } }, { content: `$${party.total.toFixed(2)}`, styles: { fontStyle: 'bold' } }],
+                ],
+                headStyles: { fillColor: '#4b5563', textColor: whiteColor, fontStyle: 'bold' },
+                styles: { lineColor: borderColor, lineWidth: 0.1, cellPadding: 2, fontSize: 9 },
+                columnStyles: { 3: { halign: 'right' }, 4: { halign: 'right' } },
+            });
+            currentY = doc.autoTable.previous.finalY + 10;
+        });
+
+        // --- REQUIRED NOTICES ---
+        currentY = ensureSpace(currentY, 20);
+        doc.setFont('helvetica', 'bold').setFontSize(11).setTextColor(textColor).text("Disclaimer", margin, currentY);
+        currentY = drawParagraphs([GFE_DISCLAIMER], currentY + 6);
+        currentY = ensureSpace(currentY + 2, 20);
+        doc.setFont('helvetica', 'bold').setFontSize(11).setTextColor(textColor).text("What if I am billed more than this Good Faith Estimate?", margin, currentY);
+        currentY = drawParagraphs(gfeDisputeNotice(data.disputeThreshold), currentY + 6);
+        doc.setFont('helvetica', 'bold');
+        drawParagraphs([GFE_RETENTION_NOTE], currentY + 2);
+
+        doc.save(`GoodFaithEstimate_SelfPay_${String(data.patientId).replace(/\s+/g, '_')}_${new Date().toISOString().slice(0,10)}.pdf`);
+    };
+
     const generatePDF = () => {
         if (!scriptsLoaded) { alert("PDF generation library is still loading..."); return; }
+        if (isSelfPay) { generateSelfPayPDF(); return; }
         const doc = new window.jspdf.jsPDF();
         const pageW = doc.internal.pageSize.getWidth();
         const pageH = doc.internal.pageSize.getHeight();
@@ -715,22 +1683,49 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
         doc.setFontSize(9);
         doc.setTextColor(textColor);
         doc.text(`PATIENT ID: ${data.patientId}`, margin, 31.5);
+        if (data.estimateId) doc.text(`ESTIMATE ID: ${data.estimateId}`, pageW - margin, 31.5, { align: 'right' });
         
         let currentY = 48;
 
+        // --- REVISION STAMP ---
+        if (data.revision) {
+            doc.setFontSize(11).setFont("helvetica", "bold").setTextColor(data.revision.exceedsThreshold ? '#b91c1c' : primaryColor);
+            doc.text(formatRevisionStamp(data.revision), margin, 42);
+            doc.setFontSize(9).setFont("helvetica", "normal").setTextColor(lightTextColor).text(formatRevisionVariance(data.revision), margin, 47);
+            currentY = 53;
+        }
+
         // --- HERO SUMMARY ---
         doc.setFillColor('#f9fafb');
         doc.setDrawColor(borderColor);
         doc.roundedRect(margin, currentY, pageW - (margin * 2), 25, 3, 3, 'FD');
         doc.setFontSize(12).setTextColor(lightTextColor).text("Total Estimated Patient Responsibility", margin + 7, currentY + 10);
-        doc.setFontSize(28).setFont("helvetica", "bold").setTextColor(primaryColor).text(`$${data.totalPatientResponsibility.toFixed(2)}`, pageW - margin - 7, currentY + 16, { align: 'right' });
+        doc.setFontSize(28).setFont("helvetica", "bold").setTextColor(primaryColor).text(`$${finalPatientResponsibility.toFixed(2)}`, pageW - margin - 7, currentY + 16, { align: 'right' });
+        if (hasOutOfNetwork) {
+            doc.setFontSize(9).setFont("helvetica", "normal").setTextColor(lightTextColor).text(`In-network $${data.tierTotals.inNetwork.toFixed(2)} | Out-of-network $${data.tierTotals.outOfNetwork.toFixed(2)}`, margin + 7, currentY + 18);
+        }
         currentY += 35;
+        if (cob) {
+            doc.setFontSize(10).setFont("helvetica", "normal").setTextColor(textColor);
+            doc.text(doc.splitTextToSize(`Coordination of benefits (${cobMethodLabel}): primary (${data.metaData.insurance.name}) pays $${cob.primaryPaid.toFixed(2)}; secondary (${cob.payerName}) pays $${cob.secondaryPaid.toFixed(2)} of the $${data.totalPatientResponsibility.toFixed(2)} left after the primary${cob.writeOff > 0 ? `; $${cob.writeOff.toFixed(2)} is written off by the provider` : ''}.`, pageW - (margin * 2)), margin, currentY);
+            currentY += 12;
+        }
+        if (data.range) {
+            doc.setFontSize(10).setFont("helvetica", "bold").setTextColor(textColor);
+            doc.text(doc.splitTextToSize(`Estimate range: $${data.range.low.toFixed(2)} (best case) to $${data.range.high.toFixed(2)} (worst case)${cob ? ' before secondary coverage' : ''}. $${data.range.likely.toFixed(2)} is the most likely amount; the final cost depends on the services performed and the amounts allowed.`, pageW - (margin * 2)), margin, currentY);
+            currentY += 12;
+        }
+        if (data.totalBalanceBillingExposure > 0) {
+            doc.setFontSize(10).setFont("helvetica", "bold").setTextColor('#c2410c');
+            doc.text(doc.splitTextToSize(`Out-of-network balance billing: the out-of-network provider may bill you up to $${data.totalBalanceBillingExposure.toFixed(2)} more than the amount above (billed charges minus the plan's allowed amount).`, pageW - (margin * 2)), margin, currentY);
+            currentY += 12;
+        }
         
         // --- SUB-SUMMARY CARDS (RE-ENGINEERED) ---
         const summaryBody = [
              [
                 { content: 'Applied to Deductible', styles: { textColor: lightTextColor, fontSize: 10, cellPadding: {top: 6, left: 5} }},
-                { content: 'Total Out-of-Pocket This Visit', styles: { textColor: lightTextColor, fontSize: 10, cellPadding: {top: 6, left: 5} }}
+                { content: isEpisode ? 'Total Out-of-Pocket This Episode' : 'Total Out-of-Pocket This Visit', styles: { textColor: lightTextColor, fontSize: 10, cellPadding: {top: 6, left: 5} }}
              ],
              [
                 { content: `$${totalAppliedToDed.toFixed(2)}`, styles: { font: 'helvetica', fontStyle: 'bold', fontSize: 18, textColor: textColor, cellPadding: {bottom: 6, left: 5} }},
@@ -750,18 +1745,114 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
         });
         currentY = doc.autoTable.previous.finalY + 15;
         
+        // --- PAYMENT SUMMARY: billed = plan paid + contractual adjustment + patient share (+ balance billing) ---
+        currentY = drawSectionTitle("Payment Summary", currentY);
+        const hasBalanceBilling = data.paymentTotals.balanceBilling > 0;
+        const paymentRow = (label, billed, planPaid, adjustment, patient, balance) => [label, `$${billed.toFixed(2)}`, `$${planPaid.toFixed(2)}`, `$${adjustment.toFixed(2)}`, `$${patient.toFixed(2)}`, ...(hasBalanceBilling ? [`$${balance.toFixed(2)}`] : [])];
+        const totalsStyle = { fontStyle: 'bold', fillColor: '#f9fafb' };
+        doc.autoTable({
+            head: [['Procedure', 'Billed', 'Plan Paid', 'Contractual Adj.', 'Patient Share', ...(hasBalanceBilling ? ['Balance Billing'] : [])]],
+            body: [
+                ...data.procedureEstimates.map(p => paymentRow(`CPT ${p.cptCode}`, p.lineBilledAmount, p.planPaid, p.contractualAdjustment, p.totalPatientResponsibility, p.balanceBillingExposure || 0)),
+                paymentRow('Total', data.paymentTotals.billed, data.paymentTotals.planPaid, data.paymentTotals.contractualAdjustment, data.paymentTotals.patientShare, data.paymentTotals.balanceBilling).map(content => ({ content, styles: totalsStyle })),
+            ],
+            startY: currentY, theme: 'grid',
+            headStyles: { fillColor: '#4b5563', textColor: whiteColor, fontStyle: 'bold' },
+            styles: { lineColor: borderColor, lineWidth: 0.1, cellPadding: 2, fontSize: 9, halign: 'right' },
+            columnStyles: { 0: { halign: 'left' } }
+        });
+        currentY = doc.autoTable.previous.finalY + 15;
+
+        // --- ESTIMATE RANGE: each line's patient share in the best, most likely and worst case ---
+        if (data.range) {
+            currentY = drawSectionTitle("Estimate Range", currentY);
+            doc.autoTable({
+                head: [['Procedure', 'Best Case', 'Most Likely', 'Worst Case']],
+                body: [
+                    ...data.range.lines.map(l => [`CPT ${l.cptCode}${l.isOptional ? ' (possible)' : ''}`, `$${l.low.toFixed(2)}`, `$${l.likely.toFixed(2)}`, `$${l.high.toFixed(2)}`]),
+                    ['Total', `$${data.range.low.toFixed(2)}`, `$${data.range.likely.toFixed(2)}`, `$${data.range.high.toFixed(2)}`].map(content => ({ content, styles: totalsStyle })),
+                ],
+                startY: currentY, theme: 'grid',
+                headStyles: { fillColor: '#4b5563', textColor: whiteColor, fontStyle: 'bold' },
+                styles: { lineColor: borderColor, lineWidth: 0.1, cellPadding: 2, fontSize: 9, halign: 'right' },
+                columnStyles: { 0: { halign: 'left' } }
+            });
+            currentY = doc.autoTable.previous.finalY + 4;
+            doc.setFontSize(8).setFont("helvetica", "normal").setTextColor(lightTextColor);
+            doc.text(doc.splitTextToSize('Each case is estimated as a whole, so the deductible and out-of-pocket maximum limit it; a line can cost less in the worst case when another line has already met them. Possible services are only included in the worst case.', pageW - (margin * 2)), margin, currentY + 3);
+            currentY += 15;
+        }
+
+        // --- SCENARIO: the estimate was chosen in a comparison; the other scenarios are listed as alternatives ---
+        if (data.scenario) {
+            currentY = drawSectionTitle("Alternative Scenarios", currentY);
+            doc.setFontSize(9).setFont("helvetica", "normal").setTextColor(lightTextColor);
+            doc.text(doc.splitTextToSize(`This estimate uses the "${data.scenario.label}" scenario. The same services under the other scenarios compared:`, pageW - (margin * 2)), margin, currentY);
+            currentY += 5;
+            doc.autoTable({
+                head: [['Scenario', 'Patient Owes', 'Difference']],
+                body: data.scenario.alternatives.map(a => [a.label, `$${a.totalPatientResponsibility.toFixed(2)}`, `${a.difference > 0 ? '+' : a.difference < 0 ? '-' : ''}$${Math.abs(a.difference).toFixed(2)}`]),
+                startY: currentY, theme: 'grid',
+                headStyles: { fillColor: '#4b5563', textColor: whiteColor, fontStyle: 'bold' },
+                styles: { lineColor: borderColor, lineWidth: 0.1, cellPadding: 2, fontSize: 9, halign: 'right' },
+                columnStyles: { 0: { halign: 'left' } }
+            });
+            currentY = doc.autoTable.previous.finalY + 15;
+        }
+
+        // --- EPISODE VISITS: one row per visit, in date order ---
+        if (isEpisode) {
+            currentY = drawSectionTitle("Treatment Plan Visits", currentY);
+            const visitNotes = (v) => [v.planYearReset && 'New plan year: accumulators start from zero', v.nonCoveredTotal > 0 && `$${v.nonCoveredTotal.toFixed(2)} over the visit limit (not covered)`].filter(Boolean).join('; ');
+            doc.autoTable({
+                head: [['Visit', 'Date', 'Plan Paid', 'Patient Owes', 'Ded. Met After', 'OOP Met After', 'Notes']],
+                body: [
+                    ...data.visits.map(v => [v.label, formatDate(v.date), `$${v.paymentTotals.planPaid.toFixed(2)}`, `$${v.totalPatientResponsibility.toFixed(2)}`, `$${visitAccumulator(v, 'deductibleMet').toFixed(2)}`, `$${visitAccumulator(v, 'oopMet').toFixed(2)}`, visitNotes(v)]),
+                    ['Episode Total', '', `$${data.paymentTotals.planPaid.toFixed(2)}`, `$${data.totalPatientResponsibility.toFixed(2)}`, '', '', ''].map(content => ({ content, styles: totalsStyle })),
+                ],
+                startY: currentY, theme: 'grid',
+                headStyles: { fillColor: '#4b5563', textColor: whiteColor, fontStyle: 'bold' },
+                styles: { lineColor: borderColor, lineWidth: 0.1, cellPadding: 2, fontSize: 9, halign: 'right' },
+                columnStyles: { 0: { halign: 'left' }, 1: { halign: 'left' }, 6: { halign: 'left', textColor: lightTextColor } }
+            });
+            currentY = doc.autoTable.previous.finalY + 15;
+        }
+
+        // --- FAMILY MEMBERS: one row per member, in processing order ---
+        if (isFamily) {
+            currentY = drawSectionTitle(`Family Members (${processingOrderLabel})`, currentY);
+            doc.autoTable({
+                head: [['#', 'Member', 'Member ID', 'Plan Paid', 'Patient Owes', 'Ded. Met After', 'OOP Met After']],
+                body: [
+                    ...data.members.map(m => [m.processingOrder, m.name, m.metaData.patient.memberId, `$${m.paymentTotals.planPaid.toFixed(2)}`, `$${m.totalPatientResponsibility.toFixed(2)}`, `$${(Number(m.finalAccumulators.patient.deductibleMet) || 0).toFixed(2)}`, `$${(Number(m.finalAccumulators.patient.oopMet) || 0).toFixed(2)}`]),
+                    ['', 'Family Total', '', `$${data.paymentTotals.planPaid.toFixed(2)}`, `$${data.totalPatientResponsibility.toFixed(2)}`, '', ''].map(content => ({ content, styles: totalsStyle })),
+                ],
+                startY: currentY, theme: 'grid',
+                headStyles: { fillColor: '#4b5563', textColor: whiteColor, fontStyle: 'bold' },
+                styles: { lineColor: borderColor, lineWidth: 0.1, cellPadding: 2, fontSize: 9, halign: 'right' },
+                columnStyles: { 0: { halign: 'left' }, 1: { halign: 'left' }, 2: { halign: 'left' } }
+            });
+            currentY = doc.autoTable.previous.finalY + 15;
+        }
+
         // --- DETAILED BREAKDOWN ---
         currentY = drawSectionTitle("Detailed Breakdown", currentY);
         const tableBody = data.procedureEstimates.flatMap(p => {
-            const baseAllowed = Number(p.allowedAmount||0).toFixed(2);
-            const afterMods = (p.modifiedAllowedAmount ?? p.allowedAmount);
+            const lineAllowed = Number((p.lineAllowedAmount ?? p.allowedAmount) || 0).toFixed(2);
+            const afterMods = (p.modifiedAllowedAmount ?? p.lineAllowedAmount ?? p.allowedAmount);
             const usedAllowed = (p.finalAllowedAmount ?? p.allowedAmount);
+            const units = p.units ?? 1;
             const headerContent =
-               `${p.isPreventive ? '✅' : '•'} CPT: ${p.cptCode} | DX: ${p.dxCode || 'N/A'} | Modifiers: ${p.modifiers || 'N/A'}\n` +
-               `Allowed: $${baseAllowed}` +
-               `${afterMods != null && Number(afterMods).toFixed(2) !== baseAllowed ? ` → after modifiers $${Number(afterMods).toFixed(2)}` : ''}` +
-               `${usedAllowed != null && Number(usedAllowed).toFixed(2) !== Number((afterMods ?? p.allowedAmount) || 0).toFixed(2) ? ` → used $${Number(usedAllowed).toFixed(2)}` : ''}` +
-               ` | Patient Owes: $${p.totalPatientResponsibility.toFixed(2)}`;
+               `${p.visitDate ? `${visitLabel(p.visitId)} (${formatDate(p.visitDate)}) | ` : ''}${p.familyMemberId ? `${memberName(p.familyMemberId)} | ` : ''}${p.isPreventive ? '✅' : '•'} CPT: ${p.cptCode}${p.serviceCategory ? ` (${getServiceCategoryLabel(p.serviceCategory)})` : ''}${p.network === 'out' ? (p.nsaProtection ? ` [OON – NSA: ${getNsaProtectionLabel(p.nsaProtection)}]` : ' [Out-of-Network]') : ''} | DX: ${p.dxCode || 'N/A'} | Modifiers: ${p.modifiers || 'N/A'} | Units: ${units}${p.billableUnits != null && p.billableUnits < units ? ` (${p.billableUnits} priced, MUE)` : ''}\n` +
+               `Allowed: $${Number(p.allowedAmount||0).toFixed(2)}${formatUnitPricing(p)}` +
+               `${afterMods != null && Number(afterMods).toFixed(2) !== lineAllowed ? ` → after modifiers $${Number(afterMods).toFixed(2)}` : ''}` +
+               `${usedAllowed != null && Number(usedAllowed).toFixed(2) !== Number(afterMods || 0).toFixed(2) ? ` → used $${Number(usedAllowed).toFixed(2)}` : ''}` +
+               ` | Patient Owes: $${p.totalPatientResponsibility.toFixed(2)}` +
+               ` | Plan Pays: $${p.planPaid.toFixed(2)} | Adj.: $${p.contractualAdjustment.toFixed(2)}` +
+               `${p.balanceBillingExposure > 0 ? ` + up to $${p.balanceBillingExposure.toFixed(2)} balance billing` : ''}` +
+               `${p.cob ? `\nPrimary Paid: $${p.cob.primaryPaid.toFixed(2)} | Secondary Paid: $${p.cob.secondaryPaid.toFixed(2)} | Patient Owes After Secondary: $${p.cob.patientResponsibility.toFixed(2)}` : ''}` +
+               `${p.appliedModifierRules?.length > 0 ? `\nModifier rules: ${describeModifierRules(p.appliedModifierRules)}` : ''}` +
+               `${describeFeeOverrides(p) ? `\nManual override: ${describeFeeOverrides(p)}` : ''}`;
 
             const header = [{ 
                 content: headerContent,
@@ -790,16 +1881,29 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
         // --- LOGIC NOTE (AFTER DETAILS) ---
         doc.setFontSize(9).setFont("helvetica", "bold").setTextColor(textColor).text("Calculation Logic Applied", margin, currentY);
         doc.setFont("helvetica", "normal").setFontSize(8).setTextColor(lightTextColor);
-        const logicText = doc.splitTextToSize(copayLogicDescriptions[data.benefits.copayLogic], pageW - (margin * 2));
+        const logicText = doc.splitTextToSize(`${copayLogicDescriptions[data.benefits.copayLogic]} ${describeSequencing(data.sequencing).description}`, pageW - (margin * 2));
         doc.text(logicText, margin, currentY + 4);
-        currentY =  currentY + 15;
+        currentY =  currentY + 7 + logicText.length * 4;
         
         // --- FINAL ACCUMULATORS ---
-        currentY = drawSectionTitle("Updated Accumulator Status", currentY);
-        const finalAccData = [['Patient Deductible Met', `$${(Number(data.finalAccumulators.patient.deductibleMet) || 0).toFixed(2)}`], ['Patient OOP Met', `$${(Number(data.finalAccumulators.patient.oopMet) || 0).toFixed(2)}`]];
+        currentY = drawSectionTitle(isEpisode ? "Accumulator Status After the Last Visit" : isFamily ? "Accumulator Status After All Members" : "Updated Accumulator Status", currentY);
+        // Family estimates list each member's individual accumulators.
+        const patientAccRows = (accsOf, prefix) => (isFamily ? data.members.map(m => [m.name, accsOf(m)]) : [['Patient', accsOf(data)]])
+            .flatMap(([name, accs]) => [[`${prefix}${name} Deductible Met`, `$${(Number(accs.deductibleMet) || 0).toFixed(2)}`], [`${prefix}${name} OOP Met`, `$${(Number(accs.oopMet) || 0).toFixed(2)}`]]);
+        const finalAccData = patientAccRows(r => r.finalAccumulators.patient, '');
         if (data.finalAccumulators.family) {
              finalAccData.push(['Family Deductible Met', `$${(Number(data.finalAccumulators.family.deductibleMet) || 0).toFixed(2)}`], ['Family OOP Met', `$${(Number(data.finalAccumulators.family.oopMet) || 0).toFixed(2)}`]);
         }
+        if (hasOutOfNetwork) {
+            const oon = data.finalAccumulators.outOfNetwork;
+            finalAccData.push(...patientAccRows(r => r.finalAccumulators.outOfNetwork.patient, 'OON '));
+            if (oon.family) {
+                finalAccData.push(['OON Family Deductible Met', `$${(Number(oon.family.deductibleMet) || 0).toFixed(2)}`], ['OON Family OOP Met', `$${(Number(oon.family.oopMet) || 0).toFixed(2)}`]);
+            }
+        }
+        if (cob && cob.method !== 'medicaid') {
+            finalAccData.push(['Secondary Deductible Met', `$${(Number(cob.finalSecondaryAccumulators.deductibleMet) || 0).toFixed(2)}`], ['Secondary OOP Met', `$${(Number(cob.finalSecondaryAccumulators.oopMet) || 0).toFixed(2)}`]);
+        }
         doc.autoTable({ 
             body: finalAccData, startY: currentY, theme: 'plain', styles: { fontSize: 10 },
             columnStyles: { 0: { fontStyle: 'bold', textColor: textColor }, 1: { halign: 'right' } }
@@ -826,20 +1930,202 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
         doc.save(`GoodFaithEstimate_${data.patientId}_${new Date().toISOString().slice(0,10)}.pdf`);
     };
 
+    if (isSelfPay) {
+        const { gfe } = data.metaData;
+        return (
+            <div className="space-y-8">
+                <div className="text-center"> <h2 className="text-3xl font-bold text-gray-800">Good Faith Estimate Complete</h2> <p className="text-gray-500 mt-1">Self-pay estimate for an uninsured or self-pay patient.</p> </div>
+                <RevisionBanner revision={data.revision} />
+                <div className="bg-white p-8 rounded-xl shadow-2xl border border-gray-200/80 text-center max-w-lg mx-auto">
+                    <p className="text-lg text-gray-600">Total Estimated Cost</p>
+                    <p className="text-6xl font-extrabold text-blue-600 tracking-tight my-2">${data.totalPatientResponsibility.toFixed(2)}</p>
+                </div>
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4">Estimate Context</h3>
+                    <div className="grid grid-cols-2 gap-4 text-sm">
+                        <div><strong>Patient:</strong> {data.metaData.patient.name} (DOB {formatDate(data.metaData.patient.dob)})</div>
+                        <div><strong>Expected Service Dates:</strong> {formatDate(data.metaData.service.date)}{gfe.serviceDateEnd && ` to ${formatDate(gfe.serviceDateEnd)}`}</div>
+                        <div className="col-span-2"><strong>Convening Provider:</strong> {gfe.convening.name} (NPI {gfe.convening.npi}, TIN {gfe.convening.tin})</div>
+                    </div>
+                </div>
+                {data.providerTotals.map(party => (
+                    <div key={party.key} className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                        <div className="flex justify-between items-baseline mb-2">
+                            <h3 className="text-lg font-semibold text-gray-800">{party.role}: {party.name || 'N/A'}</h3>
+                            <p className="font-semibold text-blue-700">${party.total.toFixed(2)}</p>
+                        </div>
+                        <p className="text-sm text-gray-500 mb-4">NPI: {party.npi || 'N/A'} | TIN: {party.tin || 'N/A'}{party.address && ` | ${party.address}`}</p>
+                        <table className="w-full text-sm">
+                            <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-3 font-semibold">Service Code</th><th className="p-3 font-semibold">Service / Item</th><th className="p-3 font-semibold">Diagnosis</th><th className="p-3 font-semibold">Qty</th><th className="p-3 font-semibold">Expected Cost</th><th className="p-3 font-semibold">Notes</th></tr></thead>
+                            <tbody>
+                                {data.procedureEstimates.filter(p => p.renderedBy === party.key).map((p, idx) => (
+                                    <tr key={idx} className="border-t">
+                                        <td className="p-3">{p.cptCode}{p.modifiers && `-${p.modifiers}`}</td>
+                                        <td className="p-3">{p.description}{describeFeeOverrides(p) && <span className="block text-xs text-yellow-700">Manual override: {describeFeeOverrides(p)}</span>}</td>
+                                        <td className="p-3">{p.dxCode}{p.dxDescription && <span className="text-gray-500"> – {p.dxDescription}</span>}</td>
+                                        <td className="p-3">{p.billableUnits ?? p.units ?? 1}</td>
+                                        <td className="p-3 font-mono">${p.totalPatientResponsibility.toFixed(2)}</td>
+                                        <td className="p-3 text-gray-500">{p.calculationBreakdown.map(step => step.notes).join(' ')}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                ))}
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80 space-y-2">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-2">Patient Rights Notice</h3>
+                    <p className="text-sm text-gray-600 bg-yellow-50 p-3 rounded-md border border-yellow-200">
+                        <AlertTriangle className="h-4 w-4 inline-block mr-2 text-yellow-700" />
+                        Billed charges ${data.disputeThreshold} or more above a provider's or facility's total on this estimate qualify for patient-provider dispute resolution. The PDF includes the full notice.
+                    </p>
+                    <p className="text-sm text-gray-600">{GFE_RETENTION_NOTE}</p>
+                </div>
+                <div className="flex justify-between items-center pt-4">
+                    <button onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
+                    <div className="flex items-center space-x-3">
+                        <button onClick={exportFhirBundle} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><FileText className="h-5 w-5" /><span>Export FHIR Bundle</span></button>
+                        <button onClick={generatePDF} disabled={!scriptsLoaded} className="flex items-center space-x-2 bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-green-700 transition transform hover:scale-105 disabled:bg-gray-400 disabled:cursor-not-allowed disabled:scale-100">
+                            {scriptsLoaded ? <FileDown className="h-5 w-5" /> : <Loader className="h-5 w-5 animate-spin" />}
+                            <span>{scriptsLoaded ? 'Download PDF' : 'Loading...'}</span>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
     return (
         <div className="space-y-8">
             <div className="text-center"> <h2 className="text-3xl font-bold text-gray-800">Calculation Complete</h2> <p className="text-gray-500 mt-1">Review the estimated patient responsibility below.</p> </div>
-            <div className="bg-white p-8 rounded-xl shadow-2xl border border-gray-200/80 text-center max-w-lg mx-auto"> <p className="text-lg text-gray-600">Total Estimated Patient Responsibility</p> <p className="text-6xl font-extrabold text-blue-600 tracking-tight my-2">${data.totalPatientResponsibility.toFixed(2)}</p> </div>
+            <RevisionBanner revision={data.revision} />
+            <div className="bg-white p-8 rounded-xl shadow-2xl border border-gray-200/80 text-center max-w-lg mx-auto">
+                <p className="text-lg text-gray-600">Total Estimated Patient Responsibility</p>
+                <p className="text-6xl font-extrabold text-blue-600 tracking-tight my-2">${finalPatientResponsibility.toFixed(2)}</p>
+                {data.range && <p className="text-sm font-semibold text-gray-700">Most likely · Range ${data.range.low.toFixed(2)} – ${data.range.high.toFixed(2)}{cob && ' before secondary'}</p>}
+                {data.paymentTotals && (
+                    <div className="grid grid-cols-3 gap-2 mt-4 text-sm">
+                        <div className="bg-blue-50 rounded-lg p-2"><p className="text-blue-800 font-semibold">Plan Pays</p><p className="text-lg font-bold text-blue-900">${data.paymentTotals.planPaid.toFixed(2)}</p></div>
+                        <div className="bg-gray-100 rounded-lg p-2"><p className="text-gray-700 font-semibold">Contractual Adj.</p><p className="text-lg font-bold text-gray-800">${data.paymentTotals.contractualAdjustment.toFixed(2)}</p></div>
+                        <div className="bg-green-50 rounded-lg p-2"><p className="text-green-800 font-semibold">Patient Share</p><p className="text-lg font-bold text-green-900">${data.paymentTotals.patientShare.toFixed(2)}</p></div>
+                        <p className="col-span-3 text-xs text-gray-500">Of ${data.paymentTotals.billed.toFixed(2)} billed{data.paymentTotals.balanceBilling > 0 && `, including $${data.paymentTotals.balanceBilling.toFixed(2)} possible balance billing`}.</p>
+                    </div>
+                )}
+                {cob && <p className="text-sm text-gray-500">Primary paid ${cob.primaryPaid.toFixed(2)} | {cob.payerName} paid ${cob.secondaryPaid.toFixed(2)} ({cobMethodLabel}){cob.writeOff > 0 && ` | Written off $${cob.writeOff.toFixed(2)}`}</p>}
+                {hasOutOfNetwork && <p className="text-sm text-gray-500">In-network ${data.tierTotals.inNetwork.toFixed(2)} | Out-of-network ${data.tierTotals.outOfNetwork.toFixed(2)}</p>}
+                {data.totalBalanceBillingExposure > 0 && <p className="text-sm font-semibold text-orange-700 mt-2"><AlertTriangle className="h-4 w-4 inline-block mr-1" />Plus up to ${data.totalBalanceBillingExposure.toFixed(2)} in possible out-of-network balance billing</p>}
+            </div>
              <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
                 <h3 className="text-xl font-semibold text-gray-800 mb-4">Estimate Context</h3>
                 <div className="grid grid-cols-2 gap-4 text-sm">
-                    <div><strong>Patient:</strong> {data.metaData.patient.name} ({data.metaData.patient.memberId})</div>
+                    {isFamily ? (
+                        <div><strong>Family:</strong> {data.members.map(m => m.name).join(', ')}</div>
+                    ) : (
+                        <div><strong>Patient:</strong> {data.metaData.patient.name} ({data.metaData.patient.memberId})</div>
+                    )}
                     <div><strong>Provider:</strong> {data.metaData.provider.name}</div>
-                    <div><strong>Service Date:</strong> {formatDate(data.metaData.service.date)}</div>
+                    {isEpisode ? (
+                        <div><strong>Episode:</strong> {data.visits.length} visit{data.visits.length === 1 ? '' : 's'}, {formatDate(data.visits[0].date)} – {formatDate(data.visits[data.visits.length - 1].date)}</div>
+                    ) : (
+                        <div><strong>Service Date:</strong> {formatDate(data.metaData.service.date)}</div>
+                    )}
                     <div><strong>Practice:</strong> {data.metaData.practice.name}</div>
-                     <div className="col-span-2"><strong>Insurance:</strong> {data.metaData.insurance.name}</div>
+                     <div className="col-span-2"><strong>Insurance:</strong> {data.metaData.insurance.name}{data.metaData.insurance.planName && ` – ${data.metaData.insurance.planName}`}{cob && ` (primary); ${cob.payerName} (secondary)`}</div>
+                     {data.metaData.insurance.planYearStart && <div className="col-span-2"><strong>Plan Year:</strong> {formatDate(data.metaData.insurance.planYearStart)} – {formatDate(data.metaData.insurance.planYearEnd)}</div>}
                 </div>
             </div>
+            {isEpisode && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4">Treatment Plan Visits</h3>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-3 font-semibold">Visit</th><th className="p-3 font-semibold">Date</th><th className="p-3 font-semibold text-right">Plan Pays</th><th className="p-3 font-semibold text-right">Patient Owes</th><th className="p-3 font-semibold text-right">Ded. Met After</th><th className="p-3 font-semibold text-right">OOP Met After</th></tr></thead>
+                        <tbody>
+                            {data.visits.map(v => (
+                                <tr key={v.visitId} className="border-t">
+                                    <td className="p-3">
+                                        {v.label}
+                                        {v.planYearReset && <span className="ml-2 text-xs font-semibold rounded px-2 py-0.5 bg-blue-100 text-blue-800">New plan year</span>}
+                                        {v.nonCoveredTotal > 0 && <span className="ml-2 text-xs font-semibold rounded px-2 py-0.5 bg-orange-100 text-orange-800">Visit limit reached</span>}
+                                    </td>
+                                    <td className="p-3">{formatDate(v.date)}</td>
+                                    <td className="p-3 text-right font-mono">${v.paymentTotals.planPaid.toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono font-semibold">${v.totalPatientResponsibility.toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono">${visitAccumulator(v, 'deductibleMet').toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono">${visitAccumulator(v, 'oopMet').toFixed(2)}</td>
+                                </tr>
+                            ))}
+                            <tr className="border-t bg-gray-50 font-semibold"><td className="p-3" colSpan="2">Episode Total</td><td className="p-3 text-right font-mono">${data.paymentTotals.planPaid.toFixed(2)}</td><td className="p-3 text-right font-mono">${data.totalPatientResponsibility.toFixed(2)}</td><td colSpan="2"></td></tr>
+                        </tbody>
+                    </table>
+                    {data.nonCoveredTotal > 0 && <p className="text-sm text-orange-700 mt-3"><AlertTriangle className="h-4 w-4 inline-block mr-1" />Includes ${data.nonCoveredTotal.toFixed(2)} for visits over the plan's visit limit, which the plan does not cover.</p>}
+                </div>
+            )}
+            {data.range && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4">Estimate Range</h3>
+                    <div className="grid grid-cols-3 gap-4 text-center mb-4">
+                        <div className="bg-green-50 p-4 rounded-lg"><p className="text-sm text-green-800 font-semibold">Best Case</p><p className="text-2xl font-bold text-green-900">${data.range.low.toFixed(2)}</p></div>
+                        <div className="bg-blue-50 p-4 rounded-lg"><p className="text-sm text-blue-800 font-semibold">Most Likely</p><p className="text-2xl font-bold text-blue-900">${data.range.likely.toFixed(2)}</p></div>
+                        <div className="bg-orange-50 p-4 rounded-lg"><p className="text-sm text-orange-800 font-semibold">Worst Case</p><p className="text-2xl font-bold text-orange-900">${data.range.high.toFixed(2)}</p></div>
+                    </div>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-3 font-semibold">Procedure</th><th className="p-3 font-semibold text-right">Best Case</th><th className="p-3 font-semibold text-right">Most Likely</th><th className="p-3 font-semibold text-right">Worst Case</th></tr></thead>
+                        <tbody>
+                            {data.range.lines.map(l => (
+                                <tr key={l.id} className="border-t">
+                                    <td className="p-3">{l.cptCode}{l.isOptional && <span className="ml-2 text-xs font-semibold rounded px-2 py-0.5 bg-gray-100 text-gray-700">Possible</span>}</td>
+                                    <td className="p-3 text-right font-mono">${l.low.toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono">${l.likely.toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono">${l.high.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                    <p className="text-sm text-gray-500 mt-3"><Info className="h-4 w-4 inline-block mr-1" />Each case is estimated as a whole, so the deductible and OOP max limit it; a line can cost less in the worst case when another line has already met them. Possible services are only in the worst case and are not in the breakdown below.{data.range.highBalanceBillingExposure > data.totalBalanceBillingExposure && ` Out-of-network balance billing could reach $${data.range.highBalanceBillingExposure.toFixed(2)} in the worst case.`}</p>
+                </div>
+            )}
+            {data.scenario && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-2">Scenario: {data.scenario.label}</h3>
+                    <p className="text-sm text-gray-500 mb-4">Chosen from a comparison. The same services under the other scenarios, which the PDF lists as alternatives:</p>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-3 font-semibold">Alternative</th><th className="p-3 font-semibold text-right">Patient Owes</th><th className="p-3 font-semibold text-right">Difference</th></tr></thead>
+                        <tbody>
+                            {data.scenario.alternatives.map((a, index) => (
+                                <tr key={index} className="border-t">
+                                    <td className="p-3">{a.label}</td>
+                                    <td className="p-3 text-right font-mono">${a.totalPatientResponsibility.toFixed(2)}</td>
+                                    <td className={`p-3 text-right font-mono ${a.difference > 0 ? 'text-orange-700' : a.difference < 0 ? 'text-green-700' : 'text-gray-500'}`}>{a.difference > 0 ? '+' : a.difference < 0 ? '−' : ''}${Math.abs(a.difference).toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {isFamily && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-xl font-semibold text-gray-800 mb-4">Family Members</h3>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-3 font-semibold">Member</th><th className="p-3 font-semibold">Member ID</th><th className="p-3 font-semibold text-right">Plan Pays</th><th className="p-3 font-semibold text-right">Patient Owes</th><th className="p-3 font-semibold text-right">Ded. Met After</th><th className="p-3 font-semibold text-right">OOP Met After</th></tr></thead>
+                        <tbody>
+                            {data.members.map(m => (
+                                <tr key={m.familyMemberId} className="border-t">
+                                    <td className="p-3">
+                                        <span className="mr-2 text-xs font-bold text-red-600 bg-red-100 rounded-full px-2 py-0.5">{m.processingOrder}</span>
+                                        {m.name}
+                                    </td>
+                                    <td className="p-3">{m.metaData.patient.memberId}</td>
+                                    <td className="p-3 text-right font-mono">${m.paymentTotals.planPaid.toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono font-semibold">${m.totalPatientResponsibility.toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono">${(Number(m.finalAccumulators.patient.deductibleMet) || 0).toFixed(2)}</td>
+                                    <td className="p-3 text-right font-mono">${(Number(m.finalAccumulators.patient.oopMet) || 0).toFixed(2)}</td>
+                                </tr>
+                            ))}
+                            <tr className="border-t bg-gray-50 font-semibold"><td className="p-3" colSpan="2">Family Total</td><td className="p-3 text-right font-mono">${data.paymentTotals.planPaid.toFixed(2)}</td><td className="p-3 text-right font-mono">${data.totalPatientResponsibility.toFixed(2)}</td><td colSpan="2"></td></tr>
+                        </tbody>
+                    </table>
+                    <p className="text-sm text-gray-500 mt-3"><Info className="h-4 w-4 inline-block mr-1" />Members were processed {processingOrderLabel.toLowerCase()}, in the order numbered; each started from the family deductible and OOP met by the members before them.</p>
+                </div>
+            )}
             <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80"> 
                 <h3 className="text-xl font-semibold text-gray-800 mb-2">Calculation Logic Used</h3> 
                 <p className="text-sm text-gray-600 bg-blue-50 p-3 rounded-md border border-blue-200">
@@ -851,7 +2137,7 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
                 <h3 className="text-xl font-semibold text-gray-800 mb-2">Detailed Breakdown</h3>
                 <div className="text-sm text-gray-600 bg-yellow-50 p-3 rounded-md border border-yellow-200 mb-4">
                      <Info className="h-4 w-4 inline-block mr-2 text-yellow-700" />
-                    Note: For accuracy, procedures are calculated in order from the highest allowed amount to the lowest. The number in the red circle indicates the calculation order.
+                    Note: {describeSequencing(data.sequencing).description} The number in the red circle indicates the calculation order.
                 </div>
                 <div className="space-y-6">
                     {data.procedureEstimates.map((p, idx) => (
@@ -861,16 +2147,31 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
                                     <h4 className="font-bold text-gray-700 flex items-center">
                                         {p.isPreventive && <ShieldCheck className="h-5 w-5 text-green-600 mr-2"/>}
                                         Procedure: {p.cptCode}
+                                        {p.serviceCategory && <span className="ml-2 text-xs font-medium text-gray-500">({getServiceCategoryLabel(p.serviceCategory)})</span>}
+                                        {p.visitDate && <span className="ml-2 text-xs font-medium text-gray-500">{visitLabel(p.visitId)} · {formatDate(p.visitDate)}</span>}
+                                        {p.familyMemberId && <span className="ml-2 text-xs font-medium text-gray-500">{memberName(p.familyMemberId)}</span>}
+                                        {SEQUENCING_FIELDS[data.sequencing] === 'serviceDateTime' && p.serviceDateTime && <span className="ml-2 text-xs font-medium text-gray-500">{p.serviceDateTime.replace('T', ' ')}</span>}
+                                        {SEQUENCING_FIELDS[data.sequencing] === 'claimType' && <span className="ml-2 text-xs font-medium text-gray-500">{p.claimType === 'facility' ? 'Facility' : 'Professional'}</span>}
+                                        {p.network === 'out' && <span className={`ml-2 text-xs font-semibold rounded px-2 py-0.5 ${p.nsaProtection ? 'bg-green-100 text-green-800' : 'bg-orange-100 text-orange-800'}`}>{p.nsaProtection ? 'OON – NSA protected' : 'Out-of-Network'}</span>}
                                         {!p.isPreventive && p.calculationRank && <span className="ml-2 text-xs font-bold text-red-600 bg-red-100 rounded-full h-5 w-5 flex items-center justify-center">{p.calculationRank}</span>}
                                     </h4> 
                                     <p className="text-sm text-gray-500">
-                                        DX: {p.dxCode || 'N/A'} | Modifiers: {p.modifiers || 'N/A'} | Billed: ${Number(p.billedAmount||0).toFixed(2)}
-                                        {` | Allowed (base): $${Number(p.allowedAmount||0).toFixed(2)}`}
-                                        {p.modifiedAllowedAmount != null && Number(p.modifiedAllowedAmount).toFixed(2) !== Number(p.allowedAmount||0).toFixed(2) && ` → after modifiers $${Number(p.modifiedAllowedAmount).toFixed(2)}`}
+                                        DX: {p.dxCode || 'N/A'} | Modifiers: {p.modifiers || 'N/A'} | Units: {p.units ?? 1}{p.billableUnits != null && p.billableUnits < (p.units ?? 1) && ` (${p.billableUnits} priced, MUE)`} | Billed: ${Number(p.billedAmount||0).toFixed(2)}
+                                        {` | Allowed (base): $${Number(p.allowedAmount||0).toFixed(2)}${formatUnitPricing(p)}`}
+                                        {p.modifiedAllowedAmount != null && Number(p.modifiedAllowedAmount).toFixed(2) !== Number((p.lineAllowedAmount ?? p.allowedAmount)||0).toFixed(2) && ` → after modifiers $${Number(p.modifiedAllowedAmount).toFixed(2)}`}
                                         {p.finalAllowedAmount != null && Number(p.finalAllowedAmount).toFixed(2) !== Number((p.modifiedAllowedAmount ?? p.allowedAmount) || 0).toFixed(2) && ` → used $${Number(p.finalAllowedAmount).toFixed(2)}`}
                                     </p>
+                                    {p.appliedModifierRules?.length > 0 && <p className="text-xs text-gray-500 mt-1">Modifier rules: {describeModifierRules(p.appliedModifierRules)}</p>}
+                                    {describeFeeOverrides(p) && <p className="text-xs text-yellow-700 mt-1">Manual override: {describeFeeOverrides(p)}</p>}
+                                    {p.publishedRates?.min != null && <p className="text-xs text-gray-500 mt-1">Published negotiated rates for {p.cptCode}: ${p.publishedRates.min.toFixed(2)} – ${p.publishedRates.max.toFixed(2)} per unit across {p.publishedRates.fileCount} price transparency file{p.publishedRates.fileCount === 1 ? '' : 's'} (all payers, de-identified)</p>}
+                                </div>
+                                <div className="text-right">
+                                    <p className={`font-semibold mt-1 ${p.isPreventive ? 'text-green-700' : 'text-blue-700'}`}>Patient Owes: ${p.totalPatientResponsibility.toFixed(2)}</p>
+                                    {p.balanceBillingExposure > 0 && <p className="text-sm text-orange-700">+ up to ${p.balanceBillingExposure.toFixed(2)} balance billing</p>}
+                                    {p.planPaid != null && <p className="text-sm text-gray-500">Billed ${p.lineBilledAmount.toFixed(2)} = Plan ${p.planPaid.toFixed(2)} + Adj. ${p.contractualAdjustment.toFixed(2)} + Patient ${p.totalPatientResponsibility.toFixed(2)}{p.balanceBillingExposure > 0 && ` + Balance ${p.balanceBillingExposure.toFixed(2)}`}</p>}
+                                    {p.cob && <p className="text-sm text-gray-500">Primary paid ${p.cob.primaryPaid.toFixed(2)} | Secondary paid ${p.cob.secondaryPaid.toFixed(2)}</p>}
+                                    {p.cob && <p className="text-sm font-semibold text-blue-900">After secondary: ${p.cob.patientResponsibility.toFixed(2)}</p>}
                                 </div>
-                                <div className="text-right"> <p className={`font-semibold mt-1 ${p.isPreventive ? 'text-green-700' : 'text-blue-700'}`}>Patient Owes: ${p.totalPatientResponsibility.toFixed(2)}</p> </div>
                             </div>
                             <table className="w-full text-sm">
                                 <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-3 font-semibold">Cost Component</th><th className="p-3 font-semibold">Patient Pays</th><th className="p-3 font-semibold">Notes</th></tr></thead>
@@ -884,34 +2185,61 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
                 </div>
             </div>
              <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
-                <h3 className="text-xl font-semibold text-gray-800 mb-4">Final Accumulators</h3>
+                <h3 className="text-xl font-semibold text-gray-800 mb-4">{isEpisode ? 'Accumulators After the Last Visit' : isFamily ? 'Family Accumulators After All Members' : 'Final Accumulators'}</h3>
                  {(() => {
                    const pt = data.benefits.planType;
                    const showPatient = pt !== 'AggregateFamily';
                    const showFamily  = pt !== 'Individual' && !!data.finalAccumulators.family;
-                   return (
+                   const renderTier = (accs, prefix) => (
                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
-                       {showPatient && (
+                       {showPatient && accs.patient && (
                          <>
                            <div className="bg-blue-50 p-4 rounded-lg">
-                             <p className="text-sm text-blue-800 font-semibold">Patient Ded Met</p>
-                             <p className="text-2xl font-bold text-blue-900">${(Number(data.finalAccumulators.patient.deductibleMet)||0).toFixed(2)}</p>
+                             <p className="text-sm text-blue-800 font-semibold">{prefix}Patient Ded Met</p>
+                             <p className="text-2xl font-bold text-blue-900">${(Number(accs.patient.deductibleMet)||0).toFixed(2)}</p>
                            </div>
                            <div className="bg-blue-50 p-4 rounded-lg">
-                             <p className="text-sm text-blue-800 font-semibold">Patient OOP Met</p>
-                             <p className="text-2xl font-bold text-blue-900">${(Number(data.finalAccumulators.patient.oopMet)||0).toFixed(2)}</p>
+                             <p className="text-sm text-blue-800 font-semibold">{prefix}Patient OOP Met</p>
+                             <p className="text-2xl font-bold text-blue-900">${(Number(accs.patient.oopMet)||0).toFixed(2)}</p>
                            </div>
                          </>
                        )}
-                       {showFamily && (
+                       {showFamily && accs.family && (
                          <>
                            <div className="bg-green-50 p-4 rounded-lg">
-                             <p className="text-sm text-green-800 font-semibold">Family Ded Met</p>
-                             <p className="text-2xl font-bold text-green-900">${(Number(data.finalAccumulators.family.deductibleMet)||0).toFixed(2)}</p>
+                             <p className="text-sm text-green-800 font-semibold">{prefix}Family Ded Met</p>
+                             <p className="text-2xl font-bold text-green-900">${(Number(accs.family.deductibleMet)||0).toFixed(2)}</p>
                            </div>
                            <div className="bg-green-50 p-4 rounded-lg">
-                             <p className="text-sm text-green-800 font-semibold">Family OOP Met</p>
-                             <p className="text-2xl font-bold text-green-900">${(Number(data.finalAccumulators.family.oopMet)||0).toFixed(2)}</p>
+                             <p className="text-sm text-green-800 font-semibold">{prefix}Family OOP Met</p>
+                             <p className="text-2xl font-bold text-green-900">${(Number(accs.family.oopMet)||0).toFixed(2)}</p>
+                           </div>
+                         </>
+                       )}
+                     </div>
+                   );
+                   return (
+                     <div className="space-y-4">
+                       {hasOutOfNetwork && <p className="text-sm font-semibold text-gray-600">In-Network</p>}
+                       {renderTier(data.finalAccumulators, '')}
+                       {hasOutOfNetwork && (
+                         <>
+                           <p className="text-sm font-semibold text-gray-600">Out-of-Network</p>
+                           {renderTier(data.finalAccumulators.outOfNetwork, 'OON ')}
+                         </>
+                       )}
+                       {cob && cob.method !== 'medicaid' && (
+                         <>
+                           <p className="text-sm font-semibold text-gray-600">Secondary ({cob.payerName})</p>
+                           <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-center">
+                             <div className="bg-purple-50 p-4 rounded-lg">
+                               <p className="text-sm text-purple-800 font-semibold">Secondary Ded Met</p>
+                               <p className="text-2xl font-bold text-purple-900">${(Number(cob.finalSecondaryAccumulators.deductibleMet)||0).toFixed(2)}</p>
+                             </div>
+                             <div className="bg-purple-50 p-4 rounded-lg">
+                               <p className="text-sm text-purple-800 font-semibold">Secondary OOP Met</p>
+                               <p className="text-2xl font-bold text-purple-900">${(Number(cob.finalSecondaryAccumulators.oopMet)||0).toFixed(2)}</p>
+                             </div>
                            </div>
                          </>
                        )}
@@ -921,10 +2249,622 @@ const EstimateResults = ({ data, setPage, scriptsLoaded }) => {
             </div>
             <div className="flex justify-between items-center pt-4">
                  <button onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
-                <button onClick={generatePDF} disabled={!scriptsLoaded} className="flex items-center space-x-2 bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-green-700 transition transform hover:scale-105 disabled:bg-gray-400 disabled:cursor-not-allowed disabled:scale-100">
-                    {scriptsLoaded ? <FileDown className="h-5 w-5" /> : <Loader className="h-5 w-5 animate-spin" />}
-                    <span>{scriptsLoaded ? 'Download PDF' : 'Loading...'}</span>
-                </button>
+                <div className="flex items-center space-x-3">
+                    <button onClick={exportFhirBundle} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><FileText className="h-5 w-5" /><span>Export FHIR Bundle</span></button>
+                    <button onClick={generatePDF} disabled={!scriptsLoaded} className="flex items-center space-x-2 bg-green-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-green-700 transition transform hover:scale-105 disabled:bg-gray-400 disabled:cursor-not-allowed disabled:scale-100">
+                        {scriptsLoaded ? <FileDown className="h-5 w-5" /> : <Loader className="h-5 w-5 animate-spin" />}
+                        <span>{scriptsLoaded ? 'Download PDF' : 'Loading...'}</span>
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- PAGE 3: BILLING RULES ADMIN (modifier rules & MUE limits) ---
+const BillingRulesPage = ({ setPage, showModal }) => {
+    const [store, setStore] = useState(loadModifierOverrides);
+    const [payer, setPayer] = useState(ALL_PAYERS_KEY);
+    const [newCode, setNewCode] = useState('');
+    const [mueSettings, setMueSettings] = useState(loadMueSettings);
+    const [newMue, setNewMue] = useState({ code: '', limit: '' });
+    const [revisionSettings, setRevisionSettings] = useState(loadRevisionSettings);
+
+    const payerOverrides = store[payer] || {};
+    const rules = useMemo(() => resolveModifierRules(getPayerModifierOverrides(store, payer)), [store, payer]);
+
+    const updateRule = (code, field, value) => {
+        setStore(prev => ({
+            ...prev,
+            [payer]: { ...(prev[payer] || {}), [code]: { ...((prev[payer] || {})[code] || {}), [field]: value } }
+        }));
+    };
+    const resetRule = (code) => {
+        setStore(prev => {
+            const { [code]: _removed, ...rest } = prev[payer] || {};
+            return { ...prev, [payer]: rest };
+        });
+    };
+    const addRule = () => {
+        const code = newCode.trim().toUpperCase();
+        if (!code) return;
+        if (rules[code]) { showModal('Modifier Exists', `Modifier ${code} is already in the table. Edit its row instead.`); return; }
+        updateRule(code, 'adjustsPrice', false);
+        setNewCode('');
+    };
+    const updateMueLimit = (code, limit) => setMueSettings(prev => ({ ...prev, limits: { ...prev.limits, [code]: limit } }));
+    const removeMueLimit = (code) => setMueSettings(prev => {
+        const { [code]: _removed, ...rest } = prev.limits;
+        return { ...prev, limits: rest };
+    });
+    const addMueLimit = () => {
+        const code = newMue.code.trim().toUpperCase();
+        if (!code || !(Number(newMue.limit) > 0)) { showModal('Missing Information', 'Enter a CPT/HCPCS code and a unit limit of at least 1.'); return; }
+        updateMueLimit(code, Number(newMue.limit));
+        setNewMue({ code: '', limit: '' });
+    };
+    const handleSave = () => {
+        saveModifierOverrides(store);
+        saveMueSettings(mueSettings);
+        saveRevisionSettings({ varianceThreshold: Number(revisionSettings.varianceThreshold) || 0 });
+        showModal('Billing Rules Saved', `Modifier rules for ${payer === ALL_PAYERS_KEY ? 'all payers' : payer}, MUE limits and the revision threshold will be used for new estimates.`);
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4 flex items-center space-x-2"><Settings className="text-blue-600" /><span>Modifier Rules</span></h3>
+                <div className="flex flex-col space-y-1 max-w-md mb-4">
+                    <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>Payer</span> <InfoTooltip text="Rules for a specific payer override the all-payer rules, which override the built-in defaults." /></label>
+                    <select value={payer} onChange={e => setPayer(e.target.value)} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                        <option value={ALL_PAYERS_KEY}>All Payers</option>
+                        {INSURANCE_PAYERS.map(p => <option key={p} value={p}>{p}</option>)}
+                    </select>
+                </div>
+                <table className="w-full text-sm">
+                    <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">Modifier</th><th className="p-2 font-semibold">Description</th><th className="p-2 font-semibold">Adjusts Price</th><th className="p-2 font-semibold">Factor</th><th className="p-2 font-semibold">Stacking</th><th className="p-2 font-semibold">Group</th><th className="p-2 font-semibold">Source</th><th className="p-2"></th></tr></thead>
+                    <tbody>
+                        {Object.values(rules).map(rule => (
+                            <tr key={rule.code} className="border-t">
+                                <td className="p-2 font-mono font-semibold">{rule.code}</td>
+                                <td className="p-2">{rule.label}</td>
+                                <td className="p-2"><input type="checkbox" checked={!!rule.adjustsPrice} onChange={e => updateRule(rule.code, 'adjustsPrice', e.target.checked)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" /></td>
+                                <td className="p-2"><input type="number" step="0.001" value={rule.factor ?? ''} disabled={!rule.adjustsPrice} onChange={e => updateRule(rule.code, 'factor', e.target.value)} className="p-1 w-24 border border-gray-300 rounded-md disabled:bg-gray-100" /></td>
+                                <td className="p-2">
+                                    <select value={rule.stacking || 'multiply'} disabled={!rule.adjustsPrice} onChange={e => updateRule(rule.code, 'stacking', e.target.value)} className="p-1 border border-gray-300 rounded-md disabled:bg-gray-100">
+                                        {MODIFIER_STACKING.map(s => <option key={s} value={s}>{s}</option>)}
+                                    </select>
+                                </td>
+                                <td className="p-2"><input value={rule.group || ''} disabled={rule.stacking !== 'exclusive'} onChange={e => updateRule(rule.code, 'group', e.target.value)} className="p-1 w-24 border border-gray-300 rounded-md disabled:bg-gray-100" /></td>
+                                <td className="p-2 text-gray-500">{payerOverrides[rule.code] ? 'This payer' : rule.source === 'payer' ? 'All payers' : 'Default'}</td>
+                                <td className="p-2">{payerOverrides[rule.code] && <button type="button" onClick={() => resetRule(rule.code)} className="text-xs text-blue-600 hover:text-blue-800">Reset</button>}</td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+                <div className="flex items-end space-x-3 mt-4">
+                    <InputField label="Add Modifier" value={newCode} onChange={e => setNewCode(e.target.value)} placeholder="e.g., GY" />
+                    <button type="button" onClick={addRule} className="flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition pb-2"><PlusCircle className="h-5 w-5" /><span>Add</span></button>
+                </div>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Medically Unlikely Edit (MUE) Limits</h3>
+                <div className="flex flex-col space-y-1 max-w-md mb-4">
+                    <label className="text-sm font-medium text-gray-600 flex items-center space-x-2"><span>When Units Exceed the MUE</span> <InfoTooltip text="Warn adds a note but prices every unit. Cap prices only up to the MUE limit." /></label>
+                    <select value={mueSettings.action} onChange={e => setMueSettings(prev => ({ ...prev, action: e.target.value }))} className="w-full p-2 border border-gray-300 rounded-md shadow-sm">
+                        {MUE_ACTIONS.map(a => <option key={a} value={a}>{a === 'cap' ? 'Cap units at the limit' : 'Warn only'}</option>)}
+                    </select>
+                </div>
+                <table className="w-full text-sm">
+                    <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">Code</th><th className="p-2 font-semibold">Max Units per Day</th><th className="p-2"></th></tr></thead>
+                    <tbody>
+                        {Object.entries(mueSettings.limits).map(([code, limit]) => (
+                            <tr key={code} className="border-t">
+                                <td className="p-2 font-mono font-semibold">{code}</td>
+                                <td className="p-2"><input type="number" min="1" value={limit} onChange={e => updateMueLimit(code, e.target.value)} className="p-1 w-24 border border-gray-300 rounded-md" /></td>
+                                <td className="p-2"><button type="button" onClick={() => removeMueLimit(code)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button></td>
+                            </tr>
+                        ))}
+                        {Object.keys(mueSettings.limits).length === 0 && <tr className="border-t"><td colSpan="3" className="p-2 text-center text-gray-500">No MUE limits configured.</td></tr>}
+                    </tbody>
+                </table>
+                <div className="flex items-end space-x-3 mt-4">
+                    <InputField label="Code" value={newMue.code} onChange={e => setNewMue(prev => ({ ...prev, code: e.target.value }))} placeholder="e.g., 96366" />
+                    <InputField type="number" label="Max Units" value={newMue.limit} onChange={e => setNewMue(prev => ({ ...prev, limit: e.target.value }))} placeholder="e.g., 8" />
+                    <button type="button" onClick={addMueLimit} className="flex items-center space-x-2 text-blue-600 font-medium hover:text-blue-800 transition pb-2"><PlusCircle className="h-5 w-5" /><span>Add</span></button>
+                </div>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Estimate Revisions</h3>
+                <div className="max-w-md">
+                    <InputField type="number" label="Re-issue Threshold ($)" value={revisionSettings.varianceThreshold} onChange={e => setRevisionSettings(prev => ({ ...prev, varianceThreshold: e.target.value }))} tooltip="A revised estimate whose patient responsibility moves by more than this amount is flagged for re-issue. The No Surprises Act dispute threshold is $400." />
+                </div>
+            </div>
+            <div className="flex justify-between items-center pt-4">
+                <button type="button" onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
+                <button type="button" onClick={handleSave} className="flex items-center space-x-2 bg-blue-600 text-white font-bold py-3 px-6 rounded-lg shadow-md hover:bg-blue-700 transition"><span>Save Billing Rules</span></button>
+            </div>
+        </div>
+    );
+};
+
+// --- PAGE 4: SAVED ESTIMATE HISTORY ---
+const blankHistoryFilters = { patientName: '', memberId: '', serviceDate: '', provider: '', payer: '' };
+
+const HistoryPage = ({ setPage, showModal, onReopen, onView, onClone }) => {
+    const [records, setRecords] = useState(null);
+    const [filters, setFilters] = useState(blankHistoryFilters);
+    const [compareIds, setCompareIds] = useState([]);
+
+    useEffect(() => {
+        listEstimateRecords()
+            .then(setRecords)
+            .catch(err => { setRecords([]); showModal('History Unavailable', `Saved estimates could not be loaded: ${err.message}`); });
+    }, [showModal]);
+
+    const handleFilterChange = (e) => { const { name, value } = e.target; setFilters(prev => ({ ...prev, [name]: value })); };
+    const filtered = useMemo(() => (records || []).filter(r => matchesHistoryFilters(r, filters)), [records, filters]);
+    // Keep the two most recently ticked estimates; the older one is shown as "before".
+    const toggleCompare = (id) => setCompareIds(prev => prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id].slice(-2));
+    const comparePair = useMemo(() => {
+        if (compareIds.length !== 2 || !records) return null;
+        return compareIds.map(id => records.find(r => r.id === id)).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }, [compareIds, records]);
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center"> <h2 className="text-3xl font-bold text-gray-800">Estimate History</h2> <p className="text-gray-500 mt-1">Every calculated estimate is saved in this browser.</p> </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Search</h3>
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+                    <InputField label="Patient Name" name="patientName" value={filters.patientName} onChange={handleFilterChange} />
+                    <InputField label="Member ID" name="memberId" value={filters.memberId} onChange={handleFilterChange} />
+                    <InputField label="Date of Service" name="serviceDate" type="date" value={filters.serviceDate} onChange={handleFilterChange} />
+                    <InputField label="Provider" name="provider" value={filters.provider} onChange={handleFilterChange} />
+                    <InputField label="Payer" name="payer" value={filters.payer} onChange={handleFilterChange} />
+                </div>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                {records === null ? (
+                    <p className="text-center text-gray-500"><Loader className="h-5 w-5 inline-block mr-2 animate-spin" />Loading saved estimates...</p>
+                ) : filtered.length === 0 ? (
+                    <p className="text-center text-gray-500">{records.length === 0 ? 'No estimates have been saved yet.' : 'No saved estimates match this search.'}</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold" title="Select two to compare">Diff</th><th className="p-2 font-semibold">Issued</th><th className="p-2 font-semibold">Estimate ID</th><th className="p-2 font-semibold">Version</th><th className="p-2 font-semibold">Patient</th><th className="p-2 font-semibold">Date of Service</th><th className="p-2 font-semibold">Provider</th><th className="p-2 font-semibold">Payer</th><th className="p-2 font-semibold text-right">Patient Owes</th><th className="p-2 font-semibold">Actions</th></tr></thead>
+                        <tbody>
+                            {filtered.map(r => (
+                                <tr key={r.id} className="border-t">
+                                    <td className="p-2"><input type="checkbox" checked={compareIds.includes(r.id)} onChange={() => toggleCompare(r.id)} className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500" /></td>
+                                    <td className="p-2">{new Date(r.createdAt).toLocaleString('en-US')}</td>
+                                    <td className="p-2 font-mono text-xs">{r.id}</td>
+                                    <td className="p-2">v{r.version || 1}{r.revisionOf && <span className="block text-xs text-gray-500">revises {r.revisionOf}</span>}{r.result.revision?.exceedsThreshold && <AlertTriangle className="h-4 w-4 inline-block text-red-600" />}</td>
+                                    <td className="p-2">{r.summary.patientName}{r.summary.memberId && <span className="text-gray-500"> ({r.summary.memberId})</span>}</td>
+                                    <td className="p-2">{formatDate(r.summary.serviceDate)}</td>
+                                    <td className="p-2">{r.summary.provider}</td>
+                                    <td className="p-2">{r.summary.payer}</td>
+                                    <td className="p-2 text-right font-mono">${Number(r.summary.total || 0).toFixed(2)}</td>
+                                    <td className="p-2">
+                                        <div className="flex items-center space-x-3">
+                                            <button type="button" onClick={() => onReopen(r)} title="Reopen in the form" className="text-blue-600 hover:text-blue-800 transition"><FolderOpen className="h-5 w-5" /></button>
+                                            <button type="button" onClick={() => onView(r)} title="View results and download the PDF" className="text-green-600 hover:text-green-800 transition"><FileDown className="h-5 w-5" /></button>
+                                            <button type="button" onClick={() => onClone(r)} title="Clone for a new visit" className="text-gray-600 hover:text-gray-800 transition"><Copy className="h-5 w-5" /></button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+            {comparePair && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Compare Versions</h3>
+                    <EstimateDiff prior={comparePair[0]} revised={comparePair[1]} />
+                </div>
+            )}
+            <div className="flex justify-start pt-4">
+                <button type="button" onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
+            </div>
+        </div>
+    );
+};
+
+// --- PAGE 5: PLAN PROFILE LIBRARY ---
+const PlanProfilesPage = ({ setPage, showModal }) => {
+    const [profiles, setProfiles] = useState(loadPlanProfiles);
+    const fileInputRef = useRef(null);
+
+    const updateProfiles = (next) => { savePlanProfiles(next); setProfiles(next); };
+    const removeProfile = (id) => updateProfiles(profiles.filter(p => p.id !== id));
+
+    const handleExport = () => {
+        const blob = new Blob([exportPlanProfiles(profiles)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `plan-profiles-${new Date().toISOString().slice(0, 10)}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+    const handleImport = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        file.text().then(text => {
+            const imported = parsePlanProfileImport(text);
+            updateProfiles(imported.reduce(upsertPlanProfile, profiles));
+            showModal('Plan Profiles Imported', `${imported.length} profile${imported.length === 1 ? '' : 's'} imported. Profiles with the same payer and name were replaced.`);
+        }).catch(err => showModal('Import Failed', err.message));
+    };
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center"> <h2 className="text-3xl font-bold text-gray-800">Plan Profiles</h2> <p className="text-gray-500 mt-1">Saved plan benefits, offered in the insurance search on the estimate form.</p> </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-end space-x-3 mb-4">
+                    <input type="file" accept="application/json,.json" ref={fileInputRef} onChange={handleImport} className="hidden" />
+                    <button type="button" onClick={() => fileInputRef.current.click()} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>Import JSON</span></button>
+                    <button type="button" onClick={handleExport} disabled={profiles.length === 0} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition disabled:opacity-50"><FileDown className="h-4 w-4" /><span>Export JSON</span></button>
+                </div>
+                <table className="w-full text-sm">
+                    <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">Payer</th><th className="p-2 font-semibold">Plan</th><th className="p-2 font-semibold">Plan Year</th><th className="p-2 font-semibold">Type</th><th className="p-2 font-semibold">Ind. Ded / OOP</th><th className="p-2 font-semibold">Coins.</th><th className="p-2"></th></tr></thead>
+                    <tbody>
+                        {profiles.map(p => (
+                            <tr key={p.id} className="border-t">
+                                <td className="p-2">{p.payer}</td>
+                                <td className="p-2 font-medium">{p.name}</td>
+                                <td className="p-2">{formatDate(p.planYearStart)} – {formatDate(p.planYearEnd)}</td>
+                                <td className="p-2">{p.benefits.planType}</td>
+                                <td className="p-2">{p.benefits.individualDeductible || '—'} / {p.benefits.individualOopMax || '—'}</td>
+                                <td className="p-2">{p.benefits.coinsurancePercentage !== '' ? `${p.benefits.coinsurancePercentage}%` : '—'}</td>
+                                <td className="p-2"><button type="button" onClick={() => removeProfile(p.id)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button></td>
+                            </tr>
+                        ))}
+                        {profiles.length === 0 && <tr className="border-t"><td colSpan="7" className="p-2 text-center text-gray-500">No plan profiles yet. Save one from the Plan Benefits section of the form, or import a file.</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex justify-start pt-4">
+                <button type="button" onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
+            </div>
+        </div>
+    );
+};
+
+// --- PAGE 6: FEE SCHEDULES & CHARGEMASTER ---
+const FeeSchedulesPage = ({ setPage, showModal }) => {
+    const [library, setLibrary] = useState(loadFeeLibrary);
+    const [pfsTables, setPfsTables] = useState(loadPfsTables);
+    const [anesthesiaBaseUnits, setAnesthesiaBaseUnits] = useState(loadAnesthesiaBaseUnits);
+    const [importKind, setImportKind] = useState('feeSchedule');
+    const fileInputRef = useRef(null);
+    const [rateSources, setRateSources] = useState(null);
+    const [rateImport, setRateImport] = useState(null);
+    const rateFileInputRef = useRef(null);
+
+    useEffect(() => {
+        listRateSources()
+            .then(setRateSources)
+            .catch(err => { setRateSources([]); showModal('Rate Index Unavailable', `Published rate files could not be loaded: ${err.message}`); });
+    }, [showModal]);
+
+    const updateLibrary = (next) => {
+        try {
+            saveFeeLibrary(next);
+            setLibrary(next);
+            return true;
+        } catch (err) {
+            showModal('Not Saved', `The browser could not store the imported rates (${err.message}). Remove unused schedules or split the file by payer.`);
+            return false;
+        }
+    };
+    const openImport = (kind) => { setImportKind(kind); fileInputRef.current.click(); };
+    const updatePfsTables = (next) => {
+        try {
+            savePfsTables(next);
+            setPfsTables(next);
+            return true;
+        } catch (err) {
+            showModal('Not Saved', `The browser could not store the fee schedule tables (${err.message}).`);
+            return false;
+        }
+    };
+    const importPfsTable = (file, rows) => {
+        const importedAt = new Date().toISOString();
+        if (importKind === 'rvu') {
+            const { conversionFactor, rvus } = parsePfsRvuTable(rows);
+            if (updatePfsTables({ ...pfsTables, rvu: { name: file.name, importedAt, conversionFactor, rvus } })) showModal('RVU File Imported', `${Object.keys(rvus).length} codes imported from ${file.name}${conversionFactor != null ? ` (conversion factor $${conversionFactor})` : ''}.`);
+        } else {
+            const localities = parseGpciTable(rows);
+            if (updatePfsTables({ ...pfsTables, gpci: { name: file.name, importedAt, localities } })) showModal('GPCI File Imported', `${localities.length} localities imported from ${file.name}.`);
+        }
+    };
+    const updateAnesthesiaBaseUnits = (next) => {
+        try {
+            saveAnesthesiaBaseUnits(next);
+            setAnesthesiaBaseUnits(next);
+            return true;
+        } catch (err) {
+            showModal('Not Saved', `The browser could not store the base unit file (${err.message}).`);
+            return false;
+        }
+    };
+    const handleImport = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        readSpreadsheetRows(file).then(rows => {
+            if (importKind === 'rvu' || importKind === 'gpci') { importPfsTable(file, rows); return; }
+            if (importKind === 'anesthesia') {
+                const { codes } = parseAnesthesiaBaseUnits(rows);
+                if (updateAnesthesiaBaseUnits({ name: file.name, importedAt: new Date().toISOString(), codes })) showModal('Base Units Imported', `${Object.keys(codes).length} anesthesia codes imported from ${file.name}.`);
+                return;
+            }
+            const { rows: parsed, skipped } = parseFeeRows(rows, importKind);
+            const entry = { name: file.name, importedAt: new Date().toISOString(), rows: parsed };
+            const next = importKind === 'chargemaster'
+                ? { ...library, chargemaster: entry }
+                : { ...library, schedules: [...library.schedules.filter(s => s.name !== file.name), { ...entry, id: `fee-${Date.now()}` }] };
+            if (updateLibrary(next)) showModal(`${FEE_FILE_KINDS[importKind].label} Imported`, `${parsed.length} rate${parsed.length === 1 ? '' : 's'} imported from ${file.name}.${skipped > 0 ? ` ${skipped} row${skipped === 1 ? ' was' : 's were'} skipped for a missing code or amount.` : ''}`);
+        }).catch(err => showModal('Import Failed', err.message));
+    };
+    const handleRateImport = (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+        setRateImport({ name: file.name, bytesRead: 0, totalBytes: file.size, rateCount: 0 });
+        importRateFile(file, progress => setRateImport({ name: file.name, ...progress }))
+            .then(source => {
+                setRateSources(prev => [source, ...(prev || [])]);
+                showModal('Rate File Indexed', `${source.rateCount} negotiated rates indexed from ${source.name}.`);
+            })
+            .catch(err => showModal('Import Failed', err.message))
+            .finally(() => setRateImport(null));
+    };
+    const removeRateSource = (id) => {
+        deleteRateSource(id)
+            .then(() => setRateSources(prev => prev.filter(s => s.id !== id)))
+            .catch(err => showModal('Not Deleted', err.message));
+    };
+    const listPayers = (rows) => [...new Set(rows.map(r => r.payer || 'All payers'))].join(', ');
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center"> <h2 className="text-3xl font-bold text-gray-800">Fee Schedules</h2> <p className="text-gray-500 mt-1">Contracted rates and practice charges used to fill in allowed and billed amounts by CPT.</p> </div>
+            <input type="file" accept=".csv,.txt,.xlsx,.xls" ref={fileInputRef} onChange={handleImport} className="hidden" />
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-between items-center border-b pb-3 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">Contracted Fee Schedules</h3>
+                    <button type="button" onClick={() => openImport('feeSchedule')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>Import CSV / XLSX</span></button>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">Columns: CPT, Modifier (optional), Payer, Plan (optional) and Allowed. Rows without a payer, plan or modifier apply to all of them; the most specific row wins. Re-importing a file with the same name replaces it.</p>
+                <table className="w-full text-sm">
+                    <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">File</th><th className="p-2 font-semibold">Payers</th><th className="p-2 font-semibold">Rates</th><th className="p-2 font-semibold">Imported</th><th className="p-2"></th></tr></thead>
+                    <tbody>
+                        {library.schedules.map(s => (
+                            <tr key={s.id} className="border-t">
+                                <td className="p-2 font-medium">{s.name}</td>
+                                <td className="p-2">{listPayers(s.rows)}</td>
+                                <td className="p-2">{s.rows.length}</td>
+                                <td className="p-2">{new Date(s.importedAt).toLocaleString()}</td>
+                                <td className="p-2"><button type="button" onClick={() => updateLibrary({ ...library, schedules: library.schedules.filter(x => x.id !== s.id) })} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button></td>
+                            </tr>
+                        ))}
+                        {library.schedules.length === 0 && <tr className="border-t"><td colSpan="5" className="p-2 text-center text-gray-500">No fee schedules imported.</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-between items-center border-b pb-3 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">Practice Chargemaster</h3>
+                    <button type="button" onClick={() => openImport('chargemaster')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>{library.chargemaster ? 'Replace' : 'Import CSV / XLSX'}</span></button>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">Columns: CPT, Modifier (optional) and Billed. Used for the billed amount on every payer's estimates.</p>
+                {library.chargemaster ? (
+                    <div className="flex justify-between items-center text-sm">
+                        <span><span className="font-medium">{library.chargemaster.name}</span> — {library.chargemaster.rows.length} charges, imported {new Date(library.chargemaster.importedAt).toLocaleString()}</span>
+                        <button type="button" onClick={() => updateLibrary({ ...library, chargemaster: null })} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button>
+                    </div>
+                ) : <p className="text-sm text-center text-gray-500">No chargemaster imported.</p>}
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-between items-center border-b pb-3 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">Medicare Physician Fee Schedule</h3>
+                    <div className="flex space-x-3">
+                        <button type="button" onClick={() => openImport('rvu')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>RVU File</span></button>
+                        <button type="button" onClick={() => openImport('gpci')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>GPCI File</span></button>
+                    </div>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">The CMS PPRRVU file (work, PE and MP RVUs by HCPCS and modifier) and the GPCI locality file, as CSV or XLSX. Turn on Medicare fee schedule pricing in a plan's benefits to compute its allowed amounts from them.</p>
+                <div className="space-y-2 text-sm">
+                    {[['rvu', 'RVU file', pfsTables.rvu && `${Object.keys(pfsTables.rvu.rvus).length} codes${pfsTables.rvu.conversionFactor != null ? `, CF $${pfsTables.rvu.conversionFactor}` : ''}`], ['gpci', 'GPCI file', pfsTables.gpci && `${pfsTables.gpci.localities.length} localities`]].map(([key, label, summary]) => (
+                        <div key={key} className="flex justify-between items-center">
+                            {pfsTables[key]
+                                ? <span><span className="font-medium">{label}:</span> {pfsTables[key].name} — {summary}, imported {new Date(pfsTables[key].importedAt).toLocaleString()}</span>
+                                : <span className="text-gray-500"><span className="font-medium">{label}:</span> not loaded</span>}
+                            {pfsTables[key] && <button type="button" onClick={() => updatePfsTables({ ...pfsTables, [key]: null })} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button>}
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-between items-center border-b pb-3 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">Anesthesia Base Units</h3>
+                    <button type="button" onClick={() => openImport('anesthesia')} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>Base Unit File</span></button>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">Base units by anesthesia code (00100–01999), e.g. the CMS anesthesia base unit file, as CSV or XLSX with code and base unit columns. Turn on anesthesia unit pricing in a plan's benefits to use them.</p>
+                <div className="flex justify-between items-center text-sm">
+                    {anesthesiaBaseUnits
+                        ? <span><span className="font-medium">Base unit file:</span> {anesthesiaBaseUnits.name} — {Object.keys(anesthesiaBaseUnits.codes).length} codes, imported {new Date(anesthesiaBaseUnits.importedAt).toLocaleString()}</span>
+                        : <span className="text-gray-500"><span className="font-medium">Base unit file:</span> not loaded</span>}
+                    {anesthesiaBaseUnits && <button type="button" onClick={() => updateAnesthesiaBaseUnits(null)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button>}
+                </div>
+            </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-between items-center border-b pb-3 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">Price Transparency Files</h3>
+                    <input type="file" accept=".json,.csv,.gz" ref={rateFileInputRef} onChange={handleRateImport} className="hidden" />
+                    <button type="button" onClick={() => rateFileInputRef.current.click()} disabled={rateImport != null} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition disabled:opacity-50"><Upload className="h-4 w-4" /><span>Load JSON / CSV</span></button>
+                </div>
+                <p className="text-sm text-gray-500 mb-4">Payer Transparency in Coverage in-network files (JSON, optionally .gz) and hospital standard charges files (CMS JSON or CSV template). Files are read in a stream and their CPT/HCPCS rates indexed in this browser; the estimate form offers the payer's published rate as the allowed amount.</p>
+                {rateImport && (
+                    <div className="mb-4">
+                        <div className="flex justify-between text-sm text-gray-600 mb-1"><span className="flex items-center space-x-2"><Loader className="h-4 w-4 animate-spin" /><span>Indexing {rateImport.name}</span></span><span>{rateImport.rateCount} rates</span></div>
+                        <div className="w-full bg-gray-200 rounded-full h-2"><div className="bg-blue-600 h-2 rounded-full" style={{ width: `${Math.min(100, rateImport.totalBytes ? (rateImport.bytesRead / rateImport.totalBytes) * 100 : 0)}%` }}></div></div>
+                    </div>
+                )}
+                <table className="w-full text-sm">
+                    <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">File</th><th className="p-2 font-semibold">Type</th><th className="p-2 font-semibold">Published By</th><th className="p-2 font-semibold">Rates</th><th className="p-2 font-semibold">Loaded</th><th className="p-2"></th></tr></thead>
+                    <tbody>
+                        {(rateSources || []).map(s => (
+                            <tr key={s.id} className="border-t">
+                                <td className="p-2 font-medium">{s.name}</td>
+                                <td className="p-2">{RATE_FILE_KINDS[s.kind]}</td>
+                                <td className="p-2">{s.entity || '—'}{s.plan && ` (${s.plan})`}</td>
+                                <td className="p-2">{s.rateCount}</td>
+                                <td className="p-2">{new Date(s.importedAt).toLocaleString()}</td>
+                                <td className="p-2"><button type="button" onClick={() => removeRateSource(s.id)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button></td>
+                            </tr>
+                        ))}
+                        {rateSources && rateSources.length === 0 && <tr className="border-t"><td colSpan="6" className="p-2 text-center text-gray-500">No price transparency files loaded.</td></tr>}
+                        {!rateSources && <tr className="border-t"><td colSpan="6" className="p-2 text-center text-gray-500">Loading…</td></tr>}
+                    </tbody>
+                </table>
+            </div>
+            <div className="flex justify-start pt-4">
+                <button type="button" onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
+            </div>
+        </div>
+    );
+};
+
+// --- PAGE 7: ESTIMATE VS ACTUAL RECONCILIATION (835 ERA) ---
+const RECONCILIATION_GROUPINGS = [
+    { key: 'payer', label: 'Payer' },
+    { key: 'cptCode', label: 'CPT' },
+    { key: 'copayLogic', label: 'Copay Logic' },
+];
+// Actual − estimated; positive (red) means the patient owed more than they were told.
+const Variance = ({ value }) => (
+    <span className={value > 0.005 ? 'text-red-600' : value < -0.005 ? 'text-green-700' : 'text-gray-500'}>{value > 0 ? '+' : value < 0 ? '−' : ''}${Math.abs(value).toFixed(2)}</span>
+);
+const describePatientAdjustments = (adjustments) => adjustments.map(a => `PR-${a.reason}${PR_REASON_LABELS[a.reason] ? ` ${PR_REASON_LABELS[a.reason]}` : ''} $${a.amount.toFixed(2)}`).join('; ');
+
+const ReconciliationPage = ({ setPage, showModal }) => {
+    const [remittances, setRemittances] = useState(null);
+    const [records, setRecords] = useState([]);
+    const [groupBy, setGroupBy] = useState('payer');
+    const fileInputRef = useRef(null);
+
+    const reload = useCallback(() => Promise.all([listRemittances(), listEstimateRecords()])
+        .then(([eras, estimates]) => { setRemittances(eras); setRecords(estimates); })
+        .catch(err => { setRemittances([]); showModal('Reconciliation Unavailable', `Remittances or saved estimates could not be loaded: ${err.message}`); }), [showModal]);
+    useEffect(() => { reload(); }, [reload]);
+
+    const report = useMemo(() => reconcileRemittances(remittances || [], records), [remittances, records]);
+    const groups = useMemo(() => summarizeVariances(report.lines, groupBy), [report, groupBy]);
+
+    const handleImport = (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        files.reduce((chain, file) => chain.then(() => file.text().then(parse835).then(remittance => saveRemittance(file.name, remittance))), Promise.resolve())
+            .catch(err => showModal('Import Failed', err.message))
+            .then(reload);
+    };
+    const handleDelete = (id) => deleteRemittance(id).then(reload).catch(err => showModal('Not Deleted', err.message));
+
+    return (
+        <div className="space-y-6">
+            <div className="text-center"> <h2 className="text-3xl font-bold text-gray-800">Estimate Reconciliation</h2> <p className="text-gray-500 mt-1">835 remittances matched to saved estimates by member ID, date of service and CPT.</p> </div>
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                <div className="flex justify-between items-center border-b pb-3 mb-4">
+                    <h3 className="text-lg font-semibold text-gray-800">Remittance Files</h3>
+                    <input type="file" accept=".txt,.x12,.edi,.835,.era" multiple ref={fileInputRef} onChange={handleImport} className="hidden" />
+                    <button type="button" onClick={() => fileInputRef.current.click()} className="flex items-center space-x-2 text-sm bg-gray-200 text-gray-800 font-semibold py-2 px-4 rounded-lg hover:bg-gray-300 transition"><Upload className="h-4 w-4" /><span>Import 835</span></button>
+                </div>
+                {remittances === null ? (
+                    <p className="text-center text-gray-500"><Loader className="h-5 w-5 inline-block mr-2 animate-spin" />Loading remittances...</p>
+                ) : remittances.length === 0 ? (
+                    <p className="text-center text-gray-500">No remittances imported yet.</p>
+                ) : (
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">File</th><th className="p-2 font-semibold">Payer</th><th className="p-2 font-semibold">Payment Date</th><th className="p-2 font-semibold">Claims</th><th className="p-2 font-semibold">Imported</th><th className="p-2"></th></tr></thead>
+                        <tbody>
+                            {remittances.map(r => (
+                                <tr key={r.id} className="border-t">
+                                    <td className="p-2">{r.fileName}</td>
+                                    <td className="p-2">{r.payerName}</td>
+                                    <td className="p-2">{formatDate(r.paymentDate)}</td>
+                                    <td className="p-2">{r.claims.length}</td>
+                                    <td className="p-2">{new Date(r.importedAt).toLocaleString('en-US')}</td>
+                                    <td className="p-2"><button type="button" onClick={() => handleDelete(r.id)} className="text-red-500 hover:text-red-700 transition"><Trash2 className="h-4 w-4" /></button></td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                )}
+            </div>
+            {report.lines.length > 0 && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <div className="flex justify-between items-center border-b pb-3 mb-4">
+                        <h3 className="text-lg font-semibold text-gray-800 flex items-center space-x-2"><span>Variance by {RECONCILIATION_GROUPINGS.find(g => g.key === groupBy).label}</span> <InfoTooltip text="Variance is actual minus estimated. Groups are sorted by the mean absolute patient variance, so the configurations the estimates get most wrong come first." /></h3>
+                        <select value={groupBy} onChange={e => setGroupBy(e.target.value)} className="p-2 border border-gray-300 rounded-md shadow-sm text-sm">
+                            {RECONCILIATION_GROUPINGS.map(g => <option key={g.key} value={g.key}>{g.label}</option>)}
+                        </select>
+                    </div>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">{RECONCILIATION_GROUPINGS.find(g => g.key === groupBy).label}</th><th className="p-2 font-semibold text-right">Lines</th><th className="p-2 font-semibold text-right">Estimated Patient</th><th className="p-2 font-semibold text-right">Actual Patient</th><th className="p-2 font-semibold text-right">Net Variance</th><th className="p-2 font-semibold text-right">Mean |Patient Var.|</th><th className="p-2 font-semibold text-right">Mean |Allowed Var.|</th></tr></thead>
+                        <tbody>
+                            {groups.map(g => (
+                                <tr key={g.key} className="border-t">
+                                    <td className="p-2 font-medium">{g.key || '—'}</td>
+                                    <td className="p-2 text-right">{g.lines}</td>
+                                    <td className="p-2 text-right font-mono">${g.estimatedPatient.toFixed(2)}</td>
+                                    <td className="p-2 text-right font-mono">${g.actualPatient.toFixed(2)}</td>
+                                    <td className="p-2 text-right font-mono"><Variance value={g.netPatientVariance} /></td>
+                                    <td className="p-2 text-right font-mono">${g.meanAbsPatientVariance.toFixed(2)}</td>
+                                    <td className="p-2 text-right font-mono">${g.meanAbsAllowedVariance.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {report.lines.length > 0 && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Line Detail</h3>
+                    <table className="w-full text-sm">
+                        <thead><tr className="bg-gray-100 text-left text-gray-600"><th className="p-2 font-semibold">Estimate / Claim</th><th className="p-2 font-semibold">DOS</th><th className="p-2 font-semibold">CPT</th><th className="p-2 font-semibold text-right">Patient Est. → Actual</th><th className="p-2 font-semibold text-right">Allowed Est. → Actual</th><th className="p-2 font-semibold">Patient Responsibility (PR)</th></tr></thead>
+                        <tbody>
+                            {report.lines.map((l, i) => (
+                                <tr key={i} className="border-t align-top">
+                                    <td className="p-2"><span className="font-mono text-xs">{l.estimateId}</span><span className="block text-xs text-gray-500">{l.payer} · claim {l.claimId}</span></td>
+                                    <td className="p-2">{formatDate(l.serviceDate)}</td>
+                                    <td className="p-2">{l.cptCode}{l.modifiers && `-${l.modifiers.replace(/,/g, '-')}`}</td>
+                                    <td className="p-2 text-right font-mono">${l.estimatedPatient.toFixed(2)} → ${l.actualPatient.toFixed(2)}<span className="block"><Variance value={l.patientVariance} /></span></td>
+                                    <td className="p-2 text-right font-mono">${l.estimatedAllowed.toFixed(2)} → ${l.actualAllowed.toFixed(2)}<span className="block"><Variance value={l.allowedVariance} /></span></td>
+                                    <td className="p-2 text-xs">
+                                        {describePatientAdjustments(l.patientAdjustments) || 'None'}
+                                        <span className="block text-gray-500">Estimated: deductible ${l.estimatedComponents.deductible.toFixed(2)}, coinsurance ${l.estimatedComponents.coinsurance.toFixed(2)}, copay ${l.estimatedComponents.copay.toFixed(2)}</span>
+                                        {l.remarkCodes.length > 0 && <span className="block text-gray-500">RARC {l.remarkCodes.join(', ')}</span>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            {report.unmatched.length > 0 && (
+                <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-200/80">
+                    <h3 className="text-lg font-semibold text-gray-800 border-b pb-3 mb-4">Unmatched Remittance Lines ({report.unmatched.length})</h3>
+                    <ul className="text-sm space-y-1 max-h-64 overflow-y-auto">
+                        {report.unmatched.map((u, i) => <li key={i}>{u.payer} · claim {u.claimId} · member {u.memberId || '—'} · {formatDate(u.serviceDate)} · {u.cptCode}: <span className="text-gray-500">{u.reason}</span></li>)}
+                    </ul>
+                </div>
+            )}
+            <div className="flex justify-start pt-4">
+                <button type="button" onClick={() => setPage('form')} className="flex items-center space-x-2 bg-gray-200 text-gray-800 font-bold py-3 px-6 rounded-lg hover:bg-gray-300 transition"><ArrowLeft className="h-5 w-5" /><span>Back to Form</span></button>
             </div>
         </div>
     );
@@ -964,7 +2904,7 @@ const App = () => {
     const [scriptsLoaded, setScriptsLoaded] = useState(false);
     const [modal, setModal] = useState({ isOpen: false, title: '', message: '' });
 
-    const showModal = (title, message) => setModal({ isOpen: true, title, message });
+    const showModal = useCallback((title, message) => setModal({ isOpen: true, title, message }), []);
     const hideModal = () => setModal({ isOpen: false, title: '', message: '' });
 
     // Lifted state for form data persistence
@@ -973,13 +2913,19 @@ const App = () => {
     const [familyAccumulators, setFamilyAccumulators] = useState(blankFamilyAccumulatorsState);
     const [procedures, setProcedures] = useState(blankProceduresState);
     const [metaData, setMetaData] = useState(blankMetaData);
+    const [secondary, setSecondary] = useState(blankSecondaryState);
+    const [estimateMode, setEstimateMode] = useState('insured');
+    // The issued estimate the form is editing, if any: { id, rootId, version, totalPatientResponsibility }.
+    const [priorEstimate, setPriorEstimate] = useState(null);
 
     const handleReset = () => {
         const isAlreadyBlank = JSON.stringify(benefits) === JSON.stringify(blankBenefitsState) &&
                                JSON.stringify(patientAccumulators) === JSON.stringify(blankPatientAccumulatorsState) &&
                                JSON.stringify(familyAccumulators) === JSON.stringify(blankFamilyAccumulatorsState) &&
                                JSON.stringify(procedures) === JSON.stringify(blankProceduresState) &&
-                               JSON.stringify(metaData) === JSON.stringify(blankMetaData);
+                               JSON.stringify(metaData) === JSON.stringify(blankMetaData) &&
+                               JSON.stringify(secondary) === JSON.stringify(blankSecondaryState) &&
+                               estimateMode === 'insured';
         
         if (isAlreadyBlank) {
             showModal('Already Clear', 'The form is already empty.');
@@ -989,9 +2935,40 @@ const App = () => {
             setFamilyAccumulators(blankFamilyAccumulatorsState);
             setProcedures(blankProceduresState);
             setMetaData(blankMetaData);
+            setSecondary(blankSecondaryState);
+            setEstimateMode('insured');
+            setPriorEstimate(null);
         }
     };
 
+    // Saved inputs may predate newer fields, so merge them over the blank states.
+    const loadEstimateInputs = (inputs) => {
+        setEstimateMode(inputs.estimateMode || 'insured');
+        setBenefits(withBenefitDefaults(inputs.benefits));
+        setPatientAccumulators({ ...blankPatientAccumulatorsState, ...inputs.patientAccumulators });
+        setFamilyAccumulators({ ...blankFamilyAccumulatorsState, ...inputs.familyAccumulators });
+        setProcedures(inputs.procedures.map(p => ({ ...blankProceduresState[0], ...p })));
+        setMetaData({ ...blankMetaData, ...inputs.metaData, gfe: { ...blankMetaData.gfe, ...inputs.metaData.gfe }, episode: { ...blankMetaData.episode, ...inputs.metaData.episode }, family: { ...blankMetaData.family, ...inputs.metaData.family } });
+        setSecondary({ ...blankSecondaryState, ...inputs.secondary });
+    };
+    const handleReopenEstimate = (record) => {
+        loadEstimateInputs(record.inputs);
+        setPriorEstimate({ id: record.id, rootId: record.rootId || record.id, version: record.version || 1, totalPatientResponsibility: issuedPatientTotal(record.result) });
+        setPage('form');
+    };
+    const handleViewEstimate = (record) => {
+        setEstimateData(record.result);
+        setPage('results');
+    };
+    // A new visit keeps the patient, plan and services but needs its own date of service.
+    const handleCloneEstimate = (record) => {
+        const { metaData: saved } = record.inputs;
+        loadEstimateInputs({ ...record.inputs, metaData: { ...saved, service: { ...saved.service, date: '' }, gfe: { ...saved.gfe, serviceDateEnd: '' } } });
+        setPriorEstimate(null);
+        setPage('form');
+        showModal('Estimate Cloned', `The form now holds a copy of ${record.id}. Enter the new date of service and update the accumulators before calculating.`);
+    };
+
     useEffect(() => {
         const jspdfScript = document.createElement('script');
         jspdfScript.src = 'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js';
@@ -1031,13 +3008,26 @@ const App = () => {
                             familyAccumulators={familyAccumulators} setFamilyAccumulators={setFamilyAccumulators}
                             procedures={procedures} setProcedures={setProcedures}
                             metaData={metaData} setMetaData={setMetaData}
+                            secondary={secondary} setSecondary={setSecondary}
+                            estimateMode={estimateMode} setEstimateMode={setEstimateMode}
+                            priorEstimate={priorEstimate} setPriorEstimate={setPriorEstimate}
                             handleReset={handleReset}
                             setEstimateData={setEstimateData} 
                             setPage={setPage} 
                             showModal={showModal}
                         /> 
+                    ) : page === 'billingRules' ? (
+                        <BillingRulesPage setPage={setPage} showModal={showModal} />
+                    ) : page === 'feeSchedules' ? (
+                        <FeeSchedulesPage setPage={setPage} showModal={showModal} />
+                    ) : page === 'planProfiles' ? (
+                        <PlanProfilesPage setPage={setPage} showModal={showModal} />
+                    ) : page === 'reconciliation' ? (
+                        <ReconciliationPage setPage={setPage} showModal={showModal} />
+                    ) : page === 'history' ? (
+                        <HistoryPage setPage={setPage} showModal={showModal} onReopen={handleReopenEstimate} onView={handleViewEstimate} onClone={handleCloneEstimate} />
                     ) : ( 
-                        <EstimateResults data={estimateData} setPage={setPage} scriptsLoaded={scriptsLoaded} /> 
+                        <EstimateResults data={estimateData} setPage={setPage} scriptsLoaded={scriptsLoaded} showModal={showModal} /> 
                     )}
                 </main>
                 <footer className="text-center text-xs text-gray-400 mt-12 pb-6">
@@ -0,0 +1,224 @@
+// --- X12 271 ELIGIBILITY RESPONSE IMPORT ---
+// Reads a 5010 271 into the estimate form's benefits, accumulators and patient. EB segments carry the
+// plan's amounts; anything the mapping below does not cover is returned in `unparsed` for review.
+import { getServiceCategoryLabel } from './engine/index.js';
+import { parseX12Segments, element, repeats, x12Date, x12Amount } from './x12.js';
+
+// EB01 benefit codes that are read; the rest (limitations, non-covered, etc.) are listed for review.
+const EB_ACTIVE = ['1', '2', '3', '4', '5'];
+const EB_INACTIVE = ['6', '7', '8'];
+const EB_COINSURANCE = 'A';
+const EB_COPAY = 'B';
+const EB_DEDUCTIBLE = 'C';
+const EB_OUT_OF_POCKET = 'G';
+
+const INDIVIDUAL_LEVELS = ['IND', 'EMP', 'CHD', 'DEP', 'SPO', 'ECH', 'ESP'];
+const FAMILY_LEVELS = ['FAM'];
+// EB06 time periods: remaining amounts, met-to-date amounts; any other period (or none) is the plan total.
+// Lifetime amounts (32 lifetime, 33 lifetime remaining) are not plan-year accumulators and are listed for review.
+const REMAINING_PERIODS = ['29'];
+const MET_PERIODS = ['24'];
+const LIFETIME_PERIODS = ['32', '33'];
+// EB03 service type for the plan as a whole (a blank EB03 means the same).
+const PLAN_SERVICE_TYPES = ['30'];
+
+// EB03 service types → benefit grid categories. Office visit rows whose message mentions a specialist
+// go to the specialist category.
+const SERVICE_TYPE_CATEGORIES = {
+    98: 'office_visit', BY: 'office_visit', 3: 'specialist',
+    4: 'imaging', 62: 'imaging', 5: 'lab', 2: 'outpatient_surgery',
+    86: 'emergency', 51: 'emergency', 52: 'emergency',
+    12: 'dme', 18: 'dme', DM: 'dme',
+};
+
+// Envelope and identification segments with nothing to map (N3/N4 addresses, PER contacts, REF IDs, ...).
+const STRUCTURAL_SEGMENTS = ['ISA', 'IEA', 'GS', 'GE', 'ST', 'SE', 'BHT', 'HL', 'TRN', 'N3', 'N4', 'PER', 'PRV', 'REF', 'INS', 'LS', 'LE', 'III'];
+
+const formatMoney = (n) => `$${n.toFixed(2)}`;
+const networkOf = (eb) => ({ Y: 'in', N: 'out' })[element(eb, 12)] || 'both';
+
+const personName = (nm1) => [element(nm1, 4), element(nm1, 5), element(nm1, 3)].filter(Boolean).join(' ');
+
+// An amount row outranks another for the same field when it names its network (EB12 Y/N).
+const setIfBetter = (slots, key, value, specific) => {
+    if (!slots[key] || (specific && !slots[key].specific)) slots[key] = { value, specific };
+};
+
+export const parse271 = (text) => {
+    const { delimiters, segments } = parseX12Segments(text);
+    if (!segments.some(s => s.id === 'ST' && element(s, 1) === '271') && !segments.some(s => s.id === 'EB')) {
+        throw new Error('This is not a 271 eligibility response (no ST*271 or EB segments).');
+    }
+
+    const levels = { subscriber: { ebs: [] }, dependent: null };
+    let level = null;
+    let payerName = '';
+    let lastEb = null;
+    const rejections = [];
+    const planDates = {};
+    const unparsed = [];
+
+    segments.forEach(segment => {
+        switch (segment.id) {
+            case 'HL': {
+                const code = element(segment, 3);
+                level = code === '22' ? levels.subscriber : code === '23' ? (levels.dependent = { ebs: [] }) : null;
+                lastEb = null;
+                return;
+            }
+            case 'NM1': {
+                const entity = element(segment, 1);
+                if (entity === 'PR') payerName = element(segment, 3);
+                else if (level && (entity === 'IL' || entity === '03')) {
+                    level.name = personName(segment);
+                    if (element(segment, 9)) level.memberId = element(segment, 9);
+                }
+                return;
+            }
+            case 'DMG':
+                if (level) level.dob = x12Date(element(segment, 2));
+                return;
+            case 'DTP': {
+                const qualifier = element(segment, 1);
+                const value = element(segment, 3);
+                if (element(segment, 2) === 'RD8' && ['291', '292', '307'].includes(qualifier)) {
+                    const [start, end] = value.split('-');
+                    planDates.start = planDates.start || x12Date(start);
+                    planDates.end = planDates.end || x12Date(end);
+                } else if (qualifier === '346') planDates.start = planDates.start || x12Date(value);
+                else if (qualifier === '347') planDates.end = planDates.end || x12Date(value);
+                return;
+            }
+            case 'EB':
+                lastEb = { segment, messages: [] };
+                if (level) level.ebs.push(lastEb);
+                else unparsed.push({ segment: segment.raw, reason: 'Benefit outside a subscriber or dependent loop.' });
+                return;
+            case 'MSG':
+                if (lastEb) lastEb.messages.push(element(segment, 1));
+                return;
+            case 'AAA':
+                rejections.push(`Request rejected (reason code ${element(segment, 3) || 'unknown'}${element(segment, 4) ? `, follow-up ${element(segment, 4)}` : ''}).`);
+                return;
+            default:
+                if (!STRUCTURAL_SEGMENTS.includes(segment.id)) unparsed.push({ segment: segment.raw, reason: lastEb ? 'Benefit detail that is not mapped to a form field.' : 'Segment not used by the estimate form.' });
+        }
+    });
+
+    // The patient is the dependent when the response has a dependent loop.
+    const patientLevel = levels.dependent || levels.subscriber;
+    const ebs = levels.dependent?.ebs.length ? levels.dependent.ebs : levels.subscriber.ebs;
+    const amounts = {}; // `${network}.${level}.${field}` → { value, specific }
+    const grid = {};
+    const coinsurance = {};
+    const interpreted = [];
+    let coverage = null;
+    let planName = '';
+
+    ebs.forEach(({ segment, messages }) => {
+        const code = element(segment, 1);
+        const coverageLevel = element(segment, 2);
+        const serviceTypes = repeats(element(segment, 3), delimiters);
+        const network = networkOf(segment);
+        const specific = network !== 'both';
+        const networks = specific ? [network] : ['in', 'out'];
+        const amount = x12Amount(element(segment, 7));
+        const percent = x12Amount(element(segment, 8));
+        const isPlanLevel = serviceTypes.length === 0 || serviceTypes.some(t => PLAN_SERVICE_TYPES.includes(t));
+        const skip = (reason) => unparsed.push({ segment: segment.raw, reason });
+
+        if (EB_ACTIVE.includes(code) || EB_INACTIVE.includes(code)) {
+            coverage = coverage === 'active' ? coverage : EB_ACTIVE.includes(code) ? 'active' : 'inactive';
+            planName = planName || element(segment, 5);
+            return;
+        }
+        if (code === EB_DEDUCTIBLE || code === EB_OUT_OF_POCKET) {
+            const person = INDIVIDUAL_LEVELS.includes(coverageLevel) ? 'individual' : FAMILY_LEVELS.includes(coverageLevel) ? 'family' : null;
+            if (!person) return skip(`Coverage level "${coverageLevel || 'blank'}" is not individual or family.`);
+            if (!isPlanLevel) return skip('Service-specific deductibles and out-of-pocket maximums are not supported.');
+            if (amount == null) return skip('No amount (EB07).');
+            const period = element(segment, 6);
+            if (LIFETIME_PERIODS.includes(period)) return skip('Lifetime amounts are not plan-year deductibles or out-of-pocket maximums.');
+            const kind = REMAINING_PERIODS.includes(period) ? 'remaining' : MET_PERIODS.includes(period) ? 'met' : 'total';
+            const field = code === EB_DEDUCTIBLE ? 'deductible' : 'oop';
+            networks.forEach(n => setIfBetter(amounts, `${n}.${person}.${field}.${kind}`, amount, specific));
+            return;
+        }
+        if (code === EB_COINSURANCE || code === EB_COPAY) {
+            const value = code === EB_COINSURANCE ? (percent == null ? null : Number((percent * 100).toFixed(2))) : amount;
+            if (value == null) return skip(code === EB_COINSURANCE ? 'No percentage (EB08).' : 'No amount (EB07).');
+            if (isPlanLevel) {
+                if (code === EB_COPAY) return skip('A plan-wide copay has no form field; set copays by service category.');
+                networks.forEach(n => setIfBetter(coinsurance, n, value, specific));
+                return;
+            }
+            if (network === 'out') return skip('Out-of-network cost sharing by service type is not supported.');
+            const isSpecialist = messages.some(m => /specialist/i.test(m));
+            const categories = [...new Set(serviceTypes.map(t => t === '98' && isSpecialist ? 'specialist' : SERVICE_TYPE_CATEGORIES[t]).filter(Boolean))];
+            if (categories.length === 0) return skip(`Service type ${serviceTypes.join(', ')} has no benefit grid category.`);
+            const field = code === EB_COINSURANCE ? 'coinsurancePercentage' : 'copay';
+            categories.forEach(key => setIfBetter(grid, `${key}.${field}`, value, specific));
+            return;
+        }
+        skip(`Benefit code ${code || 'blank'} is not used by the estimate form.`);
+    });
+
+    // --- Assemble form values: totals, and met = total − remaining when the payer sends remaining amounts ---
+    const pick = (key) => amounts[key]?.value;
+    const tier = (network) => {
+        const benefits = {};
+        const accumulators = { individual: {}, family: {} };
+        ['individual', 'family'].forEach(person => {
+            ['deductible', 'oop'].forEach(field => {
+                const total = pick(`${network}.${person}.${field}.total`);
+                const remaining = pick(`${network}.${person}.${field}.remaining`);
+                const metToDate = pick(`${network}.${person}.${field}.met`);
+                const benefitField = `${person}${field === 'deductible' ? 'Deductible' : 'OopMax'}`;
+                if (total != null) benefits[benefitField] = total;
+                const met = metToDate != null ? metToDate : total != null && remaining != null ? Math.max(0, Number((total - remaining).toFixed(2))) : null;
+                if (met != null) accumulators[person][field === 'deductible' ? 'deductibleMet' : 'oopMet'] = met;
+            });
+        });
+        if (coinsurance[network]) benefits.coinsurancePercentage = coinsurance[network].value;
+        return { benefits, accumulators };
+    };
+    const inNetwork = tier('in');
+    const outOfNetwork = tier('out');
+    const benefitGrid = {};
+    Object.entries(grid).forEach(([key, { value }]) => {
+        const [category, field] = key.split('.');
+        benefitGrid[category] = { ...benefitGrid[category], [field]: value };
+    });
+
+    const labels = { individualDeductible: 'Individual deductible', individualOopMax: 'Individual OOP max', familyDeductible: 'Family deductible', familyOopMax: 'Family OOP max' };
+    [['', inNetwork], ['OON ', outOfNetwork]].forEach(([prefix, t]) => {
+        Object.entries(labels).forEach(([field, label]) => { if (t.benefits[field] != null) interpreted.push({ label: `${prefix}${label}`, value: formatMoney(t.benefits[field]) }); });
+        if (t.benefits.coinsurancePercentage != null) interpreted.push({ label: `${prefix}Coinsurance`, value: `${t.benefits.coinsurancePercentage}%` });
+        ['individual', 'family'].forEach(person => {
+            const acc = t.accumulators[person];
+            const who = person === 'individual' ? 'Individual' : 'Family';
+            if (acc.deductibleMet != null) interpreted.push({ label: `${prefix}${who} deductible met`, value: formatMoney(acc.deductibleMet) });
+            if (acc.oopMet != null) interpreted.push({ label: `${prefix}${who} OOP met`, value: formatMoney(acc.oopMet) });
+        });
+    });
+    Object.entries(benefitGrid).forEach(([key, values]) => {
+        if (values.copay != null) interpreted.push({ label: `${getServiceCategoryLabel(key)} copay`, value: formatMoney(values.copay) });
+        if (values.coinsurancePercentage != null) interpreted.push({ label: `${getServiceCategoryLabel(key)} coinsurance`, value: `${values.coinsurancePercentage}%` });
+    });
+
+    return {
+        payerName,
+        coverage,
+        rejections,
+        patient: { name: patientLevel.name || '', memberId: patientLevel.memberId || levels.subscriber.memberId || '', dob: patientLevel.dob || '' },
+        insurance: { planName, planYearStart: planDates.start || '', planYearEnd: planDates.end || '' },
+        benefits: { ...inNetwork.benefits, benefitGrid, outOfNetwork: outOfNetwork.benefits },
+        accumulators: {
+            patient: { ...inNetwork.accumulators.individual, outOfNetwork: outOfNetwork.accumulators.individual },
+            family: { ...inNetwork.accumulators.family, outOfNetwork: outOfNetwork.accumulators.family },
+        },
+        hasFamily: ['familyDeductible', 'familyOopMax'].some(f => inNetwork.benefits[f] != null),
+        interpreted,
+        unparsed,
+    };
+};
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse271 } from './eligibility271.js';
+
+const response = (benefits) => [
+    'ST*271*0001~HL*1**20*1~NM1*PR*2*TEST HEALTH*****PI*12345~',
+    'HL*2*1*22*0~NM1*IL*1*LEE*ANN****MI*M1~DMG*D8*19800101~DTP*291*RD8*20260101-20261231~',
+    'EB*1**30**GOLD PPO~',
+    ...benefits,
+    'SE*12*0001~',
+].join('');
+
+test('plan totals and remaining amounts fill the benefits and the amounts met', () => {
+    const parsed = parse271(response([
+        'EB*C*IND*30***23*1000*****Y~', 'EB*C*IND*30***29*400*****Y~',
+        'EB*G*FAM*30***23*6000*****Y~', 'EB*G*FAM*30***24*1500*****Y~',
+        'EB*A*IND*30*****0.2****Y~', 'EB*B*IND*98***27*25*****Y~',
+    ]));
+    assert.equal(parsed.payerName, 'TEST HEALTH');
+    assert.equal(parsed.coverage, 'active');
+    assert.deepEqual(parsed.patient, { name: 'ANN LEE', memberId: 'M1', dob: '1980-01-01' });
+    assert.deepEqual(parsed.insurance, { planName: 'GOLD PPO', planYearStart: '2026-01-01', planYearEnd: '2026-12-31' });
+    assert.equal(parsed.benefits.individualDeductible, 1000);
+    assert.equal(parsed.benefits.familyOopMax, 6000);
+    assert.equal(parsed.benefits.coinsurancePercentage, 20);
+    assert.deepEqual(parsed.benefits.benefitGrid, { office_visit: { copay: 25 } });
+    assert.equal(parsed.accumulators.patient.deductibleMet, 600);
+    assert.equal(parsed.accumulators.family.oopMet, 1500);
+    assert.equal(parsed.hasFamily, true);
+    assert.deepEqual(parsed.unparsed, []);
+});
+
+test('lifetime remaining amounts are not read as plan-year remaining', () => {
+    const parsed = parse271(response(['EB*C*IND*30***23*1000*****Y~', 'EB*C*IND*30***33*50000*****Y~', 'EB*G*IND*30***32*1000000*****Y~']));
+    assert.equal(parsed.benefits.individualDeductible, 1000);
+    assert.equal(parsed.benefits.individualOopMax, undefined);
+    assert.equal(parsed.accumulators.patient.deductibleMet, undefined);
+    assert.equal(parsed.unparsed.length, 2);
+    assert.match(parsed.unparsed[0].reason, /Lifetime/);
+});
+
+test('a rejected request and an inactive plan are reported', () => {
+    const parsed = parse271('ST*271*0001~HL*1**20*1~NM1*PR*2*TEST HEALTH~AAA*N**72*C~HL*2*1*22*0~EB*6**30~SE*6*0001~');
+    assert.equal(parsed.coverage, 'inactive');
+    assert.deepEqual(parsed.rejections, ['Request rejected (reason code 72, follow-up C).']);
+});
+
+test('text that is not a 271 is rejected', () => {
+    assert.throws(() => parse271('ST*835*0001~SE*1*0001~'), /not a 271/);
+});
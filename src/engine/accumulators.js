@@ -0,0 +1,28 @@
+// --- Remaining amount against a limit. Blank limit = unlimited; an explicit 0 = nothing remaining ---
+export const getRemaining = (limit, met) => {
+    if (limit === null || limit === undefined || limit === '') return Infinity;
+    const numLimit = Number(limit) || 0;
+    const numMet = Number(met) || 0;
+    if (numLimit === 0 && (limit?.toString().trim() === '0')) return 0;
+    return Math.max(0, numLimit - numMet);
+};
+
+// --- "N members" family rules ---
+// An embedded family plan may treat the family deductible (or OOP max) as met once a number of members have met
+// their individual one: benefits.familyDeductibleMembers / familyOopMembers (blank = no such rule).
+// familyAcc.membersMetDeductible / membersMetOop count the other members who already have.
+export const familyMemberRuleMet = (benefits, familyAcc, limit) => {
+    const [requiredField, metField] = limit === 'deductible' ? ['familyDeductibleMembers', 'membersMetDeductible'] : ['familyOopMembers', 'membersMetOop'];
+    const required = Number(benefits[requiredField]);
+    return benefits.planType === 'EmbeddedFamily' && required > 0 && (Number(familyAcc?.[metField]) || 0) >= required;
+};
+
+// --- Centralized Plan-Aware OOP Helper ---
+// familyRuleMet: the family OOP max is met by an "N members" rule, whatever the family dollar amount.
+export const planAwareRemOop = (indOopMax, famOopMax, patientOopMet, familyOopMet, planType, familyRuleMet = false) => {
+    const rInd = (indOopMax === '' || indOopMax == null) ? Infinity : Math.max(0, (Number(indOopMax) || 0) - (Number(patientOopMet) || 0));
+    const rFam = familyRuleMet ? 0 : (famOopMax === '' || famOopMax == null) ? Infinity : Math.max(0, (Number(famOopMax) || 0) - (Number(familyOopMet) || 0));
+    if (planType === 'Individual') return rInd;
+    if (planType === 'AggregateFamily') return rFam;
+    return Math.min(rInd, rFam); // Embedded
+};
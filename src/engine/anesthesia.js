@@ -0,0 +1,140 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { parseModifiers } from './modifiers.js';
+
+// --- ANESTHESIA PRICING (BASE + TIME UNITS) ---
+// allowed = (base units + time units + physical status units + qualifying circumstance units)
+//           × conversion factor × the medical direction percentage.
+// A line's `anesthesia` object carries the base units, minutes and the payer's unit settings; the
+// physical status (P1–P6) and medical direction (AA, QK, QX, QY, QZ) come from the line's modifiers.
+
+export const ANESTHESIA_TIME_ROUNDING = [
+    { key: 'tenth', label: 'Tenths of a unit (Medicare)' },
+    { key: 'up', label: 'Whole units, rounded up' },
+    { key: 'nearest', label: 'Whole units, nearest' },
+];
+
+export const PHYSICAL_STATUS_UNITS = Object.freeze({ P1: 0, P2: 0, P3: 1, P4: 2, P5: 3, P6: 0 });
+
+// Add-on codes reported with the anesthesia code; their units are added to the line.
+export const QUALIFYING_CIRCUMSTANCES = [
+    { code: '99100', label: 'Extreme age (under 1 or over 70)', units: 1 },
+    { code: '99116', label: 'Total body hypothermia', units: 5 },
+    { code: '99135', label: 'Controlled hypotension', units: 5 },
+    { code: '99140', label: 'Emergency conditions', units: 2 },
+];
+
+// The share of the full amount each provider is paid when an anesthesiologist directs a CRNA.
+export const MEDICAL_DIRECTION_MODIFIERS = [
+    { code: 'AA', label: 'Personally performed by the anesthesiologist', percentage: 100 },
+    { code: 'QY', label: 'Anesthesiologist directing one CRNA', percentage: 50 },
+    { code: 'QK', label: 'Anesthesiologist directing 2–4 concurrent procedures', percentage: 50 },
+    { code: 'QX', label: 'CRNA with medical direction', percentage: 50 },
+    { code: 'QZ', label: 'CRNA without medical direction', percentage: 100 },
+];
+
+export const blankAnesthesiaPricing = () => ({ enabled: false, conversionFactor: '', minutesPerUnit: 15, timeRounding: 'tenth' });
+
+// CPT anesthesia codes run 00100–01999.
+export const isAnesthesiaCode = (cptCode) => {
+    const code = String(cptCode || '').trim();
+    return /^\d{5}$/.test(code) && Number(code) >= 100 && Number(code) <= 1999;
+};
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Rows of a base unit file (e.g. the CMS "Anesthesia Base Units by CPT Code" file) → { codes },
+// keyed by code: [baseUnits, description].
+export const parseAnesthesiaBaseUnits = (rows) => {
+    for (let r = 0; r < Math.min(rows.length, 20); r++) {
+        const headers = rows[r].map(normalizeHeader);
+        const codeCol = headers.findIndex(h => ['code', 'cpt', 'cptcode', 'hcpcs', 'hcpcscode', 'anesthesiacode'].includes(h));
+        const unitsCol = headers.findIndex(h => ['baseunit', 'baseunits', 'base', 'bu'].includes(h));
+        if (codeCol === -1 || unitsCol === -1) continue;
+        const descriptionCol = headers.findIndex(h => h.includes('descri'));
+        const codes = {};
+        rows.slice(r + 1).forEach(row => {
+            const code = String(row[codeCol] ?? '').trim().padStart(5, '0');
+            const baseUnits = Number(String(row[unitsCol] ?? '').trim());
+            if (!isAnesthesiaCode(code) || String(row[unitsCol] ?? '').trim() === '' || isNaN(baseUnits)) return;
+            codes[code] = [baseUnits, descriptionCol === -1 ? '' : String(row[descriptionCol] ?? '').trim()];
+        });
+        if (Object.keys(codes).length === 0) throw new Error('The base unit file has no anesthesia codes (00100–01999) with base units.');
+        return { codes };
+    }
+    throw new Error('No code and base unit columns were found. Use the CMS anesthesia base unit file.');
+};
+
+export const findAnesthesiaBaseUnits = (baseUnitTable, cptCode) => {
+    const row = baseUnitTable?.codes[String(cptCode || '').trim()];
+    return row ? { baseUnits: row[0], description: row[1] } : null;
+};
+
+export const calculateTimeUnits = (minutes, minutesPerUnit, rounding) => {
+    const exact = Number(((Number(minutes) || 0) / (Number(minutesPerUnit) || 15)).toFixed(6));
+    if (rounding === 'up') return Math.ceil(exact);
+    if (rounding === 'nearest') return Math.round(exact);
+    return Math.round(exact * 10) / 10;
+};
+
+// Builds a line's `anesthesia` object from the base unit table and the plan's settings, or null when
+// the line is not an anesthesia code or the code is not in the table.
+// procedure: { cptCode, anesthesiaMinutes, qualifyingCircumstances: ['99100', ...] }
+// settings: { conversionFactor, minutesPerUnit, timeRounding }
+export const buildAnesthesiaLinePricing = (procedure, baseUnitTable, settings) => {
+    const base = isAnesthesiaCode(procedure.cptCode) ? findAnesthesiaBaseUnits(baseUnitTable, procedure.cptCode) : null;
+    if (!base) return null;
+    return {
+        baseUnits: base.baseUnits,
+        minutes: Number(procedure.anesthesiaMinutes) || 0,
+        minutesPerUnit: Number(settings.minutesPerUnit) || 15,
+        timeRounding: settings.timeRounding || 'tenth',
+        qualifyingCircumstances: procedure.qualifyingCircumstances || [],
+        conversionFactor: Number(settings.conversionFactor) || 0,
+    };
+};
+
+// The unit build-up behind a line's allowed amount (the amount is for the whole line, not per unit).
+export const summarizeAnesthesiaUnits = (procedure) => {
+    const { anesthesia } = procedure;
+    const modifiers = parseModifiers(procedure.modifiers);
+    const timeUnits = calculateTimeUnits(anesthesia.minutes, anesthesia.minutesPerUnit, anesthesia.timeRounding);
+    const physicalStatus = modifiers.find(m => m in PHYSICAL_STATUS_UNITS) || '';
+    const physicalStatusUnits = physicalStatus ? PHYSICAL_STATUS_UNITS[physicalStatus] : 0;
+    const qualifying = QUALIFYING_CIRCUMSTANCES.filter(q => (anesthesia.qualifyingCircumstances || []).includes(q.code));
+    const qualifyingUnits = qualifying.reduce((sum, q) => sum + q.units, 0);
+    const direction = MEDICAL_DIRECTION_MODIFIERS.find(d => modifiers.includes(d.code)) || null;
+    const totalUnits = Number((Number(anesthesia.baseUnits) + timeUnits + physicalStatusUnits + qualifyingUnits).toFixed(4));
+    const fullAmount = $(totalUnits * Number(anesthesia.conversionFactor));
+    return {
+        baseUnits: Number(anesthesia.baseUnits), timeUnits, physicalStatus, physicalStatusUnits, qualifying, qualifyingUnits, totalUnits,
+        direction, fullAmount, allowedAmount: direction ? $(fullAmount * (direction.percentage / 100)) : fullAmount,
+    };
+};
+
+// Lines with `anesthesia` are priced from their units. The amount covers the whole line, so units is set to 1.
+export const applyAnesthesiaPricing = (procedure) => {
+    if (!procedure.anesthesia) return procedure;
+    return { ...procedure, units: 1, allowedAmount: summarizeAnesthesiaUnits(procedure).allowedAmount };
+};
+
+const formatUnits = (n) => String(Number(Number(n).toFixed(4)));
+
+// The breakdown note explaining an anesthesia line's allowed amount.
+export const anesthesiaPricedStep = (procedure) => {
+    const { anesthesia } = procedure;
+    const summary = summarizeAnesthesiaUnits(procedure);
+    const parts = [
+        `base ${formatUnits(summary.baseUnits)}`,
+        `time ${formatUnits(summary.timeUnits)} (${formatUnits(anesthesia.minutes)} min ÷ ${formatUnits(anesthesia.minutesPerUnit)})`,
+        ...(summary.physicalStatusUnits > 0 ? [`${summary.physicalStatus} ${summary.physicalStatusUnits}`] : []),
+        ...summary.qualifying.map(q => `${q.code} ${q.units}`),
+    ];
+    return {
+        type: STEP_TYPES.ANESTHESIA_PRICED,
+        description: 'Anesthesia Unit Pricing',
+        patientOwes: 0,
+        notes: `${String(procedure.cptCode).trim()}: ${parts.join(' + ')} = ${formatUnits(summary.totalUnits)} units × CF $${formatUnits(anesthesia.conversionFactor)} = $${summary.fullAmount.toFixed(2)}` +
+            `${summary.direction && summary.direction.percentage !== 100 ? `; ${summary.direction.code} ${summary.direction.label} at ${summary.direction.percentage}% = $${summary.allowedAmount.toFixed(2)}` : ''}.`,
+    };
+};
@@ -0,0 +1,39 @@
+// --- PLAN BENEFIT GRID ---
+// Cost sharing by service category. A procedure's own copay/coinsurance (when not blank) override its
+// category's values; a blank category coinsurance falls back to the plan default.
+export const SERVICE_CATEGORIES = [
+    { key: 'office_visit', label: 'Office Visit (PCP)' },
+    { key: 'specialist', label: 'Specialist' },
+    { key: 'imaging', label: 'Imaging' },
+    { key: 'lab', label: 'Lab' },
+    { key: 'outpatient_surgery', label: 'Outpatient Surgery' },
+    { key: 'emergency', label: 'Emergency Room' },
+    { key: 'dme', label: 'DME' },
+];
+
+export const SERVICE_CATEGORY_KEYS = SERVICE_CATEGORIES.map(c => c.key);
+
+export const blankBenefitGrid = () => Object.fromEntries(
+    SERVICE_CATEGORY_KEYS.map(key => [key, { copay: '', coinsurancePercentage: '', deductibleApplies: true }])
+);
+
+const isBlank = (v) => v === '' || v === null || v === undefined;
+
+export const getServiceCategoryLabel = (key) => SERVICE_CATEGORIES.find(c => c.key === key)?.label || null;
+
+// --- Resolve the copay, coinsurance and deductible flag that apply to one procedure ---
+export const resolveCostSharing = (procedure, benefits) => {
+    const category = procedure.serviceCategory && benefits.benefitGrid?.[procedure.serviceCategory];
+
+    const copaySource = !isBlank(procedure.copay) ? 'line' : (category && !isBlank(category.copay)) ? 'grid' : null;
+    const copay = copaySource === 'line' ? Number(procedure.copay) || 0 : copaySource === 'grid' ? Number(category.copay) || 0 : 0;
+
+    const coinsuranceSource = !isBlank(procedure.coinsurancePercentage) ? 'line' : (category && !isBlank(category.coinsurancePercentage)) ? 'grid' : 'plan';
+    const coinsurancePercentage = coinsuranceSource === 'line' ? procedure.coinsurancePercentage
+        : coinsuranceSource === 'grid' ? category.coinsurancePercentage
+        : benefits.coinsurancePercentage;
+
+    const deductibleApplies = category ? category.deductibleApplies !== false : true;
+
+    return { copay, copaySource, coinsurancePercentage, coinsuranceSource, deductibleApplies, categoryLabel: category ? getServiceCategoryLabel(procedure.serviceCategory) : null };
+};
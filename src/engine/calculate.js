@@ -0,0 +1,215 @@
+import { $, sanitizeNumber } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { getRemaining, planAwareRemOop, familyMemberRuleMet } from './accumulators.js';
+import { runWaterfall, priceLine } from './waterfall.js';
+import { assignMultipleProcedureReductions } from './mppr.js';
+import { lineAllowedAmount } from './units.js';
+import { resolveCostSharing } from './benefitGrid.js';
+import { withPaymentSplit, sumPaymentSplits } from './payments.js';
+import { applyPfsPricing } from './pfs.js';
+import { applyAnesthesiaPricing } from './anesthesia.js';
+import { resolveSequencing, sequenceProcedures, byAllowedDesc } from './sequencing.js';
+import { isOutOfNetwork, resolveNsaProtection, toOutOfNetworkBenefits, calculateBalanceBilling, balanceBillingStep, nsaProtectedStep } from './network.js';
+
+// MPPR ranks lines by allowed amount whatever order the payer adjudicates them in; keeps the order given.
+// Preventive lines are paid in full and are not ranked.
+const withReductions = (procedures, benefits) => {
+    const reduced = assignMultipleProcedureReductions(procedures.filter(p => !p.isPreventive).sort(byAllowedDesc), benefits);
+    return procedures.map(p => reduced.find(r => r.id === p.id) || p);
+};
+
+// Lines that skip the waterfall (OOP met, preventive, highest copay) are still priced like any other line, so their
+// finalAllowedAmount and payment split reflect units, modifiers and MPPR.
+const pricedEstimate = (procedure, benefits, options, totalPatientResponsibility, steps) => {
+    const { pricingSteps, ...pricing } = priceLine(procedure, benefits, options);
+    return withPaymentSplit({ ...procedure, ...pricing, totalPatientResponsibility, calculationBreakdown: [...pricingSteps, ...steps] });
+};
+
+// --- IN-NETWORK TIER ---
+// **ALGORITHM 11.0: Production Ready with Procedure Sorting**
+// Also prices out-of-network lines protected by the No Surprises Act, which get in-network cost sharing.
+const calculateInNetworkTier = (benefits, patientAccumulators, familyAccumulators, procedures, options) => {
+    // Sanitize inputs to ensure all accumulator values are numbers
+    let currentPatientAcc = {
+        deductibleMet: sanitizeNumber(patientAccumulators.deductibleMet),
+        oopMet: sanitizeNumber(patientAccumulators.oopMet),
+    };
+    let currentFamilyAcc = familyAccumulators ? {
+        deductibleMet: sanitizeNumber(familyAccumulators.deductibleMet),
+        oopMet: sanitizeNumber(familyAccumulators.oopMet),
+        membersMetDeductible: sanitizeNumber(familyAccumulators.membersMetDeductible),
+        membersMetOop: sanitizeNumber(familyAccumulators.membersMetOop),
+    } : null;
+
+    const procedureEstimates = [];
+    let totalPatientResponsibility = 0.0;
+    
+    // --- Early Exit for Met OOP (Plan-aware) ---
+    const remIndOop = getRemaining(benefits.individualOopMax, currentPatientAcc.oopMet);
+    const remFamOop = !currentFamilyAcc ? Infinity : familyMemberRuleMet(benefits, currentFamilyAcc, 'oop') ? 0 : getRemaining(benefits.familyOopMax, currentFamilyAcc.oopMet);
+
+    let oopMet = false, reason = '';
+    if (benefits.planType === 'Individual') { oopMet = remIndOop <= 0; reason = 'Individual OOP Met'; }
+    else if (benefits.planType === 'AggregateFamily') { oopMet = remFamOop <= 0; reason = 'Family OOP Met'; }
+    else { oopMet = (remIndOop <= 0) || (remFamOop <= 0); reason = (remIndOop <= 0) ? 'Individual OOP Met' : 'Family OOP Met'; }
+
+    // --- Separate Preventive Services & Sequence Standard Procedures (benefits.sequencing) ---
+    const preventiveProcedures = procedures.filter(p => p.isPreventive);
+    const standardProcedures = sequenceProcedures(procedures.filter(p => !p.isPreventive), resolveSequencing(benefits));
+
+    if (oopMet) {
+        const oopMetStep = { type: STEP_TYPES.OOP_MET, description: reason, patientOwes: 0.0, notes: `Patient's OOP max is met or set to $0.` };
+        return {
+             procedureEstimates: [...preventiveProcedures, ...standardProcedures].map(p => pricedEstimate(p, benefits, options, 0.0, [oopMetStep])),
+             totalPatientResponsibility: 0.0,
+             finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc },
+         }
+    }
+
+    preventiveProcedures.forEach(p => {
+        procedureEstimates.push(pricedEstimate(p, benefits, options, 0.0, [{ type: STEP_TYPES.PREVENTIVE, description: "Preventive Service", patientOwes: 0.0, notes: "This service is covered at 100% by the plan." }]));
+    });
+
+    // --- LOGIC ROUTER for standard services ---
+    let standardProcResult = { totalPatientResponsibility: 0, procedureEstimates: [], finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc }};
+
+    if (standardProcedures.length > 0) {
+        switch(benefits.copayLogic) {
+            case 'highest_copay_only': {
+                const highestCopay = standardProcedures.reduce((max, p) => Math.max(max, resolveCostSharing(p, benefits).copay), 0);
+                let remOop = planAwareRemOop(benefits.individualOopMax, benefits.familyOopMax, currentPatientAcc.oopMet, currentFamilyAcc?.oopMet, benefits.planType, familyMemberRuleMet(benefits, currentFamilyAcc, 'oop'));
+                const resp = $(Math.min(highestCopay, remOop));
+
+                standardProcResult.totalPatientResponsibility = resp;
+                currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + resp);
+                if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + resp);
+                
+                const breakdown = [{ type: STEP_TYPES.HIGHEST_COPAY, description: "Highest Copay Applied", patientOwes: resp, notes: `The highest copay of $${highestCopay.toFixed(2)} is the total cost.` }];
+                standardProcResult.procedureEstimates = standardProcedures.map((p, index) => index === 0 ? pricedEstimate(p, benefits, options, resp, breakdown) : pricedEstimate(p, benefits, options, 0, []));
+                break;
+            }
+
+            case 'highest_copay_plus_remainder': {
+                let highestCopay = 0;
+                let highestCopayProc = null;
+                
+                // Find the procedure with the highest copay (and highest allowed amount as a tie-breaker)
+                standardProcedures.forEach(p => {
+                    const currentCopay = resolveCostSharing(p, benefits).copay;
+                    if (currentCopay > highestCopay) {
+                        highestCopay = currentCopay;
+                        highestCopayProc = p;
+                    } else if (currentCopay === highestCopay && highestCopay > 0) {
+                        // Tie-breaker: choose the one with the higher allowed amount
+                        if (lineAllowedAmount(p) > lineAllowedAmount(highestCopayProc)) {
+                            highestCopayProc = p;
+                        }
+                    }
+                });
+                
+                if (!highestCopayProc) {
+                    const waterfallResult = runWaterfall(standardProcedures, benefits, currentPatientAcc, currentFamilyAcc, false, options);
+                    standardProcResult = waterfallResult;
+                    currentPatientAcc = waterfallResult.finalAccumulators.patient;
+                    currentFamilyAcc = waterfallResult.finalAccumulators.family;
+                } else {
+                    let remOop = planAwareRemOop(benefits.individualOopMax, benefits.familyOopMax, currentPatientAcc.oopMet, currentFamilyAcc?.oopMet, benefits.planType, familyMemberRuleMet(benefits, currentFamilyAcc, 'oop'));
+                    const copayDue = $(Math.min(highestCopay, remOop));
+                    standardProcResult.totalPatientResponsibility = $(standardProcResult.totalPatientResponsibility + copayDue);
+                    currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + copayDue);
+                    if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + copayDue);
+                    
+                    standardProcResult.procedureEstimates.push(pricedEstimate(highestCopayProc, benefits, options, copayDue, [{ type: STEP_TYPES.HIGHEST_COPAY, description: `Highest Copay for ${highestCopayProc?.cptCode}`, patientOwes: copayDue, notes: `Applied as a separate fee.` }]));
+                    
+                    const remainingProcedures = standardProcedures.filter(p => p.id !== highestCopayProc.id);
+                    const waterfallResult = runWaterfall(remainingProcedures, benefits, currentPatientAcc, currentFamilyAcc, true, options); // ignoreCopays = true
+                    
+                    standardProcResult.totalPatientResponsibility = $(standardProcResult.totalPatientResponsibility + waterfallResult.totalPatientResponsibility);
+                    standardProcResult.procedureEstimates.push(...waterfallResult.procedureEstimates);
+                    currentPatientAcc = waterfallResult.finalAccumulators.patient;
+                    currentFamilyAcc = waterfallResult.finalAccumulators.family;
+                }
+                break;
+            }
+
+            case 'standard_waterfall':
+            default: {
+                const waterfallResult = runWaterfall(standardProcedures, benefits, currentPatientAcc, currentFamilyAcc, false, options);
+                standardProcResult.totalPatientResponsibility = waterfallResult.totalPatientResponsibility;
+                standardProcResult.procedureEstimates = waterfallResult.procedureEstimates;
+                currentPatientAcc = waterfallResult.finalAccumulators.patient;
+                currentFamilyAcc = waterfallResult.finalAccumulators.family;
+                break;
+            }
+        }
+    }
+    
+    totalPatientResponsibility = standardProcResult.totalPatientResponsibility;
+    procedureEstimates.push(...standardProcResult.procedureEstimates);
+
+    return { procedureEstimates, totalPatientResponsibility, finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc } };
+};
+
+// --- OUT-OF-NETWORK TIER ---
+// Separate OON deductible/OOP accumulators and coinsurance; every line also carries its balance-billing exposure.
+const calculateOutOfNetworkTier = (benefits, patientAccumulators, familyAccumulators, procedures, options, rankOffset) => {
+    const oonBenefits = toOutOfNetworkBenefits(benefits);
+    const patientAcc = {
+        deductibleMet: sanitizeNumber(patientAccumulators?.deductibleMet),
+        oopMet: sanitizeNumber(patientAccumulators?.oopMet),
+    };
+    const familyAcc = benefits.planType !== 'Individual' ? {
+        deductibleMet: sanitizeNumber(familyAccumulators?.deductibleMet),
+        oopMet: sanitizeNumber(familyAccumulators?.oopMet),
+    } : null;
+
+    if (procedures.length === 0) {
+        return { procedureEstimates: [], totalPatientResponsibility: 0, finalAccumulators: { patient: patientAcc, family: familyAcc } };
+    }
+
+    const ranked = sequenceProcedures(procedures, resolveSequencing(benefits), rankOffset);
+
+    const result = runWaterfall(ranked, oonBenefits, patientAcc, familyAcc, false, options);
+    result.procedureEstimates = result.procedureEstimates.map(est => {
+        const balanceBillingExposure = calculateBalanceBilling(est);
+        return withPaymentSplit({ ...est, balanceBillingExposure: balanceBillingExposure ?? 0, calculationBreakdown: [...est.calculationBreakdown, balanceBillingStep(est, balanceBillingExposure)] });
+    });
+    return result;
+};
+
+// --- CORE CALCULATION LOGIC ---
+// options: engine settings that are not plan benefits, e.g. { mue: { limits, action } }.
+// patientAccumulators.outOfNetwork / familyAccumulators.outOfNetwork carry the OON tier's met amounts.
+export const calculateEstimate = (benefits, patientAccumulators, familyAccumulators, procedures, metaData, options = {}) => {
+    // MPPR is ranked across the whole claim before it is split by network, so each group has one primary.
+    const withNetwork = withReductions(procedures.map(applyPfsPricing).map(applyAnesthesiaPricing).map(p => ({ ...p, network: isOutOfNetwork(p) ? 'out' : 'in', nsaProtection: resolveNsaProtection(p) })), benefits);
+    const oonProcedures = withNetwork.filter(p => p.network === 'out' && !p.nsaProtection);
+    const inNetworkProcedures = withNetwork.filter(p => !(p.network === 'out' && !p.nsaProtection));
+
+    const inNetwork = calculateInNetworkTier(benefits, patientAccumulators, familyAccumulators, inNetworkProcedures, options);
+    const rankOffset = inNetwork.procedureEstimates.reduce((max, p) => Math.max(max, p.calculationRank || 0), 0);
+    const outOfNetwork = calculateOutOfNetworkTier(benefits, patientAccumulators.outOfNetwork, familyAccumulators?.outOfNetwork, oonProcedures, options, rankOffset);
+
+    // Protected OON lines: no balance billing, with the amount it would have been shown for context.
+    inNetwork.procedureEstimates = inNetwork.procedureEstimates.map(est => {
+        if (!est.nsaProtection) return { ...est, balanceBillingExposure: 0 };
+        const suppressed = est.finalAllowedAmount != null ? calculateBalanceBilling(est) : null;
+        return { ...est, balanceBillingExposure: 0, calculationBreakdown: [...est.calculationBreakdown, nsaProtectedStep(est.nsaProtection, suppressed)] };
+    });
+
+    const procedureEstimates = [...inNetwork.procedureEstimates, ...outOfNetwork.procedureEstimates];
+    procedureEstimates.sort((a,b) => procedures.findIndex(p => p.id === a.id) - procedures.findIndex(p => p.id === b.id));
+
+    const tierTotals = { inNetwork: inNetwork.totalPatientResponsibility, outOfNetwork: outOfNetwork.totalPatientResponsibility };
+    const totalPatientResponsibility = $(tierTotals.inNetwork + tierTotals.outOfNetwork);
+    const totalBalanceBillingExposure = $(procedureEstimates.reduce((sum, p) => sum + (p.balanceBillingExposure || 0), 0));
+    const paymentTotals = sumPaymentSplits(procedureEstimates);
+
+    const finalAccumulators = {
+        patient: inNetwork.finalAccumulators.patient,
+        family: inNetwork.finalAccumulators.family,
+        outOfNetwork: { patient: outOfNetwork.finalAccumulators.patient, family: outOfNetwork.finalAccumulators.family },
+    };
+
+    return { benefits, patientId: metaData.patient.memberId, sequencing: resolveSequencing(benefits), procedureEstimates, totalPatientResponsibility, tierTotals, totalBalanceBillingExposure, paymentTotals, finalAccumulators, metaData };
+};
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimate } from './calculate.js';
+
+// --- Fixtures: an Individual plan with a $500 deductible, $3000 OOP max and 20% coinsurance ---
+const plan = (overrides = {}) => ({ planType: 'Individual', individualDeductible: 500, individualOopMax: 3000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall', ...overrides });
+const acc = (deductibleMet = 0, oopMet = 0) => ({ deductibleMet, oopMet });
+const line = (id, allowedAmount, extra = {}) => ({ id, cptCode: '99213', allowedAmount, ...extra });
+const meta = { patient: { name: 'Test Patient', memberId: 'M1' } };
+const run = (benefits, procedures, patientAcc = acc(), familyAcc = null) => calculateEstimate(benefits, patientAcc, familyAcc, procedures, meta);
+const owes = (result, id) => result.procedureEstimates.find(p => p.id === id).totalPatientResponsibility;
+
+test('standard waterfall applies the deductible, then coinsurance', () => {
+    const result = run(plan(), [line('a', 1000)]);
+    assert.equal(result.totalPatientResponsibility, 600);
+    assert.deepEqual(result.finalAccumulators.patient, { deductibleMet: 500, oopMet: 600 });
+});
+
+test('the deductible is absorbed by the first line in calculation order', () => {
+    const result = run(plan(), [line('small', 200), line('large', 1000)]);
+    assert.equal(owes(result, 'large'), 600);
+    assert.equal(owes(result, 'small'), 40);
+    assert.equal(result.procedureEstimates.find(p => p.id === 'large').calculationRank, 1);
+});
+
+test('patient responsibility stops at the OOP max', () => {
+    const result = run(plan({ individualOopMax: 700 }), [line('a', 5000)]);
+    assert.equal(result.totalPatientResponsibility, 700);
+});
+
+test('copay logic modes', async (t) => {
+    const copayLine = [line('a', 1000, { copay: 50 })];
+    const cases = [
+        ['standard_waterfall', acc(), 640],
+        ['copay_waived_after_deductible', acc(), 640],
+        ['copay_waived_after_deductible', acc(500, 500), 200],
+        ['copay_after_deductible', acc(), 640],
+        ['copay_counts_toward_deductible', acc(), 600],
+        ['copay_in_lieu', acc(), 50],
+    ];
+    for (const [copayLogic, patientAcc, expected] of cases) {
+        await t.test(`${copayLogic} (deductible met $${patientAcc.deductibleMet})`, () => {
+            assert.equal(run(plan({ copayLogic }), copayLine, patientAcc).totalPatientResponsibility, expected);
+        });
+    }
+    await t.test('copay_after_deductible charges no copay while the deductible is unmet', () => {
+        assert.equal(run(plan({ copayLogic: 'copay_after_deductible', individualDeductible: 2000 }), copayLine).totalPatientResponsibility, 1000);
+    });
+    await t.test('highest_copay_only', () => {
+        assert.equal(run(plan({ copayLogic: 'highest_copay_only' }), [line('a', 1000, { copay: 50 }), line('b', 400, { copay: 30 })]).totalPatientResponsibility, 50);
+    });
+    await t.test('highest_copay_plus_remainder', () => {
+        const result = run(plan({ copayLogic: 'highest_copay_plus_remainder' }), [line('a', 1000, { copay: 50 }), line('b', 400, { copay: 30 })]);
+        assert.equal(owes(result, 'a'), 50);
+        assert.equal(owes(result, 'b'), 400);
+    });
+});
+
+test('a family plan stops the deductible once the family deductible is met', () => {
+    const benefits = plan({ planType: 'EmbeddedFamily', familyDeductible: 1000, familyOopMax: 6000 });
+    const result = run(benefits, [line('a', 1000)], acc(), acc(1000, 1000));
+    assert.equal(result.totalPatientResponsibility, 200);
+});
+
+test('preventive lines are covered in full', () => {
+    const result = run(plan(), [line('a', 300, { isPreventive: true })]);
+    assert.equal(result.totalPatientResponsibility, 0);
+    assert.equal(result.finalAccumulators.patient.deductibleMet, 0);
+});
+
+test('every line splits its billed amount into plan paid, adjustment and patient share', () => {
+    const result = run(plan(), [line('a', 1000, { billedAmount: 1500 })]);
+    const [est] = result.procedureEstimates;
+    assert.equal(est.lineBilledAmount, 1500);
+    assert.equal(est.planPaid, 400);
+    assert.equal(est.contractualAdjustment, 500);
+    assert.equal(est.planPaid + est.contractualAdjustment + est.totalPatientResponsibility, est.lineBilledAmount);
+});
+
+test('out-of-network lines use their own tier and carry balance billing', () => {
+    const benefits = plan({ outOfNetwork: { individualDeductible: 1000, individualOopMax: 6000, coinsurancePercentage: 40 } });
+    const result = run(benefits, [line('a', 1000, { network: 'out', billedAmount: 1500 })], { ...acc(), outOfNetwork: acc() });
+    assert.equal(result.tierTotals.outOfNetwork, 1000);
+    assert.equal(result.totalBalanceBillingExposure, 500);
+    assert.deepEqual(result.finalAccumulators.patient, { deductibleMet: 0, oopMet: 0 });
+});
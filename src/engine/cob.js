@@ -0,0 +1,122 @@
+import { $, sanitizeNumber } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { lineAllowedAmount } from './units.js';
+import { runWaterfall } from './waterfall.js';
+
+// --- COORDINATION OF BENEFITS (SECONDARY PAYER) ---
+// Runs after calculateEstimate: the secondary's liability is derived from the primary's per-line output.
+export const COB_METHODS = [
+    { key: 'standard', label: 'Standard / Traditional', description: "The secondary pays up to what it would have paid as primary, limited to the patient's remaining balance." },
+    { key: 'non_duplication', label: 'Non-Duplication', description: 'The secondary pays only the amount by which its normal benefit exceeds what the primary paid.' },
+    { key: 'carve_out', label: 'Carve-Out', description: "The secondary applies its own deductible and coinsurance to the patient's balance left after the primary." },
+    { key: 'medicaid', label: 'Medicaid (Payer of Last Resort)', description: 'Medicaid pays up to its allowed amount less the primary payment; the patient owes at most the Medicaid copay and the rest is written off.' },
+];
+export const COB_METHOD_KEYS = COB_METHODS.map(m => m.key);
+
+export const blankSecondaryCoverage = () => ({
+    enabled: false,
+    payerName: '',
+    method: 'standard',
+    benefits: { deductible: '', oopMax: '', coinsurancePercentage: '', copay: '' },
+    accumulators: { deductibleMet: '', oopMet: '' },
+});
+
+const primaryAllowed = (est) => est.finalAllowedAmount ?? lineAllowedAmount(est);
+
+// Secondary cost sharing is priced on the primary's final allowed amount; modifiers, units and MPPR are already baked in.
+const asSecondaryLine = (est, allowedAmount) => ({
+    id: est.id, cptCode: est.cptCode, allowedAmount, billedAmount: '', units: 1,
+    copay: '', coinsurancePercentage: '', modifiers: '', mpprGroup: 'none', serviceCategory: '',
+});
+
+const runSecondaryWaterfall = (lines, secondary, acc) => {
+    const secondaryBenefits = {
+        planType: 'Individual',
+        individualDeductible: secondary.benefits.deductible,
+        individualOopMax: secondary.benefits.oopMax,
+        coinsurancePercentage: secondary.benefits.coinsurancePercentage || 0,
+        copayLogic: 'standard_waterfall',
+    };
+    return runWaterfall(lines, secondaryBenefits, acc, null, true);
+};
+
+export const applyCoordinationOfBenefits = (primaryResult, secondary) => {
+    if (!secondary || !secondary.enabled) return primaryResult;
+
+    const startingAcc = {
+        deductibleMet: sanitizeNumber(secondary.accumulators?.deductibleMet),
+        oopMet: sanitizeNumber(secondary.accumulators?.oopMet),
+    };
+    const billable = primaryResult.procedureEstimates.filter(est => est.totalPatientResponsibility > 0);
+
+    // What the secondary owes per line, keyed by procedure id.
+    const secondaryPaidById = {};
+    const patientById = {};
+    let finalSecondaryAcc = startingAcc;
+
+    if (secondary.method === 'medicaid') {
+        let copayRemaining = sanitizeNumber(secondary.benefits.copay);
+        billable.forEach(est => {
+            const allowed = primaryAllowed(est);
+            const primaryPaid = est.planPaid;
+            const medicaidAllowed = est.secondaryAllowedAmount !== '' && est.secondaryAllowedAmount != null ? sanitizeNumber(est.secondaryAllowedAmount) : allowed;
+            const patientShare = $(Math.min(est.totalPatientResponsibility, copayRemaining));
+            copayRemaining = $(copayRemaining - patientShare);
+            secondaryPaidById[est.id] = $(Math.min(est.totalPatientResponsibility - patientShare, Math.max(0, medicaidAllowed - primaryPaid)));
+            patientById[est.id] = patientShare;
+        });
+    } else if (secondary.method === 'carve_out') {
+        const result = runSecondaryWaterfall(billable.map(est => asSecondaryLine(est, est.totalPatientResponsibility)), secondary, startingAcc);
+        result.procedureEstimates.forEach(line => {
+            const balance = billable.find(est => est.id === line.id).totalPatientResponsibility;
+            secondaryPaidById[line.id] = $(Math.max(0, balance - line.totalPatientResponsibility));
+        });
+        finalSecondaryAcc = result.finalAccumulators.patient;
+    } else {
+        const result = runSecondaryWaterfall(billable.map(est => asSecondaryLine(est, primaryAllowed(est))), secondary, startingAcc);
+        result.procedureEstimates.forEach(line => {
+            const est = billable.find(e => e.id === line.id);
+            const allowed = primaryAllowed(est);
+            const normalBenefit = $(Math.max(0, allowed - line.totalPatientResponsibility));
+            const primaryPaid = est.planPaid;
+            const owed = secondary.method === 'non_duplication' ? Math.max(0, normalBenefit - primaryPaid) : normalBenefit;
+            secondaryPaidById[line.id] = $(Math.min(owed, est.totalPatientResponsibility));
+        });
+        finalSecondaryAcc = result.finalAccumulators.patient;
+    }
+
+    const method = COB_METHODS.find(m => m.key === secondary.method) || COB_METHODS[0];
+    let totalPrimaryPaid = 0, totalSecondaryPaid = 0, totalPatient = 0, totalWriteOff = 0;
+
+    const procedureEstimates = primaryResult.procedureEstimates.map(est => {
+        const primaryPaid = est.planPaid;
+        const secondaryPaid = secondaryPaidById[est.id] || 0;
+        const afterSecondary = $(est.totalPatientResponsibility - secondaryPaid);
+        const patientResponsibility = patientById[est.id] ?? afterSecondary;
+        const writeOff = $(afterSecondary - patientResponsibility);
+
+        totalPrimaryPaid = $(totalPrimaryPaid + primaryPaid);
+        totalSecondaryPaid = $(totalSecondaryPaid + secondaryPaid);
+        totalPatient = $(totalPatient + patientResponsibility);
+        totalWriteOff = $(totalWriteOff + writeOff);
+
+        const cob = { primaryPaid, secondaryPaid, patientResponsibility, writeOff };
+        if (est.totalPatientResponsibility <= 0) return { ...est, cob };
+        const notes = `${secondary.payerName || 'Secondary'} (${method.label}) pays $${secondaryPaid.toFixed(2)} of the $${est.totalPatientResponsibility.toFixed(2)} balance${writeOff > 0 ? `; $${writeOff.toFixed(2)} written off` : ''}. Patient owes $${patientResponsibility.toFixed(2)}.`;
+        return { ...est, cob, calculationBreakdown: [...est.calculationBreakdown, { type: STEP_TYPES.SECONDARY_PAYMENT, description: 'Secondary Insurance', patientOwes: 0, notes }] };
+    });
+
+    return {
+        ...primaryResult,
+        procedureEstimates,
+        coordinationOfBenefits: {
+            method: method.key,
+            payerName: secondary.payerName,
+            primaryPaid: totalPrimaryPaid,
+            secondaryPaid: totalSecondaryPaid,
+            writeOff: totalWriteOff,
+            patientResponsibility: totalPatient,
+            finalSecondaryAccumulators: finalSecondaryAcc,
+        },
+    };
+};
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimate } from './calculate.js';
+import { applyCoordinationOfBenefits, blankSecondaryCoverage } from './cob.js';
+
+// Primary: $500 deductible and 20% coinsurance on a $1000 line, so the patient owes $600 and the plan pays $400.
+const primary = () => calculateEstimate(
+    { planType: 'Individual', individualDeductible: 500, individualOopMax: 3000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall' },
+    { deductibleMet: 0, oopMet: 0 }, null,
+    [{ id: 'a', cptCode: '99213', allowedAmount: 1000 }],
+    { patient: { name: 'Test Patient', memberId: 'M1' } },
+);
+const secondary = (method, benefits = {}) => ({ ...blankSecondaryCoverage(), enabled: true, payerName: 'Second Plan', method, benefits: { deductible: 0, oopMax: '', coinsurancePercentage: 20, copay: '', ...benefits } });
+
+test('a disabled secondary leaves the primary result as it is', () => {
+    const result = primary();
+    assert.equal(applyCoordinationOfBenefits(result, blankSecondaryCoverage()), result);
+});
+
+test('COB methods', async (t) => {
+    const cases = [
+        ['standard', 0, 600],
+        ['non_duplication', 200, 400],
+        ['carve_out', 120, 480],
+    ];
+    for (const [method, patient, secondaryPaid] of cases) {
+        await t.test(method, () => {
+            const { coordinationOfBenefits } = applyCoordinationOfBenefits(primary(), secondary(method));
+            assert.equal(coordinationOfBenefits.patientResponsibility, patient);
+            assert.equal(coordinationOfBenefits.secondaryPaid, secondaryPaid);
+            assert.equal(coordinationOfBenefits.primaryPaid, 400);
+        });
+    }
+    await t.test('medicaid leaves the patient only the Medicaid copay', () => {
+        const { coordinationOfBenefits } = applyCoordinationOfBenefits(primary(), secondary('medicaid', { copay: 5 }));
+        assert.equal(coordinationOfBenefits.patientResponsibility, 5);
+        assert.equal(coordinationOfBenefits.secondaryPaid, 595);
+        assert.equal(coordinationOfBenefits.writeOff, 0);
+    });
+});
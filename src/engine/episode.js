@@ -0,0 +1,142 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { calculateEstimate } from './calculate.js';
+import { priceLine } from './waterfall.js';
+import { assignMultipleProcedureReductions } from './mppr.js';
+import { withPaymentSplit, sumPaymentSplits } from './payments.js';
+import { applyPfsPricing } from './pfs.js';
+import { applyAnesthesiaPricing } from './anesthesia.js';
+import { getServiceCategoryLabel } from './benefitGrid.js';
+import { isOutOfNetwork } from './network.js';
+import { resolveSequencing, byAllowedDesc } from './sequencing.js';
+
+// --- MULTI-VISIT EPISODES ---
+// A treatment plan (pregnancy, a PT course, chemo cycles, staged surgery) is a list of visits, each with its
+// own date of service and procedures. Visits are estimated in date order and each one starts from the
+// accumulators the previous one ended with. A visit in a later plan year starts that year from zero.
+
+const isBlank = (v) => v === '' || v === null || v === undefined;
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYY-MM-DD plus whole years. Feb 29 anniversaries fall on Mar 1 in common years.
+const addYears = (isoDate, years) => {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    const date = new Date(Date.UTC(y + years, m - 1, d));
+    return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+};
+
+// The plan year the entered accumulators belong to: metaData.insurance.planYearStart, or January 1 of
+// the first visit's year. Returns how many plan years after that one `date` falls (0 = the same year).
+export const planYearOffset = (date, planYearStart) => {
+    if (!date || !planYearStart || date < planYearStart) return 0;
+    let offset = 0;
+    while (date >= addYears(planYearStart, offset + 1)) offset += 1;
+    return offset;
+};
+
+// The family member counts (membersMetDeductible / membersMetOop) are per plan year too.
+const resetAccumulators = (acc) => acc && { ...acc, deductibleMet: 0, oopMet: 0, membersMetDeductible: 0, membersMetOop: 0, outOfNetwork: { deductibleMet: 0, oopMet: 0 }, visitsUsed: {} };
+
+// Lines in a category whose plan-year visit limit is used up are not covered: the patient owes the allowed
+// amount and nothing counts toward the deductible or OOP max. The line is priced like a covered one (units,
+// modifiers, MPPR, billed cap); `priced` has the PFS/anesthesia pricing and MPPR rank already applied.
+const overLimitEstimate = (priced, limit, benefits, options) => {
+    const { pricingSteps, ...pricing } = priceLine(priced, benefits, options);
+    const allowed = pricing.finalAllowedAmount;
+    const label = getServiceCategoryLabel(priced.serviceCategory);
+    return withPaymentSplit({
+        ...priced,
+        ...pricing,
+        network: isOutOfNetwork(priced) ? 'out' : 'in',
+        totalPatientResponsibility: allowed,
+        balanceBillingExposure: 0,
+        calculationBreakdown: [...pricingSteps, { type: STEP_TYPES.VISIT_LIMIT_EXCEEDED, description: 'Visit Limit Reached', patientOwes: allowed, notes: `The plan covers ${limit} ${label} visit${Number(limit) === 1 ? '' : 's'} per plan year; this visit is not covered and does not count toward the deductible or OOP max.` }],
+    });
+};
+
+// Over-limit lines take the MPPR ranks after the visit's covered lines, so a covered primary keeps its 100%.
+const rankOverLimit = (covered, overLimit, benefits) => {
+    const priced = (lines) => lines.map(applyPfsPricing).map(applyAnesthesiaPricing).sort(byAllowedDesc);
+    const coveredIds = new Set(covered.map(p => p.id));
+    return assignMultipleProcedureReductions([...priced(covered.filter(p => !p.isPreventive)), ...priced(overLimit)], benefits).filter(p => !coveredIds.has(p.id));
+};
+
+// visits: [{ id, date, label, procedures }]. Returns the per-visit results and the episode totals; the
+// episode-level `procedureEstimates` lists every line, tagged with its `visitId` and `visitDate`.
+export const calculateEpisode = (benefits, patientAccumulators, familyAccumulators, visits, metaData, options = {}) => {
+    const ordered = [...visits].sort((a, b) => String(a.date).localeCompare(String(b.date)));
+    const planYearStart = metaData.insurance?.planYearStart || (ordered[0]?.date ? `${ordered[0].date.slice(0, 4)}-01-01` : '');
+    const visitLimits = benefits.visitLimits || {};
+
+    let patientAcc = { ...patientAccumulators, visitsUsed: { ...(patientAccumulators.visitsUsed || {}) } };
+    let familyAcc = familyAccumulators;
+    let currentOffset = 0;
+
+    const visitResults = ordered.map(visit => {
+        const offset = planYearOffset(visit.date, planYearStart);
+        const planYearReset = offset > currentOffset;
+        if (planYearReset) {
+            patientAcc = resetAccumulators(patientAcc);
+            familyAcc = resetAccumulators(familyAcc);
+            currentOffset = offset;
+        }
+
+        // A visit uses one visit of each limited category it has a line in, while any remain.
+        const exhausted = {};
+        [...new Set(visit.procedures.map(p => p.serviceCategory).filter(Boolean))].forEach(category => {
+            const limit = visitLimits[category];
+            if (isBlank(limit)) return;
+            const used = Number(patientAcc.visitsUsed[category]) || 0;
+            if (used >= Number(limit)) exhausted[category] = limit;
+            else patientAcc.visitsUsed = { ...patientAcc.visitsUsed, [category]: used + 1 };
+        });
+        const covered = visit.procedures.filter(p => isBlank(exhausted[p.serviceCategory]));
+        const overLimit = rankOverLimit(covered, visit.procedures.filter(p => !isBlank(exhausted[p.serviceCategory])), benefits)
+            .map(p => overLimitEstimate(p, exhausted[p.serviceCategory], benefits, options));
+
+        const visitMetaData = { ...metaData, service: { ...metaData.service, date: visit.date } };
+        const result = calculateEstimate(benefits, patientAcc, familyAcc, covered, visitMetaData, options);
+        const order = visit.procedures.map(p => p.id);
+        const procedureEstimates = [...result.procedureEstimates, ...overLimit]
+            .sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id))
+            .map(p => ({ ...p, visitId: visit.id, visitDate: visit.date }));
+        const nonCoveredTotal = $(overLimit.reduce((sum, p) => sum + p.totalPatientResponsibility, 0));
+
+        patientAcc = { ...result.finalAccumulators.patient, outOfNetwork: result.finalAccumulators.outOfNetwork.patient, visitsUsed: patientAcc.visitsUsed };
+        familyAcc = result.finalAccumulators.family && { ...result.finalAccumulators.family, outOfNetwork: result.finalAccumulators.outOfNetwork.family };
+
+        return {
+            visitId: visit.id,
+            label: visit.label || '',
+            date: visit.date,
+            planYear: offset,
+            planYearReset,
+            procedureEstimates,
+            totalPatientResponsibility: $(result.totalPatientResponsibility + nonCoveredTotal),
+            tierTotals: result.tierTotals,
+            nonCoveredTotal,
+            totalBalanceBillingExposure: result.totalBalanceBillingExposure,
+            paymentTotals: sumPaymentSplits(procedureEstimates),
+            finalAccumulators: { ...result.finalAccumulators, visitsUsed: { ...patientAcc.visitsUsed } },
+        };
+    });
+
+    const procedureEstimates = visitResults.flatMap(v => v.procedureEstimates);
+    const sum = (field) => $(visitResults.reduce((total, v) => total + v[field], 0));
+    const last = visitResults[visitResults.length - 1];
+    return {
+        mode: 'episode',
+        benefits,
+        patientId: metaData.patient.memberId,
+        sequencing: resolveSequencing(benefits),
+        visits: visitResults,
+        procedureEstimates,
+        totalPatientResponsibility: sum('totalPatientResponsibility'),
+        tierTotals: { inNetwork: $(visitResults.reduce((t, v) => t + v.tierTotals.inNetwork, 0)), outOfNetwork: $(visitResults.reduce((t, v) => t + v.tierTotals.outOfNetwork, 0)) },
+        nonCoveredTotal: sum('nonCoveredTotal'),
+        totalBalanceBillingExposure: sum('totalBalanceBillingExposure'),
+        paymentTotals: sumPaymentSplits(procedureEstimates),
+        finalAccumulators: last ? last.finalAccumulators : { patient: patientAcc, family: familyAcc, outOfNetwork: { patient: patientAcc.outOfNetwork, family: familyAcc?.outOfNetwork } },
+        metaData,
+    };
+};
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEpisode, planYearOffset } from './episode.js';
+
+const plan = (overrides = {}) => ({ planType: 'Individual', individualDeductible: 500, individualOopMax: 3000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall', ...overrides });
+const meta = { patient: { name: 'Test Patient', memberId: 'M1' }, insurance: { planYearStart: '2026-01-01' } };
+const visit = (id, date, allowedAmount, extra = {}) => ({ id, date, procedures: [{ id: `${id}-1`, cptCode: '97110', allowedAmount, ...extra }] });
+const visitOwes = (result, id) => result.visits.find(v => v.visitId === id).totalPatientResponsibility;
+
+test('planYearOffset counts plan years after the one the accumulators belong to', () => {
+    assert.equal(planYearOffset('2026-12-31', '2026-01-01'), 0);
+    assert.equal(planYearOffset('2027-01-01', '2026-01-01'), 1);
+    assert.equal(planYearOffset('2025-06-01', '2026-01-01'), 0);
+});
+
+test('accumulators carry forward from one visit to the next', () => {
+    const result = calculateEpisode(plan(), { deductibleMet: 0, oopMet: 0 }, null, [visit('v2', '2026-03-01', 400), visit('v1', '2026-02-01', 400)], meta);
+    assert.equal(visitOwes(result, 'v1'), 400);
+    assert.equal(visitOwes(result, 'v2'), 160);
+    assert.equal(result.totalPatientResponsibility, 560);
+});
+
+test('a visit in the next plan year starts from reset accumulators', () => {
+    const result = calculateEpisode(plan(), { deductibleMet: 0, oopMet: 0 }, null, [visit('v1', '2026-11-01', 400), visit('v2', '2027-01-15', 400)], meta);
+    assert.equal(visitOwes(result, 'v2'), 400);
+    assert.equal(result.visits[1].planYearReset, true);
+});
+
+test('visits over the plan-year visit limit are not covered', () => {
+    const benefits = plan({ individualDeductible: 0, visitLimits: { office_visit: 1 } });
+    const visits = [visit('v1', '2026-02-01', 100, { serviceCategory: 'office_visit' }), visit('v2', '2026-03-01', 100, { serviceCategory: 'office_visit' })];
+    const result = calculateEpisode(benefits, { deductibleMet: 0, oopMet: 0 }, null, visits, meta);
+    assert.equal(visitOwes(result, 'v1'), 20);
+    assert.equal(visitOwes(result, 'v2'), 100);
+    assert.equal(result.nonCoveredTotal, 100);
+});
+
+test('family member-met counts reset with the plan year', () => {
+    const benefits = plan({ planType: 'EmbeddedFamily', familyDeductible: 1500, familyOopMax: 10000, individualOopMax: 5000, familyDeductibleMembers: 2 });
+    const familyAcc = { deductibleMet: 0, oopMet: 0, membersMetDeductible: 2 };
+    const result = calculateEpisode(benefits, { deductibleMet: 0, oopMet: 0 }, familyAcc, [visit('v1', '2027-02-01', 1000)], meta);
+    assert.equal(result.totalPatientResponsibility, 600);
+    assert.equal(result.finalAccumulators.family.membersMetDeductible, 0);
+});
+
+test('lines over the visit limit are priced like covered lines before the patient owes them', () => {
+    const benefits = plan({ individualDeductible: 0, visitLimits: { therapy: 1 } });
+    const therapy = { serviceCategory: 'therapy' };
+    const visits = [
+        visit('v1', '2026-02-01', 100, therapy),
+        { id: 'v2', date: '2026-03-01', procedures: [
+            { id: 'a', cptCode: '97110', allowedAmount: 100, units: 2, ...therapy },
+            { id: 'b', cptCode: '97140', allowedAmount: 80, modifiers: '50', billedAmount: 90, ...therapy },
+        ] },
+    ];
+    const result = calculateEpisode(benefits, { deductibleMet: 0, oopMet: 0 }, null, visits, meta);
+    const [a, b] = result.visits[1].procedureEstimates;
+    assert.equal(a.finalAllowedAmount, 200);
+    assert.equal(b.mppr.rank, 2);
+    assert.equal(b.modifiedAllowedAmount, 120);
+    assert.equal(b.finalAllowedAmount, 90);
+    assert.equal(b.totalPatientResponsibility, 90);
+    assert.equal(visitOwes(result, 'v2'), 290);
+    assert.equal(result.nonCoveredTotal, 290);
+});
@@ -0,0 +1,92 @@
+import { $ } from './money.js';
+import { calculateEstimate } from './calculate.js';
+import { getRemaining } from './accumulators.js';
+import { lineAllowedAmount } from './units.js';
+import { sumPaymentSplits } from './payments.js';
+import { applyPfsPricing } from './pfs.js';
+import { applyAnesthesiaPricing } from './anesthesia.js';
+import { resolveSequencing } from './sequencing.js';
+
+// --- FAMILY ESTIMATES ---
+// Several members of one family plan seen together (a parent and children on the same day, a family's
+// planned care): each member has their own individual accumulators and procedures, and all of them share
+// the family accumulators. Members are estimated one after another, each starting from the family
+// accumulators the previous member left, so the processing order decides who benefits from the family
+// deductible or OOP max being met.
+
+export const FAMILY_PROCESSING_ORDERS = [
+    { key: 'listed', label: 'As Listed' },
+    { key: 'highest_allowed_first', label: 'Highest Allowed First' },
+    { key: 'lowest_allowed_first', label: 'Lowest Allowed First' },
+];
+
+const memberAllowed = (member) => $(member.procedures.reduce((sum, p) => sum + lineAllowedAmount(applyAnesthesiaPricing(applyPfsPricing(p))), 0));
+
+// A member has met a limit when it is set and nothing of it remains.
+const hasMet = (limit, met) => !(limit === '' || limit == null) && getRemaining(limit, met) === 0;
+const metDeductible = (benefits, acc) => hasMet(benefits.individualDeductible, acc?.deductibleMet);
+const metOop = (benefits, acc) => hasMet(benefits.individualOopMax, acc?.oopMet);
+
+// members: [{ id, name, memberId, dob, patientAccumulators, procedures }]. options.familyOrder is a
+// FAMILY_PROCESSING_ORDERS key (default `listed`). Returns each member's result and the family totals; the
+// family-level `procedureEstimates` lists every line, tagged with its `familyMemberId`.
+export const calculateFamilyEstimate = (benefits, familyAccumulators, members, metaData, options = {}) => {
+    const order = options.familyOrder || 'listed';
+    const ordered = order === 'listed' ? [...members]
+        : [...members].sort((a, b) => (order === 'lowest_allowed_first' ? 1 : -1) * (memberAllowed(a) - memberAllowed(b)));
+
+    // familyAccumulators.membersMetDeductible / membersMetOop count members who are not on this estimate.
+    const baseMetDeductible = Number(familyAccumulators?.membersMetDeductible) || 0;
+    const baseMetOop = Number(familyAccumulators?.membersMetOop) || 0;
+    const memberAccs = Object.fromEntries(members.map(m => [m.id, m.patientAccumulators]));
+    const othersMet = (memberId, test) => members.filter(m => m.id !== memberId && test(benefits, memberAccs[m.id])).length;
+
+    let familyAcc = familyAccumulators;
+    const memberResults = ordered.map((member, index) => {
+        const memberFamilyAcc = familyAcc && {
+            ...familyAcc,
+            membersMetDeductible: baseMetDeductible + othersMet(member.id, metDeductible),
+            membersMetOop: baseMetOop + othersMet(member.id, metOop),
+        };
+        const memberMetaData = { ...metaData, patient: { name: member.name, memberId: member.memberId, dob: member.dob } };
+        const result = calculateEstimate(benefits, member.patientAccumulators, memberFamilyAcc, member.procedures, memberMetaData, options);
+
+        memberAccs[member.id] = result.finalAccumulators.patient;
+        familyAcc = result.finalAccumulators.family && { ...result.finalAccumulators.family, outOfNetwork: result.finalAccumulators.outOfNetwork.family };
+
+        return {
+            ...result,
+            familyMemberId: member.id,
+            name: member.name || '',
+            processingOrder: index + 1,
+            allowedTotal: memberAllowed(member),
+            membersMetDeductible: memberFamilyAcc?.membersMetDeductible ?? 0,
+            membersMetOop: memberFamilyAcc?.membersMetOop ?? 0,
+            procedureEstimates: result.procedureEstimates.map(p => ({ ...p, familyMemberId: member.id })),
+        };
+    });
+
+    const procedureEstimates = memberResults.flatMap(m => m.procedureEstimates);
+    const sum = (read) => $(memberResults.reduce((total, m) => total + read(m), 0));
+    const finalFamily = familyAcc && {
+        ...familyAcc,
+        membersMetDeductible: baseMetDeductible + members.filter(m => metDeductible(benefits, memberAccs[m.id])).length,
+        membersMetOop: baseMetOop + members.filter(m => metOop(benefits, memberAccs[m.id])).length,
+    };
+    const { outOfNetwork: finalFamilyOon, ...finalFamilyIn } = finalFamily || {};
+    return {
+        mode: 'family',
+        benefits,
+        patientId: metaData.patient?.memberId,
+        sequencing: resolveSequencing(benefits),
+        processingOrder: order,
+        members: memberResults,
+        procedureEstimates,
+        totalPatientResponsibility: sum(m => m.totalPatientResponsibility),
+        tierTotals: { inNetwork: sum(m => m.tierTotals.inNetwork), outOfNetwork: sum(m => m.tierTotals.outOfNetwork) },
+        totalBalanceBillingExposure: sum(m => m.totalBalanceBillingExposure),
+        paymentTotals: sumPaymentSplits(procedureEstimates),
+        finalAccumulators: { patient: null, family: finalFamily ? finalFamilyIn : null, outOfNetwork: { patient: null, family: finalFamily ? finalFamilyOon : null } },
+        metaData,
+    };
+};
@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateFamilyEstimate } from './family.js';
+import { calculateEstimate } from './calculate.js';
+
+// An EmbeddedFamily plan whose family deductible counts as met once two members have met their own.
+const benefits = { planType: 'EmbeddedFamily', copayLogic: 'standard_waterfall', individualDeductible: 1000, individualOopMax: 3000, familyDeductible: 3000, familyOopMax: 6000, coinsurancePercentage: 20, familyDeductibleMembers: 2 };
+const meta = { patient: { name: 'Ann', memberId: 'M1' } };
+const proc = (id, allowedAmount) => ({ id, cptCode: '99213', allowedAmount });
+const members = () => [
+    { id: 'a', name: 'Ann', memberId: 'M1', patientAccumulators: { deductibleMet: 0, oopMet: 0 }, procedures: [proc('p1', 1500)] },
+    { id: 'b', name: 'Bob', memberId: 'M2', patientAccumulators: { deductibleMet: 200, oopMet: 200 }, procedures: [proc('p2', 500)] },
+];
+const familyAcc = { deductibleMet: 1000, oopMet: 1000, membersMetDeductible: 1 };
+
+test('members listed first meet the family rule for the ones after them', () => {
+    const result = calculateFamilyEstimate(benefits, familyAcc, members(), meta, { familyOrder: 'listed' });
+    assert.deepEqual(result.members.map(m => [m.familyMemberId, m.processingOrder, m.totalPatientResponsibility]), [['a', 1, 1100], ['b', 2, 100]]);
+    assert.equal(result.totalPatientResponsibility, 1200);
+    assert.equal(result.finalAccumulators.family.membersMetDeductible, 2);
+    assert.equal(result.finalAccumulators.patient, null);
+});
+
+test('the processing order decides who benefits from the family rule', () => {
+    const result = calculateFamilyEstimate(benefits, familyAcc, members(), meta, { familyOrder: 'lowest_allowed_first' });
+    assert.deepEqual(result.members.map(m => m.familyMemberId), ['b', 'a']);
+    assert.equal(result.totalPatientResponsibility, 1600);
+});
+
+test('a single estimate counts the family deductible met once enough members have met theirs', () => {
+    const result = calculateEstimate(benefits, { deductibleMet: 0, oopMet: 0 }, { deductibleMet: 0, oopMet: 0, membersMetDeductible: 2 }, [proc('p', 500)], meta);
+    assert.equal(result.totalPatientResponsibility, 100);
+});
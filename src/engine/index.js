@@ -0,0 +1,58 @@
+// --- HEADLESS ESTIMATION ENGINE ---
+// Pure, dependency-free calculation code shared by the React UI, Node scripts and integrations.
+// Nothing in this directory may import React or touch the DOM.
+import { calculateEstimate } from './calculate.js';
+import { applyCoordinationOfBenefits } from './cob.js';
+import { calculateSelfPayEstimate } from './selfPay.js';
+import { calculateEpisode } from './episode.js';
+import { calculateFamilyEstimate } from './family.js';
+import { hasEstimateRange, calculateEstimateRange } from './ranges.js';
+import { ENGINE_SCHEMA_VERSION, validateEstimateRequest } from './schema.js';
+
+export { $ } from './money.js';
+export { STEP_TYPES } from './stepTypes.js';
+export { getRemaining, familyMemberRuleMet, planAwareRemOop } from './accumulators.js';
+export { DEFAULT_MODIFIER_RULES, MODIFIER_STACKING, resolveModifierRules, applyModifiers, parseModifiers, describeModifierRules } from './modifiers.js';
+export { MPPR_GROUPS, DEFAULT_MPPR_SCHEDULES, parseReductionSchedule, resolveMpprGroup, assignMultipleProcedureReductions } from './mppr.js';
+export { MUE_ACTIONS, getUnits, lineAllowedAmount, applyUnitLimits } from './units.js';
+export { SERVICE_CATEGORIES, SERVICE_CATEGORY_KEYS, blankBenefitGrid, getServiceCategoryLabel, resolveCostSharing } from './benefitGrid.js';
+export { NETWORK_TIERS, NSA_PROTECTIONS, blankOutOfNetworkBenefits, isOutOfNetwork, resolveNsaProtection, getNsaProtectionLabel, toOutOfNetworkBenefits, calculateBalanceBilling } from './network.js';
+export { splitPayment, withPaymentSplit, sumPaymentSplits } from './payments.js';
+export { SEQUENCING_STRATEGIES, SEQUENCING_KEYS, DEFAULT_SEQUENCING, CLAIM_TYPES, resolveSequencing, describeSequencing, sequenceProcedures } from './sequencing.js';
+export { runWaterfall } from './waterfall.js';
+export { calculateEstimate } from './calculate.js';
+export { COB_METHODS, COB_METHOD_KEYS, blankSecondaryCoverage, applyCoordinationOfBenefits } from './cob.js';
+export { ESTIMATE_MODES, GFE_DISPUTE_THRESHOLD, blankGfeParty, blankGfeDetails, listGfeParties, resolveSelfPayRate, calculateSelfPayEstimate } from './selfPay.js';
+export { planYearOffset, calculateEpisode } from './episode.js';
+export { FAMILY_PROCESSING_ORDERS, calculateFamilyEstimate } from './family.js';
+export { hasEstimateRange, calculateEstimateRange } from './ranges.js';
+export { copayLogicScenarios, resolveScenario, compareScenarios, describeScenarioChoice } from './scenarios.js';
+export { DEFAULT_REVISION_VARIANCE_THRESHOLD, describeRevision, diffEstimates } from './revisions.js';
+export { PFS_SETTINGS, PFS_COMPONENT_MODIFIERS, blankPfsPricing, parsePfsRvuTable, parseGpciTable, getLocalityLabel, findPfsRvus, buildPfsLinePricing, calculatePfsAllowed, applyPfsPricing, pfsPricedStep } from './pfs.js';
+export { ANESTHESIA_TIME_ROUNDING, PHYSICAL_STATUS_UNITS, QUALIFYING_CIRCUMSTANCES, MEDICAL_DIRECTION_MODIFIERS, blankAnesthesiaPricing, isAnesthesiaCode, parseAnesthesiaBaseUnits, findAnesthesiaBaseUnits, calculateTimeUnits, buildAnesthesiaLinePricing, summarizeAnesthesiaUnits, applyAnesthesiaPricing, anesthesiaPricedStep } from './anesthesia.js';
+export { ENGINE_SCHEMA_VERSION, PLAN_TYPES, COPAY_LOGIC_MODES, validateEstimateRequest } from './schema.js';
+
+// --- Versioned entry point: one request object in, one response object out ---
+export const estimate = (request) => {
+    const errors = validateEstimateRequest(request);
+    if (errors.length > 0) {
+        const err = new Error(`Invalid estimate request:\n- ${errors.join('\n- ')}`);
+        err.validationErrors = errors;
+        throw err;
+    }
+    const { benefits, patientAccumulators, familyAccumulators, procedures, metaData, options, secondary } = request;
+    if (request.mode === 'self_pay') {
+        return { schemaVersion: ENGINE_SCHEMA_VERSION, ...calculateSelfPayEstimate(procedures, metaData, options) };
+    }
+    const familyAcc = benefits.planType !== 'Individual' ? (familyAccumulators || { deductibleMet: 0, oopMet: 0 }) : null;
+    if (request.members) {
+        return { schemaVersion: ENGINE_SCHEMA_VERSION, ...calculateFamilyEstimate(benefits, familyAcc, request.members, metaData, options) };
+    }
+    if (request.visits) {
+        return { schemaVersion: ENGINE_SCHEMA_VERSION, ...calculateEpisode(benefits, patientAccumulators, familyAcc, request.visits, metaData, options) };
+    }
+    const result = hasEstimateRange(procedures)
+        ? calculateEstimateRange(benefits, patientAccumulators, familyAcc, procedures, metaData, options, secondary)
+        : applyCoordinationOfBenefits(calculateEstimate(benefits, patientAccumulators, familyAcc, procedures, metaData, options), secondary);
+    return { schemaVersion: ENGINE_SCHEMA_VERSION, ...result };
+};
@@ -0,0 +1,123 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+
+// --- MODIFIER RULES TABLE ---
+// adjustsPrice: false marks an informational modifier (reported, never priced).
+// stacking decides how a pricing modifier combines with the others on the same line:
+//   multiply  - the factor compounds with every other applied factor
+//   additive  - its percentage change is summed with other additive modifiers, then compounded with the rest
+//   exclusive - only the first modifier from the same `group` on a line applies; later ones are suppressed
+export const MODIFIER_STACKING = ['multiply', 'additive', 'exclusive'];
+
+export const DEFAULT_MODIFIER_RULES = Object.freeze([
+    { code: '22', label: 'Increased procedural services', adjustsPrice: true, factor: 1.25, stacking: 'additive' },
+    { code: '50', label: 'Bilateral procedure', adjustsPrice: true, factor: 1.5, stacking: 'multiply' },
+    { code: '51', label: 'Multiple procedures', adjustsPrice: false, note: 'Priced by the multiple procedure reduction.' },
+    { code: '52', label: 'Reduced services', adjustsPrice: true, factor: 0.5, stacking: 'exclusive', group: 'reduced' },
+    { code: '53', label: 'Discontinued procedure', adjustsPrice: true, factor: 0.5, stacking: 'exclusive', group: 'reduced' },
+    { code: '62', label: 'Two surgeons', adjustsPrice: true, factor: 1.25, stacking: 'multiply' },
+    { code: '80', label: 'Assistant surgeon', adjustsPrice: true, factor: 0.16, stacking: 'exclusive', group: 'assistant' },
+    { code: '81', label: 'Minimum assistant surgeon', adjustsPrice: true, factor: 0.16, stacking: 'exclusive', group: 'assistant' },
+    { code: '82', label: 'Assistant surgeon (no qualified resident)', adjustsPrice: true, factor: 0.16, stacking: 'exclusive', group: 'assistant' },
+    { code: 'AS', label: 'Non-physician assistant at surgery', adjustsPrice: true, factor: 0.136, stacking: 'exclusive', group: 'assistant' },
+    { code: '26', label: 'Professional component', adjustsPrice: true, factor: 0.4, stacking: 'exclusive', group: 'component' },
+    { code: 'TC', label: 'Technical component', adjustsPrice: true, factor: 0.6, stacking: 'exclusive', group: 'component' },
+    { code: '25', label: 'Significant, separately identifiable E/M', adjustsPrice: false },
+    { code: '59', label: 'Distinct procedural service', adjustsPrice: false },
+    { code: '76', label: 'Repeat procedure, same physician', adjustsPrice: false },
+    { code: '77', label: 'Repeat procedure, another physician', adjustsPrice: false },
+    { code: '79', label: 'Unrelated procedure during postoperative period', adjustsPrice: false },
+    { code: 'XE', label: 'Separate encounter', adjustsPrice: false },
+    { code: 'XP', label: 'Separate practitioner', adjustsPrice: false },
+    { code: 'XS', label: 'Separate structure', adjustsPrice: false },
+    { code: 'XU', label: 'Unusual non-overlapping service', adjustsPrice: false },
+    { code: 'LT', label: 'Left side', adjustsPrice: false },
+    { code: 'RT', label: 'Right side', adjustsPrice: false },
+    ...['P1', 'P2', 'P3', 'P4', 'P5', 'P6'].map(code => ({ code, label: `Physical status ${code}`, adjustsPrice: false, note: 'Priced by the anesthesia units.' })),
+    { code: 'AA', label: 'Anesthesia personally performed', adjustsPrice: false, note: 'Priced by the anesthesia units.' },
+    { code: 'QK', label: 'Medical direction of 2–4 concurrent procedures', adjustsPrice: false, note: 'Priced by the anesthesia units.' },
+    { code: 'QX', label: 'CRNA with medical direction', adjustsPrice: false, note: 'Priced by the anesthesia units.' },
+    { code: 'QY', label: 'Medical direction of one CRNA', adjustsPrice: false, note: 'Priced by the anesthesia units.' },
+    { code: 'QZ', label: 'CRNA without medical direction', adjustsPrice: false, note: 'Priced by the anesthesia units.' },
+]);
+
+// --- Rule resolution: payer overrides ({ [code]: { factor, adjustsPrice, stacking, group, label } }) win over the defaults ---
+export const resolveModifierRules = (overrides = {}) => {
+    const rules = {};
+    DEFAULT_MODIFIER_RULES.forEach(rule => { rules[rule.code] = { ...rule, source: 'default' }; });
+    Object.entries(overrides || {}).forEach(([rawCode, override]) => {
+        const code = rawCode.trim().toUpperCase();
+        if (!code || !override) return;
+        const cleaned = { ...override };
+        if (cleaned.factor === '' || cleaned.factor == null || isNaN(Number(cleaned.factor))) delete cleaned.factor;
+        else cleaned.factor = Number(cleaned.factor);
+        rules[code] = { code, label: code, adjustsPrice: false, stacking: 'multiply', ...rules[code], ...cleaned, source: 'payer' };
+    });
+    return rules;
+};
+
+export const parseModifiers = (modifiers) => modifiers ? String(modifiers).split(',').map(m => m.trim().toUpperCase()).filter(Boolean) : [];
+
+const formatFactor = (factor) => `×${Number(factor.toFixed(4))}`;
+
+// --- MODIFIER LOGIC ---
+// Returns the priced allowed amount plus, for every modifier on the line, which rule fired and how.
+// Modifiers listed in `pricedModifiers` are already reflected in the allowed amount (a contracted
+// rate for that modifier) and are reported as `contracted` instead of being priced again.
+export const applyModifiers = (procedure, overrides) => {
+    const rules = resolveModifierRules(overrides);
+    const originalAllowedAmount = Number(procedure.allowedAmount) || 0;
+    let modifiedAllowedAmount = originalAllowedAmount;
+    let modifierNote = null;
+    const modifiers = parseModifiers(procedure.modifiers);
+    const pricedModifiers = parseModifiers(procedure.pricedModifiers);
+
+    const appliedModifierRules = [];
+    const claimedGroups = {};
+    let additiveDelta = 0;
+    let compoundFactor = 1;
+
+    modifiers.forEach(code => {
+        const rule = rules[code];
+        if (!rule) {
+            appliedModifierRules.push({ code, label: 'Unrecognized modifier', status: 'unrecognized', source: null });
+            return;
+        }
+        const entry = { code, label: rule.label, source: rule.source };
+        if (!rule.adjustsPrice || rule.factor == null) {
+            appliedModifierRules.push({ ...entry, status: 'informational', note: rule.note });
+            return;
+        }
+        if (pricedModifiers.includes(code)) {
+            if (rule.stacking === 'exclusive' && rule.group) claimedGroups[rule.group] = claimedGroups[rule.group] || code;
+            appliedModifierRules.push({ ...entry, status: 'contracted', note: 'Already included in the contracted allowed amount.' });
+            return;
+        }
+        if (rule.stacking === 'exclusive' && rule.group) {
+            if (claimedGroups[rule.group]) {
+                appliedModifierRules.push({ ...entry, status: 'suppressed', note: `Conflicts with ${claimedGroups[rule.group]}; only one ${rule.group} modifier is priced.` });
+                return;
+            }
+            claimedGroups[rule.group] = code;
+        }
+        if (rule.stacking === 'additive') additiveDelta += rule.factor - 1;
+        else compoundFactor *= rule.factor;
+        appliedModifierRules.push({ ...entry, status: 'applied', factor: rule.factor, stacking: rule.stacking });
+    });
+
+    const priced = appliedModifierRules.filter(r => r.status === 'applied');
+    if (priced.length > 0) {
+        const factor = (1 + additiveDelta) * compoundFactor;
+        modifiedAllowedAmount = $(originalAllowedAmount * factor);
+        const parts = priced.map(r => `${r.code} ${r.label} ${formatFactor(r.factor)}${r.stacking === 'additive' ? ' (additive)' : ''}${r.source === 'payer' ? ' [payer rule]' : ''}`);
+        modifierNote = { type: STEP_TYPES.MODIFIERS_APPLIED, description: "Pricing Modifiers Applied", patientOwes: 0.0, notes: `Rules: ${parts.join('; ')}. Combined ${formatFactor(factor)}.` };
+    }
+
+    return { modifiedAllowedAmount, modifierNote, originalAllowedAmount, appliedModifierRules };
+};
+
+// --- One-line summary of the rules that fired on a line, for the results page and PDF ---
+export const describeModifierRules = (appliedModifierRules = []) => appliedModifierRules.map(r => {
+    if (r.status === 'applied') return `${r.code} ${r.label} ${formatFactor(r.factor)}`;
+    return `${r.code} ${r.label} (${r.status})`;
+}).join('; ');
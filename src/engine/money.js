@@ -0,0 +1,9 @@
+// --- Rounding Helper for Currency ---
+export const $ = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+// --- Input Sanitizer: non-numeric and negative values become 0 ---
+export const sanitizeNumber = (val) => {
+    const num = Number(val);
+    if (isNaN(num)) return 0;
+    return num < 0 ? 0 : num;
+};
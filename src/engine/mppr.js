@@ -0,0 +1,54 @@
+import { parseModifiers } from './modifiers.js';
+
+// --- MULTIPLE PROCEDURE PAYMENT REDUCTION (MPPR) ---
+// Procedures in the same MPPR group are paid by rank: the primary (highest allowed) at the first
+// percentage of the schedule, the next at the second, and so on. The last percentage repeats.
+export const MPPR_GROUPS = ['surgical', 'imaging', 'therapy'];
+
+// Percent of allowed paid by rank. Imaging and therapy approximate the CMS technical-component and
+// practice-expense reductions on a global charge; plans can override any of these.
+export const DEFAULT_MPPR_SCHEDULES = Object.freeze({
+    surgical: '100,50,50',
+    imaging: '100,75',
+    therapy: '100,80',
+});
+
+const MPPR_GROUP_LABELS = { surgical: 'Multiple surgery', imaging: 'Diagnostic imaging', therapy: 'Therapy' };
+
+// "100,50,50" -> [100, 50, 50]. Out-of-range entries are dropped; an empty schedule means no reduction.
+export const parseReductionSchedule = (schedule) => {
+    const parsed = String(schedule ?? '').split(',').filter(s => s.trim() !== '').map(s => Number(s.trim())).filter(n => !isNaN(n) && n >= 0 && n <= 100);
+    return parsed.length > 0 ? parsed : [100];
+};
+
+// --- Group resolution: explicit per-line choice wins, otherwise modifier 51 or the CPT range decides ---
+export const resolveMpprGroup = (procedure) => {
+    const chosen = procedure.mpprGroup;
+    if (chosen === 'none') return null;
+    if (MPPR_GROUPS.includes(chosen)) return chosen;
+
+    if (parseModifiers(procedure.modifiers).includes('51')) return 'surgical';
+    const code = Number(String(procedure.cptCode || '').trim());
+    if (!Number.isInteger(code)) return null;
+    if (code >= 10004 && code <= 69990) return 'surgical';
+    if (code >= 70010 && code <= 76499) return 'imaging';
+    if (code >= 97010 && code <= 97799) return 'therapy';
+    return null;
+};
+
+// --- MPPR pass: expects procedures already in calculationRank order; annotates each with `mppr` ---
+export const assignMultipleProcedureReductions = (rankedProcedures, benefits) => {
+    const settings = benefits.mppr || {};
+    if (settings.enabled === false) return rankedProcedures;
+
+    const rankInGroup = {};
+    return rankedProcedures.map(p => {
+        const group = resolveMpprGroup(p);
+        if (!group) return p;
+        rankInGroup[group] = (rankInGroup[group] || 0) + 1;
+        const schedule = parseReductionSchedule(settings[group] ?? DEFAULT_MPPR_SCHEDULES[group]);
+        const rank = rankInGroup[group];
+        const percentage = schedule[Math.min(rank, schedule.length) - 1];
+        return { ...p, mppr: { group, label: MPPR_GROUP_LABELS[group], rank, percentage } };
+    });
+};
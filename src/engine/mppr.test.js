@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimate } from './calculate.js';
+import { parseReductionSchedule, resolveMpprGroup } from './mppr.js';
+
+const plan = (mppr) => ({ planType: 'Individual', individualDeductible: 0, individualOopMax: 10000, coinsurancePercentage: 0, copayLogic: 'standard_waterfall', ...(mppr && { mppr }) });
+const meta = { patient: { name: 'Test Patient', memberId: 'M1' } };
+const surgical = (id, allowedAmount, extra = {}) => ({ id, cptCode: '29881', allowedAmount, ...extra });
+const byId = (result, id) => result.procedureEstimates.find(p => p.id === id);
+
+test('parseReductionSchedule drops out-of-range entries and defaults to no reduction', () => {
+    assert.deepEqual(parseReductionSchedule('100, 50,abc,150'), [100, 50]);
+    assert.deepEqual(parseReductionSchedule(''), [100]);
+});
+
+test('resolveMpprGroup uses the explicit group, modifier 51 or the CPT range', () => {
+    assert.equal(resolveMpprGroup({ cptCode: '29881' }), 'surgical');
+    assert.equal(resolveMpprGroup({ cptCode: '70450' }), 'imaging');
+    assert.equal(resolveMpprGroup({ cptCode: '99213', modifiers: '51' }), 'surgical');
+    assert.equal(resolveMpprGroup({ cptCode: '29881', mpprGroup: 'none' }), null);
+});
+
+test('the highest allowed surgical line is primary and later ones are reduced', () => {
+    const result = calculateEstimate(plan(), { deductibleMet: 0, oopMet: 0 }, null, [surgical('b', 800), surgical('a', 1000)], meta);
+    assert.equal(byId(result, 'a').mppr.rank, 1);
+    assert.equal(byId(result, 'a').finalAllowedAmount, 1000);
+    assert.equal(byId(result, 'b').mppr.rank, 2);
+    assert.equal(byId(result, 'b').finalAllowedAmount, 400);
+});
+
+test('a plan can turn MPPR off or change a schedule', () => {
+    const procedures = [surgical('a', 1000), surgical('b', 800)];
+    const off = calculateEstimate(plan({ enabled: false }), { deductibleMet: 0, oopMet: 0 }, null, procedures, meta);
+    assert.equal(byId(off, 'b').finalAllowedAmount, 800);
+    const custom = calculateEstimate(plan({ enabled: true, surgical: '100,25' }), { deductibleMet: 0, oopMet: 0 }, null, procedures, meta);
+    assert.equal(byId(custom, 'b').finalAllowedAmount, 200);
+});
+
+test('in- and out-of-network lines are ranked together, with one primary per group', () => {
+    const benefits = { ...plan(), outOfNetwork: { individualDeductible: 0, individualOopMax: 10000, coinsurancePercentage: 0 } };
+    const result = calculateEstimate(benefits, { deductibleMet: 0, oopMet: 0 }, null, [surgical('a', 1000), surgical('b', 1200, { network: 'out' }), surgical('c', 600)], meta);
+    assert.deepEqual(['b', 'a', 'c'].map(id => byId(result, id).mppr.rank), [1, 2, 3]);
+    assert.equal(byId(result, 'b').finalAllowedAmount, 1200);
+    assert.equal(byId(result, 'a').finalAllowedAmount, 500);
+    assert.equal(byId(result, 'c').finalAllowedAmount, 300);
+});
@@ -0,0 +1,60 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+
+// --- NETWORK TIERS & BALANCE BILLING ---
+export const NETWORK_TIERS = ['in', 'out'];
+
+// No Surprises Act protections: the line is priced with in-network cost sharing and cannot be balance billed.
+export const NSA_PROTECTIONS = [
+    { key: 'emergency', label: 'Emergency services' },
+    { key: 'ancillary', label: 'Ancillary provider at an in-network facility' },
+];
+
+export const blankOutOfNetworkBenefits = () => ({
+    individualDeductible: '', individualOopMax: '', familyDeductible: '', familyOopMax: '', coinsurancePercentage: '',
+});
+
+export const isOutOfNetwork = (procedure) => procedure.network === 'out';
+
+// Emergency-category lines are always protected; other OON lines only when flagged.
+export const resolveNsaProtection = (procedure) => {
+    if (!isOutOfNetwork(procedure)) return null;
+    if (NSA_PROTECTIONS.some(n => n.key === procedure.nsaProtection)) return procedure.nsaProtection;
+    if (procedure.serviceCategory === 'emergency') return 'emergency';
+    return null;
+};
+
+export const getNsaProtectionLabel = (key) => NSA_PROTECTIONS.find(n => n.key === key)?.label || null;
+
+// --- Benefits view for the OON tier: OON limits and coinsurance, no grid cost sharing or copay-logic variants ---
+export const toOutOfNetworkBenefits = (benefits) => {
+    const oon = { ...blankOutOfNetworkBenefits(), ...(benefits.outOfNetwork || {}) };
+    return {
+        ...benefits,
+        individualDeductible: oon.individualDeductible,
+        individualOopMax: oon.individualOopMax,
+        familyDeductible: oon.familyDeductible,
+        familyOopMax: oon.familyOopMax,
+        coinsurancePercentage: oon.coinsurancePercentage,
+        copayLogic: 'standard_waterfall',
+        benefitGrid: undefined,
+    };
+};
+
+// Billed (rate x units) minus the allowed amount used; unknown when no billed amount was entered.
+export const calculateBalanceBilling = (estimate) => {
+    if (estimate.billedAmount === '' || estimate.billedAmount == null || isNaN(Number(estimate.billedAmount))) return null;
+    const billedLine = $(Math.max(0, Number(estimate.billedAmount)) * (estimate.units ?? 1));
+    return $(Math.max(0, billedLine - (estimate.finalAllowedAmount ?? 0)));
+};
+
+export const balanceBillingStep = (estimate, exposure) => exposure == null
+    ? { type: STEP_TYPES.BALANCE_BILLING, description: 'Balance Billing Exposure', patientOwes: 0, notes: 'Out-of-network provider; enter a billed amount to estimate the balance bill.' }
+    : { type: STEP_TYPES.BALANCE_BILLING, description: 'Balance Billing Exposure', patientOwes: 0, notes: `Out-of-network provider may bill up to $${exposure.toFixed(2)} above the allowed amount, in addition to the amount shown.` };
+
+export const nsaProtectedStep = (protection, suppressed) => ({
+    type: STEP_TYPES.NSA_PROTECTED,
+    description: 'No Surprises Act Protection',
+    patientOwes: 0,
+    notes: `${getNsaProtectionLabel(protection)}: in-network cost sharing applies${suppressed ? ` and a balance bill of $${suppressed.toFixed(2)} is prohibited` : ' and balance billing is prohibited'}.`,
+});
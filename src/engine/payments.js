@@ -0,0 +1,27 @@
+import { $ } from './money.js';
+import { getUnits, lineAllowedAmount } from './units.js';
+
+// --- PAYMENT SPLIT ---
+// Every line's billed charge is split so that planPaid + contractualAdjustment + totalPatientResponsibility
+// + balanceBillingExposure = lineBilledAmount. A blank billed amount is treated as billed = allowed.
+export const splitPayment = (estimate) => {
+    const allowed = estimate.finalAllowedAmount ?? lineAllowedAmount(estimate);
+    const billedRate = Number(estimate.billedAmount);
+    const lineBilledAmount = estimate.billedAmount === '' || estimate.billedAmount == null || isNaN(billedRate)
+        ? allowed
+        : $(Math.max(0, billedRate) * getUnits(estimate));
+    const patientShare = $(estimate.totalPatientResponsibility || 0);
+    const planPaid = $(Math.max(0, allowed - patientShare));
+    const contractualAdjustment = $(lineBilledAmount - planPaid - patientShare - (estimate.balanceBillingExposure || 0));
+    return { lineBilledAmount, planPaid, contractualAdjustment };
+};
+
+export const withPaymentSplit = (estimate) => ({ ...estimate, ...splitPayment(estimate) });
+
+export const sumPaymentSplits = (estimates) => estimates.reduce((totals, est) => ({
+    billed: $(totals.billed + (est.lineBilledAmount || 0)),
+    planPaid: $(totals.planPaid + (est.planPaid || 0)),
+    contractualAdjustment: $(totals.contractualAdjustment + (est.contractualAdjustment || 0)),
+    patientShare: $(totals.patientShare + (est.totalPatientResponsibility || 0)),
+    balanceBilling: $(totals.balanceBilling + (est.balanceBillingExposure || 0)),
+}), { billed: 0, planPaid: 0, contractualAdjustment: 0, patientShare: 0, balanceBilling: 0 });
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimate } from './calculate.js';
+import { splitPayment } from './payments.js';
+
+// A bilateral knee replacement (modifier 50, 150%) and an arthroscopy reduced to 50% by MPPR:
+// $1500 and $400 allowed once priced, whichever path the lines take through the calculation.
+const procedures = () => [
+    { id: 'a', cptCode: '27447', modifiers: '50', allowedAmount: 1000, billedAmount: 2000, copay: 150 },
+    { id: 'b', cptCode: '29881', allowedAmount: 800, billedAmount: 1000 },
+];
+const preventive = { id: 'c', cptCode: '99396', allowedAmount: 200, billedAmount: 250, units: 2, isPreventive: true };
+const plan = (overrides = {}) => ({ planType: 'Individual', individualDeductible: 500, individualOopMax: 3000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall', ...overrides });
+const meta = { patient: { name: 'Test Patient', memberId: 'M1' } };
+const run = (benefits, oopMet, lines = [...procedures(), preventive]) => calculateEstimate(benefits, { deductibleMet: 500, oopMet }, null, lines, meta);
+const byId = (result, id) => result.procedureEstimates.find(p => p.id === id);
+
+const assertPriced = (result) => {
+    assert.equal(byId(result, 'a').finalAllowedAmount, 1500);
+    assert.equal(byId(result, 'b').finalAllowedAmount, 400);
+    assert.equal(byId(result, 'c').finalAllowedAmount, 400);
+    result.procedureEstimates.forEach(p => {
+        assert.deepEqual(splitPayment(p), { lineBilledAmount: p.lineBilledAmount, planPaid: p.planPaid, contractualAdjustment: p.contractualAdjustment });
+        assert.equal(Number((p.planPaid + p.contractualAdjustment + p.totalPatientResponsibility).toFixed(2)), p.lineBilledAmount);
+    });
+};
+
+test('OOP-met lines are priced through units, modifiers and MPPR before the split', () => {
+    const result = run(plan(), 3000);
+    assert.equal(result.totalPatientResponsibility, 0);
+    assertPriced(result);
+    assert.equal(byId(result, 'a').planPaid, 1500);
+    assert.equal(byId(result, 'a').contractualAdjustment, 500);
+    assert.equal(byId(result, 'b').planPaid, 400);
+    assert.equal(byId(result, 'b').contractualAdjustment, 600);
+});
+
+test('OOP-met lines split the same as lines with $1 of OOP left', () => {
+    const met = run(plan(), 3000);
+    const almost = run(plan(), 2999);
+    assert.equal(byId(almost, 'a').planPaid, 1499);
+    assert.equal(byId(met, 'b').planPaid, byId(almost, 'b').planPaid);
+});
+
+test('preventive lines are priced by units before the split', () => {
+    const result = run(plan(), 0);
+    const line = byId(result, 'c');
+    assert.equal(line.totalPatientResponsibility, 0);
+    assert.equal(line.planPaid, 400);
+    assert.equal(line.contractualAdjustment, 100);
+});
+
+test('highest copay lines are priced before the split', async (t) => {
+    await t.test('highest_copay_only', () => {
+        const result = run(plan({ copayLogic: 'highest_copay_only' }), 0);
+        assertPriced(result);
+        assert.equal(byId(result, 'a').totalPatientResponsibility, 150);
+        assert.equal(byId(result, 'a').planPaid, 1350);
+        assert.equal(byId(result, 'b').planPaid, 400);
+    });
+    await t.test('highest_copay_plus_remainder', () => {
+        const result = run(plan({ copayLogic: 'highest_copay_plus_remainder' }), 0);
+        assertPriced(result);
+        assert.equal(byId(result, 'a').planPaid, 1350);
+        assert.equal(byId(result, 'b').totalPatientResponsibility, 80);
+        assert.equal(byId(result, 'b').planPaid, 320);
+    });
+});
+
+test('a blank billed amount leaves the allowed amount uncapped and is split as billed = allowed', () => {
+    const result = run(plan(), 0, [{ id: 'x', cptCode: '99213', allowedAmount: 300, billedAmount: '' }]);
+    const [line] = result.procedureEstimates;
+    assert.equal(line.finalAllowedAmount, 300);
+    assert.equal(line.totalPatientResponsibility, 60);
+    assert.equal(line.lineBilledAmount, 300);
+    assert.equal(line.contractualAdjustment, 0);
+});
+
+test('a billed amount below the allowed amount caps it', () => {
+    const result = run(plan(), 0, [{ id: 'x', cptCode: '99213', allowedAmount: 300, billedAmount: 250 }]);
+    assert.equal(result.procedureEstimates[0].finalAllowedAmount, 250);
+});
@@ -0,0 +1,175 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { parseModifiers } from './modifiers.js';
+
+// --- MEDICARE PHYSICIAN FEE SCHEDULE (RVU) PRICING ---
+// allowed = [(work RVU × work GPCI) + (PE RVU × PE GPCI) + (MP RVU × MP GPCI)] × conversion factor,
+// with the facility or non-facility PE RVU, then × the contract percentage ("120% of Medicare").
+// A line's `pfs` object carries the resolved RVUs and GPCIs; the tables below build it from CMS files.
+
+export const PFS_SETTINGS = [
+    { key: 'non_facility', label: 'Non-facility (office)' },
+    { key: 'facility', label: 'Facility (hospital / ASC)' },
+];
+// Modifiers with their own rows in the RVU file: the RVUs are already the component's.
+export const PFS_COMPONENT_MODIFIERS = ['26', 'TC', '53'];
+
+export const blankPfsPricing = () => ({ enabled: false, localityId: '', setting: 'non_facility', contractPercentage: 100, conversionFactor: '' });
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const toNumber = (value) => {
+    const number = Number(String(value ?? '').replace(/[$,\s]/g, ''));
+    return String(value ?? '').trim() === '' || isNaN(number) ? null : number;
+};
+const findColumn = (headers, aliases) => headers.findIndex(h => aliases.includes(h));
+
+// CMS files put a title block above the column headers, and the PPRRVU file splits each header over
+// two rows ("WORK" / "RVU"), so the header is found by name and merged with the next row if needed.
+const findHeader = (rows, anchor, required) => {
+    for (let r = 0; r < Math.min(rows.length, 20); r++) {
+        const single = rows[r].map(normalizeHeader);
+        if (!single.some(anchor)) continue;
+        const merged = rows[r].map((cell, i) => normalizeHeader(`${cell} ${rows[r + 1]?.[i] ?? ''}`));
+        if (required.every(aliases => findColumn(single, aliases) !== -1)) return { headers: single, dataStart: r + 1 };
+        if (required.every(aliases => findColumn(merged, aliases) !== -1)) return { headers: merged, dataStart: r + 2 };
+    }
+    return null;
+};
+
+const RVU_COLUMNS = {
+    code: ['hcpcs', 'hcpcscode', 'cpt', 'code'],
+    modifier: ['mod', 'modifier'],
+    description: ['description'],
+    workRvu: ['workrvu'],
+    peNonFacility: ['nonfacpervu', 'nonfacilitypervu'],
+    nonFacilityNa: ['nonfacnaindicator', 'nonfacilitynaindicator'],
+    peFacility: ['facilitypervu', 'facpervu'],
+    facilityNa: ['facilitynaindicator', 'facnaindicator'],
+    mpRvu: ['mprvu', 'malpracticervu'],
+    conversionFactor: ['convfactor', 'conversionfactor'],
+};
+
+// Rows of the CMS PPRRVU file (arrays of cells) → { conversionFactor, rvus }. `rvus` is keyed
+// "CODE|MOD" (MOD blank for the global service) and kept compact for storage:
+// [workRvu, peNonFacility, peFacility, mpRvu, nonFacilityNa, facilityNa, description].
+export const parsePfsRvuTable = (rows) => {
+    const required = ['code', 'workRvu', 'peNonFacility', 'peFacility', 'mpRvu'].map(k => RVU_COLUMNS[k]);
+    const header = findHeader(rows, h => RVU_COLUMNS.code.includes(h), required);
+    if (!header) throw new Error('No HCPCS, work RVU, PE RVU and MP RVU columns were found. Use the CMS PPRRVU file.');
+    const col = Object.fromEntries(Object.entries(RVU_COLUMNS).map(([key, aliases]) => [key, findColumn(header.headers, aliases)]));
+    const cell = (row, key) => col[key] === -1 ? '' : String(row[col[key]] ?? '').trim();
+    const rvus = {};
+    let conversionFactor = null;
+    rows.slice(header.dataStart).forEach(row => {
+        const code = cell(row, 'code').toUpperCase();
+        const workRvu = toNumber(cell(row, 'workRvu'));
+        if (!code || workRvu == null) return;
+        rvus[`${code}|${cell(row, 'modifier').toUpperCase()}`] = [
+            workRvu,
+            toNumber(cell(row, 'peNonFacility')) ?? 0,
+            toNumber(cell(row, 'peFacility')) ?? 0,
+            toNumber(cell(row, 'mpRvu')) ?? 0,
+            cell(row, 'nonFacilityNa').toUpperCase() === 'NA' ? 1 : 0,
+            cell(row, 'facilityNa').toUpperCase() === 'NA' ? 1 : 0,
+            cell(row, 'description'),
+        ];
+        if (conversionFactor == null) conversionFactor = toNumber(cell(row, 'conversionFactor'));
+    });
+    if (Object.keys(rvus).length === 0) throw new Error('The RVU file has no rows with a code and RVUs.');
+    return { conversionFactor, rvus };
+};
+
+// Rows of the CMS GPCI (Addendum E) file → [{ id, mac, state, localityNumber, localityName, workGpci, peGpci, mpGpci }].
+export const parseGpciTable = (rows) => {
+    const includesAny = (needles) => (h) => needles.some(n => h.includes(n));
+    const header = rows.findIndex(row => row.map(normalizeHeader).some(includesAny(['pegpci'])));
+    if (header === -1) throw new Error('No PE GPCI column was found. Use the CMS GPCI (Addendum E) file.');
+    const headers = rows[header].map(normalizeHeader);
+    const find = (test) => headers.findIndex(test);
+    const col = {
+        mac: find(h => h.includes('contractor') || h === 'mac' || h.includes('carrier')),
+        state: find(h => h === 'state'),
+        localityNumber: find(h => h.includes('localitynumber') || h === 'locality'),
+        localityName: find(h => h.includes('localityname')),
+        workGpci: find(includesAny(['pwgpci', 'workgpci'])),
+        peGpci: find(includesAny(['pegpci'])),
+        mpGpci: find(includesAny(['mpgpci', 'malpracticegpci'])),
+    };
+    const cell = (row, key) => col[key] === -1 ? '' : String(row[col[key]] ?? '').trim();
+    const localities = rows.slice(header + 1).flatMap(row => {
+        const gpci = { workGpci: toNumber(cell(row, 'workGpci')), peGpci: toNumber(cell(row, 'peGpci')), mpGpci: toNumber(cell(row, 'mpGpci')) };
+        if (Object.values(gpci).some(v => v == null)) return [];
+        const mac = cell(row, 'mac');
+        const localityNumber = cell(row, 'localityNumber');
+        return [{ id: `${mac}-${localityNumber}`, mac, state: cell(row, 'state'), localityNumber, localityName: cell(row, 'localityName'), ...gpci }];
+    });
+    if (localities.length === 0) throw new Error('The GPCI file has no localities with work, PE and MP GPCIs.');
+    return localities;
+};
+
+// CMS locality names often already end in the state ("MANHATTAN, NY").
+export const getLocalityLabel = (locality) => {
+    const name = locality.localityName || `Locality ${locality.localityNumber}`;
+    return locality.state && !name.toUpperCase().includes(locality.state.toUpperCase()) ? `${name}, ${locality.state}` : name;
+};
+
+// The line's RVUs: the 26/TC/53 row when that modifier is on the line, otherwise the global row.
+export const findPfsRvus = (rvuTable, cptCode, modifiers) => {
+    const code = String(cptCode || '').trim().toUpperCase();
+    const component = parseModifiers(modifiers).find(m => PFS_COMPONENT_MODIFIERS.includes(m) && rvuTable.rvus[`${code}|${m}`]);
+    const row = rvuTable.rvus[`${code}|${component || ''}`];
+    if (!row) return null;
+    const [workRvu, peNonFacility, peFacility, mpRvu, nonFacilityNa, facilityNa, description] = row;
+    return { code, modifier: component || '', workRvu, peNonFacility, peFacility, mpRvu, nonFacilityNa: !!nonFacilityNa, facilityNa: !!facilityNa, description };
+};
+
+// Builds a line's `pfs` object from the loaded tables, or null when the code is not in the RVU file.
+// settings: { setting, contractPercentage, conversionFactor } (blank conversion factor = the RVU file's).
+export const buildPfsLinePricing = (procedure, rvuTable, locality, settings) => {
+    const rvus = rvuTable && locality ? findPfsRvus(rvuTable, procedure.cptCode, procedure.modifiers) : null;
+    if (!rvus) return null;
+    // An NA non-facility PE means the service is only paid at the facility rate.
+    const setting = settings.setting === 'non_facility' && rvus.nonFacilityNa ? 'facility' : settings.setting;
+    return {
+        setting,
+        locality: getLocalityLabel(locality),
+        modifier: rvus.modifier,
+        workRvu: rvus.workRvu,
+        peRvu: setting === 'facility' ? rvus.peFacility : rvus.peNonFacility,
+        mpRvu: rvus.mpRvu,
+        workGpci: locality.workGpci,
+        peGpci: locality.peGpci,
+        mpGpci: locality.mpGpci,
+        conversionFactor: settings.conversionFactor !== '' && settings.conversionFactor != null ? Number(settings.conversionFactor) : rvuTable.conversionFactor,
+        contractPercentage: settings.contractPercentage === '' || settings.contractPercentage == null ? 100 : Number(settings.contractPercentage),
+    };
+};
+
+const medicareAmount = (pfs) => $(((pfs.workRvu * pfs.workGpci) + (pfs.peRvu * pfs.peGpci) + (pfs.mpRvu * pfs.mpGpci)) * pfs.conversionFactor);
+
+// Per-unit allowed amount for a line's `pfs` object.
+export const calculatePfsAllowed = (pfs) => $(medicareAmount(pfs) * (pfs.contractPercentage / 100));
+
+// Lines with `pfs` are priced from it: allowedAmount is replaced and a component modifier is marked
+// as already priced, so the 26/TC modifier rules do not cut it again.
+export const applyPfsPricing = (procedure) => {
+    if (!procedure.pfs) return procedure;
+    const pricedModifiers = [...parseModifiers(procedure.pricedModifiers), ...(procedure.pfs.modifier ? [procedure.pfs.modifier] : [])];
+    return { ...procedure, allowedAmount: calculatePfsAllowed(procedure.pfs), pricedModifiers: [...new Set(pricedModifiers)].join(',') };
+};
+
+const formatFactor = (n) => String(Number(Number(n).toFixed(4)));
+
+// The breakdown note explaining a PFS-priced line's allowed amount.
+export const pfsPricedStep = (procedure) => {
+    const { pfs } = procedure;
+    const settingLabel = PFS_SETTINGS.find(s => s.key === pfs.setting)?.label || pfs.setting;
+    return {
+        type: STEP_TYPES.PFS_PRICED,
+        description: 'Medicare Fee Schedule Pricing',
+        patientOwes: 0,
+        notes: `${String(procedure.cptCode).toUpperCase()}${pfs.modifier ? `-${pfs.modifier}` : ''}, ${settingLabel}, ${pfs.locality}: ` +
+            `(work ${formatFactor(pfs.workRvu)} × ${formatFactor(pfs.workGpci)} + PE ${formatFactor(pfs.peRvu)} × ${formatFactor(pfs.peGpci)} + MP ${formatFactor(pfs.mpRvu)} × ${formatFactor(pfs.mpGpci)}) × CF $${formatFactor(pfs.conversionFactor)} = $${medicareAmount(pfs).toFixed(2)}` +
+            `${Number(pfs.contractPercentage) !== 100 ? `; at ${formatFactor(pfs.contractPercentage)}% of Medicare = $${calculatePfsAllowed(pfs).toFixed(2)}` : ''} per unit.`,
+    };
+};
@@ -0,0 +1,44 @@
+import { $ } from './money.js';
+import { calculateEstimate } from './calculate.js';
+import { applyCoordinationOfBenefits } from './cob.js';
+
+// --- ESTIMATE RANGES ---
+// When allowed amounts are uncertain (unlisted codes, add-ons decided in the OR) a procedure may carry
+// allowedAmountLow / allowedAmountHigh around its most likely allowedAmount, and `isOptional` for a service
+// that may not happen. The low and high cases are full estimates of their own, so the deductible and OOP max
+// cap them the way they would a real claim instead of the line amounts being added up.
+
+const isBlank = (v) => v === '' || v === null || v === undefined;
+const atBound = (procedure, field) => isBlank(procedure[field]) ? procedure : { ...procedure, allowedAmount: procedure[field] };
+
+export const hasEstimateRange = (procedures) => procedures.some(p => p.isOptional || !isBlank(p.allowedAmountLow) || !isBlank(p.allowedAmountHigh));
+
+// What the patient owes in one case, after the secondary payer when there is one.
+const patientOwes = (result) => result.coordinationOfBenefits ? result.coordinationOfBenefits.patientResponsibility : result.totalPatientResponsibility;
+const lineOwes = (result, id) => {
+    const line = result.procedureEstimates.find(p => p.id === id);
+    return line ? (line.cob ? line.cob.patientResponsibility : line.totalPatientResponsibility) : 0;
+};
+
+// The most likely estimate (planned lines at allowedAmount) plus `range`: the best case (planned lines at their
+// low amounts) and the worst case (every line, optional ones included, at its high amount). With `secondary`,
+// every case is coordinated with the secondary payer, so the range is what the patient owes after it.
+export const calculateEstimateRange = (benefits, patientAccumulators, familyAccumulators, procedures, metaData, options = {}, secondary = null) => {
+    const planned = procedures.filter(p => !p.isOptional);
+    const estimateCase = (lines) => applyCoordinationOfBenefits(calculateEstimate(benefits, patientAccumulators, familyAccumulators, lines, metaData, options), secondary);
+    const likely = estimateCase(planned);
+    const low = estimateCase(planned.map(p => atBound(p, 'allowedAmountLow')));
+    const high = estimateCase(procedures.map(p => atBound(p, 'allowedAmountHigh')));
+
+    return {
+        ...likely,
+        range: {
+            low: $(Math.min(patientOwes(low), patientOwes(likely))),
+            likely: patientOwes(likely),
+            high: $(Math.max(patientOwes(high), patientOwes(likely))),
+            highBalanceBillingExposure: Math.max(high.totalBalanceBillingExposure, likely.totalBalanceBillingExposure),
+            lines: procedures.map(p => ({ id: p.id, cptCode: p.cptCode, isOptional: !!p.isOptional, low: lineOwes(low, p.id), likely: lineOwes(likely, p.id), high: lineOwes(high, p.id) })),
+            optionalEstimates: high.procedureEstimates.filter(p => p.isOptional),
+        },
+    };
+};
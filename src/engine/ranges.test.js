@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimateRange, hasEstimateRange } from './ranges.js';
+
+const benefits = { planType: 'Individual', individualDeductible: 1000, individualOopMax: 2000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall' };
+const meta = { patient: { name: 'Test Patient', memberId: 'M1' } };
+const procedures = [
+    { id: 1, cptCode: '27447', allowedAmount: 3000, allowedAmountLow: 2500, allowedAmountHigh: 6000 },
+    { id: 2, cptCode: '20985', allowedAmount: 800, isOptional: true },
+];
+
+test('hasEstimateRange looks for low/high amounts and possible services', () => {
+    assert.equal(hasEstimateRange(procedures), true);
+    assert.equal(hasEstimateRange([{ id: 1, allowedAmount: 10, allowedAmountLow: '', allowedAmountHigh: '' }]), false);
+});
+
+test('the likely estimate leaves out possible services and the worst case is capped by the OOP max', () => {
+    const result = calculateEstimateRange(benefits, { deductibleMet: 0, oopMet: 0 }, null, procedures, meta);
+    assert.equal(result.totalPatientResponsibility, 1400);
+    assert.equal(result.procedureEstimates.length, 1);
+    assert.equal(result.range.low, 1300);
+    assert.equal(result.range.likely, 1400);
+    assert.equal(result.range.high, 2000);
+    assert.deepEqual(result.range.lines.find(l => l.id === 2), { id: 2, cptCode: '20985', isOptional: true, low: 0, likely: 0, high: 0 });
+});
+
+test('with a secondary payer every case is what the patient owes after it', () => {
+    const secondary = { enabled: true, payerName: 'Second Plan', method: 'carve_out', benefits: { deductible: 0, oopMax: '', coinsurancePercentage: 20, copay: '' }, accumulators: { deductibleMet: 0, oopMet: 0 } };
+    const result = calculateEstimateRange(benefits, { deductibleMet: 0, oopMet: 0 }, null, procedures, meta, {}, secondary);
+    assert.equal(result.coordinationOfBenefits.patientResponsibility, 280);
+    assert.equal(result.range.likely, 280);
+    assert.equal(result.range.low, 260);
+    assert.equal(result.range.high, 400);
+    assert.ok(result.range.low <= result.range.likely && result.range.likely <= result.range.high);
+    assert.equal(result.range.lines.find(l => l.id === 1).likely, 280);
+});
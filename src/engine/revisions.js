@@ -0,0 +1,75 @@
+import { $ } from './money.js';
+import { GFE_DISPUTE_THRESHOLD } from './selfPay.js';
+
+// --- ESTIMATE REVISIONS ---
+// A revised estimate points at the one it replaces; estimates in the same chain share the first estimate's id as rootId.
+export const DEFAULT_REVISION_VARIANCE_THRESHOLD = GFE_DISPUTE_THRESHOLD;
+
+// prior: { id, rootId, version, totalPatientResponsibility }
+export const describeRevision = (prior, revisedTotal, threshold = DEFAULT_REVISION_VARIANCE_THRESHOLD) => {
+    const variance = $(revisedTotal - prior.totalPatientResponsibility);
+    return {
+        revisionOf: prior.id,
+        rootId: prior.rootId || prior.id,
+        version: (prior.version || 1) + 1,
+        priorTotal: prior.totalPatientResponsibility,
+        variance,
+        threshold: Number(threshold),
+        exceedsThreshold: Math.abs(variance) > Number(threshold),
+    };
+};
+
+const LINE_FIELDS = [
+    { key: 'units', label: 'Units' },
+    { key: 'modifiers', label: 'Modifiers' },
+    { key: 'lineAllowedAmount', label: 'Allowed', money: true },
+    { key: 'finalAllowedAmount', label: 'Allowed Used', money: true },
+    { key: 'planPaid', label: 'Plan Paid', money: true },
+    { key: 'totalPatientResponsibility', label: 'Patient Owes', money: true },
+];
+
+// Breakdown steps of one type are summed, so a line's steps compare as { [type]: { description, patientOwes } }.
+const stepsByType = (estimate) => (estimate?.calculationBreakdown || []).reduce((acc, step) => {
+    const prev = acc[step.type];
+    acc[step.type] = { description: prev?.description || step.description, patientOwes: $((prev?.patientOwes || 0) + step.patientOwes) };
+    return acc;
+}, {});
+
+const diffSteps = (prior, revised) => {
+    const before = stepsByType(prior);
+    const after = stepsByType(revised);
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+        .map(type => ({ type, description: (after[type] || before[type]).description, prior: before[type]?.patientOwes ?? null, revised: after[type]?.patientOwes ?? null }))
+        .filter(step => step.prior !== step.revised);
+};
+
+// Lines are matched by procedure id, which is kept when an estimate is reopened or cloned.
+export const diffEstimates = (prior, revised) => {
+    const priorLines = prior.procedureEstimates;
+    const revisedLines = revised.procedureEstimates;
+    const ids = [...new Set([...priorLines.map(p => p.id), ...revisedLines.map(p => p.id)])];
+
+    const lines = ids.map(id => {
+        const before = priorLines.find(p => p.id === id);
+        const after = revisedLines.find(p => p.id === id);
+        const cptCode = (after || before).cptCode;
+        if (!before) return { id, cptCode, status: 'added', fields: [], steps: diffSteps(null, after), revised: after };
+        if (!after) return { id, cptCode, status: 'removed', fields: [], steps: diffSteps(before, null), prior: before };
+
+        const fields = LINE_FIELDS
+            .filter(({ key }) => String(before[key] ?? '') !== String(after[key] ?? ''))
+            .map(({ key, label, money }) => ({ key, label, money: !!money, prior: before[key] ?? null, revised: after[key] ?? null }));
+        if (before.cptCode !== after.cptCode) fields.unshift({ key: 'cptCode', label: 'CPT', money: false, prior: before.cptCode, revised: after.cptCode });
+        const steps = diffSteps(before, after);
+        return { id, cptCode, status: fields.length || steps.length ? 'changed' : 'unchanged', fields, steps, prior: before, revised: after };
+    });
+
+    return {
+        lines,
+        totals: {
+            prior: prior.totalPatientResponsibility,
+            revised: revised.totalPatientResponsibility,
+            change: $(revised.totalPatientResponsibility - prior.totalPatientResponsibility),
+        },
+    };
+};
@@ -0,0 +1,63 @@
+import { $ } from './money.js';
+import { calculateEstimate } from './calculate.js';
+import { COPAY_LOGIC_MODES } from './schema.js';
+
+// --- SCENARIO COMPARISON ---
+// The same procedures estimated under several what-ifs: each copay logic mode when it is not known which one a
+// plan uses, the patient's other plan option, or a different accumulator snapshot. A scenario only lists what it
+// changes; everything else comes from the base inputs.
+
+// One scenario per copay logic mode, on the base benefits. `labels` maps a mode to its display name.
+export const copayLogicScenarios = (labels = {}, modes = COPAY_LOGIC_MODES) => modes.map(mode => ({ id: `copay-${mode}`, label: labels[mode] || mode, copayLogic: mode }));
+
+// The benefits and accumulators a scenario is estimated with.
+export const resolveScenario = (base, scenario) => {
+    const benefits = { ...(scenario.benefits || base.benefits), ...(scenario.copayLogic && { copayLogic: scenario.copayLogic }) };
+    return {
+        benefits,
+        patientAccumulators: scenario.patientAccumulators || base.patientAccumulators,
+        familyAccumulators: benefits.planType !== 'Individual' ? (scenario.familyAccumulators || base.familyAccumulators || { deductibleMet: 0, oopMet: 0 }) : null,
+    };
+};
+
+// base: { benefits, patientAccumulators, familyAccumulators, procedures, metaData }.
+// scenarios: [{ id, label, benefits, copayLogic, patientAccumulators, familyAccumulators }], each field optional.
+// Returns each scenario's result, the patient share of every line under each scenario (`differs` when they are not
+// all the same) and the totals, with the cheapest and most expensive scenario.
+export const compareScenarios = (base, scenarios, options = {}) => {
+    const results = scenarios.map(scenario => {
+        const inputs = resolveScenario(base, scenario);
+        return { id: scenario.id, label: scenario.label, ...inputs, result: calculateEstimate(inputs.benefits, inputs.patientAccumulators, inputs.familyAccumulators, base.procedures, base.metaData, options) };
+    });
+
+    const lines = base.procedures.map(procedure => {
+        const patientOwes = results.map(s => s.result.procedureEstimates.find(p => p.id === procedure.id)?.totalPatientResponsibility ?? 0);
+        return { id: procedure.id, cptCode: procedure.cptCode, patientOwes, differs: patientOwes.some(amount => amount !== patientOwes[0]) };
+    });
+    const totals = results.map(s => ({ id: s.id, totalPatientResponsibility: s.result.totalPatientResponsibility, planPaid: s.result.paymentTotals.planPaid }));
+    const byTotal = [...totals].sort((a, b) => a.totalPatientResponsibility - b.totalPatientResponsibility);
+
+    return {
+        scenarios: results,
+        lines,
+        totals,
+        lowestId: byTotal[0]?.id ?? null,
+        highestId: byTotal[byTotal.length - 1]?.id ?? null,
+        spread: byTotal.length ? $(byTotal[byTotal.length - 1].totalPatientResponsibility - byTotal[0].totalPatientResponsibility) : 0,
+    };
+};
+
+// For the estimate issued from the chosen scenario: its label and the other scenarios' totals, with the difference
+// from the chosen one (positive = the alternative costs the patient more).
+export const describeScenarioChoice = (comparison, chosenId) => {
+    const chosen = comparison.totals.find(t => t.id === chosenId);
+    const labelOf = (id) => comparison.scenarios.find(s => s.id === id)?.label || id;
+    return {
+        label: labelOf(chosenId),
+        alternatives: comparison.totals.filter(t => t.id !== chosenId).map(t => ({
+            label: labelOf(t.id),
+            totalPatientResponsibility: t.totalPatientResponsibility,
+            difference: $(t.totalPatientResponsibility - chosen.totalPatientResponsibility),
+        })),
+    };
+};
@@ -0,0 +1,173 @@
+import { MPPR_GROUPS } from './mppr.js';
+import { MODIFIER_STACKING } from './modifiers.js';
+import { MUE_ACTIONS } from './units.js';
+import { SERVICE_CATEGORY_KEYS } from './benefitGrid.js';
+import { NETWORK_TIERS, NSA_PROTECTIONS } from './network.js';
+import { COB_METHOD_KEYS } from './cob.js';
+import { ESTIMATE_MODES } from './selfPay.js';
+import { PFS_SETTINGS } from './pfs.js';
+import { ANESTHESIA_TIME_ROUNDING, QUALIFYING_CIRCUMSTANCES } from './anesthesia.js';
+import { FAMILY_PROCESSING_ORDERS } from './family.js';
+import { SEQUENCING_KEYS, CLAIM_TYPES } from './sequencing.js';
+
+// --- ENGINE I/O SCHEMA ---
+// Bump the minor version for additive fields, the major version for anything that changes or removes a field.
+// See ./README.md for the full request/response shape.
+export const ENGINE_SCHEMA_VERSION = '1.16';
+
+export const PLAN_TYPES = ['EmbeddedFamily', 'AggregateFamily', 'Individual'];
+export const COPAY_LOGIC_MODES = [
+    'standard_waterfall', 'highest_copay_only', 'highest_copay_plus_remainder',
+    'copay_waived_after_deductible', 'copay_after_deductible', 'copay_counts_toward_deductible', 'copay_in_lieu',
+];
+
+const isBlank = (v) => v === '' || v === null || v === undefined;
+const isNumberish = (v) => isBlank(v) || !isNaN(Number(v));
+
+// Problems with one procedure list; `path` names it in the messages (procedures, visits[0].procedures).
+const validateProcedures = (procedures, path, isSelfPay) => {
+    const errors = [];
+    if (!Array.isArray(procedures) || procedures.length === 0) return [`"${path}" must be a non-empty array.`];
+    procedures.forEach((p, i) => {
+        if (isBlank(p?.id)) errors.push(`${path}[${i}].id is required.`);
+        if (isBlank(p?.cptCode)) errors.push(`${path}[${i}].cptCode is required.`);
+        if (isSelfPay) {
+            if (isBlank(p?.selfPayRate) && isBlank(p?.billedAmount)) errors.push(`${path}[${i}] needs a selfPayRate or billedAmount.`);
+        } else if (p?.pfs != null) {
+            if (typeof p.pfs !== 'object') errors.push(`${path}[${i}].pfs must be an object.`);
+            else {
+                ['workRvu', 'peRvu', 'mpRvu', 'workGpci', 'peGpci', 'mpGpci', 'conversionFactor', 'contractPercentage'].forEach(field => {
+                    if (isBlank(p.pfs[field]) || isNaN(Number(p.pfs[field]))) errors.push(`${path}[${i}].pfs.${field} must be a number.`);
+                });
+                if (!PFS_SETTINGS.some(s => s.key === p.pfs.setting)) errors.push(`${path}[${i}].pfs.setting must be one of ${PFS_SETTINGS.map(s => s.key).join(', ')}.`);
+            }
+        } else if (p?.anesthesia != null) {
+            if (typeof p.anesthesia !== 'object') errors.push(`${path}[${i}].anesthesia must be an object.`);
+            else {
+                ['baseUnits', 'minutes', 'conversionFactor'].forEach(field => {
+                    if (isBlank(p.anesthesia[field]) || isNaN(Number(p.anesthesia[field])) || Number(p.anesthesia[field]) < 0) errors.push(`${path}[${i}].anesthesia.${field} must be a non-negative number.`);
+                });
+                if (!isBlank(p.anesthesia.minutesPerUnit) && !(Number(p.anesthesia.minutesPerUnit) > 0)) errors.push(`${path}[${i}].anesthesia.minutesPerUnit must be a positive number.`);
+                if (!isBlank(p.anesthesia.timeRounding) && !ANESTHESIA_TIME_ROUNDING.some(r => r.key === p.anesthesia.timeRounding)) errors.push(`${path}[${i}].anesthesia.timeRounding must be one of ${ANESTHESIA_TIME_ROUNDING.map(r => r.key).join(', ')}.`);
+                (p.anesthesia.qualifyingCircumstances || []).forEach(code => {
+                    if (!QUALIFYING_CIRCUMSTANCES.some(q => q.code === code)) errors.push(`${path}[${i}].anesthesia.qualifyingCircumstances has an unknown code "${code}" (use ${QUALIFYING_CIRCUMSTANCES.map(q => q.code).join(', ')}).`);
+                });
+            }
+        } else if (isBlank(p?.allowedAmount) || !isNumberish(p.allowedAmount)) errors.push(`${path}[${i}].allowedAmount must be a number.`);
+        if (!isSelfPay) {
+            ['allowedAmountLow', 'allowedAmountHigh'].forEach(field => {
+                if (!isNumberish(p?.[field])) errors.push(`${path}[${i}].${field} must be a number or blank.`);
+            });
+            const bounds = [p?.allowedAmountLow, p?.allowedAmount, p?.allowedAmountHigh].filter(v => !isBlank(v) && isNumberish(v)).map(Number);
+            if (bounds.some((v, b) => b > 0 && v < bounds[b - 1])) errors.push(`${path}[${i}] needs allowedAmountLow ≤ allowedAmount ≤ allowedAmountHigh.`);
+            if (p?.isOptional != null && typeof p.isOptional !== 'boolean') errors.push(`${path}[${i}].isOptional must be true or false.`);
+            if (!isBlank(p?.claimType) && !CLAIM_TYPES.includes(p.claimType)) errors.push(`${path}[${i}].claimType must be one of ${CLAIM_TYPES.join(', ')}.`);
+            if (!isBlank(p?.serviceDateTime) && !/^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2})?$/.test(p.serviceDateTime)) errors.push(`${path}[${i}].serviceDateTime must be YYYY-MM-DD or YYYY-MM-DDTHH:MM.`);
+        }
+        ['billedAmount', 'selfPayRate', 'copay', 'coinsurancePercentage'].forEach(field => {
+            if (!isNumberish(p?.[field])) errors.push(`${path}[${i}].${field} must be a number or blank.`);
+        });
+        if (!isBlank(p?.serviceCategory) && !SERVICE_CATEGORY_KEYS.includes(p.serviceCategory)) errors.push(`${path}[${i}].serviceCategory must be one of ${SERVICE_CATEGORY_KEYS.join(', ')}.`);
+        if (!isBlank(p?.network) && !NETWORK_TIERS.includes(p.network)) errors.push(`${path}[${i}].network must be one of ${NETWORK_TIERS.join(', ')}.`);
+        if (!isBlank(p?.nsaProtection) && !NSA_PROTECTIONS.some(n => n.key === p.nsaProtection)) errors.push(`${path}[${i}].nsaProtection must be one of ${NSA_PROTECTIONS.map(n => n.key).join(', ')}.`);
+        if (!isBlank(p?.units) && !(Number(p.units) > 0)) errors.push(`${path}[${i}].units must be a positive number.`);
+        if (!isBlank(p?.mpprGroup) && !['auto', 'none', ...MPPR_GROUPS].includes(p.mpprGroup)) errors.push(`${path}[${i}].mpprGroup must be auto, none, ${MPPR_GROUPS.join(', ')}.`);
+    });
+    return errors;
+};
+
+// --- Request Validation: returns a list of human-readable problems (empty = valid) ---
+export const validateEstimateRequest = (request) => {
+    const errors = [];
+    if (!request || typeof request !== 'object') return ['Request must be an object.'];
+
+    const major = String(request.schemaVersion ?? ENGINE_SCHEMA_VERSION).split('.')[0];
+    if (major !== ENGINE_SCHEMA_VERSION.split('.')[0]) {
+        errors.push(`Unsupported schemaVersion "${request.schemaVersion}"; this engine speaks ${ENGINE_SCHEMA_VERSION}.`);
+    }
+
+    const { benefits, patientAccumulators, procedures, metaData } = request;
+    if (!isBlank(request.mode) && !ESTIMATE_MODES.includes(request.mode)) errors.push(`"mode" must be one of ${ESTIMATE_MODES.join(', ')}.`);
+    const isSelfPay = request.mode === 'self_pay';
+    // Self-pay (uninsured) requests carry no plan benefits or accumulators.
+    if (!isSelfPay && (!benefits || typeof benefits !== 'object')) {
+        errors.push('"benefits" is required.');
+    } else if (!isSelfPay) {
+        if (!PLAN_TYPES.includes(benefits.planType)) errors.push(`"benefits.planType" must be one of ${PLAN_TYPES.join(', ')}.`);
+        if (!isBlank(benefits.copayLogic) && !COPAY_LOGIC_MODES.includes(benefits.copayLogic)) errors.push(`"benefits.copayLogic" must be one of ${COPAY_LOGIC_MODES.join(', ')}.`);
+        if (!isBlank(benefits.sequencing) && !SEQUENCING_KEYS.includes(benefits.sequencing)) errors.push(`"benefits.sequencing" must be one of ${SEQUENCING_KEYS.join(', ')}.`);
+        ['individualDeductible', 'individualOopMax', 'familyDeductible', 'familyOopMax', 'coinsurancePercentage'].forEach(field => {
+            if (!isNumberish(benefits[field])) errors.push(`"benefits.${field}" must be a number or blank.`);
+        });
+        if (benefits.mppr != null && typeof benefits.mppr !== 'object') errors.push('"benefits.mppr" must be an object.');
+        ['individualDeductible', 'individualOopMax', 'familyDeductible', 'familyOopMax', 'coinsurancePercentage'].forEach(field => {
+            if (!isNumberish(benefits.outOfNetwork?.[field])) errors.push(`"benefits.outOfNetwork.${field}" must be a number or blank.`);
+        });
+        Object.entries(benefits.benefitGrid || {}).forEach(([key, category]) => {
+            if (!SERVICE_CATEGORY_KEYS.includes(key)) errors.push(`"benefits.benefitGrid.${key}" is not a known service category.`);
+            if (!isNumberish(category?.copay) || !isNumberish(category?.coinsurancePercentage)) errors.push(`"benefits.benefitGrid.${key}" copay and coinsurancePercentage must be numbers or blank.`);
+        });
+        Object.entries(benefits.visitLimits || {}).forEach(([key, limit]) => {
+            if (!SERVICE_CATEGORY_KEYS.includes(key)) errors.push(`"benefits.visitLimits.${key}" is not a known service category.`);
+            if (!isNumberish(limit)) errors.push(`"benefits.visitLimits.${key}" must be a number or blank.`);
+        });
+        ['familyDeductibleMembers', 'familyOopMembers'].forEach(field => {
+            if (!isBlank(benefits[field]) && !(Number.isInteger(Number(benefits[field])) && Number(benefits[field]) > 0)) errors.push(`"benefits.${field}" must be a positive whole number or blank.`);
+        });
+        Object.entries(benefits.modifierOverrides || {}).forEach(([code, rule]) => {
+            if (rule?.factor != null && rule.factor !== '' && isNaN(Number(rule.factor))) errors.push(`"benefits.modifierOverrides.${code}.factor" must be a number.`);
+            if (rule?.stacking != null && !MODIFIER_STACKING.includes(rule.stacking)) errors.push(`"benefits.modifierOverrides.${code}.stacking" must be one of ${MODIFIER_STACKING.join(', ')}.`);
+        });
+    }
+    if (!isSelfPay && request.members == null && (!patientAccumulators || typeof patientAccumulators !== 'object')) errors.push('"patientAccumulators" is required.');
+    Object.entries(patientAccumulators?.visitsUsed || {}).forEach(([key, used]) => {
+        if (!isNumberish(used)) errors.push(`"patientAccumulators.visitsUsed.${key}" must be a number.`);
+    });
+    ['membersMetDeductible', 'membersMetOop'].forEach(field => {
+        const count = request.familyAccumulators?.[field];
+        if (!isBlank(count) && !(Number.isInteger(Number(count)) && Number(count) >= 0)) errors.push(`"familyAccumulators.${field}" must be a whole number.`);
+    });
+    if (request.members != null) {
+        // Family requests list the procedures per member instead of in `procedures`.
+        if (isSelfPay) errors.push('"members" (family estimates) are not supported with mode self_pay.');
+        if (benefits?.planType === 'Individual') errors.push('"members" (family estimates) need an EmbeddedFamily or AggregateFamily plan.');
+        if (request.visits != null) errors.push('"members" and "visits" cannot be combined.');
+        if (request.secondary?.enabled) errors.push('"secondary" coverage is not supported with "members" (family estimates).');
+        if (!isBlank(request.options?.familyOrder) && !FAMILY_PROCESSING_ORDERS.some(o => o.key === request.options.familyOrder)) errors.push(`"options.familyOrder" must be one of ${FAMILY_PROCESSING_ORDERS.map(o => o.key).join(', ')}.`);
+        if (!Array.isArray(request.members) || request.members.length === 0) errors.push('"members" must be a non-empty array.');
+        else request.members.forEach((member, m) => {
+            if (isBlank(member?.id)) errors.push(`members[${m}].id is required.`);
+            else if (request.members.findIndex(other => other?.id === member.id) !== m) errors.push(`members[${m}].id "${member.id}" is used by another member.`);
+            if (!member?.patientAccumulators || typeof member.patientAccumulators !== 'object') errors.push(`members[${m}].patientAccumulators is required.`);
+            errors.push(...validateProcedures(member?.procedures, `members[${m}].procedures`, false));
+        });
+    } else if (request.visits != null) {
+        // Episode requests list the procedures per visit instead of in `procedures`.
+        if (isSelfPay) errors.push('"visits" (episodes) are not supported with mode self_pay.');
+        if (request.secondary?.enabled) errors.push('"secondary" coverage is not supported with "visits" (episodes).');
+        if (!Array.isArray(request.visits) || request.visits.length === 0) errors.push('"visits" must be a non-empty array.');
+        else request.visits.forEach((visit, v) => {
+            if (isBlank(visit?.id)) errors.push(`visits[${v}].id is required.`);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(visit?.date || '')) errors.push(`visits[${v}].date must be a YYYY-MM-DD date.`);
+            errors.push(...validateProcedures(visit?.procedures, `visits[${v}].procedures`, false));
+        });
+    } else {
+        errors.push(...validateProcedures(procedures, 'procedures', isSelfPay));
+    }
+    if (!metaData?.patient) errors.push('"metaData.patient" is required.');
+    const secondary = request.secondary;
+    if (secondary?.enabled) {
+        if (!COB_METHOD_KEYS.includes(secondary.method)) errors.push(`"secondary.method" must be one of ${COB_METHOD_KEYS.join(', ')}.`);
+        ['deductible', 'oopMax', 'coinsurancePercentage', 'copay'].forEach(field => {
+            if (!isNumberish(secondary.benefits?.[field])) errors.push(`"secondary.benefits.${field}" must be a number or blank.`);
+        });
+    }
+    const mue = request.options?.mue;
+    if (mue) {
+        if (!isBlank(mue.action) && !MUE_ACTIONS.includes(mue.action)) errors.push(`"options.mue.action" must be one of ${MUE_ACTIONS.join(', ')}.`);
+        Object.entries(mue.limits || {}).forEach(([code, limit]) => {
+            if (!isNumberish(limit)) errors.push(`"options.mue.limits.${code}" must be a number.`);
+        });
+    }
+    return errors;
+};
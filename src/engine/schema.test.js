@@ -0,0 +1,36 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { estimate, ENGINE_SCHEMA_VERSION } from './index.js';
+import { validateEstimateRequest } from './schema.js';
+
+const request = (overrides = {}) => ({
+    benefits: { planType: 'Individual', individualDeductible: 500, individualOopMax: 3000, coinsurancePercentage: 20 },
+    patientAccumulators: { deductibleMet: 0, oopMet: 0 },
+    procedures: [{ id: 1, cptCode: '99213', allowedAmount: 1000 }],
+    metaData: { patient: { name: 'Test Patient', memberId: 'M1' } },
+    ...overrides,
+});
+
+test('a valid request has no problems and is stamped with the engine version', () => {
+    assert.deepEqual(validateEstimateRequest(request()), []);
+    const result = estimate(request());
+    assert.equal(result.schemaVersion, ENGINE_SCHEMA_VERSION);
+    assert.equal(result.totalPatientResponsibility, 600);
+});
+
+test('an invalid request throws with every problem listed', () => {
+    const bad = request({ benefits: { planType: 'Nope', sequencing: 'random' }, procedures: [{ id: 1, cptCode: '', allowedAmount: 'x' }] });
+    assert.throws(() => estimate(bad), err => {
+        assert.ok(err.validationErrors.some(e => e.includes('benefits.planType')));
+        assert.ok(err.validationErrors.some(e => e.includes('benefits.sequencing')));
+        assert.ok(err.validationErrors.some(e => e.includes('procedures[0].cptCode')));
+        assert.ok(err.validationErrors.some(e => e.includes('procedures[0].allowedAmount')));
+        return true;
+    });
+});
+
+test('a different major schema version is rejected', () => {
+    const errors = validateEstimateRequest(request({ schemaVersion: '2.0' }));
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Unsupported schemaVersion/);
+});
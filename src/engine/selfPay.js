@@ -0,0 +1,75 @@
+import { $, sanitizeNumber } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { applyUnitLimits } from './units.js';
+
+// --- SELF-PAY / UNINSURED GOOD FAITH ESTIMATE (No Surprises Act, 45 CFR 149.610) ---
+export const ESTIMATE_MODES = ['insured', 'self_pay'];
+
+// Billed charges this far above the GFE, per provider or facility, make the patient eligible for dispute resolution.
+export const GFE_DISPUTE_THRESHOLD = 400;
+
+export const blankGfeParty = () => ({ name: '', npi: '', tin: '', address: '' });
+export const blankGfeDetails = () => ({
+    convening: blankGfeParty(),
+    coProviders: [],
+    facilities: [],
+    serviceDateEnd: '',
+    discountPercentage: '',
+});
+
+// Every provider/facility on the GFE, keyed for a procedure's `renderedBy`.
+export const listGfeParties = (gfe = blankGfeDetails()) => [
+    { key: 'convening', role: 'Convening Provider', ...gfe.convening },
+    ...(gfe.coProviders || []).map((p, i) => ({ key: `co-${i}`, role: 'Co-Provider', ...p })),
+    ...(gfe.facilities || []).map((f, i) => ({ key: `facility-${i}`, role: 'Facility', ...f })),
+];
+
+// A typed cash rate wins; otherwise the billed charge less the practice's self-pay discount.
+export const resolveSelfPayRate = (procedure, discountPercentage) => {
+    if (procedure.selfPayRate !== '' && procedure.selfPayRate != null) {
+        return { rate: sanitizeNumber(procedure.selfPayRate), source: 'self_pay' };
+    }
+    const discount = Math.min(100, Math.max(0, sanitizeNumber(discountPercentage)));
+    return { rate: $(sanitizeNumber(procedure.billedAmount) * (1 - discount / 100)), source: discount > 0 ? 'discounted' : 'billed', discount };
+};
+
+export const calculateSelfPayEstimate = (procedures, metaData, options = {}) => {
+    const gfe = { ...blankGfeDetails(), ...(metaData.gfe || {}) };
+    const parties = listGfeParties(gfe);
+    let totalPatientResponsibility = 0;
+
+    const procedureEstimates = procedures.map(procedure => {
+        const { units, billableUnits, mueLimit, unitsNote } = applyUnitLimits(procedure, options.mue);
+        const { rate, source, discount } = resolveSelfPayRate(procedure, gfe.discountPercentage);
+        const charge = $(rate * billableUnits);
+        totalPatientResponsibility = $(totalPatientResponsibility + charge);
+
+        const rateNote = source === 'self_pay' ? 'Self-pay cash rate' : source === 'discounted' ? `Billed charge less the ${discount}% self-pay discount` : 'Billed charge';
+        const calculationBreakdown = [
+            ...(unitsNote ? [unitsNote] : []),
+            { type: STEP_TYPES.SELF_PAY, description: 'Self-Pay Charge', patientOwes: charge, notes: `${rateNote}: $${rate.toFixed(2)} × ${billableUnits} unit${billableUnits === 1 ? '' : 's'}.` },
+        ];
+        return {
+            ...procedure,
+            renderedBy: parties.some(p => p.key === procedure.renderedBy) ? procedure.renderedBy : 'convening',
+            units, billableUnits, mueLimit,
+            selfPayRate: rate, selfPayRateSource: source,
+            totalPatientResponsibility: charge,
+            calculationBreakdown,
+        };
+    });
+
+    const providerTotals = parties
+        .map(party => ({ ...party, total: $(procedureEstimates.filter(p => p.renderedBy === party.key).reduce((sum, p) => sum + p.totalPatientResponsibility, 0)) }))
+        .filter(party => party.key === 'convening' || party.total > 0);
+
+    return {
+        mode: 'self_pay',
+        patientId: metaData.patient.memberId || metaData.patient.name,
+        procedureEstimates,
+        totalPatientResponsibility,
+        providerTotals,
+        disputeThreshold: GFE_DISPUTE_THRESHOLD,
+        metaData: { ...metaData, gfe },
+    };
+};
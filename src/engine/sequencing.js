@@ -0,0 +1,43 @@
+import { lineAllowedAmount } from './units.js';
+
+// --- CLAIM SEQUENCING ---
+// The order lines are applied to the deductible and OOP max. With a deductible left, the first lines absorb it
+// and the later ones only see coinsurance, so the order changes each line's share (and, with OON or copay
+// rules in play, the total). Payers adjudicate in claim line order, by date of service or by their own rules;
+// `benefits.sequencing` picks the one this plan's payer uses.
+export const SEQUENCING_STRATEGIES = [
+    { key: 'highest_allowed_first', label: 'Highest Allowed First', description: 'Procedures are calculated in order from the highest allowed amount to the lowest.' },
+    { key: 'line_order', label: 'Claim Line Order', description: 'Procedures are calculated in the order they were entered, as the lines appear on the claim.' },
+    { key: 'service_date', label: 'Date/Time of Service', description: 'Procedures are calculated in order of their date and time of service; lines without one go last, in the order entered.' },
+    { key: 'professional_first', label: 'Professional Before Facility', description: 'Professional lines are calculated before facility lines, each from the highest allowed amount to the lowest.' },
+    { key: 'facility_first', label: 'Facility Before Professional', description: 'Facility lines are calculated before professional lines, each from the highest allowed amount to the lowest.' },
+];
+export const SEQUENCING_KEYS = SEQUENCING_STRATEGIES.map(s => s.key);
+export const DEFAULT_SEQUENCING = 'highest_allowed_first';
+export const CLAIM_TYPES = ['professional', 'facility'];
+
+export const resolveSequencing = (benefits) => SEQUENCING_KEYS.includes(benefits?.sequencing) ? benefits.sequencing : DEFAULT_SEQUENCING;
+export const describeSequencing = (key) => SEQUENCING_STRATEGIES.find(s => s.key === key) || SEQUENCING_STRATEGIES[0];
+
+export const byAllowedDesc = (a, b) => lineAllowedAmount(b) - lineAllowedAmount(a);
+// Lines without a claim type are professional.
+const claimTypeOrder = (first) => (a, b) => ((a.claimType || 'professional') === first ? 0 : 1) - ((b.claimType || 'professional') === first ? 0 : 1) || byAllowedDesc(a, b);
+// serviceDateTime is YYYY-MM-DD or YYYY-MM-DDTHH:MM, so the strings sort by time.
+const byServiceDate = (a, b) => {
+    if (!a.serviceDateTime || !b.serviceDateTime) return (a.serviceDateTime ? 0 : 1) - (b.serviceDateTime ? 0 : 1);
+    return String(a.serviceDateTime).localeCompare(String(b.serviceDateTime));
+};
+
+const COMPARATORS = {
+    highest_allowed_first: byAllowedDesc,
+    line_order: () => 0,
+    service_date: byServiceDate,
+    professional_first: claimTypeOrder('professional'),
+    facility_first: claimTypeOrder('facility'),
+};
+
+// procedures: in the order entered. Returns them in the strategy's order, ties kept in the order entered, each
+// with its `calculationRank` (starting after rankOffset).
+export const sequenceProcedures = (procedures, strategy, rankOffset = 0) => [...procedures]
+    .sort(COMPARATORS[strategy] || byAllowedDesc)
+    .map((p, index) => ({ ...p, calculationRank: rankOffset + index + 1 }));
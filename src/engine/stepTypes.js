@@ -0,0 +1,27 @@
+// --- BREAKDOWN STEP TYPE CODES ---
+// Every entry in a procedure's `calculationBreakdown` carries one of these codes in `type`.
+// Consumers (results page, PDF, integrations) must match on `type`; `description` is display text only.
+export const STEP_TYPES = Object.freeze({
+    OOP_MET: 'OOP_MET',
+    PREVENTIVE: 'PREVENTIVE',
+    PFS_PRICED: 'PFS_PRICED',
+    ANESTHESIA_PRICED: 'ANESTHESIA_PRICED',
+    MUE_WARNING: 'MUE_WARNING',
+    MUE_CAPPED: 'MUE_CAPPED',
+    MODIFIERS_APPLIED: 'MODIFIERS_APPLIED',
+    MPPR_REDUCTION: 'MPPR_REDUCTION',
+    ALLOWED_CAPPED_TO_BILLED: 'ALLOWED_CAPPED_TO_BILLED',
+    COPAY: 'COPAY',
+    COPAY_WAIVED: 'COPAY_WAIVED',
+    COPAY_IN_LIEU: 'COPAY_IN_LIEU',
+    HIGHEST_COPAY: 'HIGHEST_COPAY',
+    DEDUCTIBLE: 'DEDUCTIBLE',
+    DEDUCTIBLE_NOT_APPLICABLE: 'DEDUCTIBLE_NOT_APPLICABLE',
+    COINSURANCE: 'COINSURANCE',
+    RESPONSIBILITY_CAPPED: 'RESPONSIBILITY_CAPPED',
+    BALANCE_BILLING: 'BALANCE_BILLING',
+    NSA_PROTECTED: 'NSA_PROTECTED',
+    SECONDARY_PAYMENT: 'SECONDARY_PAYMENT',
+    SELF_PAY: 'SELF_PAY',
+    VISIT_LIMIT_EXCEEDED: 'VISIT_LIMIT_EXCEEDED',
+});
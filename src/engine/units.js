@@ -0,0 +1,37 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+
+// --- UNITS / QUANTITY ---
+// allowedAmount and billedAmount on a procedure are per-unit rates; blank or invalid units mean 1.
+export const getUnits = (procedure) => {
+    const units = Number(procedure.units);
+    return !isNaN(units) && units > 0 ? units : 1;
+};
+
+// Line-level amount before modifiers, for ranking and tie-breaks.
+export const lineAllowedAmount = (procedure) => $((Number(procedure.allowedAmount) || 0) * getUnits(procedure));
+
+// --- Medically Unlikely Edits ---
+// options: { limits: { [cptCode]: maxUnits }, action: 'warn' | 'cap' }
+export const MUE_ACTIONS = ['warn', 'cap'];
+
+export const applyUnitLimits = (procedure, mue = {}) => {
+    const units = getUnits(procedure);
+    const code = String(procedure.cptCode || '').trim().toUpperCase();
+    const rawLimit = mue.limits?.[code];
+    const mueLimit = rawLimit === '' || rawLimit == null || isNaN(Number(rawLimit)) ? null : Number(rawLimit);
+
+    if (mueLimit == null || units <= mueLimit) {
+        return { units, billableUnits: units, mueLimit, unitsNote: null };
+    }
+    if (mue.action === 'cap') {
+        return {
+            units, billableUnits: mueLimit, mueLimit,
+            unitsNote: { type: STEP_TYPES.MUE_CAPPED, description: 'Units capped at MUE', patientOwes: 0, notes: `${units} units exceeds the MUE of ${mueLimit} for ${code}; pricing ${mueLimit} units.` }
+        };
+    }
+    return {
+        units, billableUnits: units, mueLimit,
+        unitsNote: { type: STEP_TYPES.MUE_WARNING, description: 'MUE Exceeded', patientOwes: 0, notes: `${units} units exceeds the MUE of ${mueLimit} for ${code}; the payer may deny the excess units.` }
+    };
+};
@@ -0,0 +1,196 @@
+import { $ } from './money.js';
+import { STEP_TYPES } from './stepTypes.js';
+import { getRemaining, planAwareRemOop, familyMemberRuleMet } from './accumulators.js';
+import { applyModifiers } from './modifiers.js';
+import { applyUnitLimits } from './units.js';
+import { resolveCostSharing } from './benefitGrid.js';
+import { withPaymentSplit } from './payments.js';
+import { pfsPricedStep } from './pfs.js';
+import { anesthesiaPricedStep } from './anesthesia.js';
+
+// --- LINE PRICING ---
+// units -> modifiers -> MPPR -> billed cap. Returns the amounts the line is priced at and the breakdown steps that
+// explain them; lines that skip the waterfall (preventive, highest copay, OOP met) are priced the same way.
+export const priceLine = (procedure, benefits, options = {}) => {
+    const { units, billableUnits, mueLimit, unitsNote } = applyUnitLimits(procedure, options.mue);
+    const lineAllowedAmount = $((Number(procedure.allowedAmount) || 0) * billableUnits);
+    const { modifiedAllowedAmount, modifierNote, appliedModifierRules } = applyModifiers({ ...procedure, allowedAmount: lineAllowedAmount }, benefits.modifierOverrides);
+
+    const breakdown = [];
+    if (procedure.pfs) {
+        breakdown.push(pfsPricedStep(procedure));
+    }
+    if (procedure.anesthesia) {
+        breakdown.push(anesthesiaPricedStep(procedure));
+    }
+    if (unitsNote) {
+        breakdown.push(unitsNote);
+    }
+    if (modifierNote) {
+        breakdown.push(modifierNote);
+    }
+
+    let reducedAllowedAmount = modifiedAllowedAmount;
+    if (procedure.mppr && procedure.mppr.percentage < 100) {
+        const { label, rank, percentage } = procedure.mppr;
+        reducedAllowedAmount = $(modifiedAllowedAmount * (percentage / 100));
+        breakdown.push({
+            type: STEP_TYPES.MPPR_REDUCTION,
+            description: 'Multiple Procedure Reduction',
+            patientOwes: 0,
+            notes: `${label} rank #${rank}: allowed at ${percentage}% ($${modifiedAllowedAmount.toFixed(2)} → $${reducedAllowedAmount.toFixed(2)}).`
+        });
+    }
+
+    // A blank billed amount is unknown, not $0: the allowed amount is used uncapped.
+    const b = Number(procedure.billedAmount);
+    const billedSafe = (procedure.billedAmount === '' || procedure.billedAmount == null || isNaN(b)) ? Infinity : $(Math.max(0, b) * billableUnits);
+    const finalAllowed = Math.min(reducedAllowedAmount, billedSafe);
+
+    if (finalAllowed < reducedAllowedAmount) {
+        breakdown.push({
+            type: STEP_TYPES.ALLOWED_CAPPED_TO_BILLED,
+            description: 'Allowed capped to Billed',
+            patientOwes: 0,
+            notes: `Allowed $${reducedAllowedAmount.toFixed(2)} > Billed $${billedSafe.toFixed(2)}; using billed.`
+        });
+    }
+    return { units, billableUnits, mueLimit, lineAllowedAmount, appliedModifierRules, modifiedAllowedAmount, finalAllowedAmount: finalAllowed, pricingSteps: breakdown };
+};
+
+// --- ACCUMULATOR WATERFALL ---
+// Runs each procedure, in the order given, through its line pricing -> copay -> deductible -> coinsurance
+// against copies of the accumulators.
+export const runWaterfall = (procedures, benefits, patientAcc, familyAcc, ignoreCopays = false, options = {}) => {
+    let currentPatientAcc = JSON.parse(JSON.stringify(patientAcc));
+    let currentFamilyAcc = familyAcc ? JSON.parse(JSON.stringify(familyAcc)) : null;
+    let procedureEstimates = [];
+    let totalPatientResponsibility = 0.0;
+
+    for (const procedure of procedures) {
+        const { pricingSteps, ...pricing } = priceLine(procedure, benefits, options);
+        const finalAllowed = pricing.finalAllowedAmount;
+        const breakdown = [...pricingSteps];
+        let amountRemainingForCalc = finalAllowed;
+
+        let patientPortion = 0.0;
+        
+        const getRemOopNow = () => planAwareRemOop(benefits.individualOopMax, benefits.familyOopMax, currentPatientAcc.oopMet, currentFamilyAcc?.oopMet, benefits.planType, familyMemberRuleMet(benefits, currentFamilyAcc, 'oop'));
+        
+        const costSharing = resolveCostSharing(procedure, benefits);
+        const procedureCopay = !ignoreCopays ? costSharing.copay : 0;
+        const copayLogic = benefits.copayLogic;
+
+        const getDeductibleApplicable = () => {
+            const remIndDed = getRemaining(benefits.individualDeductible, currentPatientAcc.deductibleMet);
+            const remFamDed = !currentFamilyAcc ? Infinity : familyMemberRuleMet(benefits, currentFamilyAcc, 'deductible') ? 0 : getRemaining(benefits.familyDeductible, currentFamilyAcc.deductibleMet);
+            return (benefits.planType === 'Individual') ? remIndDed : (benefits.planType === 'AggregateFamily') ? remFamDed : Math.min(remIndDed, remFamDed);
+        };
+        const isDeductibleMet = () => getDeductibleApplicable() <= 0;
+        const creditDeductible = (amount) => {
+            currentPatientAcc.deductibleMet = $(currentPatientAcc.deductibleMet + amount);
+            if (currentFamilyAcc) currentFamilyAcc.deductibleMet = $(currentFamilyAcc.deductibleMet + amount);
+        };
+
+        // The copay comes out of the allowed amount; whatever is left runs through deductible/coinsurance.
+        const applyCopay = () => {
+            const copayDue = $(Math.min(procedureCopay, getRemOopNow(), amountRemainingForCalc));
+            patientPortion = $(patientPortion + copayDue);
+            amountRemainingForCalc = $(amountRemainingForCalc - copayDue);
+            currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + copayDue);
+            if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + copayDue);
+
+            let notes = costSharing.copaySource === 'grid' ? `${costSharing.categoryLabel} copay from the benefit grid.` : `Applied as a separate fee.`;
+            if (copayDue < procedureCopay) notes += ` Limited from $${procedureCopay.toFixed(2)} by the allowed amount or OOP max.`;
+            if (copayLogic === 'copay_counts_toward_deductible' && costSharing.deductibleApplies && !isDeductibleMet()) {
+                const credit = $(Math.min(copayDue, getDeductibleApplicable()));
+                if (credit > 0) {
+                    creditDeductible(credit);
+                    notes += ` $${credit.toFixed(2)} credited toward the deductible.`;
+                }
+            }
+            breakdown.push({ type: STEP_TYPES.COPAY, description: `Copay for ${procedure.cptCode}`, patientOwes: copayDue, notes });
+        };
+
+        const applyDeductible = () => {
+            if (!costSharing.deductibleApplies && amountRemainingForCalc > 0) {
+                breakdown.push({ type: STEP_TYPES.DEDUCTIBLE_NOT_APPLICABLE, description: 'Deductible Does Not Apply', patientOwes: 0, notes: `${costSharing.categoryLabel} services are not subject to the deductible.` });
+                return;
+            }
+            if (isDeductibleMet() || amountRemainingForCalc <= 0) return;
+            const deductiblePayment = $(Math.min(amountRemainingForCalc, getDeductibleApplicable(), getRemOopNow()));
+            if (deductiblePayment > 0) {
+                patientPortion = $(patientPortion + deductiblePayment);
+                amountRemainingForCalc = $(amountRemainingForCalc - deductiblePayment);
+                creditDeductible(deductiblePayment);
+                currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + deductiblePayment);
+                if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + deductiblePayment);
+                breakdown.push({ type: STEP_TYPES.DEDUCTIBLE, description: "Deductible", patientOwes: deductiblePayment, notes: `Amount left for coinsurance: $${amountRemainingForCalc.toFixed(2)}` });
+            }
+        };
+
+        let skipCoinsurance = false;
+        if (procedureCopay <= 0) {
+            applyDeductible();
+        } else {
+            switch (copayLogic) {
+                case 'copay_waived_after_deductible':
+                    if (isDeductibleMet()) {
+                        breakdown.push({ type: STEP_TYPES.COPAY_WAIVED, description: `Copay Waived for ${procedure.cptCode}`, patientOwes: 0, notes: `Deductible is met; this plan waives the $${procedureCopay.toFixed(2)} copay.` });
+                    } else {
+                        applyCopay();
+                    }
+                    applyDeductible();
+                    break;
+                case 'copay_after_deductible':
+                    applyDeductible();
+                    if (isDeductibleMet() || !costSharing.deductibleApplies) {
+                        applyCopay();
+                    } else {
+                        breakdown.push({ type: STEP_TYPES.COPAY_WAIVED, description: `No Copay for ${procedure.cptCode}`, patientOwes: 0, notes: `Deductible not yet met; the $${procedureCopay.toFixed(2)} copay only starts once it is.` });
+                    }
+                    break;
+                case 'copay_in_lieu':
+                    applyCopay();
+                    skipCoinsurance = true;
+                    if (amountRemainingForCalc > 0) {
+                        breakdown.push({ type: STEP_TYPES.COPAY_IN_LIEU, description: 'Copay In Lieu of Ded/Coins', patientOwes: 0, notes: `The plan pays the remaining $${amountRemainingForCalc.toFixed(2)}; no deductible or coinsurance applies.` });
+                    }
+                    break;
+                case 'copay_counts_toward_deductible':
+                case 'standard_waterfall':
+                default:
+                    applyCopay();
+                    applyDeductible();
+                    break;
+            }
+        }
+        
+        if (!skipCoinsurance && amountRemainingForCalc > 0) {
+            const coinsurancePct = costSharing.coinsurancePercentage;
+            const coinsuranceShare = $(amountRemainingForCalc * (Number(coinsurancePct) / 100));
+            const coinsurancePayment = $(Math.min(coinsuranceShare, getRemOopNow()));
+            
+            if (coinsurancePayment > 0) {
+                patientPortion = $(patientPortion + coinsurancePayment);
+                currentPatientAcc.oopMet = $(currentPatientAcc.oopMet + coinsurancePayment);
+                if (currentFamilyAcc) currentFamilyAcc.oopMet = $(currentFamilyAcc.oopMet + coinsurancePayment);
+                breakdown.push({ type: STEP_TYPES.COINSURANCE, description: "Coinsurance", patientOwes: coinsurancePayment, notes: `Patient pays ${coinsurancePct}% of $${amountRemainingForCalc.toFixed(2)}${costSharing.coinsuranceSource === 'grid' ? ` (${costSharing.categoryLabel} benefit)` : ''}.` });
+            }
+        }
+
+        if (patientPortion > finalAllowed) {
+            breakdown.push({
+                type: STEP_TYPES.RESPONSIBILITY_CAPPED,
+                description: 'Responsibility Capped',
+                patientOwes: 0,
+                notes: `Patient portion ($${patientPortion.toFixed(2)}) capped at allowed amount ($${finalAllowed.toFixed(2)}).`
+            });
+            patientPortion = finalAllowed;
+        }
+        
+        totalPatientResponsibility = $(totalPatientResponsibility + patientPortion);
+        procedureEstimates.push(withPaymentSplit({ ...procedure, ...pricing, totalPatientResponsibility: patientPortion, calculationBreakdown: breakdown }));
+    }
+    return { procedureEstimates, totalPatientResponsibility, finalAccumulators: { patient: currentPatientAcc, family: currentFamilyAcc } };
+};
@@ -0,0 +1,66 @@
+// --- SAVED ESTIMATE HISTORY ---
+// Every calculated estimate (inputs, engine output and metadata) kept in the browser's IndexedDB,
+// so the estimates given to patients can be found, reopened and re-issued later.
+
+const DB_NAME = 'gfpec';
+const DB_VERSION = 1;
+const STORE = 'estimates';
+
+const openDb = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) { reject(new Error('This browser does not support IndexedDB.')); return; }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+        store.createIndex('createdAt', 'createdAt');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runRequest = (mode, makeRequest) => openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+}));
+
+// "GFE-20250314-K3F9Q2": date of issue plus a random suffix.
+export const newEstimateId = () => `GFE-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${Math.random().toString(36).slice(2, 8).toUpperCase()}`;
+
+// What the patient was told they owe: after the secondary payer when there is one.
+export const issuedPatientTotal = (result) => result.coordinationOfBenefits ? result.coordinationOfBenefits.patientResponsibility : result.totalPatientResponsibility;
+
+// inputs: { estimateMode, benefits, patientAccumulators, familyAccumulators, procedures, metaData, secondary }
+// Records are immutable: a changed estimate is saved as a new record whose result.revision points at the prior one.
+export const saveEstimateRecord = ({ id, inputs, result }) => {
+    const { metaData } = inputs;
+    const record = {
+        id,
+        rootId: result.revision?.rootId || id,
+        version: result.revision?.version || 1,
+        revisionOf: result.revision?.revisionOf || null,
+        createdAt: new Date().toISOString(),
+        inputs,
+        result,
+        summary: {
+            patientName: metaData.patient.name,
+            memberId: metaData.patient.memberId,
+            serviceDate: metaData.service.date,
+            provider: metaData.provider.name,
+            payer: inputs.estimateMode === 'self_pay' ? 'Self-Pay' : metaData.insurance.name,
+            total: issuedPatientTotal(result),
+        },
+    };
+    return runRequest('readwrite', store => store.add(record)).then(() => record);
+};
+
+export const listEstimateRecords = () => runRequest('readonly', store => store.getAll())
+    .then(records => records.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+
+export const getEstimateRecord = (id) => runRequest('readonly', store => store.get(id));
+
+// filters: { patientName, memberId, serviceDate, provider, payer }; blank filters match everything.
+export const matchesHistoryFilters = (record, filters) => Object.entries(filters).every(([field, value]) => {
+    if (!value || !String(value).trim()) return true;
+    return String(record.summary[field] || '').toLowerCase().includes(String(value).trim().toLowerCase());
+});
@@ -0,0 +1,180 @@
+// --- FEE SCHEDULES & CHARGEMASTER ---
+// Contracted allowed amounts (by CPT, modifier, payer and plan) and the practice's billed charges,
+// imported from CSV/XLSX files and used to pre-fill procedure rows on the estimate form.
+import { parseModifiers } from './engine/index.js';
+
+// SheetJS is only needed for Excel files, so it is loaded from the CDN on first use (like jsPDF).
+const XLSX_SCRIPT_URL = 'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js';
+
+export const FEE_FILE_KINDS = {
+    feeSchedule: { label: 'Fee Schedule', amountField: 'allowedAmount', required: ['cptCode', 'allowedAmount'] },
+    chargemaster: { label: 'Chargemaster', amountField: 'billedAmount', required: ['cptCode', 'billedAmount'] },
+};
+
+// Header names are matched case-insensitively, ignoring punctuation.
+const COLUMN_ALIASES = {
+    cptCode: ['cpt', 'cptcode', 'cpthcpcs', 'hcpcs', 'hcpcscode', 'code', 'procedurecode', 'billingcode'],
+    modifier: ['modifier', 'mod', 'modifiers'],
+    payer: ['payer', 'payername', 'insurance', 'carrier'],
+    plan: ['plan', 'planname', 'product'],
+    allowedAmount: ['allowed', 'allowedamount', 'contractedrate', 'negotiatedrate', 'rate', 'fee', 'feeamount'],
+    billedAmount: ['billed', 'billedamount', 'charge', 'chargeamount', 'grosscharge', 'standardcharge', 'price'],
+};
+const COLUMN_LABELS = { cptCode: 'CPT', allowedAmount: 'Allowed', billedAmount: 'Billed' };
+
+const normalizeHeader = (value) => String(value ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeText = (value) => String(value ?? '').trim().toLowerCase();
+
+// RFC 4180: quoted fields may contain commas, newlines and doubled quotes. Text can be fed in
+// chunks (quotes may span them); onRow is called with each complete row's cells.
+export const createCsvRowParser = (onRow) => {
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let quotePending = false;
+    let skipLineFeed = false;
+    const endRow = () => { row.push(field); onRow(row); row = []; field = ''; };
+    const write = (text) => {
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (skipLineFeed) { skipLineFeed = false; if (ch === '\n') continue; }
+            if (quotePending) {
+                quotePending = false;
+                if (ch === '"') { field += '"'; continue; }
+                inQuotes = false;
+            }
+            if (inQuotes) {
+                if (ch === '"') quotePending = true;
+                else field += ch;
+            } else if (ch === '"') {
+                inQuotes = true;
+            } else if (ch === ',') {
+                row.push(field); field = '';
+            } else if (ch === '\n' || ch === '\r') {
+                skipLineFeed = ch === '\r';
+                endRow();
+            } else {
+                field += ch;
+            }
+        }
+    };
+    const end = () => { if (field !== '' || row.length > 0) endRow(); };
+    return { write, end };
+};
+
+const isBlankRow = (cells) => cells.every(cell => String(cell).trim() === '');
+
+export const parseCsv = (text) => {
+    const rows = [];
+    const parser = createCsvRowParser(row => { if (!isBlankRow(row)) rows.push(row); });
+    parser.write(text);
+    parser.end();
+    return rows;
+};
+
+const loadXlsx = () => new Promise((resolve, reject) => {
+    if (window.XLSX) { resolve(window.XLSX); return; }
+    const script = document.createElement('script');
+    script.src = XLSX_SCRIPT_URL;
+    script.async = true;
+    script.onload = () => resolve(window.XLSX);
+    script.onerror = () => reject(new Error('The Excel reader could not be loaded. Check the connection or save the file as CSV.'));
+    document.body.appendChild(script);
+});
+
+// Resolves to the file's rows as arrays of cells (first worksheet for Excel files).
+export const readSpreadsheetRows = (file) => {
+    if (/\.xlsx?$/i.test(file.name)) {
+        return Promise.all([loadXlsx(), file.arrayBuffer()]).then(([XLSX, buffer]) => {
+            const workbook = XLSX.read(buffer, { type: 'array' });
+            const sheet = workbook.Sheets[workbook.SheetNames[0]];
+            return XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        });
+    }
+    return file.text().then(parseCsv);
+};
+
+const parseAmount = (value) => {
+    if (typeof value === 'number') return value;
+    const cleaned = String(value ?? '').replace(/[$,\s]/g, '');
+    return cleaned === '' ? NaN : Number(cleaned);
+};
+
+// The header row is the first of the leading rows that names every required column.
+const findColumns = (rows, required) => {
+    for (let r = 0; r < Math.min(rows.length, 10); r++) {
+        const headers = rows[r].map(normalizeHeader);
+        const columns = {};
+        Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+            const index = headers.findIndex(h => aliases.includes(h));
+            if (index !== -1) columns[field] = index;
+        });
+        if (required.every(field => columns[field] != null)) return { headerRow: r, columns };
+    }
+    throw new Error(`No header row with ${required.map(f => COLUMN_LABELS[f]).join(' and ')} columns was found in the first 10 rows.`);
+};
+
+// Returns { rows: [{ cptCode, modifier, payer, plan, [amountField] }], skipped } for a fee schedule or chargemaster file.
+export const parseFeeRows = (rows, kind) => {
+    const { amountField, required } = FEE_FILE_KINDS[kind];
+    const { headerRow, columns } = findColumns(rows, required);
+    const cell = (row, field) => columns[field] != null ? String(row[columns[field]] ?? '').trim() : '';
+    let skipped = 0;
+    const parsed = rows.slice(headerRow + 1).flatMap(row => {
+        const cptCode = cell(row, 'cptCode').toUpperCase();
+        const amount = parseAmount(row[columns[amountField]]);
+        if (!cptCode || !Number.isFinite(amount) || amount < 0) { skipped++; return []; }
+        return [{
+            cptCode,
+            modifier: parseModifiers(cell(row, 'modifier'))[0] || '',
+            ...(kind === 'feeSchedule' && { payer: cell(row, 'payer'), plan: cell(row, 'plan') }),
+            [amountField]: amount,
+        }];
+    });
+    if (parsed.length === 0) throw new Error('The file has no rows with both a code and an amount.');
+    return { rows: parsed, skipped };
+};
+
+const specificity = (row) => (row.payer ? 4 : 0) + (row.plan ? 2 : 0) + (row.modifier ? 1 : 0);
+
+// The most specific matching row wins: payer, then plan, then modifier. Rows with no payer, plan or
+// modifier apply to every payer, plan or modifier; a row's modifier must be on the procedure to match.
+const findBestRow = (rows, { cptCode, modifiers, payer, plan }) => {
+    const code = String(cptCode || '').trim().toUpperCase();
+    if (!code) return null;
+    const procModifiers = parseModifiers(modifiers);
+    let best = null;
+    let bestScore = -1;
+    rows.forEach(row => {
+        if (row.cptCode !== code) return;
+        if (row.payer && normalizeText(row.payer) !== normalizeText(payer)) return;
+        if (row.plan && normalizeText(row.plan) !== normalizeText(plan)) return;
+        if (row.modifier && !procModifiers.includes(row.modifier)) return;
+        if (specificity(row) > bestScore) { best = row; bestScore = specificity(row); }
+    });
+    return best;
+};
+
+const describeMatch = (fileName, row) => [fileName, row.payer, row.plan, row.modifier && `mod ${row.modifier}`].filter(Boolean).join(' · ');
+
+// Looks a procedure up in the library: { allowed: { amount, source, modifier } | null, billed: { amount, source } | null }.
+// `allowed.modifier` is set when the rate is specific to a modifier on the line (see the engine's `pricedModifiers`).
+// Earlier fee schedules take precedence over later ones when both match equally well.
+export const lookupFees = (library, procedure, payer, plan) => {
+    const query = { ...procedure, payer, plan };
+    let allowed = null;
+    let allowedScore = -1;
+    library.schedules.forEach(schedule => {
+        const row = findBestRow(schedule.rows, query);
+        if (!row) return;
+        if (specificity(row) > allowedScore) { allowed = { amount: row.allowedAmount, source: describeMatch(schedule.name, row), modifier: row.modifier }; allowedScore = specificity(row); }
+    });
+    const charge = library.chargemaster && findBestRow(library.chargemaster.rows, query);
+    return {
+        allowed,
+        billed: charge ? { amount: charge.billedAmount, source: describeMatch(library.chargemaster.name, charge) } : null,
+    };
+};
+
+// A looked-up amount the user has since changed.
+export const isFeeOverridden = (lookup, value) => lookup != null && value !== '' && Number(value) !== Number(lookup.amount);
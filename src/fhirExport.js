@@ -0,0 +1,347 @@
+// --- FHIR R4 EXPORT (DA VINCI PATIENT COST TRANSPARENCY) ---
+// Builds a Bundle from a calculated estimate: a GFE Claim (use = predetermination) with the procedures,
+// diagnoses, provider and practice, and for insured estimates an Advanced EOB with the plan's benefit
+// amounts and the accumulators after this estimate.
+import { STEP_TYPES, lineAllowedAmount } from './engine/index.js';
+
+const PCT = 'http://hl7.org/fhir/us/davinci-pct/StructureDefinition';
+export const PCT_PROFILES = {
+    gfeBundle: `${PCT}/davinci-pct-gfe-bundle`,
+    gfeProfessional: `${PCT}/davinci-pct-gfe-professional`,
+    aeobBundle: `${PCT}/davinci-pct-aeob-bundle`,
+    aeob: `${PCT}/davinci-pct-aeob`,
+    coverage: `${PCT}/davinci-pct-coverage`,
+    organization: `${PCT}/davinci-pct-organization`,
+    practitioner: `${PCT}/davinci-pct-practitioner`,
+    patient: 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-patient',
+};
+
+const SYSTEMS = {
+    cpt: 'http://www.ama-assn.org/go/cpt',
+    icd10: 'http://hl7.org/fhir/sid/icd-10-cm',
+    npi: 'http://hl7.org/fhir/sid/us-npi',
+    tin: 'urn:oid:2.16.840.1.113883.4.4',
+    identifierType: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+    claimType: 'http://terminology.hl7.org/CodeSystem/claim-type',
+    priority: 'http://terminology.hl7.org/CodeSystem/processpriority',
+    adjudication: 'http://terminology.hl7.org/CodeSystem/adjudication',
+    carinAdjudication: 'http://hl7.org/fhir/us/carin-bb/CodeSystem/C4BBAdjudication',
+    organizationType: 'http://terminology.hl7.org/CodeSystem/organization-type',
+    relationship: 'http://terminology.hl7.org/CodeSystem/subscriber-relationship',
+    coverageClass: 'http://terminology.hl7.org/CodeSystem/coverage-class',
+    selfPay: 'http://terminology.hl7.org/CodeSystem/coverage-selfpay',
+    benefitCategory: 'http://terminology.hl7.org/CodeSystem/ex-benefitcategory',
+    benefitType: 'http://terminology.hl7.org/CodeSystem/benefit-type',
+    benefitNetwork: 'http://terminology.hl7.org/CodeSystem/benefit-network',
+    benefitUnit: 'http://terminology.hl7.org/CodeSystem/benefit-unit',
+    benefitTerm: 'http://terminology.hl7.org/CodeSystem/benefit-term',
+};
+
+const AEOB_DISCLAIMER = 'This is a good faith estimate and not a guarantee of final cost. Final determination is made by the payer.';
+
+const uuid = () => {
+    if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+    const bytes = globalThis.crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+};
+
+const money = (value) => ({ value: Number((Number(value) || 0).toFixed(2)), currency: 'USD' });
+const coding = (system, code, display) => ({ coding: [{ system, code, ...(display && { display }) }] });
+const reference = (entry) => ({ reference: entry.fullUrl });
+const isBlank = (v) => v === '' || v == null;
+const parseList = (value) => String(value || '').split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+
+const humanName = (text) => {
+    const parts = String(text || '').trim().split(/\s+/).filter(Boolean);
+    return { text: parts.join(' '), family: parts[parts.length - 1] || '', given: parts.slice(0, -1) };
+};
+
+const sumSteps = (procedureEstimate, types) => procedureEstimate.calculationBreakdown.filter(s => types.includes(s.type)).reduce((sum, s) => sum + (Number(s.patientOwes) || 0), 0);
+const adjudication = (system, code, amount) => ({ category: coding(system, code), amount: money(amount) });
+// The allowed amount the plan's payment was split from; same fallback as the engine's splitPayment.
+const eligibleAmount = (procedureEstimate) => procedureEstimate.finalAllowedAmount ?? lineAllowedAmount(procedureEstimate);
+// What the member owes: after the secondary payer when there is one, as on the estimate the patient is given.
+const memberLiability = (procedureEstimate) => procedureEstimate.cob ? procedureEstimate.cob.patientResponsibility : procedureEstimate.totalPatientResponsibility;
+
+const newEntry = (resource) => ({ fullUrl: `urn:uuid:${uuid()}`, resource });
+
+// estimate: an EstimateResults `data` object (insured or self-pay), with its estimateId.
+export const buildPctBundle = (estimate) => {
+    const { metaData } = estimate;
+    const isSelfPay = estimate.mode === 'self_pay';
+    const created = new Date().toISOString();
+    const serviceDate = metaData.service?.date || undefined;
+
+    const patient = newEntry({
+        resourceType: 'Patient',
+        meta: { profile: [PCT_PROFILES.patient] },
+        name: [humanName(metaData.patient.name)],
+        gender: 'unknown',
+        ...(metaData.patient.dob && { birthDate: metaData.patient.dob }),
+    });
+    // The member ID identifies the patient when there is one; otherwise the patient's own UUID does.
+    patient.resource.identifier = [metaData.patient.memberId
+        ? { type: coding(SYSTEMS.identifierType, 'MB', 'Member Number'), system: 'urn:gfpec:member-id', value: metaData.patient.memberId }
+        : { system: 'urn:ietf:rfc:3986', value: patient.fullUrl }];
+
+    // Self-pay GFEs name the convening provider; its NPI and TIN fill in for the practice's when blank.
+    const convening = isSelfPay ? metaData.gfe?.convening || {} : {};
+    const practiceTin = String(metaData.practice.taxId || convening.tin || '').replace(/\D/g, '');
+    const practice = newEntry({
+        resourceType: 'Organization',
+        meta: { profile: [PCT_PROFILES.organization] },
+        active: true,
+        identifier: practiceTin ? [{ type: coding(SYSTEMS.identifierType, 'TAX', 'Tax ID number'), system: SYSTEMS.tin, value: practiceTin }] : [],
+        name: metaData.practice.name || convening.name,
+        type: [coding(SYSTEMS.organizationType, 'prov', 'Healthcare Provider')],
+    });
+    const npi = metaData.provider.npi || convening.npi;
+    const practitioner = newEntry({
+        resourceType: 'Practitioner',
+        meta: { profile: [PCT_PROFILES.practitioner] },
+        identifier: npi ? [{ system: SYSTEMS.npi, value: String(npi).trim() }] : [],
+        name: [humanName(metaData.provider.name)],
+    });
+    const payer = isSelfPay ? null : newEntry({
+        resourceType: 'Organization',
+        meta: { profile: [PCT_PROFILES.organization] },
+        active: true,
+        name: metaData.insurance.name,
+        type: [coding(SYSTEMS.organizationType, 'pay', 'Payer')],
+    });
+    const coverage = newEntry({
+        resourceType: 'Coverage',
+        meta: { profile: [PCT_PROFILES.coverage] },
+        status: 'active',
+        beneficiary: reference(patient),
+        relationship: coding(SYSTEMS.relationship, 'self'),
+        ...(isSelfPay ? {
+            type: coding(SYSTEMS.selfPay, 'pay', 'PAY'),
+            payor: [reference(patient)],
+        } : {
+            subscriberId: metaData.patient.memberId,
+            payor: [reference(payer)],
+            ...(metaData.insurance.planName && { class: [{ type: coding(SYSTEMS.coverageClass, 'plan'), value: metaData.insurance.planName, name: metaData.insurance.planName }] }),
+            ...((metaData.insurance.planYearStart || metaData.insurance.planYearEnd) && { period: { ...(metaData.insurance.planYearStart && { start: metaData.insurance.planYearStart }), ...(metaData.insurance.planYearEnd && { end: metaData.insurance.planYearEnd }) } }),
+        }),
+    });
+
+    // Diagnoses are numbered once per claim and referenced from each line by sequence.
+    const diagnosisCodes = [...new Set(estimate.procedureEstimates.flatMap(p => parseList(p.dxCode)))];
+    const lineNet = (p) => isSelfPay ? p.totalPatientResponsibility : (p.lineBilledAmount ?? p.finalAllowedAmount);
+    const itemBase = (p, index) => ({
+        sequence: index + 1,
+        productOrService: coding(SYSTEMS.cpt, String(p.cptCode).trim().toUpperCase()),
+        ...(parseList(p.modifiers).length > 0 && { modifier: parseList(p.modifiers).map(m => coding(SYSTEMS.cpt, m)) }),
+        ...((p.visitDate || serviceDate) && { servicedDate: p.visitDate || serviceDate }),
+        quantity: { value: Number(p.units) || 1 },
+        net: money(lineNet(p)),
+    });
+
+    const claim = newEntry({
+        resourceType: 'Claim',
+        meta: { profile: [PCT_PROFILES.gfeProfessional] },
+        identifier: [{ type: coding(SYSTEMS.identifierType, 'PLAC', 'Placer Identifier'), system: 'urn:gfpec:estimate-id', value: estimate.estimateId || uuid() }],
+        status: 'active',
+        type: coding(SYSTEMS.claimType, 'professional'),
+        use: 'predetermination',
+        patient: reference(patient),
+        created,
+        ...(payer && { insurer: reference(payer) }),
+        provider: reference(practice),
+        priority: coding(SYSTEMS.priority, 'normal'),
+        careTeam: [{ sequence: 1, provider: reference(practitioner), role: coding('http://terminology.hl7.org/CodeSystem/claimcareteamrole', 'primary') }],
+        diagnosis: diagnosisCodes.map((code, index) => ({ sequence: index + 1, diagnosisCodeableConcept: coding(SYSTEMS.icd10, code) })),
+        insurance: [{ sequence: 1, focal: true, coverage: reference(coverage) }],
+        item: estimate.procedureEstimates.map((p, index) => ({
+            ...itemBase(p, index),
+            careTeamSequence: [1],
+            diagnosisSequence: parseList(p.dxCode).map(code => diagnosisCodes.indexOf(code) + 1),
+            ...(!isBlank(p.billedAmount) && !isSelfPay && { unitPrice: money(p.billedAmount) }),
+        })),
+        total: money(estimate.procedureEstimates.reduce((sum, p) => sum + (Number(lineNet(p)) || 0), 0)),
+    });
+
+    const entries = [claim, patient, coverage, practice, practitioner, ...(payer ? [payer] : [])];
+    if (isSelfPay) {
+        return { resourceType: 'Bundle', meta: { profile: [PCT_PROFILES.gfeBundle] }, identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${uuid()}` }, type: 'collection', timestamp: created, entry: entries };
+    }
+
+    // --- Advanced EOB: the plan's adjudication of each line and the accumulators after this estimate ---
+    const { benefits, finalAccumulators, paymentTotals, coordinationOfBenefits: cob } = estimate;
+    const financial = (allowed, used) => [
+        { type: coding(SYSTEMS.benefitType, 'deductible'), ...(!isBlank(allowed.deductible) && { allowedMoney: money(allowed.deductible) }), usedMoney: money(used?.deductibleMet) },
+        { type: { ...coding(SYSTEMS.benefitType, 'benefit'), text: 'Out-of-pocket maximum' }, ...(!isBlank(allowed.oopMax) && { allowedMoney: money(allowed.oopMax) }), usedMoney: money(used?.oopMet) },
+    ];
+    // The OON tier is reported only when a line was priced against it (not NSA-protected).
+    const tiers = [
+        ['in', benefits, finalAccumulators],
+        ...(estimate.procedureEstimates.some(p => p.network === 'out' && !p.nsaProtection) ? [['out', benefits.outOfNetwork || {}, finalAccumulators.outOfNetwork || {}]] : []),
+    ];
+    const benefitBalance = tiers.flatMap(([network, planBenefits, accumulators]) => [
+        ...(benefits.planType !== 'AggregateFamily' ? [['individual', { deductible: planBenefits.individualDeductible, oopMax: planBenefits.individualOopMax }, accumulators.patient]] : []),
+        ...(benefits.planType !== 'Individual' ? [['family', { deductible: planBenefits.familyDeductible, oopMax: planBenefits.familyOopMax }, accumulators.family]] : []),
+    // An accumulator the estimate doesn't know is left out rather than reported as $0 used.
+    ].filter(([, , used]) => used).map(([unit, allowed, used]) => ({
+        category: coding(SYSTEMS.benefitCategory, '30', 'Health Benefit Plan Coverage'),
+        network: coding(SYSTEMS.benefitNetwork, network),
+        unit: coding(SYSTEMS.benefitUnit, unit),
+        term: coding(SYSTEMS.benefitTerm, 'annual'),
+        financial: financial(allowed, used),
+    })));
+
+    const aeob = newEntry({
+        resourceType: 'ExplanationOfBenefit',
+        meta: { profile: [PCT_PROFILES.aeob] },
+        identifier: [{ type: coding(SYSTEMS.identifierType, 'PLAC', 'Placer Identifier'), system: 'urn:gfpec:estimate-id', value: estimate.estimateId || claim.resource.identifier[0].value }],
+        status: 'active',
+        type: coding(SYSTEMS.claimType, 'professional'),
+        use: 'predetermination',
+        patient: reference(patient),
+        created,
+        insurer: reference(payer),
+        provider: reference(practice),
+        claim: reference(claim),
+        outcome: 'complete',
+        insurance: [{ focal: true, coverage: reference(coverage) }],
+        item: estimate.procedureEstimates.map((p, index) => ({
+            ...itemBase(p, index),
+            adjudication: [
+                adjudication(SYSTEMS.adjudication, 'submitted', p.lineBilledAmount),
+                adjudication(SYSTEMS.adjudication, 'eligible', eligibleAmount(p)),
+                adjudication(SYSTEMS.adjudication, 'deductible', sumSteps(p, [STEP_TYPES.DEDUCTIBLE])),
+                adjudication(SYSTEMS.adjudication, 'copay', sumSteps(p, [STEP_TYPES.COPAY, STEP_TYPES.COPAY_IN_LIEU, STEP_TYPES.HIGHEST_COPAY])),
+                adjudication(SYSTEMS.carinAdjudication, 'coinsurance', sumSteps(p, [STEP_TYPES.COINSURANCE])),
+                adjudication(SYSTEMS.adjudication, 'benefit', p.planPaid),
+                adjudication(SYSTEMS.carinAdjudication, 'memberliability', memberLiability(p)),
+            ],
+        })),
+        total: [
+            adjudication(SYSTEMS.adjudication, 'submitted', paymentTotals?.billed),
+            adjudication(SYSTEMS.adjudication, 'eligible', estimate.procedureEstimates.reduce((sum, p) => sum + (Number(eligibleAmount(p)) || 0), 0)),
+            adjudication(SYSTEMS.adjudication, 'benefit', paymentTotals?.planPaid),
+            adjudication(SYSTEMS.carinAdjudication, 'memberliability', cob ? cob.patientResponsibility : estimate.totalPatientResponsibility),
+        ],
+        benefitBalance,
+        processNote: [
+            { type: 'display', text: AEOB_DISCLAIMER },
+            ...(cob ? [{ type: 'display', text: `Member liability is after ${cob.payerName || 'the secondary payer'}'s estimated payment of $${cob.secondaryPaid.toFixed(2)}.` }] : []),
+        ],
+    });
+
+    return { resourceType: 'Bundle', meta: { profile: [PCT_PROFILES.aeobBundle] }, identifier: { system: 'urn:ietf:rfc:3986', value: `urn:uuid:${uuid()}` }, type: 'collection', timestamp: created, entry: [aeob, ...entries] };
+};
+
+// A family estimate exports one bundle per member, since each bundle is about one patient: the member's own
+// lines and accumulators, and the family accumulators after every member. Returns [{ patientId, name, bundle }].
+export const buildPctBundles = (estimate) => {
+    if (estimate.mode !== 'family') return [{ patientId: estimate.patientId, name: '', bundle: buildPctBundle(estimate) }];
+    const family = estimate.finalAccumulators;
+    return estimate.members.map((member, index) => ({
+        patientId: member.patientId,
+        name: member.name,
+        bundle: buildPctBundle({
+            ...member,
+            estimateId: estimate.estimateId && `${estimate.estimateId}-${index + 1}`,
+            finalAccumulators: {
+                patient: member.finalAccumulators.patient,
+                family: family.family,
+                outOfNetwork: { patient: member.finalAccumulators.outOfNetwork.patient, family: family.outOfNetwork.family },
+            },
+        }),
+    }));
+};
+
+// --- Profile checks ---
+// The required elements, fixed values and code formats of the PCT profiles used above, checked before
+// download. This is not a full StructureDefinition validator (that needs the IG package and a FHIR
+// validator); it catches what this form can get wrong: missing IDs, codes and amounts.
+const CPT_HCPCS = /^([0-9]{4}[0-9A-Z]|[A-Z][0-9]{4})$/;
+const ICD10_CM = /^[A-TV-Z][0-9][0-9A-Z](\.?[0-9A-Z]{1,4})?$/;
+
+// NPIs carry a Luhn check digit computed with the 80840 health industry prefix.
+export const isValidNpi = (value) => {
+    if (!/^\d{10}$/.test(value)) return false;
+    const digits = `80840${value}`.split('').map(Number);
+    const sum = digits.reverse().reduce((total, digit, i) => {
+        if (i % 2 === 0) return total + digit;
+        const doubled = digit * 2;
+        return total + (doubled > 9 ? doubled - 9 : doubled);
+    }, 0);
+    return sum % 10 === 0;
+};
+
+export const validatePctBundle = (bundle) => {
+    const errors = [];
+    const fullUrls = new Set(bundle.entry.map(e => e.fullUrl));
+    const resources = (type) => bundle.entry.filter(e => e.resource.resourceType === type).map(e => e.resource);
+    const resolve = (ref) => bundle.entry.find(e => e.fullUrl === ref?.reference)?.resource;
+    const requireRef = (label, ref) => { if (!ref?.reference || !fullUrls.has(ref.reference)) errors.push(`${label} must reference a resource in the bundle.`); };
+    const requireMoney = (label, value) => { if (!value || !Number.isFinite(value.value) || value.currency !== 'USD') errors.push(`${label} must be a USD amount.`); };
+
+    if (bundle.type !== 'collection') errors.push('Bundle.type must be "collection".');
+    if (!bundle.identifier?.value || !bundle.timestamp) errors.push('Bundle.identifier and Bundle.timestamp are required.');
+
+    const [claim] = resources('Claim');
+    if (!claim) return [...errors, 'The bundle has no GFE Claim.'];
+    if (claim.use !== 'predetermination' || claim.status !== 'active') errors.push('Claim.use must be "predetermination" and Claim.status "active".');
+    requireRef('Claim.patient', claim.patient);
+    requireRef('Claim.provider', claim.provider);
+    if (!claim.insurance?.length || !claim.insurance.some(i => i.focal)) errors.push('Claim.insurance needs a focal coverage.');
+    claim.insurance.forEach(i => requireRef('Claim.insurance.coverage', i.coverage));
+    if (claim.diagnosis.length === 0) errors.push('The GFE needs at least one diagnosis code (enter DX codes on the procedures).');
+    claim.diagnosis.forEach(d => {
+        const code = d.diagnosisCodeableConcept.coding[0].code;
+        if (!ICD10_CM.test(code)) errors.push(`Diagnosis "${code}" is not an ICD-10-CM code.`);
+    });
+    if (claim.item.length === 0) errors.push('The GFE needs at least one item.');
+    claim.item.forEach(item => {
+        const code = item.productOrService.coding[0].code;
+        if (!CPT_HCPCS.test(code)) errors.push(`Item ${item.sequence}: "${code}" is not a CPT or HCPCS code.`);
+        if (!item.servicedDate) errors.push(`Item ${item.sequence}: a date of service is required.`);
+        if (item.diagnosisSequence.length === 0) errors.push(`Item ${item.sequence} (${code}) needs a diagnosis code.`);
+        requireMoney(`Item ${item.sequence} net`, item.net);
+    });
+    requireMoney('Claim.total', claim.total);
+
+    const provider = resolve(claim.provider);
+    const tin = provider?.identifier?.find(i => i.system === SYSTEMS.tin)?.value;
+    if (!tin || !/^\d{9}$/.test(tin)) errors.push('The practice needs a 9-digit tax ID (TIN).');
+    const practitioner = resolve(claim.careTeam?.[0]?.provider);
+    const npi = practitioner?.identifier?.find(i => i.system === SYSTEMS.npi)?.value;
+    if (!npi) errors.push('The provider needs an NPI.');
+    else if (!isValidNpi(npi)) errors.push(`Provider NPI ${npi} is not a valid NPI (10 digits with a valid check digit).`);
+
+    resources('Patient').forEach(p => {
+        if (!p.identifier?.length || !p.name?.[0]?.family || !p.gender) errors.push('Patient needs an identifier, a family name and a gender (US Core).');
+    });
+    resources('Coverage').forEach(c => {
+        requireRef('Coverage.beneficiary', c.beneficiary);
+        if (!c.payor?.length) errors.push('Coverage.payor is required.');
+        c.payor.forEach(ref => requireRef('Coverage.payor', ref));
+    });
+
+    resources('ExplanationOfBenefit').forEach(eob => {
+        if (eob.use !== 'predetermination' || eob.outcome !== 'complete') errors.push('ExplanationOfBenefit.use must be "predetermination" with outcome "complete".');
+        ['patient', 'insurer', 'provider', 'claim'].forEach(field => requireRef(`ExplanationOfBenefit.${field}`, eob[field]));
+        if (!resolve(eob.insurer)?.name) errors.push('The payer needs a name.');
+        if (!eob.insurance?.some(i => i.focal)) errors.push('ExplanationOfBenefit.insurance needs a focal coverage.');
+        eob.item.forEach(item => {
+            ['submitted', 'eligible', 'benefit', 'memberliability'].forEach(code => {
+                const entry = item.adjudication.find(a => a.category.coding[0].code === code);
+                if (!entry) errors.push(`AEOB item ${item.sequence} has no "${code}" adjudication.`);
+                else requireMoney(`AEOB item ${item.sequence} ${code}`, entry.amount);
+            });
+            const amount = (code) => item.adjudication.find(a => a.category.coding[0].code === code)?.amount?.value ?? 0;
+            if (amount('benefit') + amount('memberliability') > amount('eligible') + 0.005) {
+                errors.push(`AEOB item ${item.sequence}: benefit plus member liability ($${(amount('benefit') + amount('memberliability')).toFixed(2)}) is more than the eligible amount ($${amount('eligible').toFixed(2)}).`);
+            }
+        });
+        if (!eob.total?.length) errors.push('ExplanationOfBenefit.total is required.');
+        if (!eob.benefitBalance?.length) errors.push('ExplanationOfBenefit.benefitBalance (the accumulators) is required.');
+    });
+    return errors;
+};
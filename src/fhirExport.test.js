@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimate, calculateFamilyEstimate, applyCoordinationOfBenefits, blankSecondaryCoverage } from './engine/index.js';
+import { buildPctBundle, buildPctBundles, validatePctBundle } from './fhirExport.js';
+
+const meta = {
+    patient: { name: 'Ann Lee', memberId: 'M1', dob: '1980-01-01' },
+    provider: { name: 'Pat Doe', npi: '1234567893' },
+    practice: { name: 'Test Practice', taxId: '12-3456789' },
+    insurance: { name: 'Test Health', planYearStart: '2026-01-01' },
+    service: { date: '2026-03-01' },
+};
+const plan = (overrides = {}) => ({ planType: 'Individual', individualDeductible: 500, individualOopMax: 3000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall', ...overrides });
+const line = (id, allowedAmount, extra = {}) => ({ id, cptCode: '99213', dxCode: 'M17.11', allowedAmount, billedAmount: allowedAmount * 2, ...extra });
+
+const aeob = (bundle) => bundle.entry.find(e => e.resource.resourceType === 'ExplanationOfBenefit').resource;
+const amount = (adjudications, code) => adjudications.find(a => a.category.coding[0].code === code).amount.value;
+const used = (eob, unit) => eob.benefitBalance.find(b => b.network.coding[0].code === 'in' && b.unit.coding[0].code === unit).financial.map(f => f.usedMoney.value);
+
+test('lines outside the waterfall report their allowed amount as eligible', () => {
+    const benefits = plan({ copayLogic: 'highest_copay_only' });
+    const result = calculateEstimate(benefits, { deductibleMet: 0, oopMet: 0 }, null, [line('a', 300, { copay: 50 }), line('b', 200, { copay: 20 })], meta);
+    const bundle = buildPctBundle(result);
+    assert.deepEqual(validatePctBundle(bundle), []);
+    aeob(bundle).item.forEach(item => {
+        assert.ok(amount(item.adjudication, 'eligible') > 0);
+        assert.ok(amount(item.adjudication, 'benefit') + amount(item.adjudication, 'memberliability') <= amount(item.adjudication, 'eligible'));
+    });
+});
+
+test('benefit plus member liability over the eligible amount is rejected', () => {
+    const bundle = buildPctBundle(calculateEstimate(plan(), { deductibleMet: 0, oopMet: 0 }, null, [line('a', 1000)], meta));
+    aeob(bundle).item[0].adjudication.find(a => a.category.coding[0].code === 'eligible').amount.value = 500;
+    assert.ok(validatePctBundle(bundle).some(e => e.includes('more than the eligible amount')));
+});
+
+test('member liability is what the patient owes after the secondary payer', () => {
+    const secondary = { ...blankSecondaryCoverage(), enabled: true, payerName: 'Second Plan', method: 'carve_out', benefits: { deductible: 0, oopMax: '', coinsurancePercentage: 20, copay: '' } };
+    const result = applyCoordinationOfBenefits(calculateEstimate(plan(), { deductibleMet: 0, oopMet: 0 }, null, [line('a', 1000)], meta), secondary);
+    const eob = aeob(buildPctBundle(result));
+    assert.equal(amount(eob.item[0].adjudication, 'memberliability'), 120);
+    assert.equal(amount(eob.total, 'memberliability'), 120);
+    assert.equal(amount(eob.item[0].adjudication, 'benefit'), 400);
+    assert.ok(eob.processNote.some(n => n.text.includes('Second Plan')));
+});
+
+test('each family member exports their own accumulators and the family accumulators after everyone', () => {
+    const benefits = plan({ planType: 'EmbeddedFamily', individualDeductible: 1000, familyDeductible: 3000, familyOopMax: 6000 });
+    const members = [
+        { id: 'a', name: 'Ann Lee', memberId: 'M1', patientAccumulators: { deductibleMet: 0, oopMet: 0 }, procedures: [line('p1', 1500)] },
+        { id: 'b', name: 'Bob Lee', memberId: 'M2', patientAccumulators: { deductibleMet: 200, oopMet: 200 }, procedures: [line('p2', 500)] },
+    ];
+    const result = calculateFamilyEstimate(benefits, { deductibleMet: 0, oopMet: 0 }, members, meta, { familyOrder: 'listed' });
+    const exports = buildPctBundles(result);
+    assert.deepEqual(exports.map(e => [e.patientId, e.name]), [['M1', 'Ann Lee'], ['M2', 'Bob Lee']]);
+    exports.forEach(e => assert.deepEqual(validatePctBundle(e.bundle), []));
+    const [ann, bob] = exports.map(e => aeob(e.bundle));
+    assert.deepEqual(used(ann, 'individual'), [1000, 1100]);
+    assert.deepEqual(used(bob, 'individual'), [700, 700]);
+    assert.deepEqual(used(ann, 'family'), [1500, 1600]);
+    assert.deepEqual(used(bob, 'family'), [1500, 1600]);
+});
@@ -0,0 +1,114 @@
+// --- STREAMING JSON READER ---
+// Reads a JSON document fed in text chunks without holding it in memory. Only the elements of the
+// top-level arrays named in `captureKeys` are built (each is passed to onItem as it completes) along
+// with the top-level scalar fields; everything else is tokenized and dropped. Containers under a key
+// in `skipKeys` are dropped even inside a captured element.
+
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+const WHITESPACE = ' \t\n\r\uFEFF';
+
+// Digits, letters, '-', '+' and '.': the characters of numbers, true, false and null.
+const isLiteralChar = (code) => (code >= 48 && code <= 57) || (code >= 97 && code <= 122) || code === 45 || code === 43 || code === 46 || code === 69;
+
+export const createJsonStreamParser = ({ captureKeys, skipKeys = [], onItem }) => {
+    const header = {};
+    const stack = []; // { isArray, key, value (null when not built), emit (captured key) }
+    let expectKey = false;
+    let mode = null; // null | 'string' | 'literal'
+    let buffer = '';
+    let escape = false;
+    let unicode = null;
+
+    const top = () => stack[stack.length - 1];
+    const addValue = (value) => {
+        const parent = top();
+        if (!parent) return;
+        if (parent.emit) onItem(parent.emit, value);
+        else if (parent.value) { if (parent.isArray) parent.value.push(value); else parent.value[parent.key] = value; }
+        else if (stack.length === 1 && !parent.isArray) header[parent.key] = value;
+    };
+    const open = (isArray) => {
+        const parent = top();
+        const skipped = parent && !parent.isArray && skipKeys.includes(parent.key);
+        const building = parent && (parent.emit || parent.value) && !skipped;
+        const emit = isArray && stack.length === 1 && !parent.isArray && captureKeys.includes(parent.key) ? parent.key : null;
+        stack.push({ isArray, key: null, value: building ? (isArray ? [] : {}) : null, emit });
+        expectKey = !isArray;
+    };
+    const close = () => {
+        const frame = stack.pop();
+        if (!frame) throw new Error('The file is not valid JSON (unbalanced brackets).');
+        if (frame.value) addValue(frame.value);
+        expectKey = false;
+    };
+    const finishString = () => {
+        if (expectKey) { top().key = buffer; expectKey = false; }
+        else addValue(buffer);
+    };
+    const finishLiteral = () => {
+        if (buffer === 'true') addValue(true);
+        else if (buffer === 'false') addValue(false);
+        else if (buffer === 'null') addValue(null);
+        else {
+            const number = Number(buffer);
+            if (Number.isNaN(number)) throw new Error(`The file is not valid JSON (unexpected "${buffer.slice(0, 20)}").`);
+            addValue(number);
+        }
+    };
+
+    const write = (chunk) => {
+        const n = chunk.length;
+        let i = 0;
+        while (i < n) {
+            if (mode === 'string') {
+                if (unicode !== null) {
+                    unicode += chunk[i++];
+                    if (unicode.length === 4) { buffer += String.fromCharCode(parseInt(unicode, 16)); unicode = null; }
+                    continue;
+                }
+                if (escape) {
+                    const c = chunk[i++];
+                    escape = false;
+                    if (c === 'u') unicode = '';
+                    else buffer += ESCAPES[c] ?? c;
+                    continue;
+                }
+                let j = i;
+                while (j < n) { const code = chunk.charCodeAt(j); if (code === 34 || code === 92) break; j++; }
+                buffer += chunk.slice(i, j);
+                i = j;
+                if (i === n) break;
+                if (chunk.charCodeAt(i) === 92) escape = true;
+                else { mode = null; finishString(); }
+                i++;
+                continue;
+            }
+            if (mode === 'literal') {
+                let j = i;
+                while (j < n && isLiteralChar(chunk.charCodeAt(j))) j++;
+                buffer += chunk.slice(i, j);
+                i = j;
+                if (i === n) break;
+                mode = null;
+                finishLiteral();
+                continue;
+            }
+            const c = chunk[i++];
+            if (c === '{') open(false);
+            else if (c === '[') open(true);
+            else if (c === '}' || c === ']') close();
+            else if (c === '"') { mode = 'string'; buffer = ''; }
+            else if (c === ',') expectKey = stack.length > 0 && !top().isArray;
+            else if (c === ':' || WHITESPACE.includes(c)) continue;
+            else if (isLiteralChar(c.charCodeAt(0))) { mode = 'literal'; buffer = c; }
+            else throw new Error(`The file is not valid JSON (unexpected "${c}").`);
+        }
+    };
+    // Returns the top-level scalar fields (also readable while streaming from `header`).
+    const end = () => {
+        if (mode === 'literal') { mode = null; finishLiteral(); }
+        if (mode || stack.length > 0) throw new Error('The file ended before the JSON document was complete.');
+        return header;
+    };
+    return { write, end, header };
+};
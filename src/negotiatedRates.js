@@ -0,0 +1,270 @@
+// --- PRICE TRANSPARENCY RATE INDEX ---
+// Negotiated rates published in CMS Transparency in Coverage in-network files (payers) and hospital
+// standard charge files (JSON or CSV), streamed from disk into an IndexedDB index by billing code,
+// payer and plan. Files can be gigabytes, so they are never read into memory whole.
+import { parseModifiers } from './engine/index.js';
+import { createCsvRowParser } from './feeSchedules.js';
+import { createJsonStreamParser } from './jsonStream.js';
+
+const DB_NAME = 'gfpec-rates';
+const DB_VERSION = 1;
+const SOURCES = 'sources';
+const RATES = 'rates';
+const WRITE_BATCH = 2000;
+
+export const RATE_FILE_KINDS = {
+    tic: 'Transparency in Coverage',
+    hospital: 'Hospital standard charges',
+};
+
+// Only professional fee codes can be matched to a procedure row.
+const INDEXED_CODE_TYPES = ['CPT', 'HCPCS'];
+// TiC price types that are dollar amounts (percentages and per diems are not).
+const DOLLAR_PRICE_TYPES = ['negotiated', 'derived', 'fee schedule'];
+
+const openDb = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) { reject(new Error('This browser does not support IndexedDB.')); return; }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        request.result.createObjectStore(SOURCES, { keyPath: 'id' });
+        const rates = request.result.createObjectStore(RATES, { autoIncrement: true });
+        rates.createIndex('billingCode', 'billingCode');
+        rates.createIndex('sourceId', 'sourceId');
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runTransaction = (db, stores, work) => new Promise((resolve, reject) => {
+    const tx = db.transaction(stores, 'readwrite');
+    work(tx);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+});
+
+const toNumber = (value) => {
+    if (value === '' || value == null) return null;
+    const number = typeof value === 'number' ? value : Number(String(value).replace(/[$,\s]/g, ''));
+    return Number.isFinite(number) ? number : null;
+};
+
+// --- TiC in-network file: one element of `in_network` ---
+// Rates repeat for every provider group, so each distinct modifier/class/rate is indexed once.
+const ticItemRecords = (item, context) => {
+    if (!INDEXED_CODE_TYPES.includes(String(item.billing_code_type).toUpperCase())) return [];
+    const billingCode = String(item.billing_code || '').trim().toUpperCase();
+    const seen = new Set();
+    return (item.negotiated_rates || []).flatMap(group => (group.negotiated_prices || []).flatMap(price => {
+        const rate = toNumber(price.negotiated_rate);
+        if (rate == null || !DOLLAR_PRICE_TYPES.includes(String(price.negotiated_type).toLowerCase())) return [];
+        const modifier = String((price.billing_code_modifier || [])[0] || '').toUpperCase();
+        const billingClass = price.billing_class || '';
+        const key = `${modifier}|${billingClass}|${rate}`;
+        if (seen.has(key)) return [];
+        seen.add(key);
+        return [{ ...context, billingCode, modifier, billingClass, rate, min: null, max: null }];
+    }));
+};
+
+// --- Hospital standard charges JSON: one element of `standard_charge_information` ---
+const hospitalItemRecords = (item, context) => {
+    const codes = (item.code_information || [])
+        .filter(c => INDEXED_CODE_TYPES.includes(String(c.type).toUpperCase()))
+        .map(c => String(c.code).trim().toUpperCase());
+    return codes.flatMap(billingCode => (item.standard_charges || []).flatMap(charge => {
+        const base = { ...context, billingCode, modifier: '', billingClass: charge.setting || '', min: toNumber(charge.minimum), max: toNumber(charge.maximum) };
+        const payers = (charge.payers_information || []).filter(p => toNumber(p.standard_charge_dollar) != null);
+        if (payers.length === 0) return base.min != null || base.max != null ? [{ ...base, payer: '', plan: '', rate: null }] : [];
+        return payers.map(p => ({ ...base, payer: p.payer_name || '', plan: p.plan_name || '', rate: toNumber(p.standard_charge_dollar) }));
+    }));
+};
+
+// --- Hospital standard charges CSV (CMS template, tall or wide layout) ---
+// The column header row is the first row with a `description` and a `code|1` column; the rows
+// above it hold the hospital's general information.
+const createHospitalCsvReader = (context, onRecords, header) => {
+    let columns = null;
+    let generalHeaders = null;
+    const readHeader = (row) => {
+        const cells = row.map(c => String(c).trim().toLowerCase());
+        if (cells.includes('description') && cells.includes('code|1')) {
+            const find = (name) => cells.indexOf(name);
+            columns = {
+                codes: cells.flatMap((c, i) => /^code\|\d+$/.test(c) ? [{ code: i, type: find(`${c}|type`) }] : []),
+                modifiers: find('modifiers'),
+                setting: find('setting'),
+                payer: find('payer_name'),
+                plan: find('plan_name'),
+                negotiated: find('standard_charge|negotiated_dollar'),
+                min: find('standard_charge|min'),
+                max: find('standard_charge|max'),
+                // Wide layout: one `standard_charge|<payer>|<plan>|negotiated_dollar` column per plan.
+                wide: cells.flatMap((c, i) => {
+                    if (!/^standard_charge\|.+\|.+\|negotiated_dollar$/.test(c)) return [];
+                    const [, payerName, planName] = String(row[i]).split('|');
+                    return [{ index: i, payer: payerName.trim(), plan: planName.trim() }];
+                }),
+            };
+            return;
+        }
+        if (generalHeaders) {
+            const name = generalHeaders.indexOf('hospital_name');
+            if (name !== -1 && row[name]) header.hospital_name = row[name];
+        }
+        generalHeaders = cells;
+    };
+    return (row) => {
+        if (!columns) { readHeader(row); return; }
+        const cell = (index) => index === -1 ? '' : String(row[index] ?? '').trim();
+        const codes = columns.codes
+            .filter(c => INDEXED_CODE_TYPES.includes(cell(c.type).toUpperCase()) && cell(c.code))
+            .map(c => cell(c.code).toUpperCase());
+        if (codes.length === 0) return;
+        const base = { ...context, modifier: parseModifiers(cell(columns.modifiers).replace(/\|/g, ','))[0] || '', billingClass: cell(columns.setting), min: toNumber(cell(columns.min)), max: toNumber(cell(columns.max)) };
+        const rates = [
+            ...(columns.negotiated !== -1 ? [{ payer: cell(columns.payer), plan: cell(columns.plan), rate: toNumber(cell(columns.negotiated)) }] : []),
+            ...columns.wide.map(w => ({ payer: w.payer, plan: w.plan, rate: toNumber(cell(w.index)) })),
+        ].filter(r => r.rate != null);
+        if (rates.length === 0 && base.min == null && base.max == null) return;
+        onRecords(codes.flatMap(billingCode => (rates.length > 0 ? rates : [{ payer: '', plan: '', rate: null }]).map(r => ({ ...base, ...r, billingCode }))));
+    };
+};
+
+// The file's text; onBytes gets the size of each chunk read from the file itself (still compressed for .gz).
+const textStream = (file, onBytes) => {
+    const raw = file.stream().pipeThrough(new window.TransformStream({ transform: (chunk, controller) => { onBytes(chunk.byteLength); controller.enqueue(chunk); } }));
+    const bytes = /\.gz$/i.test(file.name) ? raw.pipeThrough(new window.DecompressionStream('gzip')) : raw;
+    return bytes.pipeThrough(new window.TextDecoderStream());
+};
+
+// Streams a file into the index. onProgress receives { bytesRead, totalBytes, rateCount }; bytesRead counts
+// bytes of the file as stored (compressed for .gz), so it ends at totalBytes. Resolves to the saved source.
+export const importRateFile = (file, onProgress = () => {}) => openDb().then(db => {
+    const source = { id: `mrf-${Date.now()}`, name: file.name, kind: null, entity: '', plan: '', importedAt: null, rateCount: 0 };
+    const context = { sourceId: source.id, payer: '', plan: '' };
+    const header = {};
+    let pending = [];
+    const addRecords = (records) => { pending = pending.concat(records); };
+
+    const isCsv = /\.csv(\.gz)?$/i.test(file.name);
+    const csvRow = isCsv && createHospitalCsvReader(context, addRecords, header);
+    const csvParser = isCsv && createCsvRowParser(csvRow);
+    const jsonParser = !isCsv && createJsonStreamParser({
+        captureKeys: ['in_network', 'standard_charge_information'],
+        skipKeys: ['provider_groups'],
+        onItem: (key, item) => {
+            if (key === 'in_network') {
+                // Top-level fields precede `in_network` in the CMS schema.
+                source.kind = 'tic';
+                addRecords(ticItemRecords(item, { ...context, payer: jsonParser.header.reporting_entity_name || '', plan: jsonParser.header.plan_name || '' }));
+            } else {
+                source.kind = 'hospital';
+                addRecords(hospitalItemRecords(item, context));
+            }
+        },
+    });
+    const flush = () => {
+        if (pending.length === 0) return Promise.resolve();
+        const batch = pending;
+        pending = [];
+        source.rateCount += batch.length;
+        return runTransaction(db, [RATES], tx => { const store = tx.objectStore(RATES); batch.forEach(r => store.add(r)); });
+    };
+
+    let bytesRead = 0;
+    const reader = textStream(file, (n) => { bytesRead += n; }).getReader();
+    const pump = () => reader.read().then(({ done, value }) => {
+        if (done) return null;
+        if (isCsv) csvParser.write(value);
+        else jsonParser.write(value);
+        onProgress({ bytesRead, totalBytes: file.size, rateCount: source.rateCount + pending.length });
+        return (pending.length >= WRITE_BATCH ? flush() : Promise.resolve()).then(pump);
+    });
+
+    return pump()
+        .then(() => {
+            if (isCsv) { csvParser.end(); source.kind = 'hospital'; }
+            else Object.assign(header, jsonParser.end());
+            return flush();
+        })
+        .then(() => {
+            if (source.rateCount === 0) throw new Error('No CPT or HCPCS dollar rates were found. Load a Transparency in Coverage in-network file or a hospital standard charges file.');
+            source.entity = header.reporting_entity_name || header.hospital_name || '';
+            source.plan = header.plan_name || '';
+            source.importedAt = new Date().toISOString();
+            return runTransaction(db, [SOURCES], tx => tx.objectStore(SOURCES).put(source));
+        })
+        .then(() => { db.close(); return source; })
+        .catch(err => {
+            reader.cancel().catch(() => {});
+            // Drop whatever was already indexed for the failed file.
+            return deleteRateSourceRecords(db, source.id).finally(() => db.close()).then(() => { throw err; });
+        });
+});
+
+const deleteRateSourceRecords = (db, sourceId) => runTransaction(db, [SOURCES, RATES], tx => {
+    tx.objectStore(SOURCES).delete(sourceId);
+    const cursorRequest = tx.objectStore(RATES).index('sourceId').openKeyCursor(window.IDBKeyRange.only(sourceId));
+    cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        tx.objectStore(RATES).delete(cursor.primaryKey);
+        cursor.continue();
+    };
+});
+
+export const deleteRateSource = (sourceId) => openDb().then(db => deleteRateSourceRecords(db, sourceId).finally(() => db.close()));
+
+const readAll = (db, storeName, indexName, key) => new Promise((resolve, reject) => {
+    const store = db.transaction(storeName, 'readonly').objectStore(storeName);
+    const request = indexName ? store.index(indexName).getAll(key) : store.getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+export const listRateSources = () => openDb().then(db => readAll(db, SOURCES).finally(() => db.close()))
+    .then(sources => sources.sort((a, b) => b.importedAt.localeCompare(a.importedAt)));
+
+// Payer names differ between files and the payer list ("Aetna Life Insurance Company" vs "Aetna").
+const normalizeName = (value) => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+const namesMatch = (a, b) => {
+    const x = normalizeName(a);
+    const y = normalizeName(b);
+    return x !== '' && y !== '' && (x.includes(y) || y.includes(x));
+};
+const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// For a procedure and payer: { rate, source, rateCount, modifier } offered as the allowed amount (the
+// median of the payer's most specific matching rates, or null; `modifier` when the rate is specific to
+// one of the line's modifiers), plus the min/max across every published
+// rate for the code, all payers included (de-identified), and how many files they came from.
+export const findNegotiatedRates = ({ cptCode, modifiers }, payer, plan) => {
+    const billingCode = String(cptCode || '').trim().toUpperCase();
+    const empty = { rate: null, source: '', rateCount: 0, modifier: '', min: null, max: null, fileCount: 0 };
+    if (!billingCode) return Promise.resolve(empty);
+    return openDb().then(db => Promise.all([readAll(db, RATES, 'billingCode', billingCode), readAll(db, SOURCES)]).finally(() => db.close()))
+        .then(([records, sources]) => {
+            const procModifiers = parseModifiers(modifiers);
+            const forLine = records.filter(r => !r.modifier || procModifiers.includes(r.modifier));
+            if (forLine.length === 0) return empty;
+            const dollars = forLine.flatMap(r => [r.rate, r.min, r.max]).filter(v => v != null);
+            const specificity = (r) => (plan && namesMatch(r.plan, plan) ? 2 : 0) + (r.modifier ? 1 : 0);
+            const payerRates = forLine.filter(r => r.rate != null && namesMatch(r.payer, payer) && (!r.plan || !plan || namesMatch(r.plan, plan)));
+            const best = payerRates.reduce((max, r) => Math.max(max, specificity(r)), -1);
+            const offered = payerRates.filter(r => specificity(r) === best);
+            const sourceName = (id) => sources.find(s => s.id === id)?.name || 'Published file';
+            return {
+                rate: offered.length > 0 ? Number(median(offered.map(r => r.rate)).toFixed(2)) : null,
+                source: offered.length > 0 ? [sourceName(offered[0].sourceId), offered[0].payer, offered[0].plan].filter(Boolean).join(' · ') : '',
+                rateCount: offered.length,
+                modifier: offered[0]?.modifier || '',
+                min: dollars.length > 0 ? dollars.reduce((a, b) => Math.min(a, b)) : null,
+                max: dollars.length > 0 ? dollars.reduce((a, b) => Math.max(a, b)) : null,
+                fileCount: new Set(forLine.map(r => r.sourceId)).size,
+            };
+        });
+};
@@ -0,0 +1,143 @@
+// --- ESTIMATE VS ACTUAL RECONCILIATION ---
+// Imported 835 remittances are kept in IndexedDB and matched to the saved estimate history by member
+// ID, date of service and CPT, to measure how far each estimated line was from what the payer did.
+import { STEP_TYPES, lineAllowedAmount } from './engine/index.js';
+import { CLAIM_STATUS_REVERSAL } from './remittance835.js';
+
+const DB_NAME = 'gfpec-remittances';
+const DB_VERSION = 1;
+const STORE = 'remittances';
+
+const openDb = () => new Promise((resolve, reject) => {
+    if (!window.indexedDB) { reject(new Error('This browser does not support IndexedDB.')); return; }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id' });
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const runRequest = (mode, makeRequest) => openDb().then(db => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = makeRequest(tx.objectStore(STORE));
+    tx.oncomplete = () => { db.close(); resolve(request.result); };
+    tx.onerror = () => { db.close(); reject(tx.error); };
+}));
+
+// remittance: the output of parse835.
+export const saveRemittance = (fileName, remittance) => {
+    const record = { id: `era-${Date.now()}`, fileName, importedAt: new Date().toISOString(), ...remittance };
+    return runRequest('readwrite', store => store.add(record)).then(() => record);
+};
+export const listRemittances = () => runRequest('readonly', store => store.getAll())
+    .then(records => records.sort((a, b) => b.importedAt.localeCompare(a.importedAt)));
+export const deleteRemittance = (id) => runRequest('readwrite', store => store.delete(id));
+
+const normalizeId = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+const round = (n) => Number(n.toFixed(2));
+// Episode estimates carry a date of service per line (its visit's).
+const lineDate = (record, procedureEstimate) => procedureEstimate.visitDate || record.summary.serviceDate;
+// Family estimates carry a member per line.
+const lineMemberId = (record, procedureEstimate) => normalizeId(record.result.members?.find(m => m.familyMemberId === procedureEstimate.familyMemberId)?.metaData.patient.memberId || record.summary.memberId);
+const isLineFor = (record, procedureEstimate, memberId, serviceDate) => lineMemberId(record, procedureEstimate) === memberId && lineDate(record, procedureEstimate) === serviceDate;
+
+// Only the latest version of each insured estimate is compared; earlier versions were superseded.
+const latestInsuredEstimates = (records) => {
+    const latest = {};
+    records.forEach(record => {
+        if (record.inputs.estimateMode === 'self_pay') return;
+        if (!latest[record.rootId] || record.version > latest[record.rootId].version) latest[record.rootId] = record;
+    });
+    return Object.values(latest);
+};
+
+const COMPONENT_STEPS = {
+    deductible: [STEP_TYPES.DEDUCTIBLE],
+    coinsurance: [STEP_TYPES.COINSURANCE],
+    copay: [STEP_TYPES.COPAY, STEP_TYPES.COPAY_IN_LIEU, STEP_TYPES.HIGHEST_COPAY],
+};
+const PR_COMPONENT_REASONS = { deductible: '1', coinsurance: '2', copay: '3' };
+
+const estimatedComponents = (procedureEstimate) => Object.fromEntries(Object.entries(COMPONENT_STEPS).map(([component, types]) => [
+    component, round(procedureEstimate.calculationBreakdown.filter(s => types.includes(s.type)).reduce((sum, s) => sum + (Number(s.patientOwes) || 0), 0)),
+]));
+const actualComponents = (line) => Object.fromEntries(Object.entries(PR_COMPONENT_REASONS).map(([component, reason]) => [
+    component, round(line.adjustments.filter(a => a.group === 'PR' && a.reason === reason).reduce((sum, a) => sum + a.amount, 0)),
+]));
+
+// Matches every remittance line to an estimated line. Returns { lines, unmatched }: `lines` carry the
+// estimated and actual patient responsibility and allowed amounts; `unmatched` lists the remittance
+// lines with no estimate for the same member, date of service and CPT.
+export const reconcileRemittances = (remittances, estimateRecords) => {
+    const estimates = latestInsuredEstimates(estimateRecords);
+    const lines = [];
+    const unmatched = [];
+
+    // Remittances saved before reversals were set aside at import can still list them with the claims.
+    remittances.forEach(remittance => remittance.claims.filter(c => c.status !== CLAIM_STATUS_REVERSAL).forEach(claim => {
+        const memberId = normalizeId(claim.memberId);
+        const used = new Set(); // `${estimateId}:${procedureId}` already matched on this claim
+        claim.lines.forEach(line => {
+            const candidates = estimates
+                .filter(r => memberId && r.result.procedureEstimates.some(p => isLineFor(r, p, memberId, line.serviceDate)))
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+            let match = null;
+            candidates.some(record => {
+                const sameCode = record.result.procedureEstimates.filter(p => isLineFor(record, p, memberId, line.serviceDate) && String(p.cptCode).trim().toUpperCase() === line.cptCode && !used.has(`${record.id}:${p.id}`));
+                // Prefer the estimated line with the same modifiers when a code was estimated more than once.
+                const procedureEstimate = sameCode.find(p => normalizeId(p.modifiers) === normalizeId(line.modifiers)) || sameCode[0];
+                if (procedureEstimate) match = { record, procedureEstimate };
+                return !!procedureEstimate;
+            });
+            const context = { remittanceId: remittance.id, claimId: claim.payerClaimId || claim.patientControlNumber, memberId: claim.memberId, serviceDate: line.serviceDate, cptCode: line.cptCode, modifiers: line.modifiers };
+            if (!match) {
+                unmatched.push({ ...context, payer: remittance.payerName, actualPatient: line.patientResponsibility, reason: candidates.length ? 'No estimated line with this CPT.' : 'No saved estimate for this member and date of service.' });
+                return;
+            }
+            const { record, procedureEstimate } = match;
+            used.add(`${record.id}:${procedureEstimate.id}`);
+            const estimatedPatient = round(Number(procedureEstimate.totalPatientResponsibility) || 0);
+            // Estimates saved before every line carried finalAllowedAmount fall back the way the payment split does.
+            const estimatedAllowed = round(Number(procedureEstimate.finalAllowedAmount ?? lineAllowedAmount(procedureEstimate)) || 0);
+            lines.push({
+                ...context,
+                estimateId: record.id,
+                payer: record.summary.payer || remittance.payerName,
+                copayLogic: record.inputs.benefits?.copayLogic || 'standard_waterfall',
+                estimatedPatient,
+                actualPatient: line.patientResponsibility,
+                patientVariance: round(line.patientResponsibility - estimatedPatient),
+                estimatedAllowed,
+                actualAllowed: line.allowedAmount,
+                allowedVariance: round(line.allowedAmount - estimatedAllowed),
+                estimatedComponents: estimatedComponents(procedureEstimate),
+                actualComponents: actualComponents(line),
+                patientAdjustments: line.adjustments.filter(a => a.group === 'PR'),
+                remarkCodes: line.remarkCodes,
+            });
+        });
+    }));
+    return { lines, unmatched };
+};
+
+// Groups reconciled lines by `key` (payer, cptCode, copayLogic), largest mean absolute patient variance first.
+// Variances are actual − estimated: positive means the patient owed more than estimated.
+export const summarizeVariances = (lines, key) => {
+    const groups = {};
+    lines.forEach(line => {
+        const group = groups[line[key]] || (groups[line[key]] = { key: line[key], lines: 0, estimatedPatient: 0, actualPatient: 0, absPatientVariance: 0, absAllowedVariance: 0 });
+        group.lines += 1;
+        group.estimatedPatient += line.estimatedPatient;
+        group.actualPatient += line.actualPatient;
+        group.absPatientVariance += Math.abs(line.patientVariance);
+        group.absAllowedVariance += Math.abs(line.allowedVariance);
+    });
+    return Object.values(groups).map(g => ({
+        key: g.key,
+        lines: g.lines,
+        estimatedPatient: round(g.estimatedPatient),
+        actualPatient: round(g.actualPatient),
+        netPatientVariance: round(g.actualPatient - g.estimatedPatient),
+        meanAbsPatientVariance: round(g.absPatientVariance / g.lines),
+        meanAbsAllowedVariance: round(g.absAllowedVariance / g.lines),
+    })).sort((a, b) => b.meanAbsPatientVariance - a.meanAbsPatientVariance);
+};
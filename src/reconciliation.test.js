@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateEstimate } from './engine/index.js';
+import { parse835 } from './remittance835.js';
+import { reconcileRemittances, summarizeVariances } from './reconciliation.js';
+
+const meta = { patient: { name: 'Ann Lee', memberId: 'M1' }, service: { date: '2026-03-01' }, insurance: { name: 'Test Health' } };
+const benefits = { planType: 'Individual', individualDeductible: 0, individualOopMax: 3000, coinsurancePercentage: 20, copayLogic: 'standard_waterfall' };
+const record = (result, overrides = {}) => ({
+    id: 'GFE-1', rootId: 'GFE-1', version: 1, createdAt: '2026-02-01T00:00:00.000Z',
+    inputs: { estimateMode: 'insured', benefits },
+    result,
+    summary: { memberId: 'M1', serviceDate: '2026-03-01', payer: 'Test Health' },
+    ...overrides,
+});
+const estimated = () => calculateEstimate(benefits, { deductibleMet: 0, oopMet: 0 }, null, [{ id: 1, cptCode: '99213', allowedAmount: 100 }], meta);
+
+const claim = (status, patient) => `CLP*PCN1*${status}*200*${100 - patient}*${patient}*12*CLAIM1~NM1*QC*1*LEE*ANN****MI*M1~DTM*232*20260301~SVC*HC:99213*200*${100 - patient}**1~CAS*PR*2*${patient}~AMT*B6*100~`;
+const remittance = (claims) => ({ id: 'era-1', ...parse835(`ST*835*0001~N1*PR*TEST HEALTH~${claims}SE*9*0001~`) });
+
+test('a remittance line is matched to the estimated line for the same member, date and CPT', () => {
+    const { lines, unmatched } = reconcileRemittances([remittance(claim(1, 30))], [record(estimated())]);
+    assert.equal(unmatched.length, 0);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].estimatedPatient, 20);
+    assert.equal(lines[0].patientVariance, 10);
+    assert.deepEqual(lines[0].actualComponents, { deductible: 0, coinsurance: 30, copay: 0 });
+    assert.deepEqual(summarizeVariances(lines, 'cptCode').map(g => [g.key, g.lines, g.netPatientVariance]), [['99213', 1, 10]]);
+});
+
+test('a reversed claim is compared once, as its corrected claim', () => {
+    const { lines } = reconcileRemittances([remittance(`${claim(22, -30)}${claim(1, 20)}`)], [record(estimated())]);
+    assert.equal(lines.length, 1);
+    assert.equal(lines[0].patientVariance, 0);
+});
+
+test('reversals saved with the claims before they were set aside are skipped', () => {
+    const saved = remittance(claim(1, 20));
+    saved.claims.unshift({ ...saved.claims[0], status: '22' });
+    assert.equal(reconcileRemittances([saved], [record(estimated())]).lines.length, 1);
+});
+
+test('estimated lines without finalAllowedAmount fall back to allowed × units', () => {
+    const result = estimated();
+    result.procedureEstimates = result.procedureEstimates.map(({ finalAllowedAmount, ...p }) => ({ ...p, units: 2 }));
+    const { lines } = reconcileRemittances([remittance(claim(1, 20))], [record(result)]);
+    assert.equal(lines[0].estimatedAllowed, 200);
+    assert.equal(lines[0].allowedVariance, -100);
+});
+
+test('only the latest version of an estimate is compared', () => {
+    const older = record(estimated());
+    const newer = record(estimated(), { id: 'GFE-2', version: 2, createdAt: '2026-02-02T00:00:00.000Z' });
+    const { lines } = reconcileRemittances([remittance(claim(1, 20))], [older, newer]);
+    assert.deepEqual(lines.map(l => l.estimateId), ['GFE-2']);
+});
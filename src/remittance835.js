@@ -0,0 +1,133 @@
+// --- X12 835 REMITTANCE (ERA) READER ---
+// Reads the claims and service lines of a 5010 835: what the payer allowed and paid, and the patient
+// responsibility it assigned (CAS group PR) with its CARC and RARC codes.
+import { parseX12Segments, element, components, x12Date, x12Amount } from './x12.js';
+
+// Patient-responsibility CARCs the estimate's breakdown can be compared against.
+export const PR_REASON_LABELS = { 1: 'Deductible', 2: 'Coinsurance', 3: 'Copay' };
+// CLP02 for a reversal of a previously paid claim.
+export const CLAIM_STATUS_REVERSAL = '22';
+
+// CAS: group code, then up to six reason / amount / quantity triplets.
+const readAdjustments = (cas) => {
+    const group = element(cas, 1);
+    const adjustments = [];
+    for (let n = 2; n <= 17; n += 3) {
+        const reason = element(cas, n);
+        const amount = x12Amount(element(cas, n + 1));
+        if (reason && amount != null) adjustments.push({ group, reason, amount });
+    }
+    return adjustments;
+};
+
+const sumPatientResponsibility = (adjustments) => Number(adjustments.filter(a => a.group === 'PR').reduce((sum, a) => sum + a.amount, 0).toFixed(2));
+
+export const parse835 = (text) => {
+    const { delimiters, segments } = parseX12Segments(text);
+    if (!segments.some(s => s.id === 'ST' && element(s, 1) === '835') && !segments.some(s => s.id === 'CLP')) {
+        throw new Error('This is not an 835 remittance (no ST*835 or CLP segments).');
+    }
+
+    const remittance = { payerName: '', paymentDate: '', traceNumber: '', claims: [] };
+    let claim = null;
+    let line = null;
+
+    segments.forEach(segment => {
+        switch (segment.id) {
+            case 'BPR':
+                remittance.paymentDate = x12Date(element(segment, 16));
+                return;
+            case 'TRN':
+                remittance.traceNumber = element(segment, 2);
+                return;
+            case 'N1':
+                if (element(segment, 1) === 'PR' && !claim) remittance.payerName = element(segment, 2);
+                return;
+            case 'CLP':
+                claim = {
+                    patientControlNumber: element(segment, 1),
+                    status: element(segment, 2),
+                    chargeAmount: x12Amount(element(segment, 3)) ?? 0,
+                    paidAmount: x12Amount(element(segment, 4)) ?? 0,
+                    patientResponsibility: x12Amount(element(segment, 5)) ?? 0,
+                    payerClaimId: element(segment, 7),
+                    memberId: '', patientName: '', serviceDate: '',
+                    adjustments: [],
+                    lines: [],
+                };
+                line = null;
+                remittance.claims.push(claim);
+                return;
+            case 'NM1': {
+                if (!claim) return;
+                const entity = element(segment, 1);
+                // The insured's ID (IL) is the member ID on the card; the patient (QC) is used when IL is absent.
+                if (entity === 'IL' || (entity === 'QC' && !claim.memberId)) claim.memberId = element(segment, 9) || claim.memberId;
+                if (entity === 'QC') claim.patientName = [element(segment, 4), element(segment, 3)].filter(Boolean).join(' ');
+                return;
+            }
+            case 'DTM': {
+                const qualifier = element(segment, 1);
+                const date = x12Date(element(segment, 2));
+                if (line && qualifier === '472') line.serviceDate = date;
+                else if (line && qualifier === '150') line.serviceDate = line.serviceDate || date;
+                else if (claim && !line && ['232', '472'].includes(qualifier)) claim.serviceDate = claim.serviceDate || date;
+                return;
+            }
+            case 'SVC': {
+                if (!claim) return;
+                const [, code, ...modifiers] = components(element(segment, 1), delimiters);
+                line = {
+                    cptCode: (code || '').toUpperCase(),
+                    modifiers: modifiers.filter(Boolean).join(','),
+                    chargeAmount: x12Amount(element(segment, 2)) ?? 0,
+                    paidAmount: x12Amount(element(segment, 3)) ?? 0,
+                    units: x12Amount(element(segment, 5)) ?? 1,
+                    serviceDate: '',
+                    allowedAmount: null,
+                    adjustments: [],
+                    remarkCodes: [],
+                };
+                claim.lines.push(line);
+                return;
+            }
+            case 'CAS':
+                if (line) line.adjustments.push(...readAdjustments(segment));
+                else if (claim) claim.adjustments.push(...readAdjustments(segment));
+                return;
+            case 'AMT':
+                if (line && element(segment, 1) === 'B6') line.allowedAmount = x12Amount(element(segment, 2));
+                return;
+            case 'LQ':
+                if (line && element(segment, 1) === 'HE') line.remarkCodes.push(element(segment, 2));
+                return;
+            case 'SE':
+                claim = null;
+                line = null;
+                return;
+            default:
+        }
+    });
+
+    // Without AMT*B6 the allowed amount is what was paid plus what the patient owes.
+    remittance.claims.forEach(c => c.lines.forEach(l => {
+        l.serviceDate = l.serviceDate || c.serviceDate;
+        l.patientResponsibility = sumPatientResponsibility(l.adjustments);
+        if (l.allowedAmount == null) l.allowedAmount = Number((l.paidAmount + l.patientResponsibility).toFixed(2));
+    }));
+    if (remittance.claims.length === 0) throw new Error('The remittance has no claims (CLP segments).');
+
+    // A reversal takes back an earlier payment and comes with the corrected claim. Reversals, and an original
+    // they take back that is in this same file, move to `reversals` so each claim is compared once.
+    const claimKey = (c) => c.payerClaimId || c.patientControlNumber;
+    const reversed = new Set();
+    remittance.claims.forEach((c, index) => {
+        if (c.status !== CLAIM_STATUS_REVERSAL) return;
+        reversed.add(c);
+        const original = remittance.claims.slice(0, index).reverse().find(o => o.status !== CLAIM_STATUS_REVERSAL && !reversed.has(o) && claimKey(o) === claimKey(c));
+        if (original) reversed.add(original);
+    });
+    remittance.reversals = remittance.claims.filter(c => reversed.has(c));
+    remittance.claims = remittance.claims.filter(c => !reversed.has(c));
+    return remittance;
+};
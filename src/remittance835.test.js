@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parse835 } from './remittance835.js';
+
+const header = 'ST*835*0001~BPR*I*150*C*ACH************20260315~TRN*1*TRACE1*1234567890~N1*PR*TEST HEALTH~';
+const claim = (status, paid, patient, allowed) => [
+    `CLP*PCN1*${status}*200*${paid}*${patient}*12*CLAIM1~NM1*QC*1*LEE*ANN****MI*M1~DTM*232*20260301~`,
+    `SVC*HC:99213:25*200*${paid}**1~CAS*PR*1*${patient}~CAS*CO*45*${(200 - allowed).toFixed(2)}~`,
+    ...(allowed >= 0 ? [`AMT*B6*${allowed}~`] : []),
+    'LQ*HE*N130~',
+].join('');
+
+test('claims and lines carry the allowed, paid and patient amounts', () => {
+    const remittance = parse835(`${header}${claim(1, 80, 20, 100)}SE*12*0001~`);
+    assert.equal(remittance.payerName, 'TEST HEALTH');
+    assert.equal(remittance.paymentDate, '2026-03-15');
+    assert.equal(remittance.traceNumber, 'TRACE1');
+    const [c] = remittance.claims;
+    assert.equal(c.memberId, 'M1');
+    assert.equal(c.patientName, 'ANN LEE');
+    assert.deepEqual(c.lines.map(l => [l.cptCode, l.modifiers, l.serviceDate, l.allowedAmount, l.paidAmount, l.patientResponsibility, l.remarkCodes]),
+        [['99213', '25', '2026-03-01', 100, 80, 20, ['N130']]]);
+});
+
+test('without AMT*B6 the allowed amount is paid plus patient responsibility', () => {
+    const remittance = parse835(`${header}${claim(1, 80, 30, -1)}SE*12*0001~`);
+    assert.equal(remittance.claims[0].lines[0].allowedAmount, 110);
+});
+
+test('a reversal and the original it takes back are set aside, leaving the corrected claim', () => {
+    const remittance = parse835(`${header}${claim(1, 80, 20, 100)}${claim(22, -80, -20, -100)}${claim(1, 90, 10, 100)}SE*30*0001~`);
+    assert.equal(remittance.claims.length, 1);
+    assert.equal(remittance.claims[0].lines[0].patientResponsibility, 10);
+    assert.deepEqual(remittance.reversals.map(c => c.status), ['1', '22']);
+});
+
+test('a reversal of a claim paid in an earlier remittance leaves only the corrected claim', () => {
+    const remittance = parse835(`${header}${claim(22, -80, -20, -100)}${claim(1, 90, 10, 100)}SE*20*0001~`);
+    assert.deepEqual(remittance.claims.map(c => c.status), ['1']);
+    assert.deepEqual(remittance.reversals.map(c => c.status), ['22']);
+});
+
+test('text that is not an 835 is rejected', () => {
+    assert.throws(() => parse835('ST*271*0001~SE*1*0001~'), /not an 835/);
+});
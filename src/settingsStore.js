@@ -0,0 +1,94 @@
+// --- LOCAL SETTINGS STORE ---
+// Admin-maintained configuration kept in the browser's localStorage.
+import { DEFAULT_REVISION_VARIANCE_THRESHOLD } from './engine/index.js';
+
+const MODIFIER_OVERRIDES_KEY = 'gfpec.modifierOverrides';
+export const ALL_PAYERS_KEY = '*';
+
+const readJson = (key, fallback) => {
+    try {
+        const raw = window.localStorage.getItem(key);
+        return raw ? JSON.parse(raw) : fallback;
+    } catch (e) {
+        return fallback;
+    }
+};
+
+// Shape: { [payerName | '*']: { [modifierCode]: { factor, adjustsPrice, stacking, group, label } } }
+export const loadModifierOverrides = () => readJson(MODIFIER_OVERRIDES_KEY, {});
+export const saveModifierOverrides = (store) => window.localStorage.setItem(MODIFIER_OVERRIDES_KEY, JSON.stringify(store));
+
+// Payer-specific rules win over the all-payer rules.
+export const getPayerModifierOverrides = (store, payerName) => ({
+    ...(store[ALL_PAYERS_KEY] || {}),
+    ...((payerName && store[payerName]) || {}),
+});
+
+// --- Medically Unlikely Edit limits ---
+// Shape: { action: 'warn' | 'cap', limits: { [cptCode]: maxUnits } }
+const MUE_SETTINGS_KEY = 'gfpec.mueSettings';
+export const loadMueSettings = () => ({ action: 'warn', limits: {}, ...readJson(MUE_SETTINGS_KEY, {}) });
+export const saveMueSettings = (settings) => window.localStorage.setItem(MUE_SETTINGS_KEY, JSON.stringify(settings));
+
+// --- Estimate revisions ---
+// Shape: { varianceThreshold: dollars }; a revised total that moves more than this is flagged.
+const REVISION_SETTINGS_KEY = 'gfpec.revisionSettings';
+export const loadRevisionSettings = () => ({ varianceThreshold: DEFAULT_REVISION_VARIANCE_THRESHOLD, ...readJson(REVISION_SETTINGS_KEY, {}) });
+export const saveRevisionSettings = (settings) => window.localStorage.setItem(REVISION_SETTINGS_KEY, JSON.stringify(settings));
+
+// --- Plan profile library ---
+// Shape: [{ id, payer, name, planYearStart, planYearEnd, benefits }]; benefits is a full form benefits object.
+const PLAN_PROFILES_KEY = 'gfpec.planProfiles';
+const PLAN_PROFILES_EXPORT_VERSION = 1;
+export const loadPlanProfiles = () => readJson(PLAN_PROFILES_KEY, []);
+export const savePlanProfiles = (profiles) => window.localStorage.setItem(PLAN_PROFILES_KEY, JSON.stringify(profiles));
+
+export const getPlanProfileLabel = (profile) => `${profile.payer} – ${profile.name}`;
+
+// A profile with the same payer and name replaces the existing one (keeping its id).
+export const upsertPlanProfile = (profiles, profile) => {
+    const existing = profiles.find(p => p.payer === profile.payer && p.name === profile.name);
+    if (!existing) return [...profiles, { ...profile, id: profile.id || `plan-${Date.now()}-${Math.random().toString(36).slice(2, 6)}` }];
+    return profiles.map(p => p === existing ? { ...profile, id: existing.id } : p);
+};
+
+export const exportPlanProfiles = (profiles) => JSON.stringify({ version: PLAN_PROFILES_EXPORT_VERSION, exportedAt: new Date().toISOString(), profiles }, null, 2);
+
+// Accepts an export file or a bare array; throws with a readable message on anything else.
+export const parsePlanProfileImport = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (e) {
+        throw new Error('The file is not valid JSON.');
+    }
+    const profiles = Array.isArray(parsed) ? parsed : parsed?.profiles;
+    if (!Array.isArray(profiles)) throw new Error('The file does not contain a "profiles" list.');
+    profiles.forEach((p, i) => {
+        if (!p || !p.payer || !p.name || !p.benefits || typeof p.benefits !== 'object') {
+            throw new Error(`Profile #${i + 1} needs a payer, a name and a benefits object.`);
+        }
+    });
+    // Ids are local to each browser; imported profiles are matched by payer and name instead.
+    return profiles.map(({ payer, name, planYearStart = '', planYearEnd = '', benefits }) => ({ payer, name, planYearStart, planYearEnd, benefits }));
+};
+
+// --- Fee schedules & chargemaster ---
+// Shape: { schedules: [{ id, name, importedAt, rows: [{ cptCode, modifier, payer, plan, allowedAmount }] }],
+//          chargemaster: { name, importedAt, rows: [{ cptCode, modifier, billedAmount }] } | null }
+const FEE_LIBRARY_KEY = 'gfpec.feeLibrary';
+export const loadFeeLibrary = () => ({ schedules: [], chargemaster: null, ...readJson(FEE_LIBRARY_KEY, {}) });
+export const saveFeeLibrary = (library) => window.localStorage.setItem(FEE_LIBRARY_KEY, JSON.stringify(library));
+
+// --- Medicare Physician Fee Schedule tables ---
+// Shape: { rvu: { name, importedAt, conversionFactor, rvus } | null, gpci: { name, importedAt, localities } | null }
+// (see parsePfsRvuTable / parseGpciTable in the engine).
+const PFS_TABLES_KEY = 'gfpec.pfsTables';
+export const loadPfsTables = () => ({ rvu: null, gpci: null, ...readJson(PFS_TABLES_KEY, {}) });
+export const savePfsTables = (tables) => window.localStorage.setItem(PFS_TABLES_KEY, JSON.stringify(tables));
+
+// --- Anesthesia base units ---
+// Shape: { name, importedAt, codes } | null (see parseAnesthesiaBaseUnits in the engine).
+const ANESTHESIA_BASE_UNITS_KEY = 'gfpec.anesthesiaBaseUnits';
+export const loadAnesthesiaBaseUnits = () => readJson(ANESTHESIA_BASE_UNITS_KEY, null);
+export const saveAnesthesiaBaseUnits = (table) => table ? window.localStorage.setItem(ANESTHESIA_BASE_UNITS_KEY, JSON.stringify(table)) : window.localStorage.removeItem(ANESTHESIA_BASE_UNITS_KEY);
@@ -0,0 +1,46 @@
+// --- X12 5010 READER ---
+// Splits an X12 interchange into segments. The delimiters are read from the fixed-width ISA segment;
+// text without an ISA (a pasted ST…SE transaction) uses the common defaults: * ~ : ^.
+
+const DEFAULT_DELIMITERS = { element: '*', segment: '~', component: ':', repetition: '^' };
+
+const readDelimiters = (text) => {
+    if (!text.startsWith('ISA') || text.length < 106) return DEFAULT_DELIMITERS;
+    const element = text[3];
+    const repetition = text.split(element)[11];
+    return {
+        element,
+        component: text[104],
+        segment: text[105],
+        repetition: repetition && repetition.length === 1 && /[^A-Za-z0-9]/.test(repetition) ? repetition : DEFAULT_DELIMITERS.repetition,
+    };
+};
+
+// Returns { delimiters, segments: [{ id, elements, raw }] }; `elements[0]` is the segment ID, so
+// element numbers match the implementation guide (EB03 is elements[3]).
+export const parseX12Segments = (rawText) => {
+    const text = String(rawText ?? '').replace(/^\uFEFF/, '').trimStart();
+    const delimiters = readDelimiters(text);
+    const segments = text.split(delimiters.segment)
+        .map(raw => raw.replace(/[\r\n]+/g, '').trim())
+        .filter(Boolean)
+        .map(raw => {
+            const elements = raw.split(delimiters.element);
+            return { id: elements[0].toUpperCase(), elements, raw };
+        });
+    if (segments.length === 0) throw new Error('No X12 segments were found.');
+    return { delimiters, segments };
+};
+
+// Element n of a segment ('' when absent), its repeats and its components.
+export const element = (segment, n) => (segment.elements[n] ?? '').trim();
+export const repeats = (value, delimiters) => value ? value.split(delimiters.repetition).map(v => v.trim()).filter(Boolean) : [];
+export const components = (value, delimiters) => (value || '').split(delimiters.component).map(v => v.trim());
+
+// CCYYMMDD → YYYY-MM-DD (the format of date inputs); '' when malformed.
+export const x12Date = (value) => /^\d{8}$/.test(value) ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : '';
+
+export const x12Amount = (value) => {
+    const number = Number(value);
+    return value === '' || value == null || !Number.isFinite(number) ? null : number;
+};